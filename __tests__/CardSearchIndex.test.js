@@ -0,0 +1,210 @@
+const CardSearchIndex = require('../generator/card-search-index');
+const CardNormalizer = require('../generator/card-normalizer');
+
+const rawCards = [
+  {
+    id: 'bolt', name: 'Lightning Bolt', type_line: 'Instant', mana_cost: '{R}', cmc: 1,
+    colors: ['R'], color_identity: ['R'], rarity: 'common', set: 'lea',
+    oracle_text: 'Lightning Bolt deals 3 damage to any target.',
+    legalities: { modern: 'legal', legacy: 'legal', standard: 'not_legal' }, prices: { usd: '1.50' }
+  },
+  {
+    id: 'goblin', name: 'Goblin Guide', type_line: 'Creature — Goblin Scout', mana_cost: '{R}', cmc: 1,
+    colors: ['R'], color_identity: ['R'], rarity: 'rare', set: 'zen', power: '2', toughness: '2',
+    oracle_text: 'Haste\nWhenever Goblin Guide attacks, defending player reveals the top card of their library.',
+    keywords: ['Haste'], legalities: { modern: 'legal', legacy: 'legal' }, prices: { usd: '3.00' }
+  },
+  {
+    id: 'ghor', name: 'Ghor-Clan Rampager', type_line: 'Creature — Beast', mana_cost: '{2}{R}{G}', cmc: 4,
+    colors: ['R', 'G'], color_identity: ['R', 'G'], rarity: 'uncommon', set: 'gtc', power: '4', toughness: '4',
+    oracle_text: 'Trample\nBloodrush — {R}{G}, Discard Ghor-Clan Rampager: Target attacking creature gets +4/+4 and gains trample until end of turn.',
+    keywords: ['Trample', 'Bloodrush'], legalities: { modern: 'legal' }, prices: { usd: '0.25' }
+  },
+  {
+    id: 'dragon', name: 'Shivan Dragon', type_line: 'Creature — Dragon', mana_cost: '{4}{R}{R}', cmc: 6,
+    colors: ['R'], color_identity: ['R'], rarity: 'rare', set: 'lea', power: '5', toughness: '5',
+    oracle_text: 'Flying\n{R}: Shivan Dragon gets +1/+0 until end of turn.',
+    keywords: ['Flying'], legalities: { legacy: 'legal' }, prices: { usd: '2.00' }
+  },
+  {
+    id: 'kird', name: 'Kird Ape', type_line: 'Creature — Ape', mana_cost: '{R}', cmc: 1,
+    colors: ['R'], color_identity: ['R', 'G'], rarity: 'common', set: 'arn', power: '1', toughness: '1',
+    oracle_text: 'Kird Ape gets +1/+2 as long as you control a Forest.',
+    legalities: { legacy: 'legal', vintage: 'banned' }, prices: { usd: '0.50' }
+  },
+  {
+    id: 'ajani', name: 'Ajani Goldmane', type_line: 'Legendary Planeswalker — Ajani', mana_cost: '{2}{W}{W}', cmc: 4,
+    colors: ['W'], color_identity: ['W'], rarity: 'rare', set: 'lrw', loyalty: '4',
+    oracle_text: '+1: You gain 2 life.',
+    legalities: { modern: 'legal' }, prices: { usd: '4.00' }
+  }
+];
+
+const ids = results => results.map(card => card.id).sort();
+
+describe('CardSearchIndex', () => {
+  let index;
+
+  beforeEach(() => {
+    index = new CardSearchIndex();
+    index.buildIndex(new CardNormalizer().processCards(rawCards));
+  });
+
+  describe('search()', () => {
+    test('should accept numeric stat values', () => {
+      expect(ids(index.search({ manaValue: 1 }))).toEqual(['bolt', 'goblin', 'kird']);
+      expect(ids(index.search({ power: 4, powerOperator: '>=' }))).toEqual(['dragon', 'ghor']);
+      expect(ids(index.search({ toughness: 2, toughnessOperator: '<' }))).toEqual(['kird']);
+    });
+  });
+
+  describe('query()', () => {
+    test('should evaluate a single term', () => {
+      expect(ids(index.query('t:instant'))).toEqual(['bolt']);
+    });
+
+    test('should intersect implicit AND terms', () => {
+      expect(ids(index.query('t:creature mv<=3'))).toEqual(['goblin', 'kird']);
+    });
+
+    test('should evaluate color operators', () => {
+      expect(ids(index.query('c>=rg'))).toEqual(['ghor']);
+      expect(ids(index.query('id:rg t:creature'))).toEqual(['dragon', 'ghor', 'goblin', 'kird']);
+      expect(ids(index.query('c=w'))).toEqual(['ajani']);
+    });
+
+    test('should evaluate negation', () => {
+      expect(ids(index.query('t:creature -o:flying'))).toEqual(['ghor', 'goblin', 'kird']);
+    });
+
+    test('should evaluate OR groups', () => {
+      expect(ids(index.query('t:creature c>=rg mv<=4 (kw:haste or kw:trample)'))).toEqual(['ghor']);
+      expect(ids(index.query('kw:haste or kw:flying'))).toEqual(['dragon', 'goblin']);
+    });
+
+    test('should evaluate quoted and regex oracle text', () => {
+      expect(ids(index.query('o:"any target"'))).toEqual(['bolt']);
+      expect(ids(index.query('o:/gets \\+\\d\\/\\+\\d/'))).toEqual(['dragon', 'ghor', 'kird']);
+    });
+
+    test('should match regex types against the whole type line', () => {
+      expect(ids(index.query('t:/^legend/'))).toEqual(['ajani']);
+      expect(ids(index.query('t:/— (goblin|ape)/'))).toEqual(['goblin', 'kird']);
+    });
+
+    test('should replace ~ with the card name in oracle text', () => {
+      expect(ids(index.query('o:"~ deals 3 damage"'))).toEqual(['bolt']);
+    });
+
+    test('should evaluate rarity, set and format', () => {
+      expect(ids(index.query('r>=rare'))).toEqual(['ajani', 'dragon', 'goblin']);
+      expect(ids(index.query('s:lea'))).toEqual(['bolt', 'dragon']);
+      expect(ids(index.query('f:modern t:creature'))).toEqual(['ghor', 'goblin']);
+      expect(ids(index.query('banned:vintage'))).toEqual(['kird']);
+    });
+
+    test('should evaluate numeric stats and prices', () => {
+      expect(ids(index.query('pow>=4'))).toEqual(['dragon', 'ghor']);
+      expect(ids(index.query('loy=4'))).toEqual(['ajani']);
+      expect(ids(index.query('usd<1'))).toEqual(['ghor', 'kird']);
+      expect(ids(index.query('mv!=1'))).toEqual(['ajani', 'dragon', 'ghor']);
+    });
+
+    test('should evaluate names and aliases', () => {
+      expect(ids(index.query('goblin'))).toEqual(['goblin']);
+      expect(ids(index.query('!"Kird Ape"'))).toEqual(['kird']);
+      expect(ids(index.query('type:planeswalker'))).toEqual(['ajani']);
+      expect(ids(index.query('is:commander or t:legendary'))).toEqual(['ajani']);
+    });
+
+    test('should return all cards for an empty query', () => {
+      expect(index.query('')).toHaveLength(rawCards.length);
+    });
+
+    test('should sort and paginate', () => {
+      const results = index.query('t:creature', { sortBy: 'cmc', sortOrder: 'desc', limit: 2 });
+      expect(results.map(card => card.id)).toEqual(['dragon', 'ghor']);
+    });
+
+    test('should accept a parsed query tree', () => {
+      const { ScryfallQueryBuilder } = require('../src');
+      const tree = new ScryfallQueryBuilder().type('creature').keyword('flying').toJSON();
+      expect(ids(index.query(tree))).toEqual(['dragon']);
+    });
+
+    test('should evaluate mana costs, devotion and hybrid or Phyrexian mana', () => {
+      index.buildIndex(new CardNormalizer().processCards([
+        ...rawCards,
+        {
+          id: 'kitchen', name: 'Kitchen Finks', type_line: 'Creature — Ouphe', mana_cost: '{1}{G/W}{G/W}', cmc: 3,
+          colors: ['G', 'W'], color_identity: ['G', 'W'], rarity: 'uncommon', set: 'shm', power: '3', toughness: '2'
+        },
+        {
+          id: 'mutagenic', name: 'Mutagenic Growth', type_line: 'Instant', mana_cost: '{G/P}', cmc: 1,
+          colors: ['G'], color_identity: ['G'], rarity: 'common', set: 'nph'
+        }
+      ]));
+
+      expect(ids(index.query('m:{R}{R}'))).toEqual(['dragon']);
+      expect(ids(index.query('m={2}{W}{W}'))).toEqual(['ajani']);
+      expect(ids(index.query('m>={1}{r}'))).toEqual(['dragon', 'ghor']);
+      expect(ids(index.query('devotion>={G}{G}'))).toEqual(['kitchen']);
+      expect(ids(index.query('devotion:{R/G}{R/G}'))).toEqual(['dragon', 'ghor', 'kitchen']);
+      expect(ids(index.query('is:hybrid'))).toEqual(['kitchen']);
+      expect(ids(index.query('is:phyrexian'))).toEqual(['mutagenic']);
+    });
+
+    test('should compare stats with each other', () => {
+      expect(ids(index.query('t:creature pow=tou'))).toEqual(['dragon', 'ghor', 'goblin', 'kird']);
+      expect(ids(index.query('pow>cmc'))).toEqual(['goblin']);
+      expect(ids(index.query('loy=cmc'))).toEqual(['ajani']);
+      expect(ids(index.query('tou>pow'))).toEqual([]);
+    });
+
+    test('should count * as 0 when comparing stats', () => {
+      index.buildIndex(new CardNormalizer().processCards([
+        ...rawCards,
+        {
+          id: 'goyf', name: 'Tarmogoyf', type_line: 'Creature — Lhurgoyf', mana_cost: '{1}{G}', cmc: 2,
+          colors: ['G'], color_identity: ['G'], rarity: 'rare', set: 'fut', power: '*', toughness: '1+*'
+        }
+      ]));
+
+      expect(ids(index.query('pow=*'))).toEqual(['goyf']);
+      expect(ids(index.query('tou=1+*'))).toEqual(['goyf']);
+      expect(ids(index.query('pow<1'))).toEqual(['goyf']);
+      expect(ids(index.query('t:lhurgoyf tou>pow'))).toEqual(['goyf']);
+      expect(ids(index.query('t:lhurgoyf tou<=1'))).toEqual(['goyf']);
+    });
+
+    test('should count the fixed part of stats with a leading *', () => {
+      index.buildIndex(new CardNormalizer().processCards([
+        ...rawCards,
+        {
+          id: 'slith', name: 'Star Slith', type_line: 'Creature — Slith', mana_cost: '{2}{R}', cmc: 3,
+          colors: ['R'], color_identity: ['R'], rarity: 'rare', set: 'unf', power: '*+1', toughness: '*²'
+        }
+      ]));
+
+      expect(ids(index.query('t:slith pow=1'))).toEqual(['slith']);
+      expect(ids(index.query('t:slith pow>=1'))).toEqual(['slith']);
+      expect(ids(index.query('t:slith pow<1'))).toEqual([]);
+      // Stats that aren't a sum, such as "*²", don't compare at all
+      expect(ids(index.query('t:slith tou<pow'))).toEqual([]);
+      expect(ids(index.query('t:slith tou>=pow'))).toEqual([]);
+    });
+
+    test('should reject stat values that are neither numbers nor stats', () => {
+      expect(() => index.query('pow>foo')).toThrow('Unsupported stat value for local search: foo');
+      expect(() => index.query('mv=x')).toThrow('Unsupported stat value');
+    });
+
+    test('should reject keywords the index cannot evaluate', () => {
+      expect(() => index.query('wm:orzhov')).toThrow('Unsupported search keyword');
+    });
+
+    test('should reject malformed queries', () => {
+      expect(() => index.query('(t:creature')).toThrow('Unbalanced parenthesis');
+    });
+  });
+});
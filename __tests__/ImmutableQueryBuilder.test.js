@@ -0,0 +1,149 @@
+const ImmutableQueryBuilder = require('../src/ImmutableQueryBuilder');
+const ScryfallQueryBuilder = require('../src/ScryfallQueryBuilder');
+
+describe('ImmutableQueryBuilder', () => {
+  let base;
+
+  beforeEach(() => {
+    base = new ImmutableQueryBuilder().type('creature').format('modern');
+  });
+
+  describe('chain methods', () => {
+    test('should return a new builder and leave the original alone', () => {
+      const red = base.color('r');
+      const cheap = base.manaValue(2, '<=');
+
+      expect(red).toBeInstanceOf(ImmutableQueryBuilder);
+      expect(red.build()).toBe('t:creature f:modern c=r');
+      expect(cheap.build()).toBe('t:creature f:modern mv<=2');
+      expect(base.build()).toBe('t:creature f:modern');
+    });
+
+    test('should share unchanged conditions with the builder it came from', () => {
+      const derived = base.color('r');
+      expect(derived.nodes[0]).toBe(base.nodes[0]);
+      expect(derived.nodes[1]).toBe(base.nodes[1]);
+    });
+
+    test('should not allow changing its conditions in place', () => {
+      expect(Object.isFrozen(base.nodes)).toBe(true);
+      expect(Object.isFrozen(base.display)).toBe(true);
+      expect(() => base.nodes.push(null)).toThrow(TypeError);
+    });
+
+    test('should derive groups and display options', () => {
+      const grouped = base.or(b => b.type('elf').type('goblin')).order('usd', 'asc');
+      expect(grouped.build()).toBe('t:creature f:modern (t:elf or t:goblin) order:usd dir:asc');
+      expect(base.getDisplayOptions()).toEqual({});
+    });
+
+    test('should work with filters registered later', () => {
+      ScryfallQueryBuilder.registerFilter('stamp', { key: 'stamp', valueType: ['acorn', 'oval'] });
+      expect(base.stamp('acorn').build()).toBe('t:creature f:modern stamp:acorn');
+      expect(base.build()).toBe('t:creature f:modern');
+    });
+
+    test('should still check values', () => {
+      expect(() => base.format('')).not.toThrow();
+      expect(() => base.setType('nonsense')).toThrow('Invalid set type "nonsense"');
+    });
+  });
+
+  describe('with()', () => {
+    test('should add query strings, builders and callbacks', () => {
+      const other = new ScryfallQueryBuilder().set('dsk').order('edhrec');
+      const derived = base.with('kw:flying', b => b.power(3, '>='), other);
+
+      expect(derived.build()).toBe('t:creature f:modern kw:flying pow>=3 s:dsk order:edhrec');
+      expect(other.build()).toBe('s:dsk order:edhrec');
+      expect(base.build()).toBe('t:creature f:modern');
+    });
+
+    test('should reject anything else', () => {
+      expect(() => base.with(42)).toThrow('Cannot add 42 to a query');
+    });
+  });
+
+  describe('without()', () => {
+    test('should remove conditions by method name or keyword', () => {
+      const query = ImmutableQueryBuilder.parse('t:elf -o:flying cmc>2 mv<5 f:modern');
+      expect(query.without('manaValue').build()).toBe('t:elf -o:flying f:modern');
+      expect(query.without('oracle', 'format').build()).toBe('t:elf cmc>2 mv<5');
+      expect(query.build()).toBe('t:elf -o:flying cmc>2 mv<5 f:modern');
+    });
+
+    test('should leave grouped conditions alone', () => {
+      const query = ImmutableQueryBuilder.parse('t:elf (t:goblin or c=r)');
+      expect(query.without('type').build()).toBe('(t:goblin or c=r)');
+    });
+
+    test('should treat bare words as names', () => {
+      expect(ImmutableQueryBuilder.parse('goblin t:creature').without('name').build()).toBe('t:creature');
+    });
+
+    test('should clear display options', () => {
+      const query = base.order('usd').view('grid');
+      expect(query.without('order', 'view').build()).toBe('t:creature f:modern');
+      expect(query.toUrl()).toContain('&order=usd&as=grid');
+    });
+
+    test('should reject unknown filters', () => {
+      expect(() => base.without('sparkle')).toThrow('Unknown filter "sparkle"');
+    });
+  });
+
+  describe('replace()', () => {
+    test('should replace conditions in place', () => {
+      const query = ImmutableQueryBuilder.parse('t:elf mv>2 mv<5 f:modern');
+      expect(query.replace('manaValue', 3, '<=').build()).toBe('t:elf mv<=3 f:modern');
+      expect(query.replace('cmc', 1).build()).toBe('t:elf mv=1 f:modern');
+      expect(query.replace('f', 'legacy').build()).toBe('t:elf mv>2 mv<5 f:legacy');
+    });
+
+    test('should add the condition when there was none', () => {
+      expect(base.replace('rarity', 'rare').build()).toBe('t:creature f:modern r=rare');
+    });
+
+    test('should replace display options', () => {
+      expect(base.order('usd').replace('order', 'name').build()).toBe('t:creature f:modern order:name');
+    });
+
+    test('should reject keywords no method writes', () => {
+      expect(() => base.replace('wm', 'set')).not.toThrow();
+      expect(() => base.replace('include', true)).not.toThrow();
+      expect(() => base.replace('fo', 'draw')).toThrow('No builder method writes "fo" conditions');
+    });
+  });
+
+  describe('conversions', () => {
+    test('should create immutable builders from strings, URLs, trees and builders', () => {
+      expect(ImmutableQueryBuilder.fromString('t:elf')).toBeInstanceOf(ImmutableQueryBuilder);
+      expect(ImmutableQueryBuilder.fromUrl('https://scryfall.com/search?q=t%3Aelf&order=cmc').build())
+        .toBe('t:elf order:cmc');
+      expect(ImmutableQueryBuilder.fromJSON(base.toJSON()).build()).toBe('t:creature f:modern');
+
+      const mutable = new ScryfallQueryBuilder().type('elf');
+      const immutable = ImmutableQueryBuilder.from(mutable);
+      mutable.color('g');
+      expect(immutable.build()).toBe('t:elf');
+      expect(ImmutableQueryBuilder.from(immutable)).toBe(immutable);
+    });
+
+    test('should return a mutable copy', () => {
+      const mutable = base.toMutable();
+      mutable.color('g');
+      expect(mutable).not.toBeInstanceOf(ImmutableQueryBuilder);
+      expect(mutable.build()).toBe('t:creature f:modern c=g');
+      expect(base.build()).toBe('t:creature f:modern');
+    });
+
+    test('should return immutable builders from reset, clone and simplify', () => {
+      expect(base.reset().build()).toBe('');
+      expect(base.clone()).toBe(base);
+
+      const simplified = ImmutableQueryBuilder.parse('mv>=2 mv>=3').simplify();
+      expect(simplified).toBeInstanceOf(ImmutableQueryBuilder);
+      expect(simplified.build()).toBe('mv>=3');
+    });
+  });
+});
@@ -0,0 +1,88 @@
+const ManaSymbols = require('../src/ManaSymbols');
+const CardNormalizer = require('../generator/card-normalizer');
+
+describe('ManaSymbols', () => {
+  describe('classify', () => {
+    test('should recognize every kind of symbol', () => {
+      expect(ManaSymbols.classify('12')).toEqual({ symbol: '12', kind: 'generic', colors: [], generic: 12 });
+      expect(ManaSymbols.classify('x').kind).toBe('variable');
+      expect(ManaSymbols.classify('u')).toEqual({ symbol: 'U', kind: 'colored', colors: ['U'], generic: 0 });
+      expect(ManaSymbols.classify('C').kind).toBe('colorless');
+      expect(ManaSymbols.classify('S').kind).toBe('snow');
+      expect(ManaSymbols.classify('2/W')).toEqual({ symbol: '2/W', kind: 'hybrid', colors: ['W'], generic: 0 });
+      expect(ManaSymbols.classify('G/U/P')).toEqual({ symbol: 'G/U/P', kind: 'phyrexian', colors: ['G', 'U'], generic: 0 });
+    });
+
+    test('should put hybrid symbols in printed order', () => {
+      expect(ManaSymbols.normalizeSymbol('u/w')).toBe('W/U');
+      expect(ManaSymbols.normalizeSymbol('{W/G}')).toBe('G/W');
+      expect(ManaSymbols.normalizeSymbol('w/2')).toBe('2/W');
+      expect(ManaSymbols.normalizeSymbol('u/g/p')).toBe('G/U/P');
+    });
+
+    test('should reject symbols that do not exist', () => {
+      expect(ManaSymbols.classify('Q')).toBeNull();
+      expect(ManaSymbols.classify('W/W')).toBeNull();
+      expect(ManaSymbols.classify('2/P')).toBeNull();
+      expect(() => ManaSymbols.normalizeSymbol('{Q}')).toThrow('Unknown mana symbol "{Q}"');
+    });
+  });
+
+  describe('parse', () => {
+    test('should break a cost into its components', () => {
+      expect(ManaSymbols.parse('{X}{1}{G/W}{G/W}{U/P}')).toEqual({
+        symbols: ['X', '1', 'G/W', 'G/W', 'U/P'],
+        colors: ['g', 'w', 'u'],
+        generic: 1,
+        colorless: 0,
+        pips: { W: 2, U: 1, B: 0, R: 0, G: 2 },
+        hybrid: ['G/W', 'G/W'],
+        phyrexian: ['U/P'],
+        variable: ['X']
+      });
+    });
+
+    test('should be what CardNormalizer.parseManaCost returns', () => {
+      const normalizer = new CardNormalizer();
+      expect(normalizer.parseManaCost('{2}{C}{R}')).toEqual({ ...ManaSymbols.parse('{2}{C}{R}'), original: '{2}{C}{R}' });
+      expect(normalizer.parseManaCost('')).toEqual(ManaSymbols.parse(''));
+    });
+  });
+
+  describe('format', () => {
+    test('should write structured costs in canonical order', () => {
+      expect(ManaSymbols.format({ phyrexian: ['G'], hybrid: ['u/w'], U: 2, generic: 2 })).toBe('{2}{U}{U}{W/U}{G/P}');
+      expect(ManaSymbols.format({ G: 1, W: 1, X: 2 })).toBe('{X}{X}{W}{G}');
+      expect(ManaSymbols.format({ generic: 0 })).toBe('{0}');
+      expect(ManaSymbols.format({ generic: 0, R: 1 })).toBe('{R}');
+    });
+
+    test('should canonicalize cost strings, including shorthand', () => {
+      expect(ManaSymbols.format('{2}{u}{u}')).toBe('{2}{U}{U}');
+      expect(ManaSymbols.format('10rr')).toBe('{10}{R}{R}');
+      expect(() => ManaSymbols.format('{2}U?')).toThrow('Invalid mana cost "{2}U?"');
+    });
+
+    test('should reject invalid structures', () => {
+      expect(() => ManaSymbols.format({ hybrid: 'W/U' })).toThrow('must be an array');
+      expect(() => ManaSymbols.format({ phyrexian: ['2'] })).toThrow('Invalid phyrexian mana symbol "2"');
+      expect(() => ManaSymbols.format({ generic: -1 })).toThrow('Invalid count for "generic"');
+    });
+  });
+
+  describe('devotion and compare', () => {
+    test('should count symbols that contribute devotion', () => {
+      expect(ManaSymbols.devotion('{1}{G/W}{G/W}', ['G'])).toBe(2);
+      expect(ManaSymbols.devotion('{U}{B}{B}{2/B}', ['U', 'B'])).toBe(4);
+      expect(ManaSymbols.devotion('{4}', ['R'])).toBe(0);
+    });
+
+    test('should compare costs symbol by symbol', () => {
+      expect(ManaSymbols.compare('{2}{U}{U}', '{U}{U}', ':')).toBe(true);
+      expect(ManaSymbols.compare('{1}{U}', '{U}{U}', ':')).toBe(false);
+      expect(ManaSymbols.compare('{2}{U}{U}', '{1}{1}{U}{U}', '=')).toBe(true);
+      expect(ManaSymbols.compare('{U}', '{1}{U}', '<')).toBe(true);
+      expect(ManaSymbols.compare('{1}{U}', '{1}{U}', '>')).toBe(false);
+    });
+  });
+});
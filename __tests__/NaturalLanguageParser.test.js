@@ -0,0 +1,127 @@
+const NaturalLanguageParser = require('../src/NaturalLanguageParser');
+const ScryfallQueryBuilder = require('../src/ScryfallQueryBuilder');
+
+describe('NaturalLanguageParser', () => {
+  let parser;
+
+  beforeEach(() => {
+    parser = new NaturalLanguageParser();
+  });
+
+  const translate = text => parser.parse(text).query;
+
+  test('should translate a full sentence', () => {
+    const result = parser.parse('cheap red creatures with haste legal in modern');
+    expect(result.builder).toBeInstanceOf(ScryfallQueryBuilder);
+    expect(result.query).toBe('t:creature c=r keyword:haste f:modern mv<=2');
+    expect(result.unrecognized).toEqual([]);
+  });
+
+  describe('colors', () => {
+    test('should combine color words', () => {
+      expect(translate('red and green creatures')).toBe('t:creature c=rg');
+      expect(translate('black-green wolves')).toBe('t:wolf c=bg');
+    });
+
+    test('should recognize guild and shard names', () => {
+      expect(translate('golgari elves')).toBe('t:elf c=bg');
+      expect(translate('esper artifacts')).toBe('t:artifact c=wub');
+    });
+
+    test('should recognize colorless and multicolored', () => {
+      expect(translate('colorless artifacts')).toBe('t:artifact c=c');
+      expect(translate('multicolored sorceries')).toBe('t:sorcery c:m');
+      expect(translate('mono-white creatures')).toBe('t:creature c=w');
+    });
+  });
+
+  describe('types and keywords', () => {
+    test('should recognize plural types', () => {
+      expect(translate('legendary sorceries')).toBe('t:legendary t:sorcery');
+      expect(translate('elves and wolves')).toBe('t:elf t:wolf');
+    });
+
+    test('should recognize multi-word keywords', () => {
+      expect(translate('first strike creatures')).toBe('t:creature keyword:"first strike"');
+    });
+  });
+
+  describe('formats, rarities and sets', () => {
+    test('should recognize formats and aliases', () => {
+      expect(translate('pauper instants')).toBe('t:instant f:pauper');
+      expect(translate('edh dragons')).toBe('t:dragon f:commander');
+      expect(translate('artifacts banned in legacy')).toBe('t:artifact banned:legacy');
+    });
+
+    test('should recognize rarities', () => {
+      expect(translate('mythic planeswalkers')).toBe('t:planeswalker r=mythic');
+    });
+
+    test('should prefer the longest phrase', () => {
+      expect(translate('cards from modern horizons 3')).toBe('s:mh3');
+    });
+  });
+
+  describe('comparisons', () => {
+    test.each([
+      ['under 3 mana', 'mv<3'],
+      ['3 mana or less', 'mv<=3'],
+      ['3 or fewer mana', 'mv<=3'],
+      ['exactly two mana', 'mv=2'],
+      ['at least 4 power', 'pow>=4'],
+      ['power 4 or more', 'pow>=4'],
+      ['toughness 5+', 'tou>=5'],
+      ['more than 2 toughness', 'tou>2'],
+      ['cheaper than $5', 'usd<5'],
+      ['under $2.50', 'usd<2.5'],
+      ['at most 10 tix', 'tix<=10']
+    ])('should translate "%s"', (text, query) => {
+      expect(translate(text)).toBe(query);
+    });
+  });
+
+  describe('negation and alternatives', () => {
+    test('should negate the phrase after without, no, not and non-', () => {
+      expect(parser.parse('creatures without flying')).toMatchObject({ query: 't:creature -keyword:flying', unrecognized: [] });
+      expect(parser.parse('non-legendary creatures')).toMatchObject({ query: '-t:legendary t:creature', unrecognized: [] });
+      expect(translate('nonbasic lands')).toBe('-t:basic t:land');
+      expect(translate('creatures that are not red')).toBe('t:creature -c:r');
+      expect(translate('instants with no reprints')).toBe('t:instant -is:reprint');
+    });
+
+    test('should keep "no more than" a comparison', () => {
+      expect(translate('no more than 3 mana')).toBe('mv<=3');
+    });
+
+    test('should join phrases of the same kind with or', () => {
+      expect(parser.parse('green or white enchantments')).toMatchObject({
+        query: 't:enchantment (c:g or c:w)', unrecognized: []
+      });
+      expect(translate('instants or sorceries')).toBe('(t:instant or t:sorcery)');
+      expect(translate('creatures without flying or reach')).toBe('t:creature -(keyword:flying or keyword:reach)');
+    });
+
+    test('should report or and without when they join nothing', () => {
+      expect(parser.parse('red or cheap').unrecognized).toEqual(['or']);
+      expect(parser.parse('creatures without doubt').unrecognized).toEqual(['without doubt']);
+    });
+  });
+
+  test('should search rules text for quoted phrases', () => {
+    expect(translate('blue instants that "draw a card"')).toBe('t:instant c=u o:"draw a card"');
+  });
+
+  test('should report phrases it could not interpret', () => {
+    const result = parser.parse('red goblins that are very angry and smell funny');
+    expect(result.query).toBe('t:goblin c=r');
+    expect(result.unrecognized).toEqual(['very angry', 'smell funny']);
+  });
+
+  test('should report numbers without a unit', () => {
+    expect(parser.parse('creatures under 3').unrecognized).toEqual(['under 3']);
+  });
+
+  test('should translate empty text to an empty query', () => {
+    expect(NaturalLanguageParser.parse('')).toMatchObject({ query: '', unrecognized: [] });
+  });
+});
@@ -0,0 +1,117 @@
+const QueryAnalyzer = require('../src/QueryAnalyzer');
+const ScryfallQueryBuilder = require('../src/ScryfallQueryBuilder');
+
+const analyze = query => QueryAnalyzer.analyze(query);
+
+describe('QueryAnalyzer', () => {
+  describe('contradictions', () => {
+    test.each([
+      ['mv<2 mv>5', ['mv<2', 'mv>5']],
+      ['mv<0', ['mv<0']],
+      ['prints<1', ['prints<1']],
+      ['usd<0', ['usd<0']],
+      ['mv=3 mv!=3', ['mv=3', 'mv!=3']],
+      ['r<common', ['r<common']],
+      ['r>mythic r<=rare', ['r>mythic', 'r<=rare']],
+      ['c>=wu c<=w', ['c>=wu', 'c<=w']],
+      ['c=w c=u', ['c=w', 'c=u']],
+      ['c<c', ['c<c']],
+      ['c=r id=u', ['c=r', 'id=u']],
+      ['c:2 c=w', ['c:2', 'c=w']],
+      ['is:foil -is:foil', ['is:foil', '-is:foil']]
+    ])('should flag %s as empty', (query, terms) => {
+      const analysis = analyze(query);
+      expect(analysis.empty).toBe(true);
+      expect(analysis.contradictions[0].terms).toEqual(terms);
+      expect(analysis.nodes).toBeNull();
+      expect(analysis.query).toBeNull();
+    });
+
+    test('should describe the contradiction', () => {
+      expect(analyze('t:creature mv<2 mv>5').contradictions[0].message).toBe('mv<2 and mv>5 can never both match');
+      expect(analyze('r<common').contradictions[0].message).toBe('r<common can never match');
+    });
+
+    test('should treat not: as a negated is:', () => {
+      expect(analyze('not:reprint is:reprint').empty).toBe(true);
+    });
+
+    test.each([
+      'mv>2 mv<3',
+      'pow<0',
+      'c=c id=ub',
+      'c>=r id<=rg',
+      'r>=rare r<=mythic r!=special',
+      'pow>tou pow>3',
+      'c:azorius c:w'
+    ])('should not flag %s', query => {
+      expect(analyze(query).empty).toBe(false);
+    });
+  });
+
+  describe('redundancy', () => {
+    test('should drop repeated terms regardless of alias and case', () => {
+      const analysis = analyze('t:elf type:Elf o:draw');
+      expect(analysis.query).toBe('t:elf o:draw');
+      expect(analysis.redundancies).toEqual([{ message: 'type:Elf repeats t:elf', term: 'type:Elf' }]);
+    });
+
+    test('should drop subsumed ranges', () => {
+      const analysis = analyze('mv>=2 t:elf mv>=3 mv<=5 mv<7');
+      expect(analysis.query).toBe('t:elf mv>=3 mv<=5');
+      expect(analysis.redundancies.map(r => r.message)).toEqual([
+        'mv<7 is implied by mv<=5',
+        'mv>=2 is implied by mv>=3'
+      ]);
+    });
+
+    test('should drop terms that match every card', () => {
+      expect(analyze('t:elf mv>=0').query).toBe('t:elf');
+    });
+
+    test('should drop subsumed color and rarity terms', () => {
+      expect(analyze('id<=ub c=u id<=wub').query).toBe('id<=ub c=u');
+      expect(analyze('r>=uncommon r=rare').query).toBe('r=rare');
+      expect(analyze('c=u c>=u').query).toBe('c=u');
+    });
+
+    test('should drop OR alternatives that can never match', () => {
+      const analysis = analyze('(mv<0 or t:elf or t:goblin) f:modern');
+      expect(analysis.empty).toBe(false);
+      expect(analysis.query).toBe('(t:elf or t:goblin) f:modern');
+      expect(analysis.redundancies[0].message).toBe('mv<0 can never match, so the alternative was dropped');
+    });
+
+    test('should flag an OR group where no alternative can match', () => {
+      expect(analyze('t:elf (mv<0 or r<common)').empty).toBe(true);
+    });
+
+    test('should drop repeated OR alternatives', () => {
+      expect(analyze('(t:elf or T:ELF)').query).toBe('t:elf');
+    });
+
+    test('should leave an already minimal query unchanged', () => {
+      const query = 't:creature (c=r or c=g) -o:flying mv<=3';
+      const analysis = analyze(query);
+      expect(analysis.query).toBe(query);
+      expect(analysis.redundancies).toEqual([]);
+      expect(analysis.contradictions).toEqual([]);
+    });
+  });
+
+  describe('input', () => {
+    test('should accept a builder', () => {
+      const builder = new ScryfallQueryBuilder().manaValue(0, '<');
+      expect(QueryAnalyzer.analyze(builder).empty).toBe(true);
+    });
+
+    test('should accept an expression tree', () => {
+      const tree = new ScryfallQueryBuilder().type('elf').type('elf').toJSON();
+      expect(QueryAnalyzer.analyze(tree).query).toBe('t:elf');
+    });
+
+    test('should accept an empty query', () => {
+      expect(analyze('')).toEqual({ empty: false, contradictions: [], redundancies: [], nodes: [], query: '' });
+    });
+  });
+});
@@ -0,0 +1,102 @@
+const QueryCanonicalizer = require('../src/QueryCanonicalizer');
+const QueryParser = require('../src/QueryParser');
+const ScryfallQueryBuilder = require('../src/ScryfallQueryBuilder');
+const { areEquivalent } = require('../src');
+
+const canonicalize = query => QueryCanonicalizer.canonicalize(query);
+
+describe('QueryCanonicalizer', () => {
+  describe('canonicalize()', () => {
+    test.each([
+      ['type:creature', 't:creature'],
+      ['color=r', 'c=r'],
+      ['identity<=gur', 'id<=urg'],
+      ['not:reprint', '-is:reprint'],
+      ['cmc=3', 'mv:3'],
+      ['t:Creature o:"Draw A Card"', 'o:"draw a card" t:creature'],
+      ['o:"draw"', 'o:draw'],
+      ['!"Lightning Bolt"', '!"lightning bolt"'],
+      ['o:/^Draw/', 'o:/^Draw/'],
+      ['c=rw', 'c=wr'],
+      ['c=cgw', 'c=wgc'],
+      ['c=rrw', 'c=wr'],
+      ['c>=red', 'c>=red'],
+      ['c:2', 'c:2'],
+      ['c=r c:r', 'c:r c=r'],
+      ['', '']
+    ])('should write %s as %s', (query, expected) => {
+      expect(canonicalize(query)).toBe(expected);
+    });
+
+    test('should sort terms', () => {
+      expect(canonicalize('t:creature c=r mv<=3')).toBe('c=r mv<=3 t:creature');
+      expect(canonicalize('mv<=3 t:creature c=r')).toBe('c=r mv<=3 t:creature');
+    });
+
+    test('should sort OR alternatives and drop repeats', () => {
+      expect(canonicalize('f:modern (t:goblin or t:elf or type:Elf) t:creature f:modern'))
+        .toBe('f:modern t:creature (t:elf or t:goblin)');
+    });
+
+    test('should drop redundant parentheses and double negation', () => {
+      expect(canonicalize('(t:elf) ((f:modern))')).toBe('f:modern t:elf');
+      expect(canonicalize('t:elf or (t:goblin or t:orc)')).toBe('t:elf or t:goblin or t:orc');
+      expect(canonicalize('-(-t:elf)')).toBe('t:elf');
+      expect(canonicalize('-not:reprint')).toBe('is:reprint');
+    });
+
+    test('should keep AND groups inside OR in parentheses', () => {
+      expect(canonicalize('t:elf or (mv<=2 c=g)')).toBe('(c=g mv<=2) or t:elf');
+      expect(canonicalize('-(t:elf or t:orc) f:modern')).toBe('-(t:elf or t:orc) f:modern');
+    });
+
+    test('should accept builders and expression trees', () => {
+      expect(canonicalize(new ScryfallQueryBuilder().type('creature').color('rw'))).toBe('c=wr t:creature');
+      expect(canonicalize(QueryParser.parse('Type:Elf'))).toBe('t:elf');
+    });
+
+    test('should throw on malformed queries', () => {
+      expect(() => canonicalize('t:elf (')).toThrow(QueryParser.QuerySyntaxError);
+    });
+  });
+
+  describe('canonicalizeTree()', () => {
+    test('should return a new tree', () => {
+      const tree = QueryParser.parse('type:Elf');
+      const canonical = QueryCanonicalizer.canonicalizeTree(tree);
+      expect(canonical).toEqual(expect.objectContaining({ type: 'term', key: 't', value: 'elf' }));
+      expect(tree.key).toBe('type');
+    });
+
+    test('should return null for an empty query', () => {
+      expect(QueryCanonicalizer.canonicalizeTree(null)).toBeNull();
+    });
+  });
+
+  describe('areEquivalent()', () => {
+    test.each([
+      ['t:creature c=r', 'c=r t:creature'],
+      ['c=rw', 'c=wr'],
+      ['mana={2}{U}', 'm={2}{u}'],
+      ['type:creature color=RW', 'c=wr t:creature'],
+      ['(t:elf or t:goblin) f:modern', 'f:modern (t:goblin or t:elf)']
+    ])('should treat %s and %s as equivalent', (a, b) => {
+      expect(QueryCanonicalizer.areEquivalent(a, b)).toBe(true);
+    });
+
+    test.each([
+      ['c=r', 'c:r'],
+      ['m:{2}{U}', 'm={2}{U}'],
+      ['mana:{2}{U}', 'm={2}{U}'],
+      ['devotion:{U}{U}', 'devotion={U}{U}'],
+      ['mv<=3', 'mv<=4'],
+      ['t:elf t:goblin', 't:elf or t:goblin']
+    ])('should tell %s and %s apart', (a, b) => {
+      expect(QueryCanonicalizer.areEquivalent(a, b)).toBe(false);
+    });
+
+    test('should be exported as areEquivalent', () => {
+      expect(areEquivalent('t:elf f:modern', 'f:modern t:elf')).toBe(true);
+    });
+  });
+});
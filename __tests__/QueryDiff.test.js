@@ -0,0 +1,131 @@
+const QueryDiff = require('../src/QueryDiff');
+const QueryParser = require('../src/QueryParser');
+const ScryfallQueryBuilder = require('../src/ScryfallQueryBuilder');
+const { diffQueries } = require('../src');
+
+const diff = (a, b) => QueryDiff.diff(a, b);
+
+describe('QueryDiff', () => {
+  describe('equal queries', () => {
+    test.each([
+      ['t:creature c=r mv<=3', 'mv<=3 c=r t:creature'],
+      ['type:Creature o:"draw a card"', 't:creature oracle:"Draw a card"'],
+      ['(t:elf or t:goblin) f:modern', 'f:modern (t:goblin or t:elf)'],
+      ['t:elf (f:modern r:rare)', 't:elf f:modern r:rare'],
+      ['mv=3', 'mv:3'],
+      ['-(t:land) --is:reprint', '-t:land is:reprint'],
+      ['', '']
+    ])('should treat %s and %s as equal', (a, b) => {
+      expect(diff(a, b)).toEqual({ equal: true, added: [], removed: [], changed: [] });
+    });
+
+    test('should keep = and : apart for colors', () => {
+      expect(diff('c=r', 'c:r').changed).toEqual([{ before: 'c=r', after: 'c:r', path: [] }]);
+    });
+
+    test('should keep = and : apart for mana costs and devotion', () => {
+      expect(diff('m:{2}{U}', 'm={2}{U}').equal).toBe(false);
+      expect(diff('devotion:{U}{U}', 'devotion={U}{U}').equal).toBe(false);
+    });
+  });
+
+  describe('top-level terms', () => {
+    test('should report added and removed terms', () => {
+      expect(diff('t:creature r:rare', 't:creature f:modern')).toEqual({
+        equal: false,
+        added: [{ term: 'f:modern', path: [] }],
+        removed: [{ term: 'r:rare', path: [] }],
+        changed: []
+      });
+    });
+
+    test('should report a changed value on the same field', () => {
+      expect(diff('t:creature mv<=3', 'mv<=4 type:creature')).toEqual({
+        equal: false,
+        added: [],
+        removed: [],
+        changed: [{ before: 'mv<=3', after: 'mv<=4', path: [] }]
+      });
+    });
+
+    test('should pair repeated fields after matching identical terms', () => {
+      expect(diff('mv>=2 mv<=3', 'mv<=4 mv>=2').changed).toEqual([
+        { before: 'mv<=3', after: 'mv<=4', path: [] }
+      ]);
+    });
+
+    test('should report a term that was negated as changed', () => {
+      expect(diff('is:reprint', '-is:reprint').changed).toEqual([
+        { before: 'is:reprint', after: '-is:reprint', path: [] }
+      ]);
+    });
+
+    test('should write terms canonically', () => {
+      expect(diff('', 'Type:Legendary !"Lightning Bolt" banned:Modern').added.map(item => item.term))
+        .toEqual(['!"lightning bolt"', 'banned:modern', 't:legendary']);
+    });
+
+    test('should keep regular expressions as written', () => {
+      expect(diff('o:/^Draw/', 'o:/^draw/').changed).toEqual([
+        { before: 'o:/^Draw/', after: 'o:/^draw/', path: [] }
+      ]);
+    });
+  });
+
+  describe('nested groups', () => {
+    test('should compare OR groups child by child', () => {
+      expect(diff('f:modern (t:elf or t:goblin)', 'f:modern (t:goblin or t:merfolk or r:rare)')).toEqual({
+        equal: false,
+        added: [{ term: 'r:rare', path: ['or'] }],
+        removed: [],
+        changed: [{ before: 't:elf', after: 't:merfolk', path: ['or'] }]
+      });
+    });
+
+    test('should compare negated groups child by child', () => {
+      expect(diff('-(o:draw o:card)', '-(o:card o:discard)').changed).toEqual([
+        { before: 'o:draw', after: 'o:discard', path: ['not'] }
+      ]);
+      expect(diff('-(t:elf or t:goblin)', '-(t:elf or t:goblin or t:orc)').added).toEqual([
+        { term: 't:orc', path: ['not or'] }
+      ]);
+    });
+
+    test('should follow groups inside groups', () => {
+      expect(diff('t:elf or (c=g mv<=2)', 't:elf or (mv<=3 c=g)').changed).toEqual([
+        { before: 'mv<=2', after: 'mv<=3', path: ['or', 'and'] }
+      ]);
+    });
+
+    test('should report unrelated groups as removed and added', () => {
+      expect(diff('(t:elf or t:goblin)', '(r:rare or r:mythic)')).toEqual({
+        equal: false,
+        added: [{ term: '(r:mythic or r:rare)', path: [] }],
+        removed: [{ term: '(t:elf or t:goblin)', path: [] }],
+        changed: []
+      });
+    });
+
+    test('should not pair an OR group with a negated one', () => {
+      const result = diff('(t:elf or t:goblin)', '-(t:elf or t:goblin)');
+      expect(result.removed).toEqual([{ term: '(t:elf or t:goblin)', path: [] }]);
+      expect(result.added).toEqual([{ term: '-(t:elf or t:goblin)', path: [] }]);
+    });
+  });
+
+  describe('inputs', () => {
+    test('should accept builders and expression trees', () => {
+      const builder = new ScryfallQueryBuilder().type('creature').manaValue(3, '<=');
+      const tree = QueryParser.parse('mv<=2 t:creature');
+      expect(diff(builder, tree).changed).toEqual([{ before: 'mv<=3', after: 'mv<=2', path: [] }]);
+    });
+
+    test('should be exported as diffQueries', () => {
+      expect(diffQueries('t:elf', 't:elf').equal).toBe(true);
+    });
+
+    test('should throw on malformed queries', () => {
+      expect(() => diff('t:elf (', 't:elf')).toThrow(QueryParser.QuerySyntaxError);
+    });
+  });
+});
@@ -0,0 +1,111 @@
+const QueryExplainer = require('../src/QueryExplainer');
+
+describe('QueryExplainer', () => {
+  let explainer;
+
+  beforeEach(() => {
+    explainer = new QueryExplainer();
+  });
+
+  describe('explain()', () => {
+    test('should explain a mixed query', () => {
+      expect(explainer.explain('id<=bg t:legendary -is:reprint usd<5'))
+        .toBe('Legendary cards whose color identity is within black-green, excluding reprints, costing under $5');
+    });
+
+    test('should combine required types into the noun', () => {
+      expect(explainer.explain('t:"legendary creature" t:elf')).toBe('Legendary Creature Elf cards');
+    });
+
+    test('should use guild and shard names written in the query', () => {
+      expect(explainer.explain('id:golgari')).toBe('Cards whose color identity is within Golgari (black-green)');
+      expect(explainer.explain('c>=esper')).toBe('Cards whose colors include Esper (white-blue-black)');
+    });
+
+    test('should describe color operators', () => {
+      expect(explainer.explain('c=r')).toBe('Cards whose colors are exactly red');
+      expect(explainer.explain('c:c')).toBe('Cards that are colorless');
+      expect(explainer.explain('c:m')).toBe('Cards that are multicolored');
+      expect(explainer.explain('id>=wu')).toBe('Cards whose color identity includes white-blue');
+    });
+
+    test('should use format names', () => {
+      expect(explainer.explain('f:edh banned:vintage')).toBe('Cards legal in edh, banned in Vintage');
+      expect(explainer.explain('f:commander')).toBe('Cards legal in Commander');
+    });
+
+    test('should use keyword descriptions', () => {
+      expect(explainer.explain('kw:flying'))
+        .toBe('Cards with flying (can only be blocked by creatures with flying or reach)');
+    });
+
+    test('should describe numeric comparisons', () => {
+      expect(explainer.explain('mv<=3 pow>tou tou!=2'))
+        .toBe('Cards with mana value 3 or less, with power greater than toughness, with toughness other than 2');
+    });
+
+    test('should describe rarity, sets and text', () => {
+      expect(explainer.explain('r>=rare s:fdn o:"draw a card"'))
+        .toBe('Cards of rare rarity or higher, from Foundations (FDN), whose rules text contains "draw a card"');
+    });
+
+    test('should describe OR groups and negation', () => {
+      expect(explainer.explain('t:creature (kw:haste or o:/^{T}:/) -t:land'))
+        .toBe('Creature cards either with haste (can attack and tap the turn it enters) or whose rules text matches /^{T}:/, excluding Land cards');
+      expect(explainer.explain('(t:elf or t:goblin)')).toBe('Cards of type Elf or Goblin');
+      expect(explainer.explain('-(c=r mv>3)')).toBe('Cards excluding cards whose colors are exactly red and with mana value greater than 3');
+    });
+
+    test('should describe names', () => {
+      expect(explainer.explain('!"Lightning Bolt"')).toBe('Cards named exactly "Lightning Bolt"');
+      expect(explainer.explain('bolt')).toBe('Cards with "bolt" in the name');
+    });
+
+    test('should fall back to a generic phrase for other keywords', () => {
+      expect(explainer.explain('stamp:acorn')).toBe('Cards where stamp is "acorn"');
+    });
+
+    test('should describe release dates', () => {
+      expect(explainer.explain('date>=dsk date<2024-01-01 new:art'))
+        .toBe('Cards released on or after Duskmourn: House of Horror (DSK), released before 2024-01-01, with new artwork');
+    });
+
+    test('should describe printing-level filters', () => {
+      expect(explainer.explain('cn>=250 prints>=10 papersets<2 artists>1 in:lea cube:vintage st:duel_deck'))
+        .toBe('Cards with collector number 250 or more, with 10 or more printings, printed in fewer than 2 paper sets, ' +
+          'with more than 1 artists, printed in Alpha (LEA), in the vintage cube, from a duel deck set');
+    });
+
+    test('should describe devotion', () => {
+      expect(explainer.explain('devotion>={U/B}{U/B}{U/B} devotion={G}{G}'))
+        .toBe('Cards with devotion to blue and black of 3 or more, with devotion to green of 2');
+    });
+
+    test('should describe display options', () => {
+      expect(explainer.explain('t:elf unique:prints order:edhrec dir:desc prefer:oldest include:extras'))
+        .toBe('Elf cards showing every printing, sorted by EDHREC rank, in descending order, preferring the oldest printing, including extras such as tokens');
+    });
+
+    test('should explain an empty query', () => {
+      expect(explainer.explain('')).toBe('Any card');
+    });
+
+    test('should accept a builder', () => {
+      const { ScryfallQueryBuilder } = require('../src');
+      const builder = new ScryfallQueryBuilder().type('instant').format('modern');
+      expect(explainer.explain(builder)).toBe('Instant cards legal in Modern');
+      expect(explainer.explain(builder.order('usd'))).toBe('Instant cards legal in Modern, sorted by price in dollars');
+    });
+  });
+
+  describe('explainList()', () => {
+    test('should return one line per condition', () => {
+      expect(explainer.explainList('id<=bg t:legendary -is:reprint usd<5')).toEqual([
+        'Whose color identity is within black-green',
+        'Of type Legendary',
+        'Excluding reprints',
+        'Costing under $5'
+      ]);
+    });
+  });
+});
@@ -0,0 +1,108 @@
+const QueryFormFiller = require('../src/QueryFormFiller');
+
+const OPERATORS = ['=', '<', '>', '<=', '>='];
+
+/**
+ * Just enough of a document for the form: fields by id, color checkboxes and tags
+ */
+function fakeDocument() {
+  const field = (tagName, options) => ({ tagName, value: '', options: (options || []).map(value => ({ value })) });
+  const fields = {
+    'card-name': field('INPUT'),
+    'exact-match': { checked: false },
+    'oracle-text': field('INPUT'),
+    type: field('INPUT'),
+    format: field('SELECT', ['', 'modern', 'legacy']),
+    rarity: field('SELECT', ['', 'common', 'rare']),
+    'rarity-operator': field('SELECT', OPERATORS),
+    'mana-value': field('INPUT'),
+    'mana-value-operator': field('SELECT', OPERATORS),
+    'color-mode': field('SELECT', ['color', 'identity']),
+    'color-operator': field('SELECT', [...OPERATORS, ':']),
+    'raw-query': field('TEXTAREA')
+  };
+  const colors = 'wubrg'.split('').map(value => ({ value, checked: false }));
+  const tag = () => ({ classes: [], classList: { add(name) { this.owner.classes.push(name); } } });
+  const tags = { '#keywords-container .keyword-tag[data-keyword="flying"]': tag() };
+  Object.values(tags).forEach(element => { element.classList.owner = element; });
+
+  return {
+    fields,
+    colors,
+    tags,
+    getElementById: id => fields[id] || null,
+    querySelector(selector) {
+      if (selector === '.color-input:checked') return colors.find(color => color.checked) || null;
+      const color = selector.match(/^\.color-input\[value="(\w)"\]$/);
+      if (color) return colors.find(input => input.value === color[1]) || null;
+      return tags[selector] || null;
+    }
+  };
+}
+
+describe('QueryFormFiller', () => {
+  let doc;
+  let filler;
+  let reset;
+
+  beforeEach(() => {
+    doc = fakeDocument();
+    reset = jest.fn();
+    filler = new QueryFormFiller({
+      colorInputs: '.color-input',
+      selectedKeywords: new Set(),
+      selectedIsFilters: new Set(),
+      reset,
+      document: doc
+    });
+  });
+
+  test('should fill in fields and leave the rest in the raw query', () => {
+    filler.loadUrl('https://scryfall.com/search?q=t%3Aelf+f%3Amodern+r%3Ar+mv%3C%3D3+c%3Arg+kw%3Aflying+wm%3Aset&order=cmc');
+
+    expect(reset).toHaveBeenCalled();
+    expect(doc.fields.type.value).toBe('elf');
+    expect(doc.fields.format.value).toBe('modern');
+    expect(doc.fields.rarity.value).toBe('rare');
+    expect(doc.fields['rarity-operator'].value).toBe('=');
+    expect(doc.fields['mana-value'].value).toBe('3');
+    expect(doc.fields['mana-value-operator'].value).toBe('<=');
+    expect(doc.colors.filter(color => color.checked).map(color => color.value)).toEqual(['r', 'g']);
+    expect(doc.fields['color-operator'].value).toBe('>=');
+    expect(filler.selectedKeywords.has('flying')).toBe(true);
+    expect(doc.tags['#keywords-container .keyword-tag[data-keyword="flying"]'].classes).toEqual(['selected']);
+    expect(doc.fields['raw-query'].value).toBe('wm:set order:cmc');
+  });
+
+  test('should keep conditions without a free field or option in the raw query', () => {
+    filler.loadUrl('https://scryfall.com/search?q=t%3Aelf+t%3Agoblin+f%3Avintage+o%3A%2Fdraw%2F+c%3Ar+id%3Ag');
+    expect(doc.fields.type.value).toBe('elf');
+    expect(doc.fields.format.value).toBe('');
+    expect(doc.fields['raw-query'].value).toBe('t:goblin f:vintage o:/draw/ id:g');
+  });
+
+  test('should mark exact card names', () => {
+    filler.loadUrl('https://scryfall.com/search?q=%21%22Lightning+Bolt%22');
+    expect(doc.fields['card-name'].value).toBe('Lightning Bolt');
+    expect(doc.fields['exact-match'].checked).toBe(true);
+  });
+
+  test('should use the given color checkboxes', () => {
+    const other = new QueryFormFiller({
+      colorInputs: '.color-checkbox input',
+      selectedKeywords: new Set(),
+      selectedIsFilters: new Set(),
+      reset,
+      document: doc
+    });
+    other.loadUrl('https://scryfall.com/search?q=c%3Ar');
+    expect(doc.colors.some(color => color.checked)).toBe(false);
+    expect(doc.fields['raw-query'].value).toBe('c:r');
+  });
+
+  test('should throw and leave the form alone for invalid URLs and queries', () => {
+    expect(() => filler.loadUrl('https://example.com/?q=t%3Aelf')).toThrow();
+    expect(() => filler.loadUrl('https://scryfall.com/search?q=%28t%3Aelf')).toThrow();
+    expect(reset).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,162 @@
+const QueryGrammar = require('../src/QueryGrammar');
+const SeededRandom = require('../src/SeededRandom');
+
+// Random numbers that always pick the first alternative, or the last
+const first = () => 0;
+const last = () => 0.999999;
+
+describe('QueryGrammar', () => {
+  describe('text grammars', () => {
+    test('should expand the first rule with its references', () => {
+      const grammar = new QueryGrammar(`
+        # Creatures in one of two types
+        query ::= t:creature <tribe>
+        tribe ::= (t:elf or t:goblin) | t:dragon
+      `);
+      expect(grammar.expand({ random: first })).toBe('t:creature (t:elf or t:goblin)');
+      expect(grammar.expand({ random: last })).toBe('t:creature t:dragon');
+    });
+
+    test('should continue rules on indented lines and lines starting with |', () => {
+      const grammar = new QueryGrammar(`
+query ::= t:elf
+  c=g
+| t:goblin`);
+      expect(grammar.expand({ random: first })).toBe('t:elf c=g');
+      expect(grammar.expand({ random: last })).toBe('t:goblin');
+    });
+
+    test('should keep quoted text and regular expressions together', () => {
+      const grammar = new QueryGrammar('query ::= o:"draw a card" (o:/^{T}: add/ or ft:"(flavor)")');
+      expect(grammar.expand()).toBe('o:"draw a card" (o:/^{T}: add/ or ft:"(flavor)")');
+    });
+
+    test('should reject lines that are not rules', () => {
+      expect(() => new QueryGrammar('query = t:elf')).toThrow('Invalid grammar line 1: "query = t:elf"');
+      expect(() => new QueryGrammar('a ::= t:elf\na ::= t:goblin')).toThrow('Grammar rule "a" is defined twice');
+    });
+  });
+
+  describe('JSON grammars', () => {
+    test('should expand rules given as strings and arrays', () => {
+      const grammar = new QueryGrammar({
+        start: 'query',
+        rules: {
+          tribe: ['t:elf', { weight: 2, expand: 't:goblin' }],
+          query: 't:creature <tribe>'
+        }
+      });
+      expect(grammar.start).toBe('query');
+      expect(grammar.expand({ random: last })).toBe('t:creature t:goblin');
+    });
+
+    test('should reject malformed definitions', () => {
+      expect(() => new QueryGrammar(42)).toThrow('Invalid grammar; expected BNF-like text or an object with rules');
+      expect(() => new QueryGrammar({ rules: {} })).toThrow('Grammar has no rules');
+      expect(() => new QueryGrammar({ rules: { query: [] } })).toThrow('must be a string or a non-empty array');
+      expect(() => new QueryGrammar({ rules: { query: [{ weight: 1 }] } })).toThrow('Invalid alternative in grammar rule "query"');
+      expect(() => new QueryGrammar({ rules: { query: [{ expand: 'a:b | c:d' }] } })).toThrow('holds several');
+      expect(() => new QueryGrammar({ rules: { 'bad name': 't:elf' } })).toThrow('Invalid grammar rule name "bad name"');
+      expect(() => new QueryGrammar({ start: 'nope', rules: { query: 't:elf' } })).toThrow('Unknown start rule "nope"');
+    });
+  });
+
+  describe('weights', () => {
+    test('should pick alternatives in proportion to their weights', () => {
+      const grammar = new QueryGrammar('query ::= [3] t:elf | t:goblin | [0] t:dragon');
+      const random = SeededRandom.create('weights');
+      const counts = { 't:elf': 0, 't:goblin': 0, 't:dragon': 0 };
+      for (let i = 0; i < 2000; i++) {
+        counts[grammar.expand({ random })]++;
+      }
+      expect(counts['t:dragon']).toBe(0);
+      expect(counts['t:elf'] / counts['t:goblin']).toBeGreaterThan(2.5);
+      expect(counts['t:elf'] / counts['t:goblin']).toBeLessThan(3.5);
+    });
+
+    test('should reject invalid weights', () => {
+      expect(() => new QueryGrammar('query ::= [-1] t:elf')).toThrow('Invalid weight "-1" in grammar rule "query"');
+      expect(() => new QueryGrammar('query ::= [] t:elf')).toThrow('Invalid weight "NaN"');
+      expect(() => new QueryGrammar('query ::= t:elf [2] t:goblin')).toThrow('A weight like "[3]" can only start an alternative');
+      expect(() => new QueryGrammar('query ::= [0] t:elf')).toThrow('gives every alternative a weight of 0');
+    });
+  });
+
+  describe('negation and empty alternatives', () => {
+    test('should negate rules, filters and groups', () => {
+      const grammar = new QueryGrammar(`
+        query ::= -<one> -<two> -(t:elf or t:goblin) -{keyword}
+        one   ::= t:land
+        two   ::= t:artifact c=c
+      `);
+      expect(grammar.expand({ filter: name => `${name}:flying` }))
+        .toBe('-t:land -(t:artifact c=c) -(t:elf or t:goblin) -keyword:flying');
+    });
+
+    test('should keep the alternatives of a rule together in the query around it', () => {
+      const grammar = new QueryGrammar(`
+        query  ::= <colors> t:elf -<colors> <one>
+        colors ::= c=g or c=b
+        one    ::= t:druid
+      `);
+      expect(grammar.expand()).toBe('(c=g or c=b) t:elf -(c=g or c=b) t:druid');
+    });
+
+    test('should leave out empty expansions and the connectives around them', () => {
+      const grammar = new QueryGrammar(`
+        query ::= t:creature (<maybe> or <maybe> or c=r) -<maybe> (<maybe>)
+        maybe ::=
+      `);
+      expect(grammar.expand()).toBe('t:creature (c=r)');
+    });
+  });
+
+  describe('filters', () => {
+    test('should list the filters it uses', () => {
+      const grammar = new QueryGrammar('query ::= {type} (<colors>) | {manaValue}\ncolors ::= {color} or {type}');
+      expect(grammar.getFilters().sort()).toEqual(['color', 'manaValue', 'type']);
+    });
+
+    test('should ask for filter terms when expanding', () => {
+      const grammar = new QueryGrammar('query ::= {manaValue}');
+      expect(grammar.expand({ filter: () => 'mv<=3' })).toBe('mv<=3');
+      expect(() => grammar.expand()).toThrow('Grammar uses {manaValue} but no filter terms were given to expand()');
+    });
+  });
+
+  describe('depth limits', () => {
+    const recursive = `
+      colors ::= c=r | (c=g or <colors>)
+    `;
+
+    test('should only pick alternatives that finish within maxDepth', () => {
+      // Always picking the last alternative would recurse forever
+      expect(new QueryGrammar(recursive, { maxDepth: 2 }).expand({ random: last }))
+        .toBe('(c=g or (c=g or c=r))');
+      expect(new QueryGrammar(recursive, { maxDepth: 0 }).expand({ random: last })).toBe('c=r');
+      expect(new QueryGrammar({ maxDepth: 1, rules: { colors: recursive.split('::=')[1] } }).expand({ random: last }))
+        .toBe('(c=g or c=r)');
+    });
+
+    test('should reject grammars that can never finish', () => {
+      expect(() => new QueryGrammar('a ::= t:elf <b>\nb ::= <a>'))
+        .toThrow('Grammar rule "a" never finishes');
+      expect(() => new QueryGrammar('a ::= <b>\nb ::= <c>\nc ::= t:elf', { maxDepth: 1 }))
+        .toThrow('Grammar rule "a" needs a maxDepth of at least 2');
+      expect(() => new QueryGrammar(recursive, { maxDepth: -1 })).toThrow('Invalid maxDepth "-1"');
+    });
+  });
+
+  describe('syntax errors', () => {
+    test('should report malformed alternatives', () => {
+      expect(() => new QueryGrammar('a ::= <b>')).toThrow('Grammar rule "a" refers to unknown rule "b"');
+      expect(() => new QueryGrammar('a ::= (t:elf')).toThrow('Unbalanced parentheses in grammar rule "a"');
+      expect(() => new QueryGrammar('a ::= t:elf)')).toThrow('Unbalanced parentheses');
+      expect(() => new QueryGrammar('a ::= (t:elf | t:goblin)')).toThrow('Unexpected "|" inside parentheses');
+      expect(() => new QueryGrammar('a ::= <b c>')).toThrow('Invalid rule reference "<b"');
+      expect(() => new QueryGrammar('a ::= {mana value}')).toThrow('Invalid filter "{mana"');
+      expect(() => new QueryGrammar('a ::= o:"draw')).toThrow('Unclosed quote or regular expression');
+      expect(() => new QueryGrammar('a ::= t:')).toThrow('Invalid term "t:" (Missing value after "t:") in grammar rule "a"');
+    });
+  });
+});
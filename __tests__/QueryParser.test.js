@@ -0,0 +1,181 @@
+const QueryParser = require('../src/QueryParser');
+const QueryNode = require('../src/QueryNode');
+
+const roundTrip = query => QueryNode.render(QueryParser.parse(query));
+
+describe('QueryParser', () => {
+  describe('terms', () => {
+    test('should parse a keyword term', () => {
+      expect(QueryParser.parse('t:creature')).toEqual({
+        type: 'term',
+        key: 't',
+        operator: ':',
+        value: 'creature',
+        quoted: false,
+        regex: false,
+        exact: false
+      });
+    });
+
+    test('should parse every comparison operator', () => {
+      ['=', '<', '>', '<=', '>=', '!=', ':'].forEach(op => {
+        const node = QueryParser.parse(`mv${op}3`);
+        expect(node.key).toBe('mv');
+        expect(node.operator).toBe(op);
+        expect(node.value).toBe('3');
+      });
+    });
+
+    test('should parse quoted values', () => {
+      const node = QueryParser.parse('o:"draw a card"');
+      expect(node.value).toBe('draw a card');
+      expect(node.quoted).toBe(true);
+    });
+
+    test('should unescape quotes and backslashes in quoted values', () => {
+      const node = QueryParser.parse('ft:"a card named \\"X\\" \\\\ more"');
+      expect(node.value).toBe('a card named "X" \\ more');
+      expect(QueryParser.parse('o:"C:\\d"').value).toBe('C:\\d');
+    });
+
+    test('should parse regular expressions', () => {
+      const node = QueryParser.parse('o:/^{T}: add/');
+      expect(node.value).toBe('^{T}: add');
+      expect(node.regex).toBe(true);
+    });
+
+    test('should parse exact names', () => {
+      const node = QueryParser.parse('!"Lightning Bolt"');
+      expect(node.exact).toBe(true);
+      expect(node.value).toBe('Lightning Bolt');
+    });
+
+    test('should parse bare words as name searches', () => {
+      const node = QueryParser.parse('bolt');
+      expect(node.key).toBeNull();
+      expect(node.value).toBe('bolt');
+    });
+
+    test('should lowercase keywords but keep aliases', () => {
+      expect(QueryParser.parse('TYPE:creature').key).toBe('type');
+    });
+  });
+
+  describe('boolean structure', () => {
+    test('should parse implicit AND', () => {
+      const node = QueryParser.parse('t:creature c=r');
+      expect(node.type).toBe('and');
+      expect(node.children).toHaveLength(2);
+    });
+
+    test('should give AND higher precedence than OR', () => {
+      const node = QueryParser.parse('t:creature c=r or t:instant');
+      expect(node.type).toBe('or');
+      expect(node.children[0].type).toBe('and');
+      expect(node.children[1].value).toBe('instant');
+    });
+
+    test('should parse negation', () => {
+      const node = QueryParser.parse('-o:flying');
+      expect(node.type).toBe('not');
+      expect(node.child.value).toBe('flying');
+    });
+
+    test('should parse negated groups', () => {
+      const node = QueryParser.parse('-(t:land or t:artifact)');
+      expect(node.type).toBe('not');
+      expect(node.child.type).toBe('group');
+      expect(node.child.child.type).toBe('or');
+    });
+
+    test('should accept explicit and/OR keywords', () => {
+      const node = QueryParser.parse('t:creature and (c=r OR c=g)');
+      expect(node.type).toBe('and');
+      expect(node.children[1].child.type).toBe('or');
+    });
+
+    test('should return null for an empty query', () => {
+      expect(QueryParser.parse('   ')).toBeNull();
+    });
+  });
+
+  describe('aliases', () => {
+    test('should resolve keyword aliases', () => {
+      expect(QueryParser.resolveKey('type')).toBe('t');
+      expect(QueryParser.resolveKey('oracle')).toBe('o');
+      expect(QueryParser.resolveKey('cmc')).toBe('mv');
+      expect(QueryParser.resolveKey('kw')).toBe('keyword');
+    });
+
+    test('should return null for unknown keywords', () => {
+      expect(QueryParser.resolveKey('foo')).toBeNull();
+    });
+
+    test('should learn registered keywords and aliases', () => {
+      expect(QueryParser.registerKeyword('flavorname', ['fname'])).toBe('flavorname');
+      expect(QueryParser.resolveKey('FName')).toBe('flavorname');
+      expect(QueryParser.KEYWORDS.flavorname).toEqual(['flavorname', 'fname']);
+
+      expect(QueryParser.registerKeyword('kw', ['kwd'])).toBe('keyword');
+      expect(QueryParser.resolveKey('kwd')).toBe('keyword');
+    });
+
+    test('should reject keywords that clash or cannot be parsed', () => {
+      expect(() => QueryParser.registerKeyword('spellname', ['t'])).toThrow('Search keyword "t" already stands for "t"');
+      expect(() => QueryParser.registerKeyword('flavor-name')).toThrow('Invalid search keyword "flavor-name"');
+    });
+  });
+
+  describe('errors', () => {
+    test('should reject unbalanced parentheses', () => {
+      expect(() => QueryParser.parse('(t:creature')).toThrow(QueryParser.QuerySyntaxError);
+      expect(() => QueryParser.parse('t:creature)')).toThrow(QueryParser.QuerySyntaxError);
+    });
+
+    test('should reject unterminated quotes', () => {
+      expect(() => QueryParser.parse('o:"draw a card')).toThrow('Unterminated quoted value');
+    });
+
+    test('should reject dangling or', () => {
+      expect(() => QueryParser.parse('t:creature or')).toThrow('Expected a search term');
+    });
+
+    test('should report the error position', () => {
+      try {
+        QueryParser.parse('t:creature o:');
+      } catch (err) {
+        expect(err.position).toBe(13);
+      }
+      expect.assertions(1);
+    });
+  });
+
+  describe('URLs', () => {
+    test('should recognize URLs', () => {
+      expect(QueryParser.isUrl(' https://scryfall.com/search?q=t:elf')).toBe(true);
+      expect(QueryParser.isUrl('t:elf')).toBe(false);
+    });
+
+    test('should read the query and display parameters', () => {
+      expect(QueryParser.parseUrl('https://scryfall.com/search?q=t%3Aelf+c%3Dg&unique=art&order=name&dir=desc&as=full'))
+        .toEqual({ query: 't:elf c=g', unique: 'art', order: 'name', dir: 'desc', as: 'full' });
+      expect(QueryParser.parseUrl('https://api.scryfall.com/cards/search?q=t%3Aelf&include_extras=true'))
+        .toEqual({ query: 't:elf', includeExtras: true });
+    });
+  });
+
+  describe('round trip', () => {
+    test.each([
+      't:creature c=r mv<=3',
+      'o:"draw a card" -is:reprint',
+      '(t:creature or t:planeswalker) c=u',
+      '-(t:land)',
+      'name:/^[a-c]/ id<=bg',
+      '!"Lightning Bolt"',
+      'ft:"a card named \\"X\\""',
+      'o:/a\\/b/'
+    ])('should render %s unchanged', query => {
+      expect(roundTrip(query)).toBe(query);
+    });
+  });
+});
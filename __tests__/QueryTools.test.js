@@ -0,0 +1,42 @@
+const fs = require('fs');
+const path = require('path');
+const QueryTools = require('../src/QueryTools');
+
+// Serves the files in data/ like the web apps' server does
+const dataFetch = jest.fn(async url => {
+  const file = path.join(__dirname, '..', url);
+  if (!fs.existsSync(file)) {
+    return { ok: false, status: 404 };
+  }
+  return { ok: true, status: 200, json: async () => JSON.parse(fs.readFileSync(file, 'utf8')) };
+});
+
+describe('QueryTools', () => {
+  beforeEach(() => {
+    dataFetch.mockClear();
+  });
+
+  test('should find nothing before the tools are loaded', () => {
+    const tools = new QueryTools();
+    expect(tools.validate('f:modren')).toEqual([]);
+    expect(tools.explain('t:elf')).toBe('');
+  });
+
+  test('should load the catalogs and lint queries', async () => {
+    const tools = await QueryTools.load('data', dataFetch);
+    expect(dataFetch).toHaveBeenCalledWith('data/formats.json');
+    expect(tools.validate('f:modren').map(diagnostic => diagnostic.code)).toEqual(['unknown-format']);
+    expect(tools.validate('')).toEqual([]);
+  });
+
+  test('should explain queries, leaving malformed ones to the linter', async () => {
+    const tools = await QueryTools.load('data', dataFetch);
+    expect(tools.explain('t:elf')).toMatch(/elf/i);
+    expect(tools.explain('(t:elf')).toBe('');
+    expect(tools.explain('')).toBe('');
+  });
+
+  test('should reject when a data file is missing', async () => {
+    await expect(QueryTools.load('nowhere', dataFetch)).rejects.toThrow('HTTP 404 for nowhere/colors.json');
+  });
+});
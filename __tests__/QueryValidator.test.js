@@ -0,0 +1,231 @@
+const QueryValidator = require('../src/QueryValidator');
+const ScryfallQueryBuilder = require('../src/ScryfallQueryBuilder');
+const QueryParser = require('../src/QueryParser');
+
+const codes = diagnostics => diagnostics.map(diagnostic => diagnostic.code);
+
+describe('QueryValidator', () => {
+  let validator;
+
+  beforeEach(() => {
+    validator = new QueryValidator();
+  });
+
+  test('should return no diagnostics for a valid query', () => {
+    expect(validator.validate('t:creature c=r mv<=3 f:modern r>=rare')).toEqual([]);
+  });
+
+  test('should return no diagnostics for an empty query', () => {
+    expect(validator.validate('')).toEqual([]);
+  });
+
+  describe('catalog checks', () => {
+    test('should suggest the closest format', () => {
+      const [diagnostic] = validator.validate('t:creature f:modren');
+      expect(diagnostic).toEqual({
+        severity: 'error',
+        code: 'unknown-format',
+        message: 'Unknown format "modren"; did you mean "modern"?',
+        span: { start: 11, end: 19 },
+        suggestion: 'f:modern'
+      });
+    });
+
+    test('should suggest the closest rarity', () => {
+      const [diagnostic] = validator.validate('r>=mythc');
+      expect(diagnostic.code).toBe('unknown-rarity');
+      expect(diagnostic.suggestion).toBe('r>=mythic');
+    });
+
+    test('should accept rarity letters', () => {
+      expect(validator.validate('r:m')).toEqual([]);
+    });
+
+    test('should flag unknown colors', () => {
+      const [diagnostic] = validator.validate('c:blu');
+      expect(diagnostic.code).toBe('invalid-color');
+      expect(diagnostic.suggestion).toBe('c:blue');
+    });
+
+    test('should accept color names and guild names', () => {
+      expect(validator.validate('c:red id<=azorius')).toEqual([]);
+    });
+
+    test('should warn about unknown card types', () => {
+      const [diagnostic] = validator.validate('t:creture');
+      expect(diagnostic.severity).toBe('warning');
+      expect(diagnostic.suggestion).toBe('t:creature');
+    });
+
+    test('should warn about unknown keyword abilities', () => {
+      const [diagnostic] = validator.validate('kw:flyng');
+      expect(diagnostic.code).toBe('unknown-keyword-ability');
+      expect(diagnostic.suggestion).toBe('kw:flying');
+    });
+
+    test('should report unknown set codes as info', () => {
+      const [diagnostic] = validator.validate('s:zzzz');
+      expect(diagnostic.severity).toBe('info');
+      expect(diagnostic.code).toBe('unknown-set');
+    });
+
+    test('should accept dates and set codes in date filters', () => {
+      expect(validator.validate('date>=2024-01-01 date<dsk new:art')).toEqual([]);
+      const [diagnostic] = validator.validate('date>=zzzz');
+      expect(diagnostic.code).toBe('unknown-set');
+    });
+
+    test('should check games and set types', () => {
+      expect(validator.validate('game:arena st:masters cube:vintage in:lea')).toEqual([]);
+      expect(validator.validate('game:arina')[0].suggestion).toBe('game:arena');
+      expect(validator.validate('st:mastrs')[0].code).toBe('unknown-set-type');
+    });
+
+    test('should check Tagger tags against the tag catalog', () => {
+      expect(validator.validate('otag:removal atag:dragon function:ramp art:skull')).toEqual([]);
+      const [diagnostic] = validator.validate('otag:mana-rok');
+      expect(diagnostic.severity).toBe('warning');
+      expect(diagnostic.code).toBe('unknown-oracle-tag');
+      expect(diagnostic.suggestion).toBe('otag:mana-rock');
+      expect(validator.validate('atag:dragn')[0].code).toBe('unknown-art-tag');
+    });
+
+    test('should check new values', () => {
+      const [diagnostic] = validator.validate('new:artt');
+      expect(diagnostic.code).toBe('invalid-new');
+      expect(diagnostic.suggestion).toBe('new:art');
+    });
+
+    test('should check mana symbols and devotion values', () => {
+      expect(validator.validate('m:2uu m>={W/U}{G/P} devotion>={U/B}{U/B}')).toEqual([]);
+      expect(validator.validate('m:{Q}').map(d => d.code)).toEqual(['invalid-mana-cost']);
+      expect(validator.validate('devotion>={U}{B}').map(d => d.code)).toEqual(['invalid-devotion']);
+      expect(validator.validate('devotion:{2}{2}').map(d => d.code)).toEqual(['invalid-devotion']);
+    });
+
+    test('should check display option values', () => {
+      expect(validator.validate('t:elf unique:prints order:edhrec dir:desc prefer:oldest include:extras')).toEqual([]);
+      const [diagnostic] = validator.validate('t:elf order:edhrek');
+      expect(diagnostic.code).toBe('invalid-display-option');
+      expect(diagnostic.suggestion).toBe('order:edhrec');
+    });
+  });
+
+  describe('keywords and operators', () => {
+    test('should suggest the closest keyword alias', () => {
+      const [diagnostic] = validator.validate('foramt:modern');
+      expect(diagnostic.code).toBe('unknown-keyword');
+      expect(diagnostic.suggestion).toBe('format:modern');
+    });
+
+    test('should reject comparison operators on unordered keywords', () => {
+      const [diagnostic] = validator.validate('o>draw');
+      expect(diagnostic.code).toBe('invalid-operator');
+      expect(diagnostic.suggestion).toBe('o:draw');
+    });
+
+    test('should reject non-numeric values for numeric keywords', () => {
+      expect(codes(validator.validate('mv>=three'))).toEqual(['invalid-number']);
+    });
+
+    test('should accept field references and wildcards', () => {
+      expect(validator.validate('pow>tou tou=* pow=1+*')).toEqual([]);
+    });
+
+    test('should only accept x, even and odd for mana value and stats', () => {
+      expect(validator.validate('mv=even pow=x tou=odd loy=x')).toEqual([]);
+      expect(codes(validator.validate('usd<x year=x cn>=odd prints=even')))
+        .toEqual(['invalid-number', 'invalid-number', 'invalid-number', 'invalid-number']);
+    });
+
+    test('should check registered keywords', () => {
+      QueryParser.registerKeyword('stamp');
+      QueryParser.registerKeyword('edhrec');
+      QueryValidator.registerKeyword('stamp', { operators: [':'], valueType: ['oval', 'acorn'], label: 'security stamp' });
+      QueryValidator.registerKeyword('edhrec', { operators: ['<', '<=', '>', '>='], valueType: 'number' });
+
+      expect(validator.validate('stamp:acorn edhrec<100')).toEqual([]);
+      const [stamp] = validator.validate('stamp:acorm');
+      expect(stamp.code).toBe('invalid-value');
+      expect(stamp.message).toBe('Unknown security stamp "acorm"; did you mean "acorn"?');
+      expect(codes(validator.validate('stamp=oval'))).toEqual(['invalid-operator']);
+      expect(validator.validate('edhrec=5')[0].suggestion).toBe('edhrec<5');
+      expect(codes(validator.validate('edhrec<ten'))).toEqual(['invalid-number']);
+    });
+  });
+
+  describe('syntax errors', () => {
+    test('should suggest closing an unbalanced parenthesis', () => {
+      const [diagnostic] = validator.validate('(t:creature or t:artifact');
+      expect(diagnostic.code).toBe('unbalanced-paren');
+      expect(diagnostic.span).toEqual({ start: 25, end: 25 });
+      expect(diagnostic.suggestion).toBe(')');
+    });
+
+    test('should suggest removing an unexpected parenthesis', () => {
+      const [diagnostic] = validator.validate('t:creature)');
+      expect(diagnostic.code).toBe('unexpected-paren');
+      expect(diagnostic.span).toEqual({ start: 10, end: 11 });
+      expect(diagnostic.suggestion).toBe('');
+    });
+
+    test('should suggest closing an unterminated quote', () => {
+      const [diagnostic] = validator.validate('o:"draw a card');
+      expect(diagnostic.code).toBe('unterminated-quote');
+      expect(diagnostic.suggestion).toBe('"');
+    });
+
+    test('should still check the terms of a query with a syntax error', () => {
+      expect(codes(validator.validate('f:modren r>=mythc (t:elf')))
+        .toEqual(['unknown-format', 'unknown-rarity', 'unbalanced-paren']);
+      expect(codes(validator.validate('t:elf) f:modren'))).toEqual(['unexpected-paren', 'unknown-format']);
+    });
+
+    test('should check the terms before an error inside a term', () => {
+      expect(codes(validator.validate('f:modren o:"draw'))).toEqual(['unknown-format', 'unterminated-quote']);
+      expect(codes(validator.validate('r:mythc mv>'))).toEqual(['unknown-rarity', 'missing-value']);
+    });
+  });
+
+  describe('suspicious combinations', () => {
+    test('should warn about power filters on instants', () => {
+      const diagnostics = validator.validate('t:instant pow>=3');
+      expect(diagnostics).toHaveLength(1);
+      expect(diagnostics[0].code).toBe('stat-type-mismatch');
+      expect(diagnostics[0].span).toEqual({ start: 10, end: 16 });
+    });
+
+    test('should warn about OR precedence', () => {
+      expect(codes(validator.validate('t:creature c=r or c=g'))).toEqual(['or-precedence']);
+      expect(validator.validate('t:creature (c=r or c=g)')).toEqual([]);
+    });
+  });
+
+  test('should validate a builder', () => {
+    const builder = new ScryfallQueryBuilder().type('creature').format('modren');
+    expect(codes(validator.validate(builder))).toEqual(['unknown-format']);
+  });
+
+  test('should order diagnostics by position', () => {
+    const diagnostics = validator.validate('r:rair f:modren');
+    expect(diagnostics.map(diagnostic => diagnostic.span.start)).toEqual([0, 7]);
+  });
+
+  test('should format diagnostics with their suggested fix', () => {
+    const [typo] = validator.validate('f:modren');
+    expect(QueryValidator.formatDiagnostic(typo)).toBe('Unknown format "modren"; did you mean "modern"? (replace with "f:modern")');
+
+    const [paren] = validator.validate('(t:creature');
+    expect(QueryValidator.formatDiagnostic(paren)).toBe('Unbalanced parenthesis (add ")" at the end)');
+
+    const [extra] = validator.validate('t:creature)');
+    expect(QueryValidator.formatDiagnostic(extra)).toBe('Unexpected closing parenthesis (remove it)');
+  });
+
+  test('should accept custom catalogs', () => {
+    const data = require('../data');
+    const catalogs = QueryValidator.buildCatalogs(data);
+    catalogs.sets.push('xyz');
+    expect(new QueryValidator({ catalogs }).validate('s:xyz')).toEqual([]);
+  });
+});
@@ -45,7 +45,15 @@ describe('RandomQueryGenerator', () => {
         /is:[a-z]+/,     // is filter
         /o:[a-z+]+/,     // oracle text
         /frame:\d+/,     // frame
-        /border:[a-z]+/  // border
+        /border:[a-z]+/, // border
+        /cn[<>=]+\d+/,   // collector number
+        /(paper)?(prints|sets)[<>=]+\d+/, // printing counts
+        /(artists|illustrations)[<>=]+\d+/, // artist counts
+        /in:[a-z0-9]+/,  // printed in
+        /game:[a-z]+/,   // game
+        /cube:[a-z]+/,   // cube
+        /st:[a-z_]+/,    // set type
+        /[oa]tag:[a-z-]+/ // Tagger tag
       ];
       
       const hasValidPattern = validPatterns.some(pattern => pattern.test(query));
@@ -123,6 +131,14 @@ describe('RandomQueryGenerator', () => {
       const query = generator.generate();
       expect(generator.hasGenerated(query)).toBe(true);
     });
+
+    test('should recognize equivalent queries', () => {
+      jest.spyOn(generator, '_generateRandomQuery').mockReturnValueOnce('t:creature c=rw');
+      generator.generate();
+      expect(generator.hasGenerated('c=wr+type:Creature')).toBe(true);
+      expect(generator.hasGenerated('c=wr t:creature')).toBe(true);
+      expect(generator.hasGenerated('c=wr+t:instant')).toBe(false);
+    });
   });
 
   describe('query format requirements', () => {
@@ -165,7 +181,372 @@ describe('RandomQueryGenerator', () => {
     });
   });
 
+  describe('filter selection', () => {
+    const terms = queries => queries.map(query => query.split('+'));
+
+    test('should only compare power and toughness of creatures and vehicles', () => {
+      terms(generator.generateMultiple(300)).forEach(parts => {
+        if (parts.some(part => /^(pow|tou)/.test(part))) {
+          expect(parts.filter(part => part.startsWith('t:'))).toEqual([expect.stringMatching(/^t:(creature|vehicle)$/)]);
+        }
+      });
+    });
+
+    test('should not combine formats with silver or gold borders', () => {
+      const customGenerator = new RandomQueryGenerator({ config: { borders: ['silver', 'gold'], weights: { border: 20, format: 20 } } });
+      const queries = customGenerator.generateMultiple(100);
+      expect(queries.join('+')).toMatch(/f:/);
+      queries.forEach(query => {
+        expect(query.includes('border:') && query.includes('f:')).toBe(false);
+      });
+    });
+
+    test('should keep colors within the color identity', () => {
+      const customGenerator = new RandomQueryGenerator({ config: { weights: { color: 20, colorIdentity: 20 } } });
+      let both = 0;
+      terms(customGenerator.generateMultiple(100)).forEach(parts => {
+        const color = parts.find(part => /^c[<>=]/.test(part));
+        const identity = parts.find(part => /^id[<>=]/.test(part));
+        if (!color || !identity) return;
+        both++;
+        const [, colorOperator, colors] = color.match(/^c([<>=]+)(\w+)$/);
+        const [, identityOperator, identityColors] = identity.match(/^id([<>=]+)(\w+)$/);
+        expect(colorOperator).toBe(identityOperator);
+        [...colors].forEach(letter => expect(identityColors).toContain(letter));
+      });
+      expect(both).toBeGreaterThan(0);
+    });
+
+    test('should pick filters by weight', () => {
+      const weights = Object.fromEntries(new RandomQueryGenerator().filterNames.map(name => [name, 0]));
+      const customGenerator = new RandomQueryGenerator({ config: { weights: { ...weights, type: 1, format: 1, rarity: 1 } } });
+      customGenerator.generateMultiple(30).forEach(query => {
+        query.split('+').forEach(part => expect(part).toMatch(/^(t|f|r)[:<>=]/));
+      });
+      expect(new RandomQueryGenerator({ config: { weights: { format: 0 } } }).generateMultiple(100).join('+')).not.toMatch(/f:/);
+    });
+
+    test('should pick values by weight', () => {
+      const customGenerator = new RandomQueryGenerator({
+        config: {
+          weights: { format: 10, manaValue: 10, digital: 10 },
+          valueWeights: { format: { commander: 1, modern: 0 }, manaValue: { 3: 1 }, digital: { false: 1 } }
+        }
+      });
+      const queries = customGenerator.generateMultiple(100).join('+');
+      expect(queries).toMatch(/f:commander/);
+      expect(queries).not.toMatch(/f:(?!commander)/);
+      const manaValues = queries.split('+').filter(part => part.startsWith('mv'));
+      expect(manaValues.length).toBeGreaterThan(0);
+      manaValues.forEach(part => expect(part).toMatch(/^mv[<>=]+3$/));
+      expect(queries).not.toMatch(/(^|\+)is:digital/);
+    });
+
+    test('should follow custom rules', () => {
+      const customGenerator = new RandomQueryGenerator({
+        config: {
+          keywords: ['flying'],
+          weights: { keyword: 20 },
+          rules: [{ filter: 'keyword', values: ['flying'], requires: { type: ['creature'] }, excludes: ['cube'] }]
+        }
+      });
+      customGenerator.generateMultiple(50).forEach(query => {
+        if (!query.includes('keyword:flying')) return;
+        expect(query).toMatch(/t:creature/);
+        expect(query).not.toMatch(/cube:/);
+      });
+      expect(RandomQueryGenerator.DEFAULT_RULES).toHaveLength(3);
+    });
+
+    test('should reject malformed selection config', () => {
+      const create = config => () => new RandomQueryGenerator({ config });
+      expect(create({ types: [] })).toThrow('config.types must be a non-empty array');
+      expect(create({ operators: ['~'] })).toThrow('Invalid operator "~" in config.operators');
+      expect(create({ weights: { power: -1 } })).toThrow('Invalid weight "-1" for "power" in config.weights');
+      expect(create({ weights: { flavor: 1 } })).toThrow('Unknown filter "flavor" in config.weights');
+      expect(create({ weights: Object.fromEntries(new RandomQueryGenerator().filterNames.map(name => [name, 0])) }))
+        .toThrow('config.weights gives every filter a weight of 0');
+      expect(create({ valueWeights: { format: ['modern'] } })).toThrow('config.valueWeights.format must be an object of weights');
+      expect(create({ valueWeights: { format: { modern: 0 } } })).toThrow('config.valueWeights.format gives every value a weight of 0');
+      expect(create({ rules: {} })).toThrow('config.rules must be an array');
+      expect(create({ rules: [{ filter: 'power', requires: { types: ['creature'] } }] }))
+        .toThrow('Unknown filter "types" in config.rules[0].requires');
+      expect(create({ rules: [{ filter: 'power', requires: { type: [] } }] }))
+        .toThrow('config.rules[0].requires.type must be a non-empty array');
+      expect(create({ rules: [{ filter: 'border', excludes: 'format' }] }))
+        .toThrow('config.rules[0].excludes must be an array of filters');
+      expect(create({ coherentColors: 'yes' })).toThrow('config.coherentColors must be true or false');
+    });
+  });
+
+  describe('printing-level filters', () => {
+    test('should include printing-level filters in the pool', () => {
+      const queries = generator.generateMultiple(200).join(' ');
+      for (const pattern of [/cn[<>=]/, /prints[<>=]/, /(^|\+)sets[<>=]/, /papersets[<>=]/, /artists[<>=]/, /illustrations[<>=]/, /in:/, /game:/, /is:digital/, /cube:/, /st:/]) {
+        expect(queries).toMatch(pattern);
+      }
+    });
+
+    test('should draw printing-level values from the config', () => {
+      const customGenerator = new RandomQueryGenerator({ config: { games: ['mtgo'], cubes: ['legacy'] } });
+      customGenerator.generateMultiple(100).forEach(query => {
+        expect(query).not.toMatch(/game:(?!mtgo)/);
+        expect(query).not.toMatch(/cube:(?!legacy)/);
+      });
+    });
+  });
+
+  describe('Tagger tags', () => {
+    test('should draw oracle and art tags from the tag catalog', () => {
+      const data = require('../data');
+      const queries = generator.generateMultiple(200).join('+').split('+');
+      const otags = queries.filter(part => part.startsWith('otag:')).map(part => part.slice(5));
+      const atags = queries.filter(part => part.startsWith('atag:')).map(part => part.slice(5));
+      expect(otags.length).toBeGreaterThan(0);
+      expect(atags.length).toBeGreaterThan(0);
+      otags.forEach(tag => expect(data.getOracleTags()).toContain(tag));
+      atags.forEach(tag => expect(data.getArtTags()).toContain(tag));
+    });
+  });
+
+  describe('registered filters', () => {
+    const ScryfallQueryBuilder = require('../src/ScryfallQueryBuilder');
+
+    beforeAll(() => {
+      ScryfallQueryBuilder.registerFilter('stamp', { key: 'stamp', valueType: ['oval', 'acorn', 'triangle'] });
+      ScryfallQueryBuilder.registerFilter('edhrecRank', { key: 'edhrec', valueType: 'number', operators: ['<', '>'] });
+      ScryfallQueryBuilder.registerFilter('flavorName', { key: 'flavorname', valueType: 'text' });
+    });
+
+    test('should pick registered filters listed in the options', () => {
+      const customGenerator = new RandomQueryGenerator({ filters: ['stamp', 'edhrecRank'] });
+      const queries = customGenerator.generateMultiple(200).join('+');
+      expect(queries).toMatch(/stamp:(oval|acorn|triangle)/);
+      expect(queries).toMatch(/edhrec[<>]\d+/);
+      expect(queries).not.toMatch(/stamp:(?!oval|acorn|triangle)/);
+      expect(generator.generateMultiple(100).join('+')).not.toMatch(/stamp:|edhrec/);
+    });
+
+    test('should draw registered filter values from the config', () => {
+      const customGenerator = new RandomQueryGenerator({
+        filters: ['flavorName'],
+        config: { flavorName: ['godzilla'] }
+      });
+      const queries = customGenerator.generateMultiple(200).join('+');
+      expect(queries).toMatch(/flavorname:godzilla/);
+    });
+
+    test('should reject filters it cannot use', () => {
+      expect(() => new RandomQueryGenerator({ filters: ['sparkle'] }))
+        .toThrow('Unknown filter "sparkle"; register it with ScryfallQueryBuilder.registerFilter() first');
+      expect(() => new RandomQueryGenerator({ filters: ['flavorName'] }))
+        .toThrow('Filter "flavorName" has no values to pick from; list some in config.flavorName');
+    });
+  });
+
+  describe('seeds', () => {
+    test('should generate the same queries for the same seed', () => {
+      const first = new RandomQueryGenerator({ seed: 1234 }).generateMultiple(20);
+      const second = new RandomQueryGenerator({ seed: 1234 }).generateMultiple(20);
+      expect(second).toEqual(first);
+      expect(new RandomQueryGenerator({ seed: 'other' }).generateMultiple(20)).not.toEqual(first);
+    });
+
+    test('should accept a random number source', () => {
+      const SeededRandom = require('../src/SeededRandom');
+      const first = new RandomQueryGenerator({ random: SeededRandom.create('cube') }).generateMultiple(5);
+      expect(new RandomQueryGenerator({ seed: 'cube' }).generateMultiple(5)).toEqual(first);
+    });
+
+    test('should return each query with its seed', () => {
+      const { query, seed } = generator.generateWithSeed();
+      expect(Number.isInteger(seed)).toBe(true);
+      expect(generator.getSeed(query)).toBe(seed);
+      expect(generator.getSeed('t:nothing-generated')).toBeNull();
+    });
+
+    test('should regenerate a query from its seed', () => {
+      const queries = generator.generateMultiple(10);
+      const other = new RandomQueryGenerator();
+      queries.forEach(query => {
+        expect(other.regenerate(generator.getSeed(query))).toBe(query);
+      });
+      expect(other.getGeneratedCount()).toBe(0);
+    });
+
+    test('should reject invalid seeds', () => {
+      expect(() => new RandomQueryGenerator({ seed: {} })).toThrow('Invalid seed');
+    });
+  });
+
+  describe('targeted generation', () => {
+    const CardSearchIndex = require('../generator/card-search-index');
+    const CardNormalizer = require('../generator/card-normalizer');
+    let index;
+
+    beforeEach(() => {
+      index = new CardSearchIndex();
+      index.buildIndex(new CardNormalizer().processCards([
+        { id: 'bolt', name: 'Lightning Bolt', type_line: 'Instant', cmc: 1, colors: ['R'], color_identity: ['R'], rarity: 'common', legalities: { modern: 'legal' } },
+        { id: 'goblin', name: 'Goblin Guide', type_line: 'Creature — Goblin Scout', cmc: 1, colors: ['R'], color_identity: ['R'], rarity: 'rare', power: '2', toughness: '2', keywords: ['Haste'], legalities: { modern: 'legal' } },
+        { id: 'ghor', name: 'Ghor-Clan Rampager', type_line: 'Creature — Beast', cmc: 4, colors: ['R', 'G'], color_identity: ['R', 'G'], rarity: 'uncommon', power: '4', toughness: '4', keywords: ['Trample'], legalities: { modern: 'legal' } },
+        { id: 'dragon', name: 'Shivan Dragon', type_line: 'Creature — Dragon', cmc: 6, colors: ['R'], color_identity: ['R'], rarity: 'rare', power: '5', toughness: '5', keywords: ['Flying'], legalities: { legacy: 'legal' } },
+        { id: 'kird', name: 'Kird Ape', type_line: 'Creature — Ape', cmc: 1, colors: ['R'], color_identity: ['R', 'G'], rarity: 'common', power: '1', toughness: '1', legalities: { legacy: 'legal' } },
+        { id: 'ajani', name: 'Ajani Goldmane', type_line: 'Legendary Planeswalker — Ajani', cmc: 4, colors: ['W'], color_identity: ['W'], rarity: 'rare', loyalty: '4', legalities: { modern: 'legal' } }
+      ]));
+    });
+
+    test('should generate queries whose matches are in range', () => {
+      const results = new RandomQueryGenerator({ seed: 7 }).generateMultipleTargeted(index, 10, { minResults: 2, maxResults: 3 });
+      expect(results).toHaveLength(10);
+      results.forEach(({ query, count }) => {
+        expect(count).toBeGreaterThanOrEqual(2);
+        expect(count).toBeLessThanOrEqual(3);
+        expect(index.query(query.replace(/\+/g, ' '))).toHaveLength(count);
+      });
+      expect(new Set(results.map(result => result.query)).size).toBe(10);
+    });
+
+    test('should only use filters the index can evaluate', () => {
+      const local = generator._localFilters(index);
+      expect(local).toEqual(expect.arrayContaining(['type', 'manaValue', 'format']));
+      expect(local).not.toContain('game');
+      expect(local).not.toContain('cube');
+    });
+
+    test('should relax queries that match too few cards', () => {
+      const picks = new Map([
+        ['type', { filter: 'type', value: 'creature', operator: null }],
+        ['manaValue', { filter: 'manaValue', value: 3, operator: '=' }]
+      ]);
+      jest.spyOn(generator, '_randomPicks').mockReturnValue(picks);
+      jest.spyOn(generator, '_randomElement').mockImplementation(array => array[0]);
+
+      expect(generator.generateTargeted(index, { minResults: 3 })).toMatchObject({ query: 't:creature+mv<=4', count: 3 });
+    });
+
+    test('should tighten queries that match too many cards', () => {
+      const picks = new Map([['manaValue', { filter: 'manaValue', value: 4, operator: '<=' }]]);
+      jest.spyOn(generator, '_randomPicks').mockReturnValue(picks);
+      jest.spyOn(generator, '_randomElement').mockImplementation(array => array[0]);
+
+      expect(generator.generateTargeted(index, { maxResults: 3 })).toMatchObject({ query: 'mv<4', count: 3 });
+    });
+
+    test('should drop the picks a dropped pick was required by', () => {
+      const picks = new Map([
+        ['type', { filter: 'type', value: 'creature', operator: null }],
+        ['power', { filter: 'power', value: 2, operator: '>=' }],
+        ['rarity', { filter: 'rarity', value: 'rare', operator: null }]
+      ]);
+      expect([...generator._withoutPick(picks, 'type').keys()]).toEqual(['rarity']);
+      expect(generator._withoutPick(new Map([['type', picks.get('type')]]), 'type')).toBeNull();
+    });
+
+    test('should give up on queries it cannot bring into range', () => {
+      const limited = new RandomQueryGenerator({ maxRetries: 5 });
+      expect(limited.generateTargeted(index, { minResults: 100 })).toBeNull();
+      expect(limited.getGeneratedCount()).toBe(0);
+    });
+
+    test('should check grammar queries without changing them', () => {
+      const grammared = new RandomQueryGenerator({ grammar: 'query ::= t:creature {manaValue} | t:instant' });
+      const results = grammared.generateMultipleTargeted(index, 5, { minResults: 2 });
+      expect(results.length).toBeGreaterThan(0);
+      results.forEach(({ query, count }) => {
+        expect(query).toMatch(/^t:creature\+mv[<>=]+\d+$/);
+        expect(count).toBeGreaterThanOrEqual(2);
+      });
+    });
+
+    test('should regenerate a targeted query from its seed', () => {
+      const target = { minResults: 1, maxResults: 2 };
+      const { query, seed, count } = generator.generateTargeted(index, target);
+      expect(new RandomQueryGenerator().regenerateTargeted(seed, index, target)).toEqual({ query, seed, count });
+    });
+
+    test('should reject invalid targets', () => {
+      expect(() => generator.generateTargeted(index, { minResults: -1 })).toThrow('Invalid minResults "-1"');
+      expect(() => generator.generateTargeted(index, { minResults: 5, maxResults: 2 }))
+        .toThrow('Invalid maxResults "2"; expected a number of at least minResults (5)');
+      expect(() => generator.generateTargeted(index, { maxMutations: 1.5 })).toThrow('Invalid maxMutations "1.5"');
+    });
+  });
+
+  describe('grammars', () => {
+    const QueryGrammar = require('../src/QueryGrammar');
+    const text = `
+      query    ::= [3] <creature> {format} | <spell> -{keyword}
+      creature ::= t:creature ({color} or {colorIdentity})
+      spell    ::= (t:instant or t:sorcery) -(o:draw or o:counter)
+    `;
+
+    test('should shape queries with the grammar', () => {
+      const queries = new RandomQueryGenerator({ grammar: text }).generateMultiple(30);
+      expect(queries).toHaveLength(30);
+      queries.forEach(query => {
+        expect(query).toMatch(/^(t:creature\+\(c\S+\+or\+id\S+\)\+f:\w+|\(t:instant\+or\+t:sorcery\)\+-\(o:draw\+or\+o:counter\)\+-keyword:\S+)$/);
+      });
+    });
+
+    test('should accept QueryGrammar instances and JSON grammars', () => {
+      const json = { rules: { query: ['t:elf {rarity}'] } };
+      const fromJson = new RandomQueryGenerator({ seed: 9, grammar: json }).generateMultiple(3);
+      const fromInstance = new RandomQueryGenerator({ seed: 9, grammar: new QueryGrammar(json) }).generateMultiple(3);
+      expect(fromInstance).toEqual(fromJson);
+      fromJson.forEach(query => expect(query).toMatch(/^t:elf\+r[<>=]+\w+$/));
+    });
+
+    test('should keep colors coherent across the query', () => {
+      const generator = new RandomQueryGenerator({ grammar: 'query ::= -({color} or {colorIdentity})' });
+      generator.generateMultiple(20).forEach(query => {
+        const [, colorOperator, colors, identityOperator, identity] = query.match(/^-\(c([<>=]+)(\w+)\+or\+id([<>=]+)(\w+)\)$/);
+        expect(colorOperator).toBe(identityOperator);
+        [...colors].forEach(color => expect(identity).toContain(color));
+      });
+    });
+
+    test('should be reproducible from seeds', () => {
+      const generator = new RandomQueryGenerator({ grammar: text });
+      const { query, seed } = generator.generateWithSeed();
+      expect(new RandomQueryGenerator({ grammar: text }).regenerate(seed)).toBe(query);
+    });
+
+    test('should skip empty expansions', () => {
+      const generator = new RandomQueryGenerator({ grammar: 'query ::= | t:elf', maxRetries: 50 });
+      expect(generator.generateMultiple(5)).toEqual(['t:elf']);
+    });
+
+    test('should reject filters the generator does not know', () => {
+      expect(() => new RandomQueryGenerator({ grammar: 'query ::= {sparkle}' }))
+        .toThrow('Unknown filter "sparkle" in grammar; expected one of: type, color');
+      expect(() => new RandomQueryGenerator({ grammar: 'query ::= <nope>' }))
+        .toThrow('Grammar rule "query" refers to unknown rule "nope"');
+    });
+  });
+
+  describe('contradictions', () => {
+    test('should never generate queries that match no cards', () => {
+      const QueryAnalyzer = require('../src/QueryAnalyzer');
+      const queries = generator.generateMultiple(200);
+      queries.forEach(query => {
+        expect(QueryAnalyzer.analyze(query.replace(/\+/g, ' ')).empty).toBe(false);
+      });
+    });
+  });
+
   describe('uniqueness guarantees', () => {
+    test('should not repeat a query with its terms reordered', () => {
+      jest.spyOn(generator, '_generateRandomQuery')
+        .mockReturnValueOnce('t:creature c=r')
+        .mockReturnValueOnce('c=r t:creature')
+        .mockReturnValueOnce('c=rw f:modern')
+        .mockReturnValueOnce('f:modern c=wr')
+        .mockReturnValueOnce('t:elf');
+      expect(generator.generateMultiple(3)).toEqual(['t:creature+c=r', 'c=rw+f:modern', 't:elf']);
+      expect(generator.getGeneratedCount()).toBe(3);
+    });
+
     test('should generate large number of unique queries', () => {
       const queries = generator.generateMultiple(100);
       const uniqueQueries = new Set(queries);
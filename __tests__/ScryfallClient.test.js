@@ -0,0 +1,258 @@
+const http = require('http');
+const ScryfallClient = require('../src/ScryfallClient');
+const ScryfallQueryBuilder = require('../src/ScryfallQueryBuilder');
+
+const { ScryfallApiError } = ScryfallClient;
+
+/**
+ * Card object with just enough fields for the tests
+ */
+function card(name) {
+  return { object: 'card', name };
+}
+
+function list(data, extra = {}) {
+  return { object: 'list', data, has_more: false, ...extra };
+}
+
+function scryfallError(status, code, details) {
+  return { object: 'error', status, code, details };
+}
+
+describe('ScryfallClient', () => {
+  let server;
+  let baseUrl;
+  let requests;
+  let responses;
+
+  // A stub of the Scryfall API; `responses` can queue failures for a path
+  function handle(req, res) {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      const url = new URL(req.url, baseUrl);
+      requests.push({ method: req.method, path: url.pathname, params: url.searchParams, headers: req.headers, body, time: Date.now() });
+
+      const queued = responses[url.pathname] && responses[url.pathname].shift();
+      const [status, payload, headers] = queued || route(req.method, url, body);
+      res.writeHead(status, { 'Content-Type': 'application/json', ...headers });
+      res.end(JSON.stringify(payload));
+    });
+  }
+
+  function route(method, url, body) {
+    const q = url.searchParams.get('q');
+    switch (url.pathname) {
+      case '/cards/search': {
+        if (q === 'nothing') return [404, scryfallError(404, 'not_found', 'Your query didn’t match any cards.')];
+        if (q === 'f:nope') return [400, scryfallError(400, 'bad_request', 'All of your terms were ignored.')];
+        const page = Number(url.searchParams.get('page') || 1);
+        const more = page < 3;
+        return [200, list([card(`${q} ${page}a`), card(`${q} ${page}b`)], {
+          total_cards: 6,
+          has_more: more,
+          next_page: more ? `${baseUrl}/cards/search?q=${encodeURIComponent(q)}&page=${page + 1}` : undefined
+        })];
+      }
+      case '/cards/named': {
+        const name = url.searchParams.get('exact') || url.searchParams.get('fuzzy');
+        if (name === 'Nope') return [404, scryfallError(404, 'not_found', 'No cards found matching “Nope”')];
+        return [200, card(name)];
+      }
+      case '/cards/autocomplete':
+        return [200, { object: 'catalog', data: [`${q}ning Bolt`, `${q}ning Greaves`] }];
+      case '/cards/random':
+        return [200, card(q ? `random ${q}` : 'random')];
+      case '/cards/collection': {
+        const { identifiers } = JSON.parse(body);
+        return [200, list(
+          identifiers.filter(identifier => identifier.name !== 'Nope').map(identifier => card(identifier.name || identifier.id)),
+          { not_found: identifiers.filter(identifier => identifier.name === 'Nope') }
+        )];
+      }
+      case '/sets':
+        return [200, list([{ code: 'lea' }], { has_more: !url.searchParams.get('page'), next_page: `${baseUrl}/sets?page=2` })];
+      default:
+        return [404, { error: 'unknown route' }];
+    }
+  }
+
+  beforeAll(done => {
+    server = http.createServer(handle);
+    server.listen(0, '127.0.0.1', () => {
+      baseUrl = `http://127.0.0.1:${server.address().port}`;
+      done();
+    });
+  });
+
+  afterAll(done => {
+    server.close(done);
+  });
+
+  let client;
+
+  beforeEach(() => {
+    requests = [];
+    responses = {};
+    client = new ScryfallClient({ baseUrl, delay: 50, retryDelay: 1 });
+  });
+
+  describe('search', () => {
+    test('should fetch one page with its options', async () => {
+      const page = await client.searchPage('t:elf', { order: 'edhrec', unique: 'prints', includeExtras: true });
+      expect(page).toEqual({
+        cards: [card('t:elf 1a'), card('t:elf 1b')],
+        totalCards: 6,
+        hasMore: true,
+        nextPage: `${baseUrl}/cards/search?q=t%3Aelf&page=2`,
+        warnings: []
+      });
+      const { params } = requests[0];
+      expect(params.get('q')).toBe('t:elf');
+      expect(params.get('order')).toBe('edhrec');
+      expect(params.get('unique')).toBe('prints');
+      expect(params.get('include_extras')).toBe('true');
+      expect(params.has('dir')).toBe(false);
+    });
+
+    test('should follow every page', async () => {
+      const cards = await client.search(new ScryfallQueryBuilder().type('elf'));
+      expect(cards.map(found => found.name)).toEqual([
+        't:elf 1a', 't:elf 1b', 't:elf 2a', 't:elf 2b', 't:elf 3a', 't:elf 3b'
+      ]);
+      expect(requests.map(request => request.params.get('page'))).toEqual([null, '2', '3']);
+    });
+
+    test('should stop after maxPages', async () => {
+      const cards = await client.search('t:elf', { maxPages: 2 });
+      expect(cards).toHaveLength(4);
+      expect(requests).toHaveLength(2);
+    });
+
+    test('should resolve with no cards when nothing matches', async () => {
+      expect(await client.search('nothing')).toEqual([]);
+      expect((await client.searchPage('nothing')).totalCards).toBe(0);
+    });
+
+    test('should reject with the Scryfall error for bad queries', async () => {
+      const error = await client.search('f:nope').catch(err => err);
+      expect(error).toBeInstanceOf(ScryfallApiError);
+      expect(error.status).toBe(400);
+      expect(error.code).toBe('bad_request');
+      expect(error.message).toBe('All of your terms were ignored.');
+    });
+  });
+
+  describe('cards', () => {
+    test('should look up cards by exact or fuzzy name', async () => {
+      expect(await client.named('Lightning Bolt')).toEqual(card('Lightning Bolt'));
+      expect(await client.named('light bol', { fuzzy: true, set: 'lea' })).toEqual(card('light bol'));
+      expect(requests[0].params.get('exact')).toBe('Lightning Bolt');
+      expect(requests[1].params.get('fuzzy')).toBe('light bol');
+      expect(requests[1].params.get('set')).toBe('lea');
+      await expect(client.named('Nope')).rejects.toMatchObject({ status: 404, code: 'not_found' });
+    });
+
+    test('should autocomplete names', async () => {
+      expect(await client.autocomplete('Light')).toEqual(['Lightning Bolt', 'Lightning Greaves']);
+    });
+
+    test('should fetch random cards', async () => {
+      expect((await client.random()).name).toBe('random');
+      expect((await client.random(new ScryfallQueryBuilder().type('dragon'))).name).toBe('random t:dragon');
+      expect(requests[0].params.has('q')).toBe(false);
+    });
+
+    test('should fetch collections in batches of 75', async () => {
+      const names = Array.from({ length: 160 }, (_, index) => `Card ${index}`);
+      const { cards, notFound } = await client.collection([...names, 'Nope', { id: 'abc' }]);
+
+      expect(cards).toHaveLength(161);
+      expect(cards[160]).toEqual(card('abc'));
+      expect(notFound).toEqual([{ name: 'Nope' }]);
+      expect(requests.map(request => JSON.parse(request.body).identifiers.length)).toEqual([75, 75, 12]);
+      expect(requests[0].method).toBe('POST');
+      expect(requests[0].headers['content-type']).toBe('application/json');
+    });
+
+    test('should fetch every page of a list endpoint', async () => {
+      expect(await client.getAll('/sets')).toEqual([{ code: 'lea' }, { code: 'lea' }]);
+    });
+  });
+
+  describe('politeness', () => {
+    test('should wait between requests, even when they are made at once', async () => {
+      await Promise.all([client.named('A'), client.named('B'), client.autocomplete('C')]);
+      expect(requests).toHaveLength(3);
+      for (let index = 1; index < requests.length; index++) {
+        expect(requests[index].time - requests[index - 1].time).toBeGreaterThanOrEqual(45);
+      }
+    });
+
+    test('should not allow a delay shorter than 50ms', () => {
+      expect(() => new ScryfallClient({ delay: 10 })).toThrow('Request delay must be at least 50ms');
+    });
+
+    test('should send extra headers', async () => {
+      const custom = new ScryfallClient({ baseUrl, headers: { 'User-Agent': 'QueryTests/1.0' } });
+      await custom.random();
+      expect(requests[0].headers['user-agent']).toBe('QueryTests/1.0');
+      expect(requests[0].headers.accept).toBe('application/json');
+    });
+  });
+
+  describe('retries', () => {
+    test('should retry 429 and 5xx responses', async () => {
+      responses['/cards/named'] = [
+        [429, scryfallError(429, 'rate_limited', 'Slow down')],
+        [503, { message: 'unavailable' }]
+      ];
+      expect(await client.named('Opt')).toEqual(card('Opt'));
+      expect(requests).toHaveLength(3);
+    });
+
+    test('should give up after maxRetries', async () => {
+      const impatient = new ScryfallClient({ baseUrl, retryDelay: 1, maxRetries: 1 });
+      responses['/cards/random'] = [[500, {}], [502, {}], [200, card('too late')]];
+      await expect(impatient.random()).rejects.toMatchObject({ status: 502 });
+      expect(requests).toHaveLength(2);
+    });
+
+    test('should not retry other errors', async () => {
+      await expect(client.named('Nope')).rejects.toBeInstanceOf(ScryfallApiError);
+      expect(requests).toHaveLength(1);
+    });
+
+    test('should back off exponentially unless told how long to wait', () => {
+      const backoff = new ScryfallClient({ retryDelay: 200 });
+      const headers = retryAfter => ({ get: name => (name === 'Retry-After' ? retryAfter : null) });
+      expect(backoff._backoff({ status: 503, headers: headers(null) }, 0)).toBe(200);
+      expect(backoff._backoff({ status: 503, headers: headers(null) }, 2)).toBe(800);
+      expect(backoff._backoff({ status: 429, headers: headers('2') }, 0)).toBe(2000);
+    });
+  });
+
+  describe('injected fetch', () => {
+    test('should use the given fetch and base URL', async () => {
+      const fetch = jest.fn().mockResolvedValue({ ok: true, status: 200, json: async () => card('Stub') });
+      const stubbed = new ScryfallClient({ fetch, baseUrl: 'https://example.test/api/' });
+
+      expect(await stubbed.named('Stub')).toEqual(card('Stub'));
+      expect(fetch).toHaveBeenCalledWith(
+        'https://example.test/api/cards/named?exact=Stub',
+        expect.objectContaining({ method: 'GET' })
+      );
+    });
+
+    test('should report responses that are not Scryfall errors', async () => {
+      const fetch = jest.fn().mockResolvedValue({
+        ok: false,
+        status: 403,
+        statusText: 'Forbidden',
+        json: async () => { throw new SyntaxError('Unexpected token <'); }
+      });
+      const stubbed = new ScryfallClient({ fetch });
+      await expect(stubbed.random()).rejects.toThrow('HTTP 403: Forbidden for https://api.scryfall.com/cards/random');
+    });
+  });
+});
@@ -60,6 +60,45 @@ describe('ScryfallQueryBuilder', () => {
       expect(builder.manaCost('{2}{U}{U}').build()).toBe('m={2}{U}{U}');
     });
 
+    test('should write structured mana costs canonically', () => {
+      expect(builder.manaCost({ generic: 2, U: 2, hybrid: ['W/U'], phyrexian: ['G'] }).build())
+        .toBe('m={2}{U}{U}{W/U}{G/P}');
+      expect(new ScryfallQueryBuilder().manaCost('2uu{u/w}', '>=').build()).toBe('m>={2}{U}{U}{W/U}');
+      expect(new ScryfallQueryBuilder().manaCost({ X: 1, R: 2 }).build()).toBe('m={X}{R}{R}');
+    });
+
+    test('should reject unknown mana symbols and keys', () => {
+      expect(() => builder.manaCost('{2}{Q}')).toThrow('Unknown mana symbol "{Q}"');
+      expect(() => builder.manaCost({ blue: 2 })).toThrow('Unknown mana cost key "blue"');
+      expect(() => builder.manaCost({ hybrid: ['W/W'] })).toThrow('Invalid hybrid mana symbol "W/W"');
+      expect(() => builder.manaCost({ U: 1.5 })).toThrow('Invalid count for "U"');
+      expect(() => builder.manaCost('{U}', '~')).toThrow('Invalid operator "~" for "m"');
+    });
+
+    test('should search by devotion', () => {
+      expect(builder.devotion('ub', 3).build()).toBe('devotion>={U/B}{U/B}{U/B}');
+      expect(new ScryfallQueryBuilder().devotion(['g'], 2, '=').build()).toBe('devotion={G}{G}');
+      expect(new ScryfallQueryBuilder().devotion('W/G', 1).build()).toBe('devotion>={G/W}');
+      expect(() => builder.devotion('wub', 3)).toThrow('Invalid devotion colors');
+      expect(() => builder.devotion('u', 0)).toThrow('Invalid count "0" for "devotion"');
+    });
+
+    test('should compare pips with mana cost terms', () => {
+      const pips = (symbol, count, operator) => new ScryfallQueryBuilder().pips(symbol, count, operator).build();
+      expect(pips('u', 2)).toBe('m>={U}{U}');
+      expect(pips('u', 1, '>')).toBe('m>={U}{U}');
+      expect(pips('u', 2, '<')).toBe('-m>={U}{U}');
+      expect(pips('u', 1, '<=')).toBe('-m>={U}{U}');
+      expect(pips('g/p', 1, '=')).toBe('m>={G/P} -m>={G/P}{G/P}');
+      expect(pips('r', 0, '=')).toBe('-m>={R}');
+      expect(pips('{u/w}', 1, '!=')).toBe('(-m>={W/U} or m>={W/U}{W/U})');
+      expect(() => pips('2', 1)).toThrow('generic mana has no pips');
+    });
+
+    test('should search for hybrid and Phyrexian mana', () => {
+      expect(builder.isHybrid().isPhyrexian(false).build()).toBe('is:hybrid -is:phyrexian');
+    });
+
     test('should search by mana value', () => {
       expect(builder.manaValue(3).build()).toBe('mv=3');
     });
@@ -83,6 +122,25 @@ describe('ScryfallQueryBuilder', () => {
     test('should search by toughness with operator', () => {
       expect(builder.toughness(5, '<=').build()).toBe('tou<=5');
     });
+
+    test('should search by loyalty and defense', () => {
+      expect(builder.loyalty(4, '>=').defense(5).build()).toBe('loy>=4 def=5');
+    });
+
+    test('should compare stats with each other', () => {
+      const { field } = ScryfallQueryBuilder;
+      expect(builder.type('creature').power(field('toughness'), '>').build()).toBe('t:creature pow>tou');
+      expect(new ScryfallQueryBuilder().power(field('cmc'), '>').build()).toBe('pow>cmc');
+      expect(new ScryfallQueryBuilder().manaValue(field('power'), '<').build()).toBe('mv<pow');
+      expect(new ScryfallQueryBuilder().loyalty(field('mana value')).toughness(field('def'), '<=').build())
+        .toBe('loy=cmc tou<=def');
+    });
+
+    test('should reject invalid field references', () => {
+      const { field } = ScryfallQueryBuilder;
+      expect(() => field('rarity')).toThrow('Invalid field "rarity"');
+      expect(() => builder.power(field('pow'))).toThrow('Cannot compare "pow" with itself');
+    });
   });
 
   describe('rarity and set queries', () => {
@@ -122,6 +180,12 @@ describe('ScryfallQueryBuilder', () => {
       expect(builder.flavorText('doom').build()).toBe('ft:doom');
     });
 
+    test('should search by Tagger tags', () => {
+      expect(builder.oracleTag('Mana Rock').artTag('dragon').build()).toBe('otag:mana-rock atag:dragon');
+      expect(() => builder.oracleTag('removal"')).toThrow('Invalid oracle tag "removal\""');
+      expect(() => builder.artTag('a/b')).toThrow('Invalid art tag "a/b"');
+    });
+
     test('should search by watermark', () => {
       expect(builder.watermark('orzhov').build()).toBe('wm:orzhov');
     });
@@ -147,6 +211,72 @@ describe('ScryfallQueryBuilder', () => {
     });
   });
 
+  describe('date queries', () => {
+    test('should search by year', () => {
+      expect(builder.year(2020, '>=').build()).toBe('year>=2020');
+      expect(new ScryfallQueryBuilder().year(new Date('2019-06-01')).build()).toBe('year=2019');
+      expect(() => builder.year('twenty')).toThrow('Invalid year "twenty"');
+    });
+
+    test('should accept Date objects and ISO strings', () => {
+      builder.date(new Date('2024-03-05T23:00:00Z'), '<').date('2024-01-01', '>=').date('2024-01-01T08:30:00Z', '<=');
+      expect(builder.build()).toBe('date<2024-03-05 date>=2024-01-01 date<=2024-01-01');
+    });
+
+    test('should reject impossible dates', () => {
+      expect(() => builder.date('2024-02-30')).toThrow('Invalid date "2024-02-30"');
+      expect(() => builder.date(new Date('nope'))).toThrow('Invalid date');
+    });
+
+    test('should accept set codes from data/sets.json', () => {
+      expect(builder.date('DSK', '>=').build()).toBe('date>=dsk');
+      expect(() => builder.date('zzz')).toThrow('Unknown set code "zzz"');
+    });
+
+    test('should compute "released in the last N days" from the clock', () => {
+      const clock = () => new Date('2024-10-31T10:00:00Z');
+      expect(builder.releasedInLastDays(30, { clock }).build()).toBe('date>=2024-10-01');
+      expect(new ScryfallQueryBuilder().releasedInLastDays(0, { clock }).build()).toBe('date>=2024-10-31');
+      expect(() => builder.releasedInLastDays(-1)).toThrow('Invalid number of days');
+    });
+
+    test('should search for new printings', () => {
+      expect(builder.isNew('Art').build()).toBe('new:art');
+      expect(() => builder.isNew('color')).toThrow('Invalid new value "color"');
+    });
+  });
+
+  describe('printing-level queries', () => {
+    test('should search by collector number', () => {
+      expect(builder.collectorNumber(250, '>=').build()).toBe('cn>=250');
+      expect(new ScryfallQueryBuilder().collectorNumber('12A').build()).toBe('cn=12a');
+      expect(() => builder.collectorNumber('12a', '>')).toThrow('Invalid collector number "12a" for "cn>"');
+    });
+
+    test('should search by printing counts', () => {
+      builder.prints(10, '>=').paperPrints(1).sets(1).paperSets(2, '<').artists(1, '>').illustrations(1, '>');
+      expect(builder.build()).toBe('prints>=10 paperprints=1 sets=1 papersets<2 artists>1 illustrations>1');
+    });
+
+    test('should validate counts and operators', () => {
+      expect(() => builder.prints(-1)).toThrow('Invalid count "-1" for "prints"');
+      expect(() => builder.sets(1.5)).toThrow('Invalid count');
+      expect(() => builder.artists(1, '~')).toThrow('Invalid operator "~" for "artists"');
+    });
+
+    test('should search where cards were printed', () => {
+      expect(builder.printedIn('LEA').game('Arena').isDigital().build()).toBe('in:lea game:arena is:digital');
+      expect(new ScryfallQueryBuilder().isDigital(false).build()).toBe('-is:digital');
+      expect(() => builder.game('xbox')).toThrow('Invalid game "xbox"');
+    });
+
+    test('should search by cube and set type', () => {
+      expect(builder.cube('Vintage').setType('masters').build()).toBe('cube:vintage st:masters');
+      expect(() => builder.cube('my cube')).toThrow('Invalid cube');
+      expect(() => builder.setType('bogus')).toThrow('Invalid set type "bogus"');
+    });
+  });
+
   describe('price queries', () => {
     test('should search by USD price', () => {
       expect(builder.priceUsd(10).build()).toBe('usd=10');
@@ -209,6 +339,22 @@ describe('ScryfallQueryBuilder', () => {
       
       expect(query).toBe('(t:creature or t:planeswalker)');
     });
+
+    test('should keep quoted values intact inside OR groups', () => {
+      const query = builder
+        .or(b => b.name('Lightning Bolt').oracleText('draw a card'))
+        .build();
+      
+      expect(query).toBe('(name:"Lightning Bolt" or o:"draw a card")');
+    });
+
+    test('should nest AND groups inside OR groups', () => {
+      const query = builder
+        .or(b => b.and(inner => inner.type('creature').color('r')).type('instant'))
+        .build();
+      
+      expect(query).toBe('((t:creature c=r) or t:instant)');
+    });
   });
 
   describe('AND grouping', () => {
@@ -241,6 +387,215 @@ describe('ScryfallQueryBuilder', () => {
       const url = builder.type('instant').toApiUrl();
       expect(url).toBe('https://api.scryfall.com/cards/search?q=t%3Ainstant');
     });
+
+    test('should pass the view mode as a URL parameter', () => {
+      const url = builder.type('elf').view('checklist').toUrl();
+      expect(url).toBe('https://scryfall.com/search?q=t%3Aelf&as=checklist');
+      expect(builder.build()).toBe('t:elf');
+      expect(() => builder.view('cards')).toThrow('Invalid as value "cards"');
+    });
+  });
+
+  describe('reading URLs', () => {
+    test('should round-trip toUrl and toApiUrl', () => {
+      builder.type('creature').power(ScryfallQueryBuilder.field('toughness'), '>').oracleText('draw a card')
+        .unique('prints').order('edhrec', 'desc').view('grid').includeExtras();
+      const fromUrl = ScryfallQueryBuilder.fromUrl(builder.toUrl());
+      expect(fromUrl.build()).toBe(builder.build());
+      expect(fromUrl.getDisplayOptions()).toEqual(builder.getDisplayOptions());
+      expect(ScryfallQueryBuilder.fromUrl(builder.toApiUrl()).build()).toBe(builder.build());
+    });
+
+    test('should decode + as a space', () => {
+      const url = 'https://scryfall.com/search?q=t:creature+keyword:"first+strike"+mv%3C=2';
+      expect(ScryfallQueryBuilder.fromUrl(url).build()).toBe('t:creature keyword:"first strike" mv<=2');
+    });
+
+    test('should let URL parameters override display keywords', () => {
+      const builder = ScryfallQueryBuilder.fromUrl('https://www.scryfall.com/search?q=t%3Aelf+order%3Aname&order=usd&dir=asc');
+      expect(builder.getDisplayOptions()).toEqual({ order: 'usd', dir: 'asc' });
+    });
+
+    test('should reject other URLs and invalid parameters', () => {
+      expect(() => ScryfallQueryBuilder.fromUrl('https://example.com/search?q=t:elf')).toThrow('Not a Scryfall search URL');
+      expect(() => ScryfallQueryBuilder.fromUrl('https://scryfall.com/card/lea/161')).toThrow('Not a Scryfall search URL');
+      expect(() => ScryfallQueryBuilder.fromUrl('scryfall.com/search')).toThrow('Invalid URL "scryfall.com/search"');
+      expect(() => ScryfallQueryBuilder.fromUrl('https://scryfall.com/search?q=t:elf&unique=everything')).toThrow('Invalid unique value');
+    });
+  });
+
+  describe('regular expressions and escaping', () => {
+    test('should accept a RegExp in text methods', () => {
+      builder.oracleText(/^{T}: add/).name(/^[a-c]/).flavorText(/\bfire\b/).type(/^legendary/);
+      expect(builder.build()).toBe('o:/^{T}: add/ name:/^[a-c]/ ft:/\\bfire\\b/ t:/^legendary/');
+    });
+
+    test('should search any regex field with a string pattern', () => {
+      expect(builder.regex('oracle', '\\sm\\sm').regex('fo', 'draw').build()).toBe('o:/\\sm\\sm/ fo:/draw/');
+    });
+
+    test('should escape slashes inside the pattern', () => {
+      expect(builder.regex('o', 'and/or').build()).toBe('o:/and\\/or/');
+      expect(new ScryfallQueryBuilder().oracleText(/1\/2/).build()).toBe('o:/1\\/2/');
+    });
+
+    test('should drop flags Scryfall ignores and reject the rest', () => {
+      expect(builder.oracleText(/draw/gim).build()).toBe('o:/draw/');
+      expect(() => builder.oracleText(/a.b/s)).toThrow('don\'t support the "s" flag');
+      expect(() => builder.oracleText(/a/u)).toThrow('don\'t support the "u" flag');
+    });
+
+    test('should reject features Scryfall does not support', () => {
+      expect(() => builder.oracleText(/(?<=draw )a card/)).toThrow('don\'t support lookbehind');
+      expect(() => builder.oracleText(/(?<!un)tap/)).toThrow('don\'t support lookbehind');
+      expect(() => builder.name(/(?<first>a)/)).toThrow('named groups');
+      expect(() => builder.regex('o', '(draw')).toThrow('Invalid regular expression /(draw/');
+      expect(() => builder.regex('c', 'r')).toThrow('"c" can\'t be searched with a regular expression');
+    });
+
+    test('should escape quotes and backslashes in text values', () => {
+      builder.flavorText('a card named "X"').artist('A \\ B').name('it"s');
+      expect(builder.build()).toBe('ft:"a card named \\"X\\"" a:"A \\\\ B" name:"it\\"s"');
+      expect(ScryfallQueryBuilder.parse(builder.build()).nodes.map(node => node.value))
+        .toEqual(['a card named "X"', 'A \\ B', 'it"s']);
+    });
+
+    test('should quote values that would otherwise change meaning', () => {
+      expect(builder.oracleText('/tmp').exactName('A "B"').build()).toBe('o:"/tmp" !"A \\"B\\""');
+    });
+  });
+
+  describe('display options', () => {
+    test('should add display options as keywords', () => {
+      const query = builder
+        .type('creature')
+        .unique('prints')
+        .order('edhrec', 'desc')
+        .prefer('oldest')
+        .includeExtras()
+        .build();
+      expect(query).toBe('t:creature unique:prints order:edhrec dir:desc prefer:oldest include:extras');
+    });
+
+    test('should pass unique, order and dir as website parameters', () => {
+      const url = builder.type('creature').unique('art').order('released').direction('asc').prefer('newest').includeExtras().toUrl();
+      expect(url).toBe('https://scryfall.com/search?q=t%3Acreature%20prefer%3Anewest%20include%3Aextras&unique=art&order=released&dir=asc');
+    });
+
+    test('should pass display options as API parameters', () => {
+      const url = builder.type('token').unique('prints').order('usd').direction('desc').includeExtras().toApiUrl();
+      expect(url).toBe('https://api.scryfall.com/cards/search?q=t%3Atoken&unique=prints&order=usd&dir=desc&include_extras=true');
+    });
+
+    test('should normalize and validate option values', () => {
+      expect(builder.order('EDHREC').getDisplayOptions()).toEqual({ order: 'edhrec' });
+      expect(() => builder.unique('everything')).toThrow('Invalid unique value "everything"; expected one of: cards, art, prints');
+      expect(() => builder.order('popularity')).toThrow('Invalid order value');
+      expect(() => builder.direction('down')).toThrow('Invalid dir value');
+      expect(() => builder.prefer('cheapest')).toThrow('Invalid prefer value');
+    });
+
+    test('should clear options', () => {
+      builder.type('elf').unique('prints').includeExtras();
+      builder.unique(null).includeExtras(false);
+      expect(builder.build()).toBe('t:elf');
+    });
+
+    test('should read display keywords when parsing', () => {
+      const parsed = ScryfallQueryBuilder.parse('order:name t:elf direction:DESC');
+      expect(parsed.getDisplayOptions()).toEqual({ order: 'name', dir: 'desc' });
+      expect(parsed.build()).toBe('t:elf order:name dir:desc');
+      expect(parsed.toUrl()).toBe('https://scryfall.com/search?q=t%3Aelf&order=name&dir=desc');
+    });
+
+    test('should keep invalid or negated display keywords as terms', () => {
+      const parsed = ScryfallQueryBuilder.parse('t:elf -unique:art order:bogus');
+      expect(parsed.getDisplayOptions()).toEqual({});
+      expect(parsed.build()).toBe('t:elf -unique:art order:bogus');
+    });
+
+    test('should carry options through clone, simplify, reset and JSON', () => {
+      builder.type('elf').type('elf').unique('prints');
+      expect(builder.clone().build()).toBe('t:elf t:elf unique:prints');
+      expect(builder.simplify().build()).toBe('t:elf unique:prints');
+      expect(ScryfallQueryBuilder.fromJSON(builder.toJSON()).getDisplayOptions()).toEqual({ unique: 'prints' });
+      expect(builder.reset().build()).toBe('');
+    });
+  });
+
+  describe('registered filters', () => {
+    beforeAll(() => {
+      ScryfallQueryBuilder.registerFilter('stamp', {
+        key: 'stamp',
+        valueType: ['oval', 'acorn', 'triangle', 'arena', 'heart']
+      });
+      ScryfallQueryBuilder.registerFilter('flavorName', { key: ['flavorname', 'fname'], valueType: 'text', quote: true });
+      ScryfallQueryBuilder.registerFilter('edhrecRank', {
+        key: 'edhrec',
+        valueType: 'number',
+        operators: ['<', '<=', '>', '>='],
+        normalize: rank => Math.round(rank)
+      });
+    });
+
+    test('should add a chainable method', () => {
+      expect(builder.stamp('Acorn').type('creature').build()).toBe('stamp:acorn t:creature');
+      expect(builder.reset().stamp('').stamp(null).build()).toBe('');
+    });
+
+    test('should quote and normalize values', () => {
+      expect(builder.flavorName('Godzilla').build()).toBe('flavorname:"Godzilla"');
+      expect(builder.reset().edhrecRank(99.6, '<').build()).toBe('edhrec<100');
+    });
+
+    test('should check values and operators', () => {
+      expect(() => builder.stamp('star')).toThrow('Invalid stamp "star"; expected one of: oval, acorn, triangle, arena, heart');
+      expect(() => builder.edhrecRank(10, '=')).toThrow('Invalid operator "=" for "edhrec"');
+      expect(() => builder.edhrecRank('top')).toThrow('Invalid edhrec rank "top"; expected a number');
+      expect(() => builder.stamp('oval', '<')).toThrow('Invalid operator "<" for "stamp"');
+    });
+
+    test('should teach the parser and validator the keyword', () => {
+      const parsed = ScryfallQueryBuilder.parse('fname:"King Caesar" stamp:acorn');
+      expect(parsed.build()).toBe('fname:"King Caesar" stamp:acorn');
+      expect(parsed.explain()).toBeTruthy();
+
+      const QueryValidator = require('../src/QueryValidator');
+      expect(QueryValidator.validate('fname:godzilla')).toEqual([]);
+      expect(QueryValidator.validate('stamp:star').map(diagnostic => diagnostic.code)).toEqual(['invalid-value']);
+    });
+
+    test('should describe registered filters', () => {
+      expect(ScryfallQueryBuilder.getFilter('edhrecRank')).toEqual(expect.objectContaining({
+        key: 'edhrec',
+        valueType: 'number',
+        operators: ['<', '<=', '>', '>='],
+        defaultOperator: '<'
+      }));
+      expect(ScryfallQueryBuilder.getFilter('color')).toBeNull();
+      expect(ScryfallQueryBuilder.getFilters()).toEqual(expect.arrayContaining(['stamp', 'format', 'prints']));
+    });
+
+    test('should express simple built-in filters as registered filters', () => {
+      expect(ScryfallQueryBuilder.getFilter('format')).toEqual(expect.objectContaining({ key: 'f', defaultOperator: ':' }));
+      expect(ScryfallQueryBuilder.getFilter('setType').valueType).toContain('masters');
+      expect(ScryfallQueryBuilder.getFilter('priceUsd').defaultOperator).toBe('=');
+    });
+
+    test('should reject invalid definitions', () => {
+      expect(() => ScryfallQueryBuilder.registerFilter('color', { key: 'c' })).toThrow('Filter "color" is already defined');
+      expect(() => ScryfallQueryBuilder.registerFilter('stamp', { key: 'stamp' })).toThrow('Filter "stamp" is already defined');
+      expect(() => ScryfallQueryBuilder.registerFilter('my filter', { key: 'x' })).toThrow('Invalid filter name');
+      expect(() => ScryfallQueryBuilder.registerFilter('spellName', {})).toThrow('needs a search keyword');
+      expect(() => ScryfallQueryBuilder.registerFilter('spellName', { key: ['spellname', 'o'] }))
+        .toThrow('Search keyword "o" already stands for "o"');
+      expect(() => ScryfallQueryBuilder.registerFilter('spellName', { key: 'spellname', valueType: 'date' }))
+        .toThrow('Invalid value type "date"');
+      expect(() => ScryfallQueryBuilder.registerFilter('spellName', { key: 'spellname', operators: ['~'] }))
+        .toThrow('Invalid operators');
+      expect(() => ScryfallQueryBuilder.registerFilter('spellName', { key: 'spellname', normalize: 'lower' }))
+        .toThrow('"normalize" for filter "spellName" must be a function');
+    });
   });
 
   describe('utility methods', () => {
@@ -264,6 +619,108 @@ describe('ScryfallQueryBuilder', () => {
     });
   });
 
+  describe('parsing query strings', () => {
+    test('should rebuild a parsed query', () => {
+      const query = 't:creature c>=rg mv<=3 -o:flying';
+      expect(ScryfallQueryBuilder.parse(query).build()).toBe(query);
+    });
+
+    test('should keep quoted values and groups', () => {
+      const query = 't:instant o:"draw a card" (keyword:haste or keyword:trample)';
+      expect(ScryfallQueryBuilder.fromString(query).build()).toBe(query);
+    });
+
+    test('should allow editing a parsed query', () => {
+      const query = ScryfallQueryBuilder.parse('t:creature f:modern')
+        .rarity('rare', '>=')
+        .build();
+      expect(query).toBe('t:creature f:modern r>=rare');
+    });
+
+    test('should group a top-level OR', () => {
+      const query = ScryfallQueryBuilder.parse('t:creature or t:planeswalker')
+        .color('u')
+        .build();
+      expect(query).toBe('(t:creature or t:planeswalker) c=u');
+    });
+
+    test('should return an empty builder for an empty query', () => {
+      expect(ScryfallQueryBuilder.parse('').build()).toBe('');
+    });
+  });
+
+  describe('query tree', () => {
+    test('should expose the expression tree', () => {
+      const tree = builder.type('creature').not('reprint').toJSON();
+      expect(tree).toEqual({
+        type: 'and',
+        children: [
+          { type: 'term', key: 't', operator: ':', value: 'creature', quoted: false, regex: false, exact: false },
+          { type: 'not', child: { type: 'term', key: 'is', operator: ':', value: 'reprint', quoted: false, regex: false, exact: false } }
+        ]
+      });
+    });
+
+    test('should round trip through JSON', () => {
+      builder
+        .type('creature')
+        .or(b => b.keyword('haste').oracleText('first strike'))
+        .negate(b => b.color('w'));
+      const json = JSON.stringify(builder);
+      
+      expect(ScryfallQueryBuilder.fromJSON(json).build()).toBe(builder.build());
+    });
+
+    test('should reject unknown node types', () => {
+      expect(() => ScryfallQueryBuilder.fromJSON({ type: 'xor', children: [] })).toThrow('Unknown query node type');
+    });
+
+    test('should not share the tree returned by toJSON', () => {
+      builder.type('creature');
+      builder.toJSON().children.push({ type: 'raw', value: 'c=r' });
+      expect(builder.build()).toBe('t:creature');
+    });
+
+    test('should parse raw query text into the tree', () => {
+      builder.raw('game:paper (t:elf or t:goblin)');
+      expect(builder.toJSON().children.map(node => node.type)).toEqual(['term', 'group']);
+    });
+
+    test('should keep unparseable raw text verbatim', () => {
+      expect(builder.raw('o:"unterminated').type('creature').build()).toBe('o:"unterminated t:creature');
+    });
+
+    test('should list rendered top-level parts', () => {
+      expect(builder.type('creature').color('r').parts).toEqual(['t:creature', 'c=r']);
+    });
+  });
+
+  describe('analysis', () => {
+    test('should flag contradictory ranges', () => {
+      const analysis = builder.manaValue(2, '<').manaValue(5, '>').analyze();
+      expect(analysis.empty).toBe(true);
+      expect(analysis.contradictions[0].terms).toEqual(['mv<2', 'mv>5']);
+    });
+
+    test('should simplify into a new builder', () => {
+      builder.type('elf').manaValue(2, '>=').manaValue(3, '>=').type('elf');
+      const simplified = builder.simplify();
+      expect(simplified.build()).toBe('t:elf mv>=3');
+      expect(builder.build()).toBe('t:elf mv>=2 mv>=3 t:elf');
+    });
+
+    test('should refuse to simplify an empty query', () => {
+      expect(() => builder.rarity('common', '<').simplify()).toThrow('Query can never match any card: r<common can never match');
+    });
+  });
+
+  describe('explanation', () => {
+    test('should describe the query in English', () => {
+      builder.colorIdentity('bg', '<=').type('legendary').raw('-is:reprint').priceUsd(5, '<');
+      expect(builder.explain()).toBe('Legendary cards whose color identity is within black-green, excluding reprints, costing under $5');
+    });
+  });
+
   describe('edge cases', () => {
     test('should handle empty/null inputs gracefully', () => {
       builder
@@ -0,0 +1,71 @@
+const SeededRandom = require('../src/SeededRandom');
+const DeckGenerator = require('../generator/deck-generator');
+
+describe('SeededRandom', () => {
+  describe('create()', () => {
+    test('should repeat the same sequence for the same seed', () => {
+      const a = SeededRandom.create(42);
+      const b = SeededRandom.create(42);
+      const sequence = Array.from({ length: 5 }, () => a());
+      expect(Array.from({ length: 5 }, () => b())).toEqual(sequence);
+      expect(sequence[0]).toBe(0.6011037519201636);
+    });
+
+    test('should give different sequences for different seeds', () => {
+      expect(SeededRandom.create(1)()).not.toBe(SeededRandom.create(2)());
+      expect(SeededRandom.create('abc')()).not.toBe(SeededRandom.create('abd')());
+    });
+
+    test('should return numbers in [0, 1)', () => {
+      const random = SeededRandom.create('range');
+      for (let i = 0; i < 1000; i++) {
+        const value = random();
+        expect(value).toBeGreaterThanOrEqual(0);
+        expect(value).toBeLessThan(1);
+      }
+    });
+  });
+
+  describe('toSeed()', () => {
+    test('should turn numbers into unsigned 32-bit integers', () => {
+      expect(SeededRandom.toSeed(7)).toBe(7);
+      expect(SeededRandom.toSeed(7.9)).toBe(7);
+      expect(SeededRandom.toSeed(-1)).toBe(4294967295);
+    });
+
+    test('should hash strings', () => {
+      expect(SeededRandom.toSeed('abc')).toBe(SeededRandom.toSeed('abc'));
+      expect(SeededRandom.toSeed('')).toBe(2166136261);
+    });
+
+    test('should reject other seeds', () => {
+      expect(() => SeededRandom.toSeed(NaN)).toThrow('Invalid seed "NaN"; expected a number or a string');
+      expect(() => SeededRandom.toSeed({})).toThrow('Invalid seed');
+    });
+  });
+
+  test('should draw new seeds from a random source', () => {
+    expect(SeededRandom.randomSeed(() => 0.5)).toBe(2147483648);
+    const seed = SeededRandom.randomSeed();
+    expect(Number.isInteger(seed)).toBe(true);
+    expect(seed).toBeGreaterThanOrEqual(0);
+  });
+
+  describe('with DeckGenerator', () => {
+    const cards = Array.from({ length: 20 }, (_, index) => index);
+
+    test('should shuffle the same way for the same seed', () => {
+      const generator = new DeckGenerator(null);
+      const first = generator.shuffle(cards, SeededRandom.create('deck'));
+      expect(generator.shuffle(cards, SeededRandom.create('deck'))).toEqual(first);
+      expect(first).not.toEqual(cards);
+      expect([...first].sort((a, b) => a - b)).toEqual(cards);
+    });
+
+    test('should use the generator\'s random source by default', () => {
+      const first = new DeckGenerator(null, { random: SeededRandom.create(3) }).shuffle(cards);
+      const second = new DeckGenerator(null, { random: SeededRandom.create(3) }).shuffle(cards);
+      expect(second).toEqual(first);
+    });
+  });
+});
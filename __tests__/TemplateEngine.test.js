@@ -0,0 +1,129 @@
+const TemplateEngine = require('../src/TemplateEngine');
+const ScryfallQueryBuilder = require('../src/ScryfallQueryBuilder');
+const data = require('../data');
+
+describe('TemplateEngine', () => {
+  let engine;
+
+  beforeEach(() => {
+    engine = new TemplateEngine();
+  });
+
+  describe('renderTemplate', () => {
+    test('should substitute variables and return a builder', () => {
+      const builder = engine.renderTemplate('aggressive_creatures', { maxManaValue: 3 });
+      expect(builder).toBeInstanceOf(ScryfallQueryBuilder);
+      expect(builder.build()).toBe('t:creature mv<=3 pow>=2');
+    });
+
+    test('should use defaults for omitted variables', () => {
+      expect(TemplateEngine.renderTemplate('aggressive_creatures').build()).toBe('t:creature mv<=2 pow>=2');
+      expect(engine.renderTemplate('budget_creatures', { maxPrice: 0.5 }).build()).toBe('t:creature usd<0.5 f:commander');
+    });
+
+    test('should render templates without variables unchanged', () => {
+      expect(engine.renderTemplate('mana_rocks').build())
+        .toBe('t:artifact o:"add" (o:"{W}" or o:"{U}" or o:"{B}" or o:"{R}" or o:"{G}" or o:"{C}")');
+    });
+
+    test('should apply case modifiers', () => {
+      for (const example of engine.getTemplate('tribal_creatures').examples) {
+        expect(engine.renderTemplate('tribal_creatures', { type: example.type }).build()).toBe(example.query);
+      }
+    });
+
+    test('should normalize colors and formats', () => {
+      expect(engine.renderTemplate('color_identity_commanders', { colors: 'BG' }).build())
+        .toBe('t:legendary t:creature id<=bg is:commander');
+      expect(engine.renderTemplate('format_staples', { format: 'Pauper' }).build()).toBe('f:pauper');
+    });
+
+    test('should substitute Tagger tags', () => {
+      expect(engine.renderTemplate('tagged_cards', { function: 'Ramp', format: 'modern' }).build()).toBe('otag:ramp f:modern');
+      expect(engine.renderTemplate('art_theme', { subject: 'skull' }).build()).toBe('atag:skull f:commander');
+    });
+
+    test('should render every template with its defaults', () => {
+      for (const template of engine.listTemplates()) {
+        expect(() => engine.renderTemplate(template.id)).not.toThrow();
+      }
+    });
+  });
+
+  describe('validation', () => {
+    test('should reject unknown templates and variables', () => {
+      expect(() => engine.renderTemplate('nope')).toThrow('Unknown template "nope"');
+      expect(() => engine.renderTemplate('aggressive_creatures', { minToughness: 2 }))
+        .toThrow('Template "aggressive_creatures" has no variable "minToughness"');
+    });
+
+    test('should reject values of the wrong type', () => {
+      expect(() => engine.renderTemplate('aggressive_creatures', { maxManaValue: '3' })).toThrow('must be an integer');
+      expect(() => engine.renderTemplate('aggressive_creatures', { maxManaValue: 2.5 })).toThrow('must be an integer');
+      expect(() => engine.renderTemplate('budget_creatures', { maxPrice: NaN })).toThrow('must be a number');
+      expect(() => engine.renderTemplate('color_identity_commanders', { colors: 'xyz' })).toThrow('color codes');
+      expect(() => engine.renderTemplate('format_staples', { format: 'nope' })).toThrow('format code');
+      expect(() => engine.renderTemplate('tagged_cards', { function: 'dragon' })).toThrow('must be an oracle tag');
+      expect(() => engine.renderTemplate('art_theme', { subject: 'removal' })).toThrow('must be an art tag');
+    });
+
+    test('should reject values out of range', () => {
+      expect(() => engine.renderTemplate('aggressive_creatures', { maxManaValue: -1 }))
+        .toThrow('Variable "maxManaValue" of template "aggressive_creatures" must be an integer between 0 and 16, got -1');
+      expect(() => engine.renderTemplate('budget_creatures', { maxPrice: -1 })).toThrow('of at least 0');
+    });
+
+    test('should reject strings that break the query', () => {
+      expect(() => engine.renderTemplate('tribal_creatures', { type: 'Elf" or "x' })).toThrow('without double quotes');
+      expect(() => engine.renderTemplate('tribal_creatures', { type: 'Elf)' })).toThrow('must match');
+    });
+
+    test('should return every declared variable from resolveVariables', () => {
+      expect(engine.resolveVariables('budget_creatures', { format: 'modern' })).toEqual({ maxPrice: 1, format: 'modern' });
+    });
+  });
+
+  describe('listing and searching', () => {
+    test('should list categories', () => {
+      const ids = engine.listCategories().map(category => category.id);
+      expect(ids).toEqual(Object.keys(data.getTemplateCategories()));
+      expect(engine.listCategories()[0]).toHaveProperty('name');
+    });
+
+    test('should list templates by category', () => {
+      expect(engine.listTemplates('lands')).toEqual(data.getTemplatesByCategory('lands'));
+      expect(engine.listTemplates()).toHaveLength(data.queryTemplates.templates.length);
+      expect(() => engine.listTemplates('nope')).toThrow('Unknown template category "nope"');
+    });
+
+    test('should search every word across fields', () => {
+      expect(engine.searchTemplates('commander').map(t => t.id)).toContain('partner_commanders');
+      expect(engine.searchTemplates('budget land').map(t => t.id)).toEqual(['budget_lands']);
+      expect(engine.searchTemplates('exile', 'budget').map(t => t.id)).toEqual(['budget_removal']);
+    });
+  });
+
+  describe('composeTemplates', () => {
+    test('should AND templates together with shared variables', () => {
+      const builder = engine.composeTemplates(['aggressive_creatures', 'format_staples'], { format: 'modern', maxManaValue: 1 });
+      expect(builder.build()).toBe('t:creature mv<=1 pow>=2 f:modern');
+    });
+
+    test('should keep OR templates grouped', () => {
+      expect(engine.composeTemplates(['enchantress_payoffs', 'format_staples']).build())
+        .toBe('(o:"whenever you cast an enchantment" or o:"whenever an enchantment enters") f:modern');
+    });
+
+    test('should OR a whole category', () => {
+      expect(engine.composeTemplates('lands', {}, { operator: 'or' }).build())
+        .toBe('(t:land produces>=2 -t:basic) or (t:land is:fetchland) or (t:land is:shockland)');
+    });
+
+    test('should reject variables no template declares', () => {
+      expect(() => engine.composeTemplates(['equipment', 'auras'], { format: 'modern' }))
+        .toThrow('None of the templates has a variable "format"');
+      expect(() => engine.composeTemplates(['equipment'], {}, { operator: 'xor' })).toThrow('Unknown operator');
+      expect(() => engine.composeTemplates([])).toThrow('No templates to compose');
+    });
+  });
+});
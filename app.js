@@ -351,11 +351,14 @@ class ScryfallQueryBuilder {
 let builder = new ScryfallQueryBuilder();
 const selectedKeywords = new Set();
 const selectedIsFilters = new Set();
+let queryTools = new QueryTools();
+let queryFormFiller = null;
 
 // ===== DOM Elements =====
 const elements = {
   form: null,
   queryDisplay: null,
+  queryExplanation: null,
   urlDisplay: null,
   errorDisplay: null,
   notification: null
@@ -371,6 +374,7 @@ function init() {
   // Cache DOM elements
   elements.form = document.getElementById('query-form');
   elements.queryDisplay = document.getElementById('query-display');
+  elements.queryExplanation = document.getElementById('query-explanation');
   elements.urlDisplay = document.getElementById('url-display');
   elements.errorDisplay = document.getElementById('error-display');
   elements.notification = document.getElementById('notification');
@@ -385,6 +389,21 @@ function init() {
 
   // Initial query update
   updateQuery();
+
+  // Load catalogs for query linting and explanations in the background
+  initQueryTools();
+}
+
+/**
+ * Load the query linter and explainer in the background
+ */
+function initQueryTools() {
+  QueryTools.load('data')
+    .then(tools => {
+      queryTools = tools;
+      updateQuery();
+    })
+    .catch(() => showNotification('Query linting and explanations unavailable', true));
 }
 
 /**
@@ -399,6 +418,38 @@ function setupFormListeners() {
 
   // Setup validation for specific fields
   setupValidation();
+
+  // Pasting a Scryfall URL into the raw query box fills in the form
+  const rawQueryInput = document.getElementById('raw-query');
+  if (rawQueryInput && typeof QueryFormFiller !== 'undefined') {
+    queryFormFiller = new QueryFormFiller({
+      colorInputs: '.color-input',
+      selectedKeywords,
+      selectedIsFilters,
+      reset: resetFormWithoutNotification
+    });
+    rawQueryInput.addEventListener('input', () => {
+      if (QueryParser.isUrl(rawQueryInput.value)) {
+        loadUrl(rawQueryInput.value);
+      }
+    });
+  }
+}
+
+/**
+ * Fill in the form from a scryfall.com or api.scryfall.com search URL.
+ * Conditions the form has no field for stay in the raw query box.
+ * @param {string} url - The pasted URL
+ */
+function loadUrl(url) {
+  try {
+    queryFormFiller.loadUrl(url);
+  } catch (error) {
+    showNotification(error.message, true);
+    return;
+  }
+  updateQuery();
+  showNotification('Query loaded from URL!');
 }
 
 /**
@@ -508,6 +559,13 @@ function validateSetCode(input) {
     return false;
   }
 
+  // Unknown set codes are only informational; the catalog doesn't list every set
+  const [diagnostic] = queryTools.validate(`s:${value}`);
+  if (diagnostic) {
+    showValidationError(errorEl, diagnostic.message);
+    return true;
+  }
+
   clearValidationError(errorEl);
   return true;
 }
@@ -868,10 +926,40 @@ function updateQuery() {
     elements.urlDisplay.textContent = query ? builder.toUrl() : '';
   }
 
+  if (elements.queryExplanation) {
+    elements.queryExplanation.textContent = queryTools.explain(query);
+  }
+
+  // Show lint diagnostics
+  showQueryDiagnostics(query);
+
   // Update button states
   updateButtonStates(query);
 }
 
+/**
+ * Show query linter diagnostics below the preview
+ * @param {string} query 
+ */
+function showQueryDiagnostics(query) {
+  if (!elements.errorDisplay) return;
+
+  const diagnostics = queryTools.validate(query);
+  elements.errorDisplay.textContent = '';
+  elements.errorDisplay.classList.toggle('show', diagnostics.length > 0);
+  if (diagnostics.length === 0) return;
+
+  const list = document.createElement('ul');
+  list.className = 'diagnostics-list';
+  for (const diagnostic of diagnostics) {
+    const item = document.createElement('li');
+    item.className = `diagnostic diagnostic-${diagnostic.severity}`;
+    item.textContent = QueryValidator.formatDiagnostic(diagnostic);
+    list.appendChild(item);
+  }
+  elements.errorDisplay.appendChild(list);
+}
+
 /**
  * Update button enabled/disabled states based on query
  * @param {string} query 
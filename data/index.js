@@ -17,6 +17,7 @@ const rarities = require('./rarities.json');
 const operators = require('./operators.json');
 const sets = require('./sets.json');
 const queryTemplates = require('./query-templates.json');
+const tags = require('./tags.json');
 
 /**
  * Color data including single colors, pairs, trios, and multicolor combinations
@@ -66,6 +67,12 @@ module.exports.sets = sets;
  */
 module.exports.queryTemplates = queryTemplates;
 
+/**
+ * Scryfall Tagger tags: oracle tags (otag:) for what cards do and art tags (atag:) for what their art shows
+ * @type {Object}
+ */
+module.exports.tags = tags;
+
 // Convenience exports for common use cases
 
 /**
@@ -245,3 +252,34 @@ module.exports.findKeyword = function(name) {
   
   return allKeywords.find(k => k.name.toLowerCase() === lowerName) || null;
 };
+
+/**
+ * Get all oracle tag names as an array
+ * @returns {string[]} Array of oracle tag names (e.g., 'removal', 'mana-rock')
+ */
+module.exports.getOracleTags = function() {
+  return tags.oracleTags.map(t => t.name);
+};
+
+/**
+ * Get all art tag names as an array
+ * @returns {string[]} Array of art tag names (e.g., 'dragon', 'skull')
+ */
+module.exports.getArtTags = function() {
+  return tags.artTags.map(t => t.name);
+};
+
+/**
+ * Complete a partly typed tag name
+ * @param {string} prefix - The start of a tag name (e.g., 'mana')
+ * @param {string} [kind='oracle'] - 'oracle' for otag: tags or 'art' for atag: tags
+ * @returns {string[]} Tag names starting with the prefix, then those containing it
+ */
+module.exports.completeTag = function(prefix, kind = 'oracle') {
+  const text = prefix.trim().toLowerCase().replace(/\s+/g, '-');
+  const names = kind === 'art' ? module.exports.getArtTags() : module.exports.getOracleTags();
+  return [
+    ...names.filter(name => name.startsWith(text)),
+    ...names.filter(name => !name.startsWith(text) && name.includes(text))
+  ];
+};
@@ -494,6 +494,9 @@ let selectedKeywords = new Set();
 let selectedIsFilters = new Set();
 let currentRandomQuery = '';
 let queryHistory = [];
+let compareIndex = null;
+let queryTools = new QueryTools();
+let queryFormFiller = null;
 
 // Load history from localStorage
 function loadHistory() {
@@ -558,6 +561,9 @@ async function init() {
     // Initial query update
     updateQuery();
     
+    // Load catalogs for query linting and explanations in the background
+    initQueryTools();
+    
     // Register service worker for PWA
     registerServiceWorker();
   } catch (error) {
@@ -566,6 +572,18 @@ async function init() {
   }
 }
 
+/**
+ * Load the query linter and explainer in the background
+ */
+function initQueryTools() {
+  QueryTools.load('../data')
+    .then(tools => {
+      queryTools = tools;
+      updateQuery();
+    })
+    .catch(() => showNotification('Query linting and explanations unavailable', true));
+}
+
 /**
  * Register service worker for PWA functionality
  */
@@ -852,7 +870,7 @@ function renderHistory() {
   
   queryHistory.forEach((item, index) => {
     const div = document.createElement('div');
-    div.className = 'query-item';
+    div.className = index === compareIndex ? 'query-item comparing' : 'query-item';
     
     const textDiv = document.createElement('div');
     textDiv.className = 'query-item-text';
@@ -877,6 +895,12 @@ function renderHistory() {
     copyBtn.textContent = '📋';
     copyBtn.addEventListener('click', () => copyToClipboard(item.query));
     
+    const compareBtn = document.createElement('button');
+    compareBtn.className = 'query-item-btn compare';
+    compareBtn.textContent = '⇄';
+    compareBtn.title = 'Compare with another query';
+    compareBtn.addEventListener('click', () => compareHistoryItem(index));
+    
     const deleteBtn = document.createElement('button');
     deleteBtn.className = 'query-item-btn delete';
     deleteBtn.textContent = '🗑️';
@@ -884,6 +908,9 @@ function renderHistory() {
     
     actionsDiv.appendChild(searchBtn);
     actionsDiv.appendChild(copyBtn);
+    if (typeof QueryDiff !== 'undefined') {
+      actionsDiv.appendChild(compareBtn);
+    }
     actionsDiv.appendChild(deleteBtn);
     
     div.appendChild(textDiv);
@@ -898,6 +925,7 @@ function renderHistory() {
  */
 function removeFromHistory(index) {
   queryHistory.splice(index, 1);
+  compareIndex = null;
   saveHistory();
   renderHistory();
   showNotification('Query removed from history');
@@ -909,12 +937,77 @@ function removeFromHistory(index) {
 function clearHistory() {
   if (confirm('Are you sure you want to clear all history?')) {
     queryHistory = [];
+    compareIndex = null;
     saveHistory();
     renderHistory();
+    renderQueryDiff(null, null);
     showNotification('History cleared');
   }
 }
 
+/**
+ * Pick a history entry to compare; the second pick shows the differences from the first
+ * @param {number} index - Index of the entry in the history
+ */
+function compareHistoryItem(index) {
+  if (compareIndex === null) {
+    compareIndex = index;
+    renderHistory();
+    showNotification('Choose another query to compare with');
+    return;
+  }
+  
+  // Picking the same entry again cancels the comparison
+  const first = compareIndex;
+  compareIndex = null;
+  renderHistory();
+  if (index !== first) {
+    renderQueryDiff(queryHistory[first].query, queryHistory[index].query);
+  }
+}
+
+/**
+ * Show how the conditions of one query differ from another's
+ * @param {string|null} before - The query compared from, or null to hide the comparison
+ * @param {string|null} after - The query compared to
+ */
+function renderQueryDiff(before, after) {
+  const card = document.getElementById('history-diff-card');
+  const container = document.getElementById('history-diff');
+  if (!card || !container) return;
+  
+  if (before === null) {
+    card.style.display = 'none';
+    container.innerHTML = '';
+    return;
+  }
+  
+  let diff;
+  try {
+    diff = QueryDiff.diff(before, after);
+  } catch (error) {
+    showNotification(`Cannot compare: ${error.message}`, true);
+    return;
+  }
+  
+  const inGroup = path => path.length
+    ? ` <span class="diff-path">in ${escapeHtml(path.join(' › ').toUpperCase())} group</span>`
+    : '';
+  const lines = [
+    ...diff.removed.map(item => `<li class="diff-removed">− ${escapeHtml(item.term)}${inGroup(item.path)}</li>`),
+    ...diff.added.map(item => `<li class="diff-added">+ ${escapeHtml(item.term)}${inGroup(item.path)}</li>`),
+    ...diff.changed.map(item =>
+      `<li class="diff-changed">~ ${escapeHtml(item.before)} → ${escapeHtml(item.after)}${inGroup(item.path)}</li>`
+    )
+  ];
+  
+  container.innerHTML = `
+    <div class="history-diff-queries">${escapeHtml(before)}<br>→ ${escapeHtml(after)}</div>
+    ${diff.equal ? '<p>These queries have the same conditions.</p>' : `<ul>${lines.join('')}</ul>`}
+  `;
+  card.style.display = '';
+}
+
 /**
  * Export history as JSON
  */
@@ -1059,12 +1152,44 @@ function setupEventListeners() {
   document.getElementById('reset-btn').addEventListener('click', resetForm);
   document.getElementById('save-query-btn').addEventListener('click', saveBuilderQuery);
   
+  // Pasting a Scryfall URL into the raw query box fills in the form
+  const rawQueryInput = document.getElementById('raw-query');
+  if (typeof QueryFormFiller !== 'undefined') {
+    queryFormFiller = new QueryFormFiller({
+      colorInputs: '.color-checkbox input',
+      selectedKeywords,
+      selectedIsFilters,
+      reset: clearForm
+    });
+    rawQueryInput.addEventListener('input', () => {
+      if (QueryParser.isUrl(rawQueryInput.value)) {
+        loadUrl(rawQueryInput.value);
+      }
+    });
+  }
+  
   // Collapsible sections
   document.querySelectorAll('.collapsible').forEach(elem => {
     elem.addEventListener('click', () => toggleCollapsible(elem));
   });
 }
 
+/**
+ * Fill in the form from a scryfall.com or api.scryfall.com search URL.
+ * Conditions the form has no field for stay in the raw query box.
+ * @param {string} url - The pasted URL
+ */
+function loadUrl(url) {
+  try {
+    queryFormFiller.loadUrl(url);
+  } catch (error) {
+    showNotification(error.message, true);
+    return;
+  }
+  updateQuery();
+  showNotification('Query loaded from URL!');
+}
+
 /**
  * Save the current builder query to history
  */
@@ -1251,6 +1376,22 @@ function updateQuery() {
   const query = builder.build();
   document.getElementById('query-display').textContent = query;
   document.getElementById('url-display').textContent = query ? builder.toUrl() : '';
+  document.getElementById('query-explanation').textContent = queryTools.explain(query);
+  renderQueryDiagnostics(query);
+}
+
+/**
+ * Show query linter diagnostics below the query preview
+ * @param {string} query - The built query
+ */
+function renderQueryDiagnostics(query) {
+  const list = document.getElementById('query-diagnostics');
+  if (!list) return;
+  
+  const diagnostics = queryTools.validate(query);
+  list.innerHTML = diagnostics.map(diagnostic => `
+    <li class="diagnostic-${diagnostic.severity}">${escapeHtml(QueryValidator.formatDiagnostic(diagnostic))}</li>
+  `).join('');
 }
 
 /**
@@ -1303,6 +1444,15 @@ async function copyUrl() {
  * Reset the form
  */
 function resetForm() {
+  clearForm();
+  updateQuery();
+  showNotification('Form reset!');
+}
+
+/**
+ * Clear every form field and selected tag
+ */
+function clearForm() {
   document.getElementById('query-form').reset();
   
   // Clear color checkboxes
@@ -1321,9 +1471,6 @@ function resetForm() {
   document.querySelectorAll('#is-filters-container .keyword-tag').forEach(tag => {
     tag.classList.remove('selected');
   });
-  
-  updateQuery();
-  showNotification('Form reset!');
 }
 
 /**
@@ -1595,6 +1742,17 @@ function performLocalSearch() {
     return;
   }
   
+  // A Scryfall query string takes precedence over the individual fields
+  const queryText = document.getElementById('local-search-query')?.value.trim() || '';
+  if (queryText) {
+    try {
+      displaySearchResults(searchIndex.query(queryText, { limit: 50 }));
+    } catch (error) {
+      showNotification(`Invalid query: ${error.message}`, true);
+    }
+    return;
+  }
+  
   const query = {
     text: document.getElementById('local-search-text')?.value || undefined,
     type: document.getElementById('local-search-type')?.value || undefined,
@@ -1663,6 +1821,7 @@ function displaySearchResults(results) {
  * Clear local search
  */
 function clearLocalSearch() {
+  document.getElementById('local-search-query').value = '';
   document.getElementById('local-search-text').value = '';
   document.getElementById('local-search-type').value = '';
   document.getElementById('local-search-format').value = '';
@@ -6,8 +6,11 @@
  * - Manage local storage of card data with versioning
  * - Implement refresh policies based on update timestamps
  * 
+ * In the browser, ../src/ScryfallClient.js must be loaded first.
+ *
  * @see https://scryfall.com/docs/api/bulk-data for API documentation
  */
+const BulkScryfallClient = typeof ScryfallClient === 'undefined' ? require('../src/ScryfallClient') : ScryfallClient;
 
 class BulkDataManager {
   constructor(options = {}) {
@@ -16,6 +19,7 @@ class BulkDataManager {
     this.metadataKey = options.metadataKey || 'scryfall_bulk_metadata';
     this.previousVersionKey = options.previousVersionKey || 'scryfall_bulk_previous';
     this.baseApiUrl = 'https://api.scryfall.com';
+    this.client = options.client || new BulkScryfallClient({ baseUrl: this.baseApiUrl });
     this.status = 'idle';
     this.onProgress = options.onProgress || (() => {});
   }
@@ -37,12 +41,7 @@ class BulkDataManager {
     this.onProgress({ status: this.status, message: 'Fetching bulk data list...' });
     
     try {
-      const response = await fetch(this.getBulkDataListUrl());
-      if (!response.ok) {
-        throw new Error(`Failed to fetch bulk data list: ${response.status} ${response.statusText}`);
-      }
-      
-      const data = await response.json();
+      const data = await this.client.get(this.getBulkDataListUrl());
       return data.data || [];
     } catch (error) {
       this.status = 'error';
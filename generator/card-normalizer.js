@@ -10,6 +10,9 @@
  * @see https://scryfall.com/docs/api/cards for card object documentation
  */
 
+// Node.js requires the symbol grammar; the browser loads ManaSymbols.js first
+const NormalizerManaSymbols = typeof ManaSymbols === 'undefined' ? require('../src/ManaSymbols') : ManaSymbols;
+
 class CardNormalizer {
   constructor(options = {}) {
     this.deduplicateByOracle = options.deduplicateByOracle !== false;
@@ -58,48 +61,15 @@ class CardNormalizer {
   /**
    * Parse mana cost into components
    * @param {string} manaCost - The mana cost string (e.g., "{2}{U}{U}")
-   * @returns {Object} Parsed mana cost info
+   * @returns {Object} Parsed mana cost info, including per-color pips and hybrid/Phyrexian symbols
    */
   parseManaCost(manaCost) {
     if (!manaCost) {
-      return { symbols: [], colors: [], generic: 0, colorless: 0 };
-    }
-
-    const symbols = [];
-    const colors = new Set();
-    let generic = 0;
-    let colorless = 0;
-
-    const symbolRegex = /\{([^}]+)\}/g;
-    let match;
-
-    while ((match = symbolRegex.exec(manaCost)) !== null) {
-      const symbol = match[1];
-      symbols.push(symbol);
-
-      if (/^\d+$/.test(symbol)) {
-        generic += parseInt(symbol, 10);
-      } else if (symbol === 'C') {
-        colorless += 1;
-      } else if (symbol === 'X' || symbol === 'Y' || symbol === 'Z') {
-        // Variable costs
-      } else if (['W', 'U', 'B', 'R', 'G'].includes(symbol)) {
-        colors.add(symbol.toLowerCase());
-      } else if (symbol.includes('/')) {
-        // Hybrid mana - add all colors
-        for (const c of ['W', 'U', 'B', 'R', 'G']) {
-          if (symbol.includes(c)) {
-            colors.add(c.toLowerCase());
-          }
-        }
-      }
+      return NormalizerManaSymbols.parse('');
     }
 
     return {
-      symbols,
-      colors: Array.from(colors),
-      generic,
-      colorless,
+      ...NormalizerManaSymbols.parse(manaCost),
       original: manaCost
     };
   }
@@ -10,6 +10,27 @@
  * @see https://scryfall.com/docs/syntax for query syntax reference
  */
 
+// Node.js requires the parser; the browser loads QueryNode.js and QueryParser.js first
+const SearchQueryParser = typeof QueryParser === 'undefined' ? require('../src/QueryParser') : QueryParser;
+const SearchManaSymbols = typeof ManaSymbols === 'undefined' ? require('../src/ManaSymbols') : ManaSymbols;
+
+// Short rarity codes accepted by r: searches
+const RARITY_CODES = { c: 'common', u: 'uncommon', r: 'rare', m: 'mythic' };
+
+// Color names accepted by c: and id: searches
+const COLOR_NAMES = {
+  white: 'w', blue: 'u', black: 'b', red: 'r', green: 'g', colorless: 'c'
+};
+
+// Numeric search keywords and the index fields they compare
+const NUMERIC_FIELDS = {
+  mv: 'manaValue',
+  pow: 'power',
+  tou: 'toughness',
+  loy: 'loyalty',
+  def: 'defense'
+};
+
 class CardSearchIndex {
   constructor(options = {}) {
     this.cards = new Map();
@@ -347,6 +368,299 @@ class CardSearchIndex {
     return results;
   }
 
+  /**
+   * Run a Scryfall query string against the index
+   * 
+   * Supports the same syntax as scryfall.com, including AND/OR/NOT and
+   * parenthesized groups, for the fields stored in the index.
+   * @param {string|Object} input - Query string (e.g., "t:creature c>=rg -o:flying") or a parsed query tree
+   * @param {Object} [options] - Sorting and pagination options
+   * @param {string} [options.sortBy] - Field to sort by
+   * @param {string} [options.sortOrder='asc'] - Sort order (asc/desc)
+   * @param {number} [options.limit] - Maximum number of results
+   * @param {number} [options.offset=0] - Number of results to skip
+   * @returns {Array} Matching cards
+   * @throws {Error} If the query is malformed or uses a keyword the index cannot evaluate
+   */
+  query(input, options = {}) {
+    const root = typeof input === 'string' ? SearchQueryParser.parse(input) : input;
+    const resultIds = root ? this.evaluate(root) : new Set(this.cards.keys());
+
+    let results = Array.from(resultIds).map(id => this.cards.get(id)).filter(Boolean);
+
+    if (options.sortBy) {
+      results = this.sortResults(results, options.sortBy, options.sortOrder || 'asc');
+    }
+
+    if (options.limit !== undefined) {
+      const offset = options.offset || 0;
+      results = results.slice(offset, offset + options.limit);
+    }
+
+    return results;
+  }
+
+  /**
+   * Evaluate a parsed query node
+   * @param {Object} node - Query tree node
+   * @returns {Set} Matching card IDs
+   */
+  evaluate(node) {
+    switch (node.type) {
+      case 'and': {
+        let resultIds = null;
+        for (const child of node.children) {
+          const childIds = this.evaluate(child);
+          resultIds = resultIds ? this.intersect(resultIds, childIds) : childIds;
+          if (resultIds.size === 0) break;
+        }
+        return resultIds || new Set(this.cards.keys());
+      }
+      case 'or':
+        return node.children.reduce((ids, child) => this.union(ids, this.evaluate(child)), new Set());
+      case 'not':
+        return this.difference(new Set(this.cards.keys()), this.evaluate(node.child));
+      case 'group':
+        return this.evaluate(node.child);
+      case 'term':
+        return this.evaluateTerm(node);
+      default:
+        throw new Error(`Cannot evaluate query node: ${node.type}`);
+    }
+  }
+
+  /**
+   * Evaluate a single query term
+   * @param {Object} term - Term node
+   * @returns {Set} Matching card IDs
+   */
+  evaluateTerm(term) {
+    const value = term.value.toLowerCase();
+    const operator = term.operator;
+
+    if (term.key === null) {
+      return term.exact
+        ? this.filterCards(card => (card.name || '').toLowerCase() === value)
+        : this.matchText(term, card => card.name);
+    }
+
+    const key = SearchQueryParser.resolveKey(term.key);
+
+    if (NUMERIC_FIELDS[key]) {
+      return this.searchNumeric(NUMERIC_FIELDS[key], value, operator === ':' ? '=' : operator);
+    }
+
+    switch (key) {
+      case 'name':
+        return this.matchText(term, card => card.name);
+      case 'o':
+      case 'fo':
+        return this.matchText(term, card => card.full_oracle_text || card.oracle_text);
+      case 'ft':
+        return this.matchText(term, card => card.flavor_text);
+      case 'a':
+        return this.matchText(term, card => card.artist);
+      case 't': {
+        if (term.regex) {
+          return this.matchText(term, card => card.type_line);
+        }
+        let resultIds = null;
+        for (const word of value.split(/\s+/)) {
+          const ids = this.union(
+            this.union(this.getFieldIds('type', word) || new Set(), this.getFieldIds('subtype', word) || new Set()),
+            this.getFieldIds('supertype', word) || new Set()
+          );
+          resultIds = resultIds ? this.intersect(resultIds, ids) : ids;
+        }
+        return resultIds;
+      }
+      case 'c':
+      case 'id': {
+        const colors = COLOR_NAMES[value] || value;
+        const field = key === 'id' ? 'colorIdentity' : 'color';
+        if (colors === 'm' || colors === 'multicolor') {
+          return this.filterCards(card => (key === 'id' ? card.color_identity : card.colors).length > 1);
+        }
+        // c: means "at least these colors" while id: means "fits in this identity"
+        const colorOperator = operator === ':' ? (key === 'id' ? '<=' : '>=') : operator;
+        return this.searchColors(colors, colorOperator, field);
+      }
+      case 'r':
+        return this.searchRarity(RARITY_CODES[value] || value, operator === ':' ? '=' : operator);
+      case 's':
+        return new Set(this.getFieldIds('set', value) || []);
+      case 'f':
+        return new Set(this.getFieldIds('format', value) || []);
+      case 'banned':
+      case 'restricted':
+        return this.filterCards(card => (card.legalities || {})[value] === key);
+      case 'keyword':
+        return new Set(this.getFieldIds('keyword', value) || []);
+      case 'border':
+        return this.filterCards(card => card.border_color === value);
+      case 'frame':
+        return this.filterCards(card => card.frame === value || (card.frame_effects || []).includes(value));
+      case 'lang':
+        return this.filterCards(card => card.lang === value);
+      case 'produces':
+        return this.filterCards(card => value.split('').every(c => (card.produced_mana || []).includes(c.toUpperCase())));
+      case 'm':
+        return this.filterCards(card => SearchManaSymbols.compare(this.manaCostOf(card), term.value, operator));
+      case 'devotion':
+        return this.searchDevotion(term.value, operator === ':' ? '>=' : operator);
+      case 'usd':
+      case 'eur':
+      case 'tix':
+        return this.searchPrice(key, value, operator === ':' ? '=' : operator);
+      case 'is':
+        return this.searchIs(value);
+      case 'not':
+        return this.difference(new Set(this.cards.keys()), this.searchIs(value));
+      default:
+        throw new Error(`Unsupported search keyword for local search: ${term.key}`);
+    }
+  }
+
+  /**
+   * Match a text field against a term's plain, quoted or regex value
+   * @param {Object} term - Term node
+   * @param {Function} getText - Returns the text to search for a card
+   * @returns {Set} Matching card IDs
+   */
+  matchText(term, getText) {
+    if (term.regex) {
+      const pattern = new RegExp(term.value, 'i');
+      return this.filterCards(card => pattern.test(getText(card) || ''));
+    }
+    // "~" stands for the card's own name
+    const value = term.value.toLowerCase();
+    return this.filterCards(card => {
+      const needle = value.replace(/~/g, (card.name || '').toLowerCase());
+      return (getText(card) || '').toLowerCase().includes(needle);
+    });
+  }
+
+  /**
+   * Search is: properties
+   * @param {string} property - The property (e.g., "commander", "permanent")
+   * @returns {Set} Matching card IDs
+   */
+  searchIs(property) {
+    const permanentTypes = ['artifact', 'battle', 'creature', 'enchantment', 'land', 'planeswalker'];
+
+    switch (property) {
+      case 'commander':
+        return this.filterCards(card =>
+          (card.parsed_types.supertypes.includes('legendary') && card.parsed_types.types.includes('creature')) ||
+          /can be your commander/i.test(card.oracle_text || '')
+        );
+      case 'permanent':
+        return this.filterCards(card => card.parsed_types.types.some(type => permanentTypes.includes(type)));
+      case 'spell':
+        return this.filterCards(card => card.parsed_types.types.length > 0 && !card.parsed_types.types.includes('land'));
+      case 'vanilla':
+        return this.filterCards(card => card.parsed_types.types.includes('creature') && !card.oracle_text);
+      case 'reprint':
+      case 'promo':
+      case 'digital':
+      case 'reserved':
+      case 'foil':
+      case 'nonfoil':
+      case 'booster':
+        return this.filterCards(card => card[property] === true);
+      case 'funny':
+        return this.filterCards(card => card.border_color === 'silver');
+      case 'hybrid':
+      case 'phyrexian':
+        return this.filterCards(card => SearchManaSymbols.parse(this.manaCostOf(card))[property].length > 0);
+      default:
+        throw new Error(`Unsupported search keyword for local search: is:${property}`);
+    }
+  }
+
+  /**
+   * Get a card's mana cost, joining the faces of multi-faced cards
+   * @param {Object} card - Normalized card
+   * @returns {string} Mana cost (e.g., "{2}{U}{U}")
+   */
+  manaCostOf(card) {
+    if (card.mana_cost) return card.mana_cost;
+    return (card.card_faces || []).map(face => face.mana_cost || '').join('');
+  }
+
+  /**
+   * Search devotion, written as repeated symbols (e.g., "{U/B}{U/B}{U/B}")
+   * @param {string} value - The devotion symbols
+   * @param {string} operator - The comparison operator
+   * @returns {Set} Matching card IDs
+   */
+  searchDevotion(value, operator) {
+    const symbols = SearchManaSymbols.tokenize(value).map(symbol => SearchManaSymbols.classify(symbol));
+    if (symbols.length === 0 || symbols.some(info => !info || info.colors.length === 0)) {
+      throw new Error(`Invalid devotion value: ${value}`);
+    }
+    const colors = symbols[0].colors;
+    return this.filterCards(card =>
+      this.compare(SearchManaSymbols.devotion(this.manaCostOf(card), colors), symbols.length, operator)
+    );
+  }
+
+  /**
+   * Search prices with operator support
+   * @param {string} currency - Currency code (usd, eur, tix)
+   * @param {string} value - Target price
+   * @param {string} operator - Comparison operator
+   * @returns {Set} Matching card IDs
+   */
+  searchPrice(currency, value, operator) {
+    const target = parseFloat(value);
+    return this.filterCards(card => {
+      const price = parseFloat((card.prices || {})[currency]);
+      return !isNaN(price) && this.compare(price, target, operator);
+    });
+  }
+
+  /**
+   * Collect the IDs of cards that satisfy a predicate
+   * @param {Function} predicate - Card predicate
+   * @returns {Set} Matching card IDs
+   */
+  filterCards(predicate) {
+    const resultIds = new Set();
+    for (const [cardId, card] of this.cards) {
+      if (predicate(card)) {
+        resultIds.add(cardId);
+      }
+    }
+    return resultIds;
+  }
+
+  /**
+   * Compare two numbers with a Scryfall comparison operator
+   * @param {number} a - Left-hand value
+   * @param {number} b - Right-hand value
+   * @param {string} operator - Comparison operator
+   * @returns {boolean}
+   */
+  compare(a, b, operator) {
+    switch (operator) {
+      case '=':
+        return a === b;
+      case '!=':
+        return a !== b;
+      case '<':
+        return a < b;
+      case '>':
+        return a > b;
+      case '<=':
+        return a <= b;
+      case '>=':
+        return a >= b;
+      default:
+        return false;
+    }
+  }
+
   /**
    * Search full text
    * @param {string} text - Search text
@@ -437,6 +751,9 @@ class CardSearchIndex {
         case '=':
           matches = this.setsEqual(cardColors, targetColors);
           break;
+        case '!=':
+          matches = !this.setsEqual(cardColors, targetColors);
+          break;
         case '<=':
           matches = this.isSubset(cardColors, targetColors);
           break;
@@ -460,59 +777,63 @@ class CardSearchIndex {
   }
 
   /**
-   * Search numeric values with operator support
-   * @param {string} field - Field name
-   * @param {number} value - Target value
+   * Search numeric fields with operator support
+   *
+   * The value may name another stat of the same card (pow>tou, pow>cmc).
+   * Like Scryfall, stats containing "*" compare as their fixed part, so
+   * "*" counts as 0, "1+*" and "*+1" as 1, while "pow=*" matches the literal value.
+   * @param {string} field - Field name (manaValue, power, toughness, loyalty, defense)
+   * @param {string|number} target - Target value, or another stat keyword
    * @param {string} operator - Comparison operator
    * @returns {Set} Matching card IDs
+   * @throws {Error} If the value is neither a number nor a stat keyword
    */
-  searchNumeric(field, value, operator) {
-    const resultIds = new Set();
-    const targetValue = parseFloat(value);
-
-    for (const [cardId, card] of this.cards) {
-      let cardValue;
-      switch (field) {
-        case 'manaValue':
-          cardValue = card.cmc;
-          break;
-        case 'power':
-          cardValue = parseFloat(card.power);
-          break;
-        case 'toughness':
-          cardValue = parseFloat(card.toughness);
-          break;
-        default:
-          continue;
-      }
-
-      if (isNaN(cardValue)) continue;
-
-      let matches = false;
-      switch (operator) {
-        case '=':
-          matches = cardValue === targetValue;
-          break;
-        case '<':
-          matches = cardValue < targetValue;
-          break;
-        case '>':
-          matches = cardValue > targetValue;
-          break;
-        case '<=':
-          matches = cardValue <= targetValue;
-          break;
-        case '>=':
-          matches = cardValue >= targetValue;
-          break;
+  searchNumeric(field, target, operator) {
+    // search() passes numbers straight through from the query object
+    const value = String(target);
+    const reference = NUMERIC_FIELDS[SearchQueryParser.resolveKey(value)];
+    const literal = value.includes('*') && (operator === '=' || operator === '!=');
+    const targetValue = this.statValue(value);
+    if (!reference && !literal && isNaN(targetValue)) {
+      throw new Error(`Unsupported stat value for local search: ${value}`);
+    }
+
+    return this.filterCards(card => {
+      if (literal) {
+        const cardText = this.statText(card, field);
+        return cardText !== null && (cardText.replace(/\s+/g, '') === value) === (operator === '=');
       }
+      const cardValue = this.statValue(this.statText(card, field));
+      const otherValue = reference ? this.statValue(this.statText(card, reference)) : targetValue;
+      return !isNaN(cardValue) && !isNaN(otherValue) && this.compare(cardValue, otherValue, operator);
+    });
+  }
 
-      if (matches) {
-        resultIds.add(cardId);
-      }
+  /**
+   * Get a card's stat as printed, falling back to its first face that has one
+   * @param {Object} card - Normalized card
+   * @param {string} field - Field name (manaValue, power, toughness, loyalty, defense)
+   * @returns {string|null} The stat (e.g., "3", "1+*"), or null if the card has none
+   */
+  statText(card, field) {
+    if (field === 'manaValue') {
+      return card.cmc === undefined || card.cmc === null ? null : String(card.cmc);
     }
+    const face = [card, ...(card.card_faces || [])].find(f => f[field] !== undefined && f[field] !== null);
+    return face ? String(face[field]).toLowerCase() : null;
+  }
 
-    return resultIds;
+  /**
+   * Turn a stat into a number, counting "*" as 0 ("1+*" and "*+1" are 1, "7-*" is 7)
+   * @param {string|null} text - The stat
+   * @returns {number} The number, or NaN for stats such as "X" or "*²"
+   */
+  statValue(text) {
+    if (text === null || text === undefined) return NaN;
+    const stat = text.replace(/\s+/g, '');
+    if (!/^[+-]?(\d+(\.\d+)?|\*)([+-](\d+(\.\d+)?|\*))*$/.test(stat)) return NaN;
+    return stat.match(/[+-]?(\d+(\.\d+)?|\*)/g)
+      .reduce((sum, part) => sum + (part.endsWith('*') ? 0 : parseFloat(part)), 0);
   }
 
   /**
@@ -535,26 +856,7 @@ class CardSearchIndex {
       const cardIndex = rarityOrder.indexOf(card.rarity);
       if (cardIndex === -1) continue;
 
-      let matches = false;
-      switch (operator) {
-        case '=':
-          matches = cardIndex === targetIndex;
-          break;
-        case '<':
-          matches = cardIndex < targetIndex;
-          break;
-        case '>':
-          matches = cardIndex > targetIndex;
-          break;
-        case '<=':
-          matches = cardIndex <= targetIndex;
-          break;
-        case '>=':
-          matches = cardIndex >= targetIndex;
-          break;
-      }
-
-      if (matches) {
+      if (this.compare(cardIndex, targetIndex, operator)) {
         resultIds.add(cardId);
       }
     }
@@ -615,6 +917,10 @@ class CardSearchIndex {
     return new Set([...setA, ...setB]);
   }
 
+  difference(setA, setB) {
+    return new Set([...setA].filter(x => !setB.has(x)));
+  }
+
   setsEqual(setA, setB) {
     if (setA.size !== setB.size) return false;
     for (const item of setA) {
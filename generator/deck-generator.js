@@ -15,6 +15,8 @@ class DeckGenerator {
     this.searchIndex = searchIndex;
     this.generatedDecks = [];
     this.onProgress = options.onProgress || (() => {});
+    // Random number source like Math.random; pass SeededRandom.create(seed) for repeatable decks
+    this.random = options.random || Math.random;
     
     // Default configurations for common formats
     this.formatConfigs = {
@@ -209,12 +211,13 @@ class DeckGenerator {
   /**
    * Shuffle array using Fisher-Yates
    * @param {Array} array - Array to shuffle
+   * @param {Function} [random] - Random number source like Math.random; defaults to the generator's
    * @returns {Array} Shuffled array
    */
-  shuffle(array) {
+  shuffle(array, random = this.random) {
     const result = [...array];
     for (let i = result.length - 1; i > 0; i--) {
-      const j = Math.floor(Math.random() * (i + 1));
+      const j = Math.floor(random() * (i + 1));
       [result[i], result[j]] = [result[j], result[i]];
     }
     return result;
@@ -251,7 +254,7 @@ class DeckGenerator {
 
     // Determine land count
     const targetLands = validatedConstraints.minLands + 
-      Math.floor(Math.random() * (validatedConstraints.maxLands - validatedConstraints.minLands + 1));
+      Math.floor(this.random() * (validatedConstraints.maxLands - validatedConstraints.minLands + 1));
     
     // Add lands
     const shuffledLands = this.shuffle(lands);
@@ -304,7 +307,7 @@ class DeckGenerator {
     } else if (constraints.maxCopies > 1) {
       // For non-singleton formats, randomly add 1-maxCopies
       copiesToAdd = Math.min(
-        Math.ceil(Math.random() * constraints.maxCopies),
+        Math.ceil(this.random() * constraints.maxCopies),
         constraints.maxCopies - currentCount
       );
     }
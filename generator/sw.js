@@ -3,7 +3,7 @@
  * Provides offline functionality and caching
  */
 
-const CACHE_NAME = 'scryfall-query-generator-v2';
+const CACHE_NAME = 'scryfall-query-generator-v13';
 const ASSETS_TO_CACHE = [
   './',
   './index.html',
@@ -13,6 +13,23 @@ const ASSETS_TO_CACHE = [
   './card-normalizer.js',
   './card-search-index.js',
   './deck-generator.js',
+  '../src/QueryNode.js',
+  '../src/QueryParser.js',
+  '../src/ManaSymbols.js',
+  '../src/QueryValidator.js',
+  '../src/QueryExplainer.js',
+  '../src/QueryTools.js',
+  '../src/QueryFormFiller.js',
+  '../src/QueryCanonicalizer.js',
+  '../src/QueryDiff.js',
+  '../src/ScryfallClient.js',
+  '../data/colors.json',
+  '../data/formats.json',
+  '../data/rarities.json',
+  '../data/types.json',
+  '../data/keywords.json',
+  '../data/sets.json',
+  '../data/tags.json',
   './config.json',
   './queries.json',
   './manifest.json'
@@ -12,20 +12,12 @@
 const fs = require('fs');
 const path = require('path');
 
-const SCRYFALL_API_BASE = 'https://api.scryfall.com';
-const DATA_DIR = path.join(__dirname, '..', 'data');
+const ScryfallClient = require('../src/ScryfallClient');
 
-// Rate limiting: Scryfall asks for 50-100ms between requests
-const DELAY_MS = 100;
+const DATA_DIR = path.join(__dirname, '..', 'data');
 
-/**
- * Sleep for a specified number of milliseconds
- * @param {number} ms - Milliseconds to sleep
- * @returns {Promise<void>}
- */
-function sleep(ms) {
-  return new Promise((resolve) => setTimeout(resolve, ms));
-}
+// Spaces requests 50-100ms apart and retries rate-limited or failed requests
+const client = new ScryfallClient();
 
 /**
  * Read and parse a JSON file with error handling
@@ -44,49 +36,13 @@ function readJsonFile(filePath) {
   }
 }
 
-/**
- * Fetch JSON from a URL with error handling
- * @param {string} url - URL to fetch
- * @returns {Promise<Object>} Parsed JSON response
- */
-async function fetchJson(url) {
-  const response = await fetch(url);
-  if (!response.ok) {
-    throw new Error(`HTTP ${response.status}: ${response.statusText} for ${url}`);
-  }
-  return response.json();
-}
-
-/**
- * Fetch all pages of a paginated Scryfall response
- * @param {string} url - Initial URL
- * @returns {Promise<Object[]>} Array of all data items
- */
-async function fetchAllPages(url) {
-  const allData = [];
-  let nextUrl = url;
-
-  while (nextUrl) {
-    const response = await fetchJson(nextUrl);
-    if (response.data) {
-      allData.push(...response.data);
-    }
-    nextUrl = response.has_more ? response.next_page : null;
-    if (nextUrl) {
-      await sleep(DELAY_MS);
-    }
-  }
-
-  return allData;
-}
-
 /**
  * Update sets.json with latest set data from Scryfall
  */
 async function updateSets() {
   console.log('Fetching sets from Scryfall...');
 
-  const sets = await fetchAllPages(`${SCRYFALL_API_BASE}/sets`);
+  const sets = await client.getAll('/sets');
 
   // Filter and sort sets
   const now = new Date();
@@ -127,12 +83,12 @@ async function updateTypes() {
   // Fetch all type catalogs
   const [creatureTypes, artifactTypes, enchantmentTypes, landTypes, planeswalkerTypes, spellTypes] =
     await Promise.all([
-      fetchJson(`${SCRYFALL_API_BASE}/catalog/creature-types`),
-      fetchJson(`${SCRYFALL_API_BASE}/catalog/artifact-types`),
-      fetchJson(`${SCRYFALL_API_BASE}/catalog/enchantment-types`),
-      fetchJson(`${SCRYFALL_API_BASE}/catalog/land-types`),
-      fetchJson(`${SCRYFALL_API_BASE}/catalog/planeswalker-types`),
-      fetchJson(`${SCRYFALL_API_BASE}/catalog/spell-types`),
+      client.get('/catalog/creature-types'),
+      client.get('/catalog/artifact-types'),
+      client.get('/catalog/enchantment-types'),
+      client.get('/catalog/land-types'),
+      client.get('/catalog/planeswalker-types'),
+      client.get('/catalog/spell-types'),
     ]);
 
   // Read existing types.json to preserve manual entries
@@ -167,9 +123,9 @@ async function updateKeywords() {
   console.log('Fetching keywords from Scryfall...');
 
   const [keywordAbilities, keywordActions, abilityWords] = await Promise.all([
-    fetchJson(`${SCRYFALL_API_BASE}/catalog/keyword-abilities`),
-    fetchJson(`${SCRYFALL_API_BASE}/catalog/keyword-actions`),
-    fetchJson(`${SCRYFALL_API_BASE}/catalog/ability-words`),
+    client.get('/catalog/keyword-abilities'),
+    client.get('/catalog/keyword-actions'),
+    client.get('/catalog/ability-words'),
   ]);
 
   // Read existing keywords.json to preserve descriptions
@@ -241,11 +197,7 @@ async function main() {
 
   try {
     await updateSets();
-    await sleep(DELAY_MS);
-
     await updateTypes();
-    await sleep(DELAY_MS);
-
     await updateKeywords();
 
     console.log('\nScryfall data update complete!');
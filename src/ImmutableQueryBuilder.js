@@ -0,0 +1,292 @@
+/**
+ * ImmutableQueryBuilder - A persistent ScryfallQueryBuilder
+ *
+ * Every chain call returns a new builder and leaves the one it was called on
+ * untouched, so a base query can be extended in several directions without
+ * calling clone() before each branch. A derived builder shares the conditions
+ * it didn't change with the builder it came from rather than copying them.
+ *
+ * @example
+ * const base = new ImmutableQueryBuilder().type('creature').format('modern');
+ * const red = base.color('r');             // 't:creature f:modern c=r'
+ * const cheap = base.manaValue(2, '<=');   // 't:creature f:modern mv<=2'
+ * base.build();                            // 't:creature f:modern'
+ * cheap.replace('manaValue', 3, '<=').without('format').build(); // 't:creature mv<=3'
+ *
+ * @see https://scryfall.com/docs/syntax for Scryfall search syntax documentation
+ */
+const ScryfallQueryBuilder = require('./ScryfallQueryBuilder');
+const QueryParser = require('./QueryParser');
+
+// Builder methods that read the query, or that this class redefines
+const KEPT_METHODS = [
+  'constructor', 'build', 'analyze', 'simplify', 'explain', 'toUrl', 'toApiUrl',
+  'toJSON', 'getDisplayOptions', 'clone', 'reset'
+];
+
+// Search keyword written by each built-in method that adds one kind of term.
+// Registered filters know their own keyword.
+const METHOD_KEYS = {
+  name: 'name',
+  oracleText: 'o',
+  type: 't',
+  color: 'c',
+  colorIdentity: 'id',
+  manaCost: 'm',
+  devotion: 'devotion',
+  manaValue: 'mv',
+  power: 'pow',
+  toughness: 'tou',
+  loyalty: 'loy',
+  defense: 'def',
+  rarity: 'r',
+  set: 's',
+  year: 'year',
+  date: 'date',
+  isNew: 'new',
+  collectorNumber: 'cn',
+  artist: 'a',
+  flavorText: 'ft',
+  unique: 'unique',
+  order: 'order',
+  direction: 'dir',
+  prefer: 'prefer',
+  includeExtras: 'include',
+  view: 'as'
+};
+
+// Keys kept as display options rather than conditions
+const DISPLAY_KEYS = [...Object.keys(QueryParser.DISPLAY_OPTIONS), 'as'];
+
+class ImmutableQueryBuilder extends ScryfallQueryBuilder {
+  /**
+   * @param {Object[]} [nodes] - Top-level conditions, shared rather than copied
+   * @param {Object} [display] - Display options
+   */
+  constructor(nodes = [], display = {}) {
+    super();
+    this.nodes = Object.freeze([...nodes]);
+    this.display = Object.freeze({ ...display });
+  }
+
+  /**
+   * Create an immutable builder with the conditions of another builder
+   * @param {ScryfallQueryBuilder} builder - Any builder
+   * @returns {ImmutableQueryBuilder}
+   */
+  static from(builder) {
+    if (builder instanceof ImmutableQueryBuilder) return builder;
+    return new ImmutableQueryBuilder(builder.nodes, builder.display);
+  }
+
+  /**
+   * Create an immutable builder from a Scryfall query string
+   * @param {string} query - The query string
+   * @returns {ImmutableQueryBuilder}
+   * @throws {QuerySyntaxError} If the query is malformed
+   */
+  static parse(query) {
+    return ImmutableQueryBuilder.from(ScryfallQueryBuilder.parse(query));
+  }
+
+  /**
+   * Alias for {@link ImmutableQueryBuilder.parse}
+   * @param {string} query - The query string
+   * @returns {ImmutableQueryBuilder}
+   */
+  static fromString(query) {
+    return ImmutableQueryBuilder.parse(query);
+  }
+
+  /**
+   * Create an immutable builder from a scryfall.com or api.scryfall.com search URL
+   * @param {string} url - The URL
+   * @returns {ImmutableQueryBuilder}
+   * @throws {Error} If the URL is not a Scryfall search or has invalid parameters
+   */
+  static fromUrl(url) {
+    return ImmutableQueryBuilder.from(ScryfallQueryBuilder.fromUrl(url));
+  }
+
+  /**
+   * Create an immutable builder from an expression tree
+   * @param {Object|string} json - The tree, or its JSON string
+   * @returns {ImmutableQueryBuilder}
+   */
+  static fromJSON(json) {
+    return ImmutableQueryBuilder.from(ScryfallQueryBuilder.fromJSON(json));
+  }
+
+  /**
+   * Apply changes to a mutable copy of this builder and return the result
+   * @param {Function} change - Receives a ScryfallQueryBuilder with this builder's conditions
+   * @returns {ImmutableQueryBuilder} A new builder
+   */
+  _derive(change) {
+    const draft = this.toMutable();
+    change(draft);
+    return new ImmutableQueryBuilder(draft.nodes, draft.display);
+  }
+
+  /**
+   * Add a term for a registered filter; covers filters registered after this module loaded
+   * @param {Object} filter - Filter definition
+   * @param {*} value - The value
+   * @param {string} operator - Comparison operator
+   * @returns {ImmutableQueryBuilder} A new builder
+   */
+  _addFilter(filter, value, operator) {
+    return this._derive(draft => draft._addFilter(filter, value, operator));
+  }
+
+  /**
+   * Add conditions to the query
+   * @param {...(string|ScryfallQueryBuilder|Function)} additions - Query strings, builders
+   *   (whose display options take precedence) or callbacks that receive a mutable builder to add to
+   * @returns {ImmutableQueryBuilder} A new builder
+   * @throws {Error} If an addition is none of these
+   *
+   * @example
+   * base.with('kw:flying', b => b.power(3, '>=')).build();
+   */
+  with(...additions) {
+    return this._derive(draft => {
+      for (const addition of additions) {
+        if (typeof addition === 'string') {
+          draft.raw(addition);
+        } else if (typeof addition === 'function') {
+          addition(draft);
+        } else if (addition instanceof ScryfallQueryBuilder) {
+          draft.nodes.push(...addition.nodes);
+          Object.assign(draft.display, addition.display);
+        } else {
+          throw new Error(`Cannot add ${addition} to a query; expected a query string, a builder or a function`);
+        }
+      }
+    });
+  }
+
+  /**
+   * Remove every top-level condition on a filter, negated or not, or clear a display option
+   *
+   * Conditions inside OR, AND and negated groups are left alone.
+   * @param {...string} filterKeys - Builder method names (e.g., "manaValue"), search keywords
+   *   or their aliases (e.g., "mv", "cmc") or display options (e.g., "order")
+   * @returns {ImmutableQueryBuilder} A new builder
+   * @throws {Error} If a filter key is not recognized
+   */
+  without(...filterKeys) {
+    const keys = filterKeys.map(filterKey => ImmutableQueryBuilder._resolveFilter(filterKey).key);
+    return this._derive(draft => {
+      draft.nodes = draft.nodes.filter(node => !keys.includes(ImmutableQueryBuilder._nodeKey(node)));
+      keys.forEach(key => delete draft.display[key]);
+    });
+  }
+
+  /**
+   * Replace the top-level conditions on a filter with a new one, in the place of the first
+   * @param {string} filterKey - Builder method name, search keyword or display option
+   * @param {...*} args - Arguments for the builder method that writes the filter
+   *   (e.g., replace('manaValue', 3, '<=') or replace('mv', 3, '<='))
+   * @returns {ImmutableQueryBuilder} A new builder
+   * @throws {Error} If the filter key is not recognized, no builder method writes it,
+   *   or the method rejects the arguments
+   */
+  replace(filterKey, ...args) {
+    const { key, method } = ImmutableQueryBuilder._resolveFilter(filterKey);
+    if (!method) {
+      throw new Error(`No builder method writes "${key}" conditions; use with() to add them`);
+    }
+    return this._derive(draft => {
+      const index = draft.nodes.findIndex(node => ImmutableQueryBuilder._nodeKey(node) === key);
+      const kept = draft.nodes.filter(node => ImmutableQueryBuilder._nodeKey(node) !== key);
+      draft.nodes = [];
+      draft[method](...args);
+      const position = index === -1 ? kept.length : index;
+      draft.nodes = [...kept.slice(0, position), ...draft.nodes, ...kept.slice(position)];
+    });
+  }
+
+  /**
+   * Find the keyword and builder method a filter key stands for
+   * @param {string} filterKey - Builder method name, search keyword or alias, or display option
+   * @returns {Object} { key, method }, where method is null if no builder method writes the keyword
+   * @throws {Error} If the filter key is not recognized
+   */
+  static _resolveFilter(filterKey) {
+    if (Object.prototype.hasOwnProperty.call(METHOD_KEYS, filterKey)) {
+      return { key: METHOD_KEYS[filterKey], method: filterKey };
+    }
+    const filter = ScryfallQueryBuilder.getFilter(filterKey);
+    if (filter) {
+      return { key: filter.key, method: filterKey };
+    }
+
+    const key = QueryParser.resolveKey(String(filterKey)) || (filterKey === 'as' ? 'as' : null);
+    if (!key) {
+      throw new Error(`Unknown filter "${filterKey}"`);
+    }
+    const method = Object.keys(METHOD_KEYS).find(name => METHOD_KEYS[name] === key) ||
+      ScryfallQueryBuilder.getFilters().find(name => ScryfallQueryBuilder.getFilter(name).key === key) ||
+      null;
+    return { key, method };
+  }
+
+  /**
+   * Get the keyword a top-level condition is on
+   * @param {Object} node - Top-level node
+   * @returns {string|null} Short keyword ("name" for bare words), or null for groups and exact names
+   */
+  static _nodeKey(node) {
+    const term = node.type === 'not' ? node.child : node;
+    if (term.type !== 'term' || term.exact) return null;
+    return term.key === null ? 'name' : QueryParser.resolveKey(term.key) || term.key;
+  }
+
+  /**
+   * Create an equivalent query without repeated or implied terms
+   * @returns {ImmutableQueryBuilder} A new builder
+   * @throws {Error} If the query can never match any card
+   */
+  simplify() {
+    return ImmutableQueryBuilder.from(super.simplify());
+  }
+
+  /**
+   * Get an empty builder
+   * @returns {ImmutableQueryBuilder}
+   */
+  reset() {
+    return new ImmutableQueryBuilder();
+  }
+
+  /**
+   * An immutable builder can be shared as it is
+   * @returns {ImmutableQueryBuilder} This builder
+   */
+  clone() {
+    return this;
+  }
+
+  /**
+   * Get a mutable builder with the same conditions
+   * @returns {ScryfallQueryBuilder}
+   */
+  toMutable() {
+    const builder = new ScryfallQueryBuilder();
+    builder.nodes = [...this.nodes];
+    builder.display = { ...this.display };
+    return builder;
+  }
+}
+
+// Every other public builder method returns a new builder instead of changing this one
+for (const name of Object.getOwnPropertyNames(ScryfallQueryBuilder.prototype)) {
+  const { value } = Object.getOwnPropertyDescriptor(ScryfallQueryBuilder.prototype, name);
+  if (typeof value !== 'function' || name.startsWith('_') || KEPT_METHODS.includes(name)) continue;
+  ImmutableQueryBuilder.prototype[name] = function(...args) {
+    return this._derive(draft => value.apply(draft, args));
+  };
+}
+
+module.exports = ImmutableQueryBuilder;
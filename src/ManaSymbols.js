@@ -0,0 +1,308 @@
+/**
+ * ManaSymbols - The mana symbol grammar shared by the query builder and the card normalizer
+ *
+ * Understands every symbol that appears in mana costs:
+ * - generic: {0}, {2}, {15}
+ * - variable: {X}, {Y}, {Z}
+ * - colored: {W}, {U}, {B}, {R}, {G}
+ * - colorless: {C}; snow: {S}
+ * - hybrid: {W/U}, {2/W}, {C/W}
+ * - Phyrexian: {G/P}, {G/U/P}
+ *
+ * Symbols are written canonically in uppercase with hybrid colors in the
+ * printed order ({W/U} rather than {U/W}).
+ *
+ * Works in Node.js and in the browser.
+ *
+ * @see https://scryfall.com/docs/api/card-symbols for the full symbol list
+ */
+
+const MANA_COLORS = ['W', 'U', 'B', 'R', 'G'];
+
+// Two-color pairs in the order they are printed on hybrid symbols
+const HYBRID_PAIRS = ['W/U', 'U/B', 'B/R', 'R/G', 'G/W', 'W/B', 'U/R', 'B/G', 'R/W', 'G/U'];
+
+// Order of symbol kinds in a canonical mana cost, e.g. {X}{2}{C}{U}{U}{W/U}{G/P}
+const COST_ORDER = ['variable', 'generic', 'snow', 'colorless', 'colored', 'hybrid', 'phyrexian'];
+
+class ManaSymbols {
+  /**
+   * Split a mana cost into the symbols between braces
+   * @param {string} cost - Mana cost such as "{2}{U}{U}"
+   * @returns {string[]} Symbols without braces, as written (e.g., ['2', 'U', 'U'])
+   */
+  static tokenize(cost) {
+    const symbols = [];
+    const symbolRegex = /\{([^}]+)\}/g;
+    let match;
+    while ((match = symbolRegex.exec(cost || '')) !== null) {
+      symbols.push(match[1]);
+    }
+    return symbols;
+  }
+
+  /**
+   * Describe a single symbol
+   * @param {string} symbol - Symbol without braces (e.g., "W/U", "2", "g/p")
+   * @returns {Object|null} { symbol, kind, colors, generic }, where symbol is the canonical form,
+   *   or null if the symbol is not a mana symbol
+   */
+  static classify(symbol) {
+    const text = String(symbol).trim().toUpperCase();
+
+    if (/^\d+$/.test(text)) {
+      return { symbol: String(parseInt(text, 10)), kind: 'generic', colors: [], generic: parseInt(text, 10) };
+    }
+    if (['X', 'Y', 'Z'].includes(text)) {
+      return { symbol: text, kind: 'variable', colors: [], generic: 0 };
+    }
+    if (MANA_COLORS.includes(text)) {
+      return { symbol: text, kind: 'colored', colors: [text], generic: 0 };
+    }
+    if (text === 'C') {
+      return { symbol: text, kind: 'colorless', colors: [], generic: 0 };
+    }
+    if (text === 'S') {
+      return { symbol: text, kind: 'snow', colors: [], generic: 0 };
+    }
+
+    const parts = text.split('/');
+    const phyrexian = parts.length > 1 && parts[parts.length - 1] === 'P';
+    const halves = phyrexian ? parts.slice(0, -1) : parts;
+
+    if (halves.length === 1 && phyrexian && MANA_COLORS.includes(halves[0])) {
+      return { symbol: `${halves[0]}/P`, kind: 'phyrexian', colors: [halves[0]], generic: 0 };
+    }
+    if (halves.length === 2) {
+      const pair = ManaSymbols._hybridPair(halves[0], halves[1]);
+      if (pair && (!phyrexian || pair.colors.length === 2)) {
+        return {
+          symbol: phyrexian ? `${pair.symbol}/P` : pair.symbol,
+          kind: phyrexian ? 'phyrexian' : 'hybrid',
+          colors: pair.colors,
+          generic: 0
+        };
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Canonicalize the two halves of a hybrid symbol
+   * @param {string} a - First half
+   * @param {string} b - Second half
+   * @returns {Object|null} { symbol, colors }, or null if the halves don't form a hybrid symbol
+   */
+  static _hybridPair(a, b) {
+    if (MANA_COLORS.includes(a) && MANA_COLORS.includes(b) && a !== b) {
+      const symbol = HYBRID_PAIRS.includes(`${a}/${b}`) ? `${a}/${b}` : `${b}/${a}`;
+      return { symbol, colors: symbol.split('/') };
+    }
+    // Monocolored hybrid ({2/W}) and colorless hybrid ({C/W}) put the color last
+    const other = MANA_COLORS.includes(b) ? a : b;
+    const color = MANA_COLORS.includes(b) ? b : a;
+    if (MANA_COLORS.includes(color) && (other === '2' || other === 'C')) {
+      return { symbol: `${other}/${color}`, colors: [color] };
+    }
+    return null;
+  }
+
+  /**
+   * Canonicalize a symbol
+   * @param {string} symbol - Symbol with or without braces (e.g., "u/w", "{g/p}")
+   * @returns {string} Canonical symbol without braces (e.g., "W/U", "G/P")
+   * @throws {Error} If the symbol is not a mana symbol
+   */
+  static normalizeSymbol(symbol) {
+    const info = ManaSymbols.classify(String(symbol).replace(/^\{|\}$/g, ''));
+    if (!info) {
+      throw new Error(`Unknown mana symbol "${symbol}"`);
+    }
+    return info.symbol;
+  }
+
+  /**
+   * Parse a mana cost into its components
+   * @param {string} cost - The mana cost string (e.g., "{2}{U}{U}")
+   * @returns {Object} { symbols, colors, generic, colorless, pips, hybrid, phyrexian, variable };
+   *   `colors` lists lowercase colors in order of appearance and `pips` counts the colored
+   *   symbols that count toward each color's devotion
+   */
+  static parse(cost) {
+    const symbols = ManaSymbols.tokenize(cost);
+    const colors = new Set();
+    const pips = { W: 0, U: 0, B: 0, R: 0, G: 0 };
+    const hybrid = [];
+    const phyrexian = [];
+    const variable = [];
+    let generic = 0;
+    let colorless = 0;
+
+    for (const symbol of symbols) {
+      const info = ManaSymbols.classify(symbol);
+      if (!info) continue;
+
+      generic += info.generic;
+      if (info.kind === 'colorless') colorless += 1;
+      if (info.kind === 'variable') variable.push(info.symbol);
+      if (info.kind === 'hybrid') hybrid.push(info.symbol);
+      if (info.kind === 'phyrexian') phyrexian.push(info.symbol);
+      for (const color of info.colors) {
+        colors.add(color.toLowerCase());
+        pips[color] += 1;
+      }
+    }
+
+    return { symbols, colors: Array.from(colors), generic, colorless, pips, hybrid, phyrexian, variable };
+  }
+
+  /**
+   * Count the symbols in a cost that contribute devotion to any of the given colors
+   * @param {string} cost - The mana cost string
+   * @param {string[]} colors - Uppercase colors (e.g., ['U', 'B'])
+   * @returns {number}
+   */
+  static devotion(cost, colors) {
+    return ManaSymbols.tokenize(cost)
+      .map(symbol => ManaSymbols.classify(symbol))
+      .filter(info => info && info.colors.some(color => colors.includes(color)))
+      .length;
+  }
+
+  /**
+   * Count each canonical symbol in a cost, with generic mana as a number of {1}s
+   * @param {string} cost - The mana cost string
+   * @returns {Object} Map from symbol to count (e.g., { 1: 2, U: 2 })
+   */
+  static counts(cost) {
+    const counts = {};
+    for (const symbol of ManaSymbols.tokenize(cost)) {
+      const info = ManaSymbols.classify(symbol);
+      if (!info) continue;
+      const key = info.kind === 'generic' ? '1' : info.symbol;
+      counts[key] = (counts[key] || 0) + (info.kind === 'generic' ? info.generic : 1);
+    }
+    return counts;
+  }
+
+  /**
+   * Compare two mana costs the way Scryfall's m: filter does, symbol by symbol
+   * @param {string} cost - The card's mana cost
+   * @param {string} target - The cost being searched for
+   * @param {string} operator - ":" or ">=" (contains), "=", "!=", "<", "<=", ">"
+   * @returns {boolean}
+   */
+  static compare(cost, target, operator) {
+    const have = ManaSymbols.counts(cost);
+    const want = ManaSymbols.counts(target);
+    const keys = new Set([...Object.keys(have), ...Object.keys(want)]);
+    const covers = (a, b) => [...keys].every(key => (a[key] || 0) >= (b[key] || 0));
+    const equal = covers(have, want) && covers(want, have);
+
+    switch (operator) {
+      case '=':
+        return equal;
+      case '!=':
+        return !equal;
+      case '<':
+        return covers(want, have) && !equal;
+      case '<=':
+        return covers(want, have);
+      case '>':
+        return covers(have, want) && !equal;
+      default:
+        return covers(have, want);
+    }
+  }
+
+  /**
+   * Write a canonical mana cost
+   * @param {string|Object} cost - A cost string ("{2}{u}{u}", "2UU") or a structure such as
+   *   { generic: 2, U: 2, hybrid: ['W/U'], phyrexian: ['G'] } with counts for X, C, S and each color
+   * @returns {string} Canonical cost, e.g. "{2}{U}{U}{W/U}{G/P}"
+   * @throws {Error} If a symbol, count or key is invalid
+   */
+  static format(cost) {
+    const symbols = typeof cost === 'string'
+      ? ManaSymbols._symbolsFromString(cost)
+      : ManaSymbols._symbolsFromObject(cost || {});
+    return symbols.map(symbol => `{${symbol}}`).join('');
+  }
+
+  /**
+   * Read the symbols of a cost string, accepting shorthand such as "2UU"
+   * @param {string} cost - Cost string
+   * @returns {string[]} Canonical symbols in the order written
+   * @throws {Error} If the string contains something other than mana symbols
+   */
+  static _symbolsFromString(cost) {
+    const text = cost.replace(/\s+/g, '');
+    const pieces = text.match(/\{[^}]*\}|\d+|[A-Za-z]/g) || [];
+    if (pieces.join('') !== text) {
+      throw new Error(`Invalid mana cost "${cost}"`);
+    }
+    return pieces.map(piece => ManaSymbols.normalizeSymbol(piece));
+  }
+
+  /**
+   * Turn a structured cost into canonical symbols
+   * @param {Object} spec - Structured cost
+   * @returns {string[]} Canonical symbols in canonical order
+   * @throws {Error} If a key or count is invalid
+   */
+  static _symbolsFromObject(spec) {
+    const byKind = {};
+    const add = info => {
+      byKind[info.kind] = byKind[info.kind] || [];
+      byKind[info.kind].push(info.symbol);
+    };
+    const count = (key, value) => {
+      if (!Number.isInteger(value) || value < 0) {
+        throw new Error(`Invalid count for "${key}" in mana cost: ${JSON.stringify(value)}`);
+      }
+      return value;
+    };
+
+    for (const [key, value] of Object.entries(spec)) {
+      if (key === 'generic') {
+        if (count(key, value) > 0 || Object.keys(spec).length === 1) {
+          add(ManaSymbols.classify(String(value)));
+        }
+      } else if (key === 'hybrid' || key === 'phyrexian') {
+        if (!Array.isArray(value)) {
+          throw new Error(`"${key}" in mana cost must be an array of symbols`);
+        }
+        for (const symbol of value) {
+          const text = String(symbol).toUpperCase().replace(/^\{|\}$/g, '');
+          const info = ManaSymbols.classify(key === 'phyrexian' && !/\/P$/.test(text) ? `${text}/P` : text);
+          if (!info || info.kind !== key) {
+            throw new Error(`Invalid ${key} mana symbol "${symbol}"`);
+          }
+          add(info);
+        }
+      } else {
+        const info = ManaSymbols.classify(key);
+        if (!info || !['variable', 'colored', 'colorless', 'snow'].includes(info.kind)) {
+          throw new Error(`Unknown mana cost key "${key}"; expected generic, hybrid, phyrexian, X, Y, Z, C, S or a color`);
+        }
+        for (let i = 0; i < count(key, value); i++) {
+          add(info);
+        }
+      }
+    }
+
+    const colorOrder = symbol => MANA_COLORS.indexOf(symbol);
+    if (byKind.colored) {
+      byKind.colored.sort((a, b) => colorOrder(a) - colorOrder(b));
+    }
+    return COST_ORDER.flatMap(kind => byKind[kind] || []);
+  }
+}
+
+ManaSymbols.COLORS = MANA_COLORS;
+ManaSymbols.HYBRID_PAIRS = HYBRID_PAIRS;
+
+// Export for use in browser and Node.js
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = ManaSymbols;
+}
@@ -0,0 +1,462 @@
+/**
+ * NaturalLanguageParser - Translates plain-English searches into Scryfall queries
+ *
+ * A rule-based translator that needs no network access or language model:
+ * "cheap red creatures with haste legal in modern" becomes
+ * `t:creature c=r keyword:haste f:modern mv<=2`.
+ *
+ * It recognizes color words and guild/shard names, card types, keyword
+ * abilities, formats, rarities and set names from `data/`, quoted rules text,
+ * and comparisons such as "under 3 mana", "at least 4 power", "2 toughness or
+ * less" and "cheaper than $5". "without", "no", "not" and "non-" negate the
+ * phrase after them ("non-legendary creatures without flying"), and "or" joins
+ * phrases of the same kind into a group ("green or white enchantments").
+ * Words it can't interpret are reported back instead of being guessed at.
+ */
+const ScryfallQueryBuilder = require('./ScryfallQueryBuilder');
+
+const NUMBER_WORDS = {
+  zero: 0, one: 1, two: 2, three: 3, four: 4, five: 5, six: 6, seven: 7, eight: 8, nine: 9, ten: 10
+};
+
+// Comparison phrases written before a number ("under 3 mana")
+const PREFIX_COMPARISONS = [
+  ['less than', '<'], ['fewer than', '<'], ['lower than', '<'], ['cheaper than', '<'], ['under', '<'], ['below', '<'],
+  ['no more than', '<='], ['at most', '<='], ['up to', '<='],
+  ['more than', '>'], ['greater than', '>'], ['higher than', '>'], ['over', '>'], ['above', '>'],
+  ['no less than', '>='], ['at least', '>='],
+  ['exactly', '=']
+].map(([phrase, operator]) => ({ words: phrase.split(' '), operator }));
+
+// Comparison phrases written after a number ("3 mana or less")
+const SUFFIX_COMPARISONS = [
+  ['or less', '<='], ['or fewer', '<='], ['or lower', '<='], ['or cheaper', '<='],
+  ['or more', '>='], ['or greater', '>='], ['or higher', '>=']
+].map(([phrase, operator]) => ({ words: phrase.split(' '), operator }));
+
+// What a number measures
+const UNITS = [
+  ['mana value', 'mv'], ['mana', 'mv'], ['mv', 'mv'], ['cmc', 'mv'],
+  ['power', 'pow'], ['toughness', 'tou'],
+  ['dollars', 'usd'], ['dollar', 'usd'], ['bucks', 'usd'], ['euros', 'eur'], ['euro', 'eur'], ['tix', 'tix']
+].map(([phrase, field]) => ({ words: phrase.split(' '), field }));
+
+// Single words that imply a whole filter
+const SHORTHANDS = {
+  cheap: { kind: 'stat', apply: builder => builder.manaValue(2, '<=') },
+  spells: { kind: 'is', apply: builder => builder.is('spell') },
+  permanents: { kind: 'is', apply: builder => builder.is('permanent') },
+  reprints: { kind: 'is', apply: builder => builder.is('reprint') },
+  multicolor: { kind: 'color', apply: builder => builder.color('m', ':') },
+  multicolored: { kind: 'color', apply: builder => builder.color('m', ':') },
+  gold: { kind: 'color', apply: builder => builder.color('m', ':') }
+};
+
+// Words that negate the phrase after them
+const NEGATIONS = new Set(['without', 'no', 'not', 'non']);
+
+// Words that carry no meaning on their own
+const STOPWORDS = new Set([
+  'a', 'an', 'the', 'and', 'with', 'that', 'which', 'who', 'are', 'is', 'have', 'has',
+  'cards', 'card', 'of', 'for', 'in', 'from', 'to', 'show', 'me', 'find', 'all', 'some', 'any',
+  'costing', 'costs', 'cost', 'legal', 'playable', 'rarity', 'colored', 'color', 'colors', 'mono'
+]);
+
+const FORMAT_ALIASES = { edh: 'commander', edhrec: 'commander', 'duel commander': 'duelcommander' };
+
+// Order in which recognized filters are added, so output reads type-first
+const FILTER_ORDER = ['type', 'color', 'keyword', 'format', 'rarity', 'set', 'is', 'text', 'stat', 'price'];
+
+const STAT_METHODS = {
+  mv: 'manaValue', pow: 'power', tou: 'toughness', usd: 'priceUsd', eur: 'priceEur', tix: 'priceTix'
+};
+
+class NaturalLanguageParser {
+  /**
+   * @param {Object} [data] - Reference data shaped like `data/index.js`; defaults to the data files in `data/`
+   */
+  constructor(data = require('../data')) {
+    this.colors = {};
+    for (const color of data.colors.colors) {
+      this.colors[color.name.toLowerCase()] = color.code;
+    }
+    this.colors.colorless = 'c';
+
+    this.colorGroups = {};
+    const { colorPairs, colorTrios, fourColor, fiveColor } = data.colors;
+    for (const group of [...colorPairs.allied, ...colorPairs.enemy, ...colorTrios.shards, ...colorTrios.wedges, ...fourColor, fiveColor]) {
+      this.colorGroups[group.name.toLowerCase()] = group.codes;
+    }
+
+    this.types = this._phrases([
+      ...data.types.supertypes.map(type => type.name),
+      ...data.types.cardTypes.map(type => type.name),
+      ...data.types.creatureTypes,
+      ...data.types.artifactTypes,
+      ...data.types.enchantmentTypes,
+      ...data.types.landTypes.basic,
+      ...data.types.landTypes.nonbasic,
+      ...data.types.planeswalkerTypes,
+      ...data.types.spellTypes,
+      ...data.types.battleTypes
+    ], name => NaturalLanguageParser.pluralForms(name));
+
+    this.keywords = this._phrases(data.getAllKeywords(), name => [name]);
+
+    const formats = Object.values(data.formats).flat();
+    this.formats = {};
+    for (const format of formats) {
+      this.formats[format.name.toLowerCase()] = format.code;
+      this.formats[format.code] = format.code;
+    }
+    Object.assign(this.formats, FORMAT_ALIASES);
+
+    this.rarities = {};
+    for (const rarity of data.rarities.rarities) {
+      this.rarities[rarity.code] = rarity.code;
+      this.rarities[`${rarity.code}s`] = rarity.code;
+      this.rarities[rarity.name.toLowerCase()] = rarity.code;
+    }
+
+    this.sets = {};
+    for (const set of [...data.sets.recentSets, ...data.sets.popularSets, ...data.sets.commanderProducts]) {
+      this.sets[NaturalLanguageParser.words(set.name).join(' ')] = set.code;
+    }
+  }
+
+  /**
+   * Translate text with the default reference data
+   * @param {string} text - Plain-English search
+   * @returns {Object} Translation, see {@link NaturalLanguageParser#parse}
+   */
+  static parse(text) {
+    return new NaturalLanguageParser().parse(text);
+  }
+
+  /**
+   * Split text into lowercase words, keeping prices ("$2.50") and "3+" together
+   * @param {string} text - Text to split
+   * @returns {string[]}
+   */
+  static words(text) {
+    return text
+      .toLowerCase()
+      .replace(/[,;!?()]/g, ' ')
+      .replace(/\.(?!\d)/g, ' ')
+      .split(/[\s/]+/)
+      .filter(Boolean);
+  }
+
+  /**
+   * Singular and plural spellings of a type name (e.g., "elf", "elves")
+   * @param {string} name - Type name
+   * @returns {string[]}
+   */
+  static pluralForms(name) {
+    const lower = name.toLowerCase();
+    const forms = [lower, `${lower}s`];
+    if (/(s|x|ch|sh)$/.test(lower)) forms.push(`${lower}es`);
+    if (/[^aeiou]y$/.test(lower)) forms.push(`${lower.slice(0, -1)}ies`);
+    if (/[^f]f$/.test(lower)) forms.push(`${lower.slice(0, -1)}ves`);
+    if (lower.endsWith('fe')) forms.push(`${lower.slice(0, -2)}ves`);
+    return forms;
+  }
+
+  /**
+   * Translate a plain-English search into a query builder
+   * @param {string} text - e.g. "cheap red creatures with haste legal in modern"
+   * @returns {Object} { builder, query, unrecognized } where unrecognized lists
+   *   the phrases that could not be interpreted, in the order they appeared
+   */
+  parse(text) {
+    const source = String(text || '');
+    const filters = [];
+    const unrecognized = [];
+
+    // Quoted phrases search rules text
+    const unquoted = source.replace(/"([^"]*)"/g, (match, phrase) => {
+      if (phrase.trim()) {
+        filters.push({ kind: 'text', apply: builder => builder.oracleText(phrase) });
+      }
+      return ' ';
+    });
+
+    const words = NaturalLanguageParser.words(unquoted);
+    let pending = [];
+    const flushPending = () => {
+      if (pending.length > 0) {
+        unrecognized.push(pending.join(' '));
+        pending = [];
+      }
+    };
+
+    let i = 0;
+    while (i < words.length) {
+      const match = this._match(words, i);
+      if (match) {
+        flushPending();
+        filters.push(...match.filters);
+        i += match.length;
+      } else if (STOPWORDS.has(words[i])) {
+        flushPending();
+        i++;
+      } else {
+        pending.push(words[i]);
+        i++;
+      }
+    }
+    flushPending();
+
+    const builder = new ScryfallQueryBuilder();
+    this._applyColors(builder, filters);
+    for (const kind of FILTER_ORDER) {
+      filters.filter(filter => filter.kind === kind).forEach(filter => filter.apply(builder));
+    }
+
+    return { builder, query: builder.build(), unrecognized };
+  }
+
+  /**
+   * Find the longest phrase starting at a word, with the phrases of the same
+   * kind it is joined to by "or" ("instants or sorceries")
+   * @param {string[]} words - All words
+   * @param {number} i - Index of the first word
+   * @returns {Object|null} { length, filters }
+   */
+  _match(words, i) {
+    const first = this._matchPhrase(words, i);
+    if (!first) return null;
+
+    const [filter] = first.filters;
+    const alternatives = [filter];
+    let length = first.length;
+    while (words[i + length] === 'or') {
+      const next = this._matchPhrase(words, i + length + 1);
+      if (!next || next.filters[0].kind !== filter.kind) break;
+      alternatives.push(next.filters[0]);
+      length += 1 + next.length;
+    }
+    if (alternatives.length === 1) return first;
+
+    return {
+      length,
+      filters: [{
+        kind: filter.kind,
+        apply: builder => builder.or(group => alternatives.forEach(alternative => this._applyFilter(group, alternative)))
+      }]
+    };
+  }
+
+  /**
+   * Find the longest single phrase starting at a word
+   * @param {string[]} words - All words
+   * @param {number} i - Index of the first word
+   * @returns {Object|null} { length, filters } with exactly one filter
+   */
+  _matchPhrase(words, i) {
+    const candidates = [
+      this._matchMeasure(words, i),
+      this._matchFormat(words, i),
+      this._matchLookup(words, i, this.types, 'type', (builder, name) => builder.type(name)),
+      this._matchLookup(words, i, this.keywords, 'keyword', (builder, name) => builder.keyword(name)),
+      this._matchColor(words, i),
+      this._matchLookup(words, i, this.rarities, 'rarity', (builder, code) => builder.rarity(code)),
+      this._matchLookup(words, i, this.sets, 'set', (builder, code) => builder.set(code)),
+      SHORTHANDS[words[i]] ? { length: 1, filters: [SHORTHANDS[words[i]]] } : null,
+      this._matchNegation(words, i)
+    ].filter(Boolean);
+
+    return candidates.reduce((best, candidate) => (!best || candidate.length > best.length ? candidate : best), null);
+  }
+
+  /**
+   * Match a negated phrase, e.g. "without flying", "no reprints" or "non-legendary"
+   * @param {string[]} words - All words
+   * @param {number} i - Index of the first word
+   * @returns {Object|null}
+   */
+  _matchNegation(words, i) {
+    const prefixed = /^non-?(.+)$/.exec(words[i]);
+    let match = null;
+    if (NEGATIONS.has(words[i])) {
+      const negated = this._match(words, i + 1);
+      match = negated && { length: negated.length + 1, filters: negated.filters };
+    } else if (prefixed) {
+      match = this._match([...words.slice(0, i), prefixed[1], ...words.slice(i + 1)], i);
+    }
+    if (!match) return null;
+
+    const [filter] = match.filters;
+    return {
+      length: match.length,
+      filters: [{
+        kind: filter.kind,
+        apply: builder => {
+          // Negated as a raw term so a single condition reads -t:legendary rather than -(t:legendary)
+          const negated = new ScryfallQueryBuilder();
+          this._applyFilter(negated, filter);
+          builder.raw(`-${negated.build()}`);
+        }
+      }]
+    };
+  }
+
+  /**
+   * Match a number with its comparison and unit, e.g. "under 3 mana" or "power 4 or more"
+   * @param {string[]} words - All words
+   * @param {number} i - Index of the first word
+   * @returns {Object|null}
+   */
+  _matchMeasure(words, i) {
+    let j = i;
+    let unit = this._matchWords(words, j, UNITS);
+    if (unit) j += unit.words.length;
+
+    const prefix = this._matchWords(words, j, PREFIX_COMPARISONS);
+    if (prefix) j += prefix.words.length;
+
+    const number = /^(\$|€)?(\d+(?:\.\d+)?)(\+)?$/.exec(words[j] || '');
+    const value = number ? Number(number[2]) : NUMBER_WORDS[words[j]];
+    if (value === undefined) return null;
+    j++;
+
+    let suffix = this._matchWords(words, j, SUFFIX_COMPARISONS);
+    if (suffix) j += suffix.words.length;
+    if (!unit) {
+      unit = this._matchWords(words, j, UNITS);
+      if (unit) j += unit.words.length;
+    }
+    if (!suffix) {
+      suffix = this._matchWords(words, j, SUFFIX_COMPARISONS);
+      if (suffix) j += suffix.words.length;
+    }
+
+    const currency = number && number[1] === '€' ? 'eur' : number && number[1] ? 'usd' : null;
+    const field = currency || (unit && unit.field);
+    if (!field) return null;
+
+    const operator = (prefix && prefix.operator) || (suffix && suffix.operator) || (number && number[3] ? '>=' : '=');
+    const method = STAT_METHODS[field];
+    return {
+      length: j - i,
+      filters: [{
+        kind: ['usd', 'eur', 'tix'].includes(field) ? 'price' : 'stat',
+        apply: builder => builder[method](value, operator)
+      }]
+    };
+  }
+
+  /**
+   * Match a format, e.g. "modern", "banned in legacy" or "edh"
+   * @param {string[]} words - All words
+   * @param {number} i - Index of the first word
+   * @returns {Object|null}
+   */
+  _matchFormat(words, i) {
+    let j = i;
+    let method = 'format';
+    if (words[j] === 'banned' || words[j] === 'restricted') {
+      method = words[j];
+      j++;
+      if (words[j] === 'in') j++;
+    }
+
+    const match = this._matchLookup(words, j, this.formats, 'format', (builder, code) => builder[method](code));
+    if (!match) return null;
+    return { length: j - i + match.length, filters: match.filters };
+  }
+
+  /**
+   * Match color words, guild/shard names and hyphenated colors ("black-green")
+   * @param {string[]} words - All words
+   * @param {number} i - Index of the first word
+   * @returns {Object|null}
+   */
+  _matchColor(words, i) {
+    const word = words[i].replace(/^mono-/, '');
+    const parts = word.split('-');
+    const codes = parts.map(part => this.colors[part] || this.colorGroups[part]);
+    if (codes.some(code => !code)) return null;
+    return { length: 1, filters: [{ kind: 'color', colors: codes.join('') }] };
+  }
+
+  /**
+   * Match the longest phrase (up to four words) found in a lookup table
+   * @param {string[]} words - All words
+   * @param {number} i - Index of the first word
+   * @param {Object} table - Phrase to value
+   * @param {string} kind - Filter kind
+   * @param {Function} apply - Adds the filter to a builder, given the value
+   * @returns {Object|null}
+   */
+  _matchLookup(words, i, table, kind, apply) {
+    for (let length = Math.min(4, words.length - i); length > 0; length--) {
+      const phrase = words.slice(i, i + length).join(' ');
+      if (Object.prototype.hasOwnProperty.call(table, phrase)) {
+        const value = table[phrase];
+        return { length, filters: [{ kind, apply: builder => apply(builder, value) }] };
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Match one of several word sequences
+   * @param {string[]} words - All words
+   * @param {number} i - Index of the first word
+   * @param {Object[]} options - Objects with a `words` array
+   * @returns {Object|null} The matching option
+   */
+  _matchWords(words, i, options) {
+    return options.find(option => option.words.every((word, k) => words[i + k] === word)) || null;
+  }
+
+  /**
+   * Combine all color words into one color filter ("red and green" -> c=rg)
+   * @param {ScryfallQueryBuilder} builder - Builder being filled
+   * @param {Object[]} filters - Recognized filters; color words are replaced in place
+   */
+  _applyColors(builder, filters) {
+    const colorWords = filters.filter(filter => filter.kind === 'color' && filter.colors !== undefined);
+    if (colorWords.length === 0) return;
+
+    const letters = [...new Set(colorWords.map(filter => filter.colors).join(''))];
+    const colors = letters.length > 1 ? letters.filter(letter => letter !== 'c') : letters;
+    const first = filters.indexOf(colorWords[0]);
+    for (const filter of colorWords) {
+      filters.splice(filters.indexOf(filter), 1);
+    }
+    filters.splice(first, 0, { kind: 'color', apply: target => target.color(colors.join(''), '=') });
+  }
+
+  /**
+   * Add one filter to a builder; a lone color word means "has this color" (c:g)
+   * @param {ScryfallQueryBuilder} builder - Builder being filled
+   * @param {Object} filter - Recognized filter
+   */
+  _applyFilter(builder, filter) {
+    if (filter.apply) {
+      filter.apply(builder);
+    } else {
+      builder.color(filter.colors, ':');
+    }
+  }
+
+  /**
+   * Index phrases by every spelling
+   * @param {string[]} names - Display names
+   * @param {Function} spellings - Returns the spellings of a name
+   * @returns {Object} Lowercase spelling to lowercase name
+   */
+  _phrases(names, spellings) {
+    const table = {};
+    for (const name of names) {
+      for (const spelling of spellings(name)) {
+        table[NaturalLanguageParser.words(spelling).join(' ')] = name.toLowerCase();
+      }
+    }
+    return table;
+  }
+}
+
+module.exports = NaturalLanguageParser;
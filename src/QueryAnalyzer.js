@@ -0,0 +1,501 @@
+/**
+ * QueryAnalyzer - Finds contradictions and redundant terms in Scryfall queries
+ *
+ * Works out which cards the ANDed conditions of a query can still match, per field:
+ * - numeric fields (mv, pow, tou, loy, def, usd, eur, tix, year and printing counts) as ranges
+ * - colors and color identity as sets of colors, where a card's colors always
+ *   fall within its color identity
+ * - rarity in Scryfall order (common < uncommon < rare < special < mythic < bonus)
+ *
+ * A query whose conditions can never all hold is provably empty. Otherwise the
+ * analysis includes a simplified equivalent query without repeated terms, terms
+ * implied by other terms, and OR alternatives that can never match.
+ *
+ * Colorless cards can still have a colored identity (devoid cards such as
+ * Ulamog's Nullifier), so `c=c id=ub` is satisfiable and is left alone.
+ *
+ * Works in Node.js and in the browser, where QueryNode.js and QueryParser.js
+ * must be loaded first.
+ *
+ * @see https://scryfall.com/docs/syntax for Scryfall search syntax documentation
+ */
+const AnalyzerQueryNode = typeof QueryNode === 'undefined' ? require('./QueryNode') : QueryNode;
+const AnalyzerQueryParser = typeof QueryParser === 'undefined' ? require('./QueryParser') : QueryParser;
+
+// Numeric fields and the smallest value a card can have in them
+const NUMERIC_MINIMUMS = {
+  mv: 0, pow: -Infinity, tou: -Infinity, loy: 0, def: 0, usd: 0, eur: 0, tix: 0, year: -Infinity,
+  prints: 1, sets: 1, paperprints: 0, papersets: 0, artists: 0, illustrations: 0
+};
+
+// Rarities from lowest to highest, as Scryfall orders them
+const RARITY_ORDER = ['common', 'uncommon', 'rare', 'special', 'mythic', 'bonus'];
+const RARITY_LETTERS = { c: 'common', u: 'uncommon', r: 'rare', s: 'special', m: 'mythic', b: 'bonus' };
+
+const COLOR_BITS = { w: 1, u: 2, b: 4, r: 8, g: 16 };
+const COLOR_NAMES = { white: 'w', blue: 'u', black: 'b', red: 'r', green: 'g', colorless: 'c' };
+
+// Every combination of colors and color identity a card can have
+const COLOR_POINTS = [];
+for (let identity = 0; identity < 32; identity++) {
+  for (let colors = 0; colors < 32; colors++) {
+    if ((colors & identity) === colors) {
+      COLOR_POINTS.push({ colors, identity });
+    }
+  }
+}
+
+/**
+ * Compare two numbers with a Scryfall operator
+ * @param {number} a - Left value
+ * @param {string} operator - =, !=, <, <=, > or >=
+ * @param {number} b - Right value
+ * @returns {boolean}
+ */
+function compare(a, operator, b) {
+  switch (operator) {
+    case '=': return a === b;
+    case '!=': return a !== b;
+    case '<': return a < b;
+    case '<=': return a <= b;
+    case '>': return a > b;
+    case '>=': return a >= b;
+    default: return false;
+  }
+}
+
+function countColors(mask) {
+  let count = 0;
+  for (let bits = mask; bits; bits >>= 1) {
+    count += bits & 1;
+  }
+  return count;
+}
+
+// Ranges are { lo, loInc, hi, hiInc, excluded } where excluded lists values ruled out by !=
+const Ranges = {
+  full(min) {
+    return { lo: min, loInc: true, hi: Infinity, hiInc: true, excluded: [] };
+  },
+
+  fromTerm(operator, n) {
+    const range = Ranges.full(-Infinity);
+    switch (operator) {
+      case ':':
+      case '=':
+        return { ...range, lo: n, hi: n };
+      case '!=':
+        return { ...range, excluded: [n] };
+      case '<':
+        return { ...range, hi: n, hiInc: false };
+      case '<=':
+        return { ...range, hi: n };
+      case '>':
+        return { ...range, lo: n, loInc: false };
+      case '>=':
+        return { ...range, lo: n };
+      default:
+        return null;
+    }
+  },
+
+  intersect(a, b) {
+    const lower = a.lo > b.lo ? a : b.lo > a.lo ? b : { lo: a.lo, loInc: a.loInc && b.loInc };
+    const upper = a.hi < b.hi ? a : b.hi < a.hi ? b : { hi: a.hi, hiInc: a.hiInc && b.hiInc };
+    return {
+      lo: lower.lo,
+      loInc: lower.loInc,
+      hi: upper.hi,
+      hiInc: upper.hiInc,
+      excluded: [...a.excluded, ...b.excluded]
+    };
+  },
+
+  has(range, n) {
+    return (n > range.lo || (n === range.lo && range.loInc))
+      && (n < range.hi || (n === range.hi && range.hiInc))
+      && !range.excluded.includes(n);
+  },
+
+  isEmpty(range) {
+    if (range.lo > range.hi) return true;
+    return range.lo === range.hi && !Ranges.has(range, range.lo);
+  },
+
+  contains(outer, inner) {
+    if (Ranges.isEmpty(inner)) return true;
+    const lowerOk = outer.lo < inner.lo || (outer.lo === inner.lo && (outer.loInc || !inner.loInc));
+    const upperOk = outer.hi > inner.hi || (outer.hi === inner.hi && (outer.hiInc || !inner.hiInc));
+    return lowerOk && upperOk && outer.excluded.every(n => !Ranges.has(inner, n));
+  }
+};
+
+// Finite domains are arrays of booleans, one per possible card value
+const Sets = {
+  intersect(a, b) {
+    return a.map((allowed, i) => allowed && b[i]);
+  },
+
+  isEmpty(set) {
+    return !set.includes(true);
+  },
+
+  contains(outer, inner) {
+    return inner.every((allowed, i) => !allowed || outer[i]);
+  }
+};
+
+class QueryAnalyzer {
+  /**
+   * Analyze a query
+   * @param {string|ScryfallQueryBuilder|Object} input - Query string, builder or expression tree
+   * @returns {Object} Analysis, see {@link QueryAnalyzer#analyze}
+   */
+  static analyze(input) {
+    return new QueryAnalyzer().analyze(input);
+  }
+
+  /**
+   * Analyze a query
+   * @param {string|ScryfallQueryBuilder|Object} input - Query string, builder or expression tree
+   * @returns {Object} Analysis with:
+   *   - empty: true if no card can ever match the query
+   *   - contradictions: [{ message, terms }] conditions that can never match together
+   *     (either the whole query or an OR alternative that was dropped)
+   *   - redundancies: [{ message, term }] terms dropped from the simplified query
+   *   - nodes: the simplified top-level conditions, or null if the query is empty
+   *   - query: the simplified query string, or null if the query is empty
+   * @throws {QuerySyntaxError} If a query string is malformed
+   */
+  analyze(input) {
+    const findings = { contradictions: [], redundancies: [] };
+    const nodes = this._simplifyConjunction(this._toNodes(input), findings);
+    return {
+      empty: nodes === null,
+      contradictions: findings.contradictions,
+      redundancies: findings.redundancies,
+      nodes,
+      query: nodes === null ? null : AnalyzerQueryNode.render(AnalyzerQueryNode.and(nodes))
+    };
+  }
+
+  /**
+   * Get the top-level conditions of any supported input
+   * @param {string|ScryfallQueryBuilder|Object} input - Query string, builder or expression tree
+   * @returns {Object[]}
+   */
+  _toNodes(input) {
+    if (input && Array.isArray(input.nodes)) {
+      return input.nodes;
+    }
+    const root = typeof input === 'string' || !input ? AnalyzerQueryParser.parse(input) : input;
+    if (!root) return [];
+    return root.type === 'and' ? root.children : [root];
+  }
+
+  /**
+   * Simplify conditions that must all match
+   * @param {Object[]} nodes - ANDed nodes
+   * @param {Object} findings - Collected contradictions and redundancies
+   * @returns {Object[]|null} Simplified nodes, or null if they can never all match
+   */
+  _simplifyConjunction(nodes, findings) {
+    const simplified = [];
+    for (const node of nodes) {
+      const result = this._simplifyNode(node, findings);
+      if (result === null) return null;
+      if (result.type === 'and') {
+        simplified.push(...result.children);
+      } else {
+        simplified.push(result);
+      }
+    }
+
+    // Repeated terms, and terms ANDed with their own negation
+    const seen = new Map();
+    const unique = [];
+    for (const node of simplified) {
+      const key = this._canonical(node);
+      if (seen.has(key)) {
+        const term = AnalyzerQueryNode.render(node);
+        findings.redundancies.push({ message: `${term} repeats ${AnalyzerQueryNode.render(seen.get(key))}`, term });
+        continue;
+      }
+      seen.set(key, node);
+      unique.push(node);
+    }
+    for (const node of unique) {
+      const negated = this._canonical(node);
+      const opposite = negated.startsWith('-') ? negated.slice(1) : `-${negated}`;
+      if (seen.has(opposite)) {
+        this._reportContradiction(findings, [node, seen.get(opposite)]);
+        return null;
+      }
+    }
+
+    const dropped = this._checkConstraints(unique, findings);
+    if (dropped === null) return null;
+    return unique.filter(node => !dropped.has(node));
+  }
+
+  /**
+   * Simplify alternatives where any one may match
+   * @param {Object[]} children - ORed nodes
+   * @param {Object} findings - Collected contradictions and redundancies
+   * @returns {Object|null} Simplified node, or null if no alternative can match
+   */
+  _simplifyDisjunction(children, findings) {
+    const alternatives = [];
+    const impossible = [];
+    const seen = new Map();
+    for (const child of children) {
+      const term = AnalyzerQueryNode.render(child);
+      const nodes = this._simplifyConjunction(child.type === 'and' ? child.children : [child], findings);
+      if (nodes === null) {
+        impossible.push({ message: `${term} can never match, so the alternative was dropped`, term });
+        continue;
+      }
+
+      const alternative = nodes.length === 1 ? nodes[0] : AnalyzerQueryNode.and(nodes);
+      const key = this._canonical(alternative);
+      if (seen.has(key)) {
+        findings.redundancies.push({ message: `${term} repeats ${AnalyzerQueryNode.render(seen.get(key))}`, term });
+        continue;
+      }
+      seen.set(key, alternative);
+      alternatives.push(alternative);
+    }
+
+    if (alternatives.length === 0) return null;
+    findings.redundancies.push(...impossible);
+    return alternatives.length === 1 ? alternatives[0] : AnalyzerQueryNode.or(alternatives);
+  }
+
+  /**
+   * Simplify a single node
+   * @param {Object} node - Query tree node
+   * @param {Object} findings - Collected contradictions and redundancies
+   * @returns {Object|null} Simplified node, or null if it can never match
+   */
+  _simplifyNode(node, findings) {
+    switch (node.type) {
+      case 'or':
+        return this._simplifyDisjunction(node.children, findings);
+      case 'and': {
+        const nodes = this._simplifyConjunction(node.children, findings);
+        return nodes === null ? null : AnalyzerQueryNode.and(nodes);
+      }
+      case 'group': {
+        const inner = this._simplifyNode(node.child, findings);
+        if (inner === null) return null;
+        return inner.type === 'or' ? AnalyzerQueryNode.group(inner) : inner;
+      }
+      default:
+        return node;
+    }
+  }
+
+  /**
+   * Intersect the numeric, color and rarity constraints of ANDed terms
+   * @param {Object[]} nodes - ANDed nodes
+   * @param {Object} findings - Collected contradictions and redundancies
+   * @returns {Set<Object>|null} Terms implied by the others, or null if the constraints contradict
+   */
+  _checkConstraints(nodes, findings) {
+    const domains = new Map();
+    for (const node of nodes) {
+      const constraint = node.type === 'term' ? this._constraintFor(node) : null;
+      if (!constraint) continue;
+      if (!domains.has(constraint.domain)) {
+        domains.set(constraint.domain, { ops: constraint.ops, base: constraint.base, entries: [] });
+      }
+      domains.get(constraint.domain).entries.push({ node, value: constraint.value });
+    }
+
+    const dropped = new Set();
+    for (const { ops, base, entries } of domains.values()) {
+      const all = entries.reduce((acc, entry) => ops.intersect(acc, entry.value), base);
+      if (ops.isEmpty(all)) {
+        this._reportContradiction(findings, this._conflictingTerms(ops, base, entries));
+        return null;
+      }
+
+      // Walk backwards so the earlier of two equivalent terms is kept
+      const remaining = [...entries];
+      for (let i = remaining.length - 1; i >= 0; i--) {
+        const entry = remaining[i];
+        const others = remaining.filter(other => other !== entry);
+        const term = AnalyzerQueryNode.render(entry.node);
+
+        let message = null;
+        if (ops.contains(entry.value, base)) {
+          message = `${term} matches every card`;
+        } else {
+          const implier = others.find(other => ops.contains(entry.value, ops.intersect(base, other.value)));
+          if (implier) {
+            message = `${term} is implied by ${AnalyzerQueryNode.render(implier.node)}`;
+          } else if (ops.contains(entry.value, others.reduce((acc, other) => ops.intersect(acc, other.value), base))) {
+            message = `${term} is implied by ${others.map(other => AnalyzerQueryNode.render(other.node)).join(' ')}`;
+          }
+        }
+
+        if (message) {
+          findings.redundancies.push({ message, term });
+          dropped.add(entry.node);
+          remaining.splice(i, 1);
+        }
+      }
+    }
+    return dropped;
+  }
+
+  /**
+   * Find the smallest set of terms that contradict each other
+   * @param {Object} ops - Ranges or Sets
+   * @param {*} base - Values every card can have
+   * @param {Object[]} entries - Terms and their constraints
+   * @returns {Object[]} Contradicting term nodes
+   */
+  _conflictingTerms(ops, base, entries) {
+    const alone = entries.find(entry => ops.isEmpty(ops.intersect(base, entry.value)));
+    if (alone) return [alone.node];
+
+    for (let i = 0; i < entries.length; i++) {
+      for (let j = i + 1; j < entries.length; j++) {
+        if (ops.isEmpty(ops.intersect(ops.intersect(base, entries[i].value), entries[j].value))) {
+          return [entries[i].node, entries[j].node];
+        }
+      }
+    }
+    return entries.map(entry => entry.node);
+  }
+
+  _reportContradiction(findings, nodes) {
+    const terms = nodes.map(node => AnalyzerQueryNode.render(node));
+    let message;
+    if (terms.length === 1) {
+      message = `${terms[0]} can never match`;
+    } else if (terms.length === 2) {
+      message = `${terms[0]} and ${terms[1]} can never both match`;
+    } else {
+      message = `${terms.join(', ')} can never all match`;
+    }
+    findings.contradictions.push({ message, terms });
+  }
+
+  /**
+   * Describe which values a term allows
+   * @param {Object} term - Term node
+   * @returns {Object|null} { domain, ops, base, value }, or null if the term isn't analyzed
+   */
+  _constraintFor(term) {
+    if (term.key === null || term.regex) return null;
+    const key = AnalyzerQueryParser.resolveKey(term.key);
+    const value = term.value.toLowerCase();
+
+    if (key in NUMERIC_MINIMUMS) {
+      const range = /^-?\d+(\.\d+)?$/.test(value) ? Ranges.fromTerm(term.operator, Number(value)) : null;
+      return range && { domain: key, ops: Ranges, base: Ranges.full(NUMERIC_MINIMUMS[key]), value: range };
+    }
+
+    if (key === 'c' || key === 'id') {
+      const test = this._colorTest(key, term.operator, COLOR_NAMES[value] || value);
+      if (!test) return null;
+      const field = key === 'id' ? 'identity' : 'colors';
+      return {
+        domain: 'color',
+        ops: Sets,
+        base: COLOR_POINTS.map(() => true),
+        value: COLOR_POINTS.map(point => test(point[field]))
+      };
+    }
+
+    if (key === 'r') {
+      const rank = RARITY_ORDER.indexOf(RARITY_LETTERS[value] || value);
+      if (rank === -1) return null;
+      const operator = term.operator === ':' ? '=' : term.operator;
+      return {
+        domain: 'rarity',
+        ops: Sets,
+        base: RARITY_ORDER.map(() => true),
+        value: RARITY_ORDER.map((_, i) => compare(i, operator, rank))
+      };
+    }
+
+    return null;
+  }
+
+  /**
+   * Build a predicate over color bitmasks for a c: or id: term
+   * @param {string} key - "c" or "id"
+   * @param {string} operator - The term operator
+   * @param {string} value - Lowercase color letters, "m", or a number of colors
+   * @returns {Function|null} Predicate, or null if the value isn't analyzed
+   */
+  _colorTest(key, operator, value) {
+    if (/^\d$/.test(value)) {
+      const op = operator === ':' ? '=' : operator;
+      return mask => compare(countColors(mask), op, Number(value));
+    }
+    if (value === 'm' || value === 'multicolor') {
+      return operator === ':' || operator === '=' ? mask => countColors(mask) > 1 : null;
+    }
+
+    let target;
+    let op = operator;
+    if (value === 'c') {
+      target = 0;
+      op = operator === ':' ? '=' : operator;
+    } else if (/^[wubrg]+$/.test(value)) {
+      target = [...value].reduce((mask, letter) => mask | COLOR_BITS[letter], 0);
+      // c: means "at least these colors" while id: means "fits in this identity"
+      if (op === ':') op = key === 'id' ? '<=' : '>=';
+    } else {
+      return null;
+    }
+
+    const superset = mask => (mask & target) === target;
+    const subset = mask => (mask & ~target) === 0;
+    switch (op) {
+      case '=': return mask => mask === target;
+      case '!=': return mask => mask !== target;
+      case '>=': return superset;
+      case '>': return mask => superset(mask) && mask !== target;
+      case '<=': return subset;
+      case '<': return mask => subset(mask) && mask !== target;
+      default: return null;
+    }
+  }
+
+  /**
+   * Canonical text for a node, used to spot repeated terms regardless of
+   * keyword aliases, letter case, quoting or parentheses
+   * @param {Object} node - Query tree node
+   * @returns {string}
+   */
+  _canonical(node) {
+    switch (node.type) {
+      case 'term': {
+        const value = node.regex ? `/${node.value}/` : node.value.toLowerCase();
+        if (node.key === null) return node.exact ? `!${value}` : `name:${value}`;
+        const key = AnalyzerQueryParser.resolveKey(node.key) || node.key;
+        if (key === 'not') return `-is:${value}`;
+        return `${key}${node.operator === '=' && key !== 'c' && key !== 'id' ? ':' : node.operator}${value}`;
+      }
+      case 'not':
+        return `-${this._canonical(node.child)}`;
+      case 'group':
+        return this._canonical(node.child);
+      case 'and':
+      case 'or':
+        return `${node.type}(${node.children.map(child => this._canonical(child)).join(' ')})`;
+      default:
+        return `raw:${node.value}`;
+    }
+  }
+}
+
+// Export for use in browser and Node.js
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = QueryAnalyzer;
+}
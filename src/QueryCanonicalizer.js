@@ -0,0 +1,155 @@
+/**
+ * QueryCanonicalizer - Rewrites Scryfall queries into one canonical form
+ *
+ * Queries that differ only in how they are written have the same canonical form:
+ * - keyword aliases become the short keyword (`type:` -> `t:`, `color:` -> `c:`)
+ *   and `not:x` becomes `-is:x`
+ * - values are lowercased (except regular expressions) and only quoted when needed
+ * - color letters are sorted in WUBRG order (`c=rw` -> `c=wr`)
+ * - `=` becomes `:` except for colors, color identity, mana costs and devotion, where they differ
+ * - repeated conditions, double negation and redundant parentheses are dropped
+ * - the conditions of every AND and OR are sorted
+ *
+ * Works in Node.js and in the browser, where QueryNode.js and QueryParser.js
+ * must be loaded first.
+ *
+ * @see https://scryfall.com/docs/syntax for Scryfall search syntax documentation
+ */
+const CanonicalQueryNode = typeof QueryNode === 'undefined' ? require('./QueryNode') : QueryNode;
+const CanonicalQueryParser = typeof QueryParser === 'undefined' ? require('./QueryParser') : QueryParser;
+
+const WUBRG = 'wubrgc';
+
+// Keys whose "=" and ":" operators mean different things
+const COLOR_KEYS = ['c', 'id'];
+const EXACT_KEYS = [...COLOR_KEYS, 'm', 'devotion'];
+
+class QueryCanonicalizer {
+  /**
+   * Write a query in canonical form
+   * @param {string|Object} query - A query string, a builder or an expression tree
+   * @returns {string} Canonical query string
+   * @throws {QuerySyntaxError} If a query string is malformed
+   */
+  static canonicalize(query) {
+    return CanonicalQueryNode.render(QueryCanonicalizer.canonicalizeTree(QueryCanonicalizer.toTree(query)));
+  }
+
+  /**
+   * Check whether two queries have the same canonical form
+   * @param {string|Object} a - A query string, a builder or an expression tree
+   * @param {string|Object} b - Another query
+   * @returns {boolean}
+   * @throws {QuerySyntaxError} If a query string is malformed
+   */
+  static areEquivalent(a, b) {
+    return QueryCanonicalizer.canonicalize(a) === QueryCanonicalizer.canonicalize(b);
+  }
+
+  /**
+   * Get the expression tree of a query
+   * @param {string|Object} query - Query string, builder or tree
+   * @returns {Object|null} Root node
+   * @throws {QuerySyntaxError} If a query string is malformed
+   */
+  static toTree(query) {
+    if (typeof query === 'string') {
+      return CanonicalQueryParser.parse(query);
+    }
+    if (query && typeof query.build === 'function') {
+      return CanonicalQueryParser.parse(query.build());
+    }
+    return query || null;
+  }
+
+  /**
+   * Rewrite an expression tree in canonical form
+   * @param {Object|null} node - Query tree node
+   * @returns {Object|null} New canonical tree
+   */
+  static canonicalizeTree(node) {
+    if (!node) return null;
+
+    switch (node.type) {
+      case 'term':
+        return QueryCanonicalizer.canonicalizeTerm(node);
+      case 'group':
+        return QueryCanonicalizer.canonicalizeTree(node.child);
+      case 'not': {
+        const child = QueryCanonicalizer.canonicalizeTree(node.child);
+        if (!child) return null;
+        return child.type === 'not' ? child.child : CanonicalQueryNode.not(child);
+      }
+      case 'and':
+      case 'or':
+        return QueryCanonicalizer._canonicalizeList(node);
+      default:
+        return CanonicalQueryNode.raw(node.value.trim());
+    }
+  }
+
+  /**
+   * Rewrite a term in canonical form
+   * @param {Object} node - Term node
+   * @returns {Object} Canonical term node, negated for `not:` terms
+   */
+  static canonicalizeTerm(node) {
+    const value = node.regex ? node.value : node.value.toLowerCase();
+    const options = { regex: node.regex, exact: node.exact };
+    if (node.key === null) {
+      return CanonicalQueryNode.term(null, null, value, options);
+    }
+
+    const key = CanonicalQueryParser.resolveKey(node.key) || node.key;
+    if (key === 'not') {
+      return CanonicalQueryNode.not(CanonicalQueryNode.term('is', ':', value, options));
+    }
+    if (COLOR_KEYS.includes(key)) {
+      return CanonicalQueryNode.term(key, node.operator, QueryCanonicalizer._sortColors(value), options);
+    }
+    const operator = node.operator === '=' && !EXACT_KEYS.includes(key) ? ':' : node.operator;
+    return CanonicalQueryNode.term(key, operator, value, options);
+  }
+
+  /**
+   * Canonicalize an AND or OR node: merge nested nodes of the same kind, drop repeats and sort
+   * @param {Object} node - AND or OR node
+   * @returns {Object|null} Canonical node, or the only remaining condition
+   */
+  static _canonicalizeList(node) {
+    const children = new Map();
+    const add = child => {
+      if (!child) return;
+      const inner = child.type === 'group' ? child.child : child;
+      if (inner.type === node.type) {
+        inner.children.forEach(add);
+        return;
+      }
+      // AND conditions inside an OR keep their parentheses for readability
+      const canonical = node.type === 'or' && inner.type === 'and' ? CanonicalQueryNode.group(inner) : inner;
+      children.set(CanonicalQueryNode.render(canonical), canonical);
+    };
+    node.children.forEach(child => add(QueryCanonicalizer.canonicalizeTree(child)));
+
+    const sorted = [...children.keys()].sort().map(key => children.get(key));
+    if (sorted.length === 0) return null;
+    if (sorted.length === 1) return sorted[0].type === 'group' ? sorted[0].child : sorted[0];
+    return CanonicalQueryNode[node.type](sorted);
+  }
+
+  /**
+   * Sort color letters in WUBRG order, leaving other color values (names, counts) alone
+   * @param {string} value - Lowercase color value
+   * @returns {string}
+   */
+  static _sortColors(value) {
+    if (!/^[wubrgc]+$/.test(value)) return value;
+    const letters = [...new Set(value)];
+    return letters.sort((a, b) => WUBRG.indexOf(a) - WUBRG.indexOf(b)).join('');
+  }
+}
+
+// Export for use in browser and Node.js
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = QueryCanonicalizer;
+}
@@ -0,0 +1,185 @@
+/**
+ * QueryDiff - Compares two Scryfall queries condition by condition
+ *
+ * Both queries are reduced to a canonical set of conditions with
+ * QueryCanonicalizer before comparing, so the order of terms, keyword aliases
+ * (`t:`/`type:`), letter case and redundant parentheses make no difference.
+ * Conditions on the same field that differ between the queries (`mv<=3` and
+ * `mv<=4`) are reported as changed rather than as one removed and one added
+ * term, and OR groups and negated groups that appear on both sides are
+ * compared child by child.
+ *
+ * Works in Node.js and in the browser, where QueryNode.js, QueryParser.js and
+ * QueryCanonicalizer.js must be loaded first.
+ *
+ * @see https://scryfall.com/docs/syntax for Scryfall search syntax documentation
+ */
+const DiffQueryNode = typeof QueryNode === 'undefined' ? require('./QueryNode') : QueryNode;
+const DiffQueryCanonicalizer = typeof QueryCanonicalizer === 'undefined'
+  ? require('./QueryCanonicalizer')
+  : QueryCanonicalizer;
+
+class QueryDiff {
+  /**
+   * Compare two queries
+   * @param {string|Object} a - The original query: a query string, a builder or an expression tree
+   * @param {string|Object} b - The new query
+   * @returns {Object} { equal, added, removed, changed }, where added and removed list
+   *   { term, path } and changed lists { before, after, path }. Terms are written
+   *   canonically; `path` names the groups the term sits in, outermost first
+   *   ('or', 'and', 'not', 'not or'), and is empty for top-level conditions.
+   * @throws {QuerySyntaxError} If a query string is malformed
+   */
+  static diff(a, b) {
+    return new QueryDiff().diff(a, b);
+  }
+
+  /**
+   * Compare two queries
+   * @param {string|Object} a - The original query
+   * @param {string|Object} b - The new query
+   * @returns {Object} { equal, added, removed, changed }
+   */
+  diff(a, b) {
+    const result = { equal: true, added: [], removed: [], changed: [] };
+    this._diffItems(this._items(this._tree(a), 'and'), this._items(this._tree(b), 'and'), [], result);
+    result.equal = !result.added.length && !result.removed.length && !result.changed.length;
+    return result;
+  }
+
+  /**
+   * Get the canonical expression tree of a query
+   * @param {string|Object} input - Query string, builder or tree
+   * @returns {Object|null} Root node
+   */
+  _tree(input) {
+    return DiffQueryCanonicalizer.canonicalizeTree(DiffQueryCanonicalizer.toTree(input));
+  }
+
+  /**
+   * Flatten a node into the canonical conditions of a group
+   * @param {Object|null} node - Query tree node
+   * @param {string} groupType - 'and' or 'or'; nested groups of the same type are merged in
+   * @returns {Object[]} Items { id, slot, node } for terms and { id, type, negated, children, node } for groups
+   */
+  _items(node, groupType) {
+    if (!node) return [];
+    if (node.type === 'group') return this._items(node.child, groupType);
+    if (node.type === groupType) {
+      return node.children.flatMap(child => this._items(child, groupType));
+    }
+    return [this._item(node, false)];
+  }
+
+  /**
+   * Describe a single condition canonically
+   * @param {Object} node - Query tree node
+   * @param {boolean} negated - Whether the condition is negated
+   * @returns {Object} Item
+   */
+  _item(node, negated) {
+    switch (node.type) {
+      case 'group':
+        return this._item(node.child, negated);
+      case 'not':
+        return this._item(node.child, !negated);
+      case 'and':
+      case 'or': {
+        const children = this._items(node, node.type)
+          .sort((x, y) => (x.id < y.id ? -1 : x.id > y.id ? 1 : 0));
+        const inner = DiffQueryNode.group(DiffQueryNode[node.type](children.map(child => child.node)));
+        const canonical = negated ? DiffQueryNode.not(inner.child) : inner;
+        return { id: DiffQueryNode.render(canonical), type: node.type, negated, children, node: canonical };
+      }
+      case 'term': {
+        const canonical = negated ? DiffQueryNode.not(node) : node;
+        const slot = node.exact ? '!' : node.key || 'name';
+        return { id: DiffQueryNode.render(canonical), slot, node: canonical };
+      }
+      default:
+        return { id: DiffQueryNode.render(node), slot: null, node };
+    }
+  }
+
+  /**
+   * Compare the conditions of two matching groups, adding the differences to the result
+   * @param {Object[]} before - Items of the original group
+   * @param {Object[]} after - Items of the new group
+   * @param {string[]} path - Labels of the enclosing groups
+   * @param {Object} result - Diff being collected
+   */
+  _diffItems(before, after, path, result) {
+    const removed = [...before];
+    const added = [];
+    for (const item of after) {
+      const index = removed.findIndex(other => other.id === item.id);
+      if (index === -1) {
+        added.push(item);
+      } else {
+        removed.splice(index, 1);
+      }
+    }
+
+    // Pair the leftover groups that still share conditions and compare them in turn
+    for (const group of removed.filter(item => item.children)) {
+      const match = this._bestMatch(group, added);
+      if (match) {
+        removed.splice(removed.indexOf(group), 1);
+        added.splice(added.indexOf(match), 1);
+        this._diffItems(group.children, match.children, [...path, this._label(group)], result);
+      }
+    }
+
+    // Pair the leftover terms on the same field in order
+    for (const term of removed.filter(item => item.slot)) {
+      const match = added.find(item => item.slot === term.slot);
+      if (match) {
+        removed.splice(removed.indexOf(term), 1);
+        added.splice(added.indexOf(match), 1);
+        result.changed.push({ before: term.id, after: match.id, path });
+      }
+    }
+
+    removed.forEach(item => result.removed.push({ term: item.id, path }));
+    added.forEach(item => result.added.push({ term: item.id, path }));
+  }
+
+  /**
+   * Find the group of the same kind that shares the most conditions with a group
+   * @param {Object} group - Group item from the original query
+   * @param {Object[]} candidates - Items from the new query
+   * @returns {Object|null} The matching group, or null if none shares a condition or field
+   */
+  _bestMatch(group, candidates) {
+    let best = null;
+    let bestScore = 0;
+    for (const candidate of candidates) {
+      if (!candidate.children || candidate.type !== group.type || candidate.negated !== group.negated) {
+        continue;
+      }
+      const score = candidate.children.filter(child => group.children.some(other =>
+        other.id === child.id || (other.slot && other.slot === child.slot)
+      )).length;
+      if (score > bestScore) {
+        best = candidate;
+        bestScore = score;
+      }
+    }
+    return best;
+  }
+
+  /**
+   * Label a group for a diff path
+   * @param {Object} group - Group item
+   * @returns {string} 'or', 'and', 'not' or 'not or'
+   */
+  _label(group) {
+    if (!group.negated) return group.type;
+    return group.type === 'and' ? 'not' : 'not or';
+  }
+}
+
+// Export for use in browser and Node.js
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = QueryDiff;
+}
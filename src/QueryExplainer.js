@@ -0,0 +1,575 @@
+/**
+ * QueryExplainer - Describes Scryfall queries in plain English
+ *
+ * Turns `id<=bg t:legendary -is:reprint usd<5` into
+ * "Legendary cards whose color identity is within black-green, excluding reprints, costing under $5",
+ * or into one line per condition for a bullet list.
+ *
+ * Color, format, keyword, rarity and set names come from the catalogs in `data/`.
+ *
+ * Works in Node.js and in the browser, where QueryNode.js and QueryParser.js
+ * must be loaded first and catalogs must be passed to the constructor.
+ *
+ * @see https://scryfall.com/docs/syntax for Scryfall search syntax documentation
+ */
+const ExplainerQueryParser = typeof QueryParser === 'undefined' ? require('./QueryParser') : QueryParser;
+
+const COLOR_LETTERS = 'wubrg';
+
+// Phrases for comparing a number, e.g. "3 or less"
+const COMPARISON_WORDS = {
+  ':': value => value,
+  '=': value => value,
+  '!=': value => `other than ${value}`,
+  '<': value => `less than ${value}`,
+  '<=': value => `${value} or less`,
+  '>': value => `greater than ${value}`,
+  '>=': value => `${value} or more`
+};
+
+// Phrases for comparing a price, e.g. "under $5"
+const PRICE_WORDS = {
+  ':': value => `exactly ${value}`,
+  '=': value => `exactly ${value}`,
+  '!=': value => `anything but ${value}`,
+  '<': value => `under ${value}`,
+  '<=': value => `${value} or less`,
+  '>': value => `over ${value}`,
+  '>=': value => `${value} or more`
+};
+
+const PRICE_FORMATS = {
+  usd: value => `$${value}`,
+  eur: value => `€${value}`,
+  tix: value => `${value} tix`
+};
+
+// Stats that can be compared with each other (pow>tou)
+const STAT_NAMES = { mv: 'mana value', pow: 'power', tou: 'toughness', loy: 'loyalty', def: 'defense', pt: 'total power and toughness' };
+
+// Plural nouns for is: and not: filters
+const IS_NOUNS = {
+  commander: 'cards that can be your commander',
+  spell: 'spells',
+  permanent: 'permanents',
+  historic: 'historic cards',
+  modal: 'modal cards',
+  vanilla: 'vanilla creatures',
+  funny: 'Un-set cards',
+  booster: 'cards found in boosters',
+  reprint: 'reprints',
+  promo: 'promos',
+  digital: 'digital-only cards',
+  foil: 'cards available in foil',
+  nonfoil: 'cards available in nonfoil',
+  fullart: 'full-art cards',
+  split: 'split cards',
+  transform: 'transforming cards',
+  mdfc: 'modal double-faced cards',
+  dfc: 'double-faced cards',
+  hybrid: 'cards with hybrid mana',
+  phyrexian: 'cards with Phyrexian mana',
+  reserved: 'cards on the Reserved List',
+  token: 'tokens'
+};
+
+const GAMES = { paper: 'paper', mtgo: 'Magic Online', arena: 'MTG Arena', astral: 'Astral', sega: 'the Sega arcade game' };
+
+// Phrases for comparing a count, e.g. "with 10 or more printings"
+const COUNT_WORDS = {
+  ':': value => `exactly ${value}`,
+  '=': value => `exactly ${value}`,
+  '!=': value => `other than ${value}`,
+  '<': value => `fewer than ${value}`,
+  '<=': value => `${value} or fewer`,
+  '>': value => `more than ${value}`,
+  '>=': value => `${value} or more`
+};
+
+// What printing-level counts measure
+const COUNT_NOUNS = {
+  prints: 'printings',
+  paperprints: 'paper printings',
+  sets: 'sets',
+  papersets: 'paper sets',
+  artists: 'artists',
+  illustrations: 'illustrations'
+};
+
+// Phrases for comparing a release date, e.g. "released on or after 2024-01-01"
+const DATE_WORDS = {
+  ':': 'on',
+  '=': 'on',
+  '!=': 'on any day but',
+  '<': 'before',
+  '<=': 'on or before',
+  '>': 'after',
+  '>=': 'on or after'
+};
+
+// Phrases for new: filters
+const NEW_PHRASES = {
+  art: 'with new artwork',
+  artist: 'by an artist new to the card',
+  flavor: 'with new flavor text',
+  frame: 'with a new frame',
+  language: 'in a new language',
+  rarity: 'at a new rarity'
+};
+
+// Phrases for display options, which change how results are shown rather than which cards match
+const DISPLAY_PHRASES = {
+  unique: { cards: 'one result per card', art: 'one result per unique artwork', prints: 'showing every printing' },
+  dir: { auto: 'in the default direction', asc: 'in ascending order', desc: 'in descending order' },
+  include: { extras: 'including extras such as tokens' },
+  order: {
+    released: 'sorted by release date',
+    cmc: 'sorted by mana value',
+    usd: 'sorted by price in dollars',
+    eur: 'sorted by price in euros',
+    tix: 'sorted by price in tix',
+    edhrec: 'sorted by EDHREC rank',
+    penny: 'sorted by Penny Dreadful rank',
+    review: 'sorted by set review order'
+  },
+  prefer: {
+    oldest: 'preferring the oldest printing',
+    newest: 'preferring the newest printing',
+    'usd-low': 'preferring the cheapest printing in dollars',
+    'usd-high': 'preferring the most expensive printing in dollars',
+    'eur-low': 'preferring the cheapest printing in euros',
+    'eur-high': 'preferring the most expensive printing in euros',
+    'tix-low': 'preferring the cheapest printing in tix',
+    'tix-high': 'preferring the most expensive printing in tix',
+    promo: 'preferring promo printings',
+    default: 'preferring the default printing',
+    atypical: 'preferring atypical printings',
+    ub: 'preferring Universes Beyond printings',
+    notub: 'preferring printings outside Universes Beyond'
+  }
+};
+
+class QueryExplainer {
+  /**
+   * @param {Object} [options] - Explainer options
+   * @param {Object} [options.catalogs] - Catalogs from {@link QueryExplainer.buildCatalogs};
+   *   defaults to the data files in `data/` (Node.js only)
+   */
+  constructor(options = {}) {
+    this.catalogs = options.catalogs || QueryExplainer.buildCatalogs(require('../data'));
+  }
+
+  /**
+   * Build name lookups from the raw reference data
+   * @param {Object} data - Objects shaped like the JSON files in `data/`
+   *   ({ colors, formats, keywords, rarities, sets, types })
+   * @returns {Object} Catalogs keyed by lowercase code
+   */
+  static buildCatalogs(data) {
+    const { colors, formats, keywords, rarities, sets, types } = data;
+    const byKey = (list, key, value) => {
+      const map = {};
+      for (const item of list) {
+        map[item[key].toLowerCase()] = value(item);
+      }
+      return map;
+    };
+
+    const combinations = [
+      ...colors.colorPairs.allied,
+      ...colors.colorPairs.enemy,
+      ...colors.colorTrios.shards,
+      ...colors.colorTrios.wedges,
+      ...colors.fourColor,
+      colors.fiveColor
+    ];
+
+    const typeNames = {};
+    for (const name of [
+      ...types.supertypes.map(type => type.name),
+      ...types.cardTypes.map(type => type.name),
+      ...types.creatureTypes,
+      ...types.artifactTypes,
+      ...types.enchantmentTypes,
+      ...types.landTypes.basic,
+      ...types.landTypes.nonbasic,
+      ...types.planeswalkerTypes,
+      ...types.spellTypes,
+      ...types.battleTypes
+    ]) {
+      typeNames[name.toLowerCase()] = name;
+    }
+
+    return {
+      colors: byKey(colors.colors, 'code', color => color.name.toLowerCase()),
+      combinations: byKey(combinations, 'name', combination => combination.codes),
+      formats: byKey(['constructed', 'multiplayer', 'limited', 'digital', 'casual'].flatMap(group => formats[group]), 'code', format => format.name),
+      keywords: byKey([...keywords.evergreen, ...keywords.deciduous, ...keywords.common], 'name', keyword => keyword),
+      rarities: byKey(rarities.rarities, 'code', rarity => rarity.name.toLowerCase()),
+      sets: byKey([...sets.recentSets, ...sets.popularSets, ...sets.commanderProducts], 'code', set => set.name),
+      types: typeNames
+    };
+  }
+
+  /**
+   * Explain a query with the default catalogs
+   * @param {string|ScryfallQueryBuilder} input - Query string or builder
+   * @returns {string} English sentence
+   */
+  static explain(input) {
+    return new QueryExplainer().explain(input);
+  }
+
+  /**
+   * Explain a query as a single sentence
+   * @param {string|ScryfallQueryBuilder} input - Query string or builder
+   * @returns {string} English sentence, e.g. "Legendary cards costing under $5"
+   * @throws {QuerySyntaxError} If a query string is malformed
+   */
+  explain(input) {
+    const nodes = this._toNodes(input);
+    if (nodes.length === 0) {
+      return 'Any card';
+    }
+
+    // Types that every result must have become the noun: "Legendary Creature cards"
+    const isHeadType = node => node.type === 'term' && !node.regex && ExplainerQueryParser.resolveKey(node.key) === 't';
+    const types = nodes.filter(isHeadType).map(node => this._typeName(node.value));
+    const qualifiers = nodes.filter(node => !isHeadType(node)).map(node => this.describe(node));
+
+    const head = types.length > 0 ? `${types.join(' ')} cards` : 'Cards';
+    const sentence = [head, qualifiers.join(', ')].filter(Boolean).join(' ');
+    return sentence.charAt(0).toUpperCase() + sentence.slice(1);
+  }
+
+  /**
+   * Explain a query as one line per top-level condition
+   * @param {string|ScryfallQueryBuilder} input - Query string or builder
+   * @returns {string[]} Lines such as "Whose color identity is within black-green"
+   * @throws {QuerySyntaxError} If a query string is malformed
+   */
+  explainList(input) {
+    return this._toNodes(input).map(node => {
+      const line = this.describe(node);
+      return line.charAt(0).toUpperCase() + line.slice(1);
+    });
+  }
+
+  /**
+   * Get the top-level conditions of a query string or builder
+   * @param {string|ScryfallQueryBuilder} input - Query string or builder
+   * @returns {Object[]}
+   */
+  _toNodes(input) {
+    if (input && Array.isArray(input.nodes)) {
+      // A builder's tree also holds its display options
+      return typeof input.toJSON === 'function' ? input.toJSON().children : input.nodes;
+    }
+    const root = ExplainerQueryParser.parse(String(input || ''));
+    if (!root) return [];
+    return root.type === 'and' ? root.children : [root];
+  }
+
+  /**
+   * Describe a node as a phrase that follows "cards", e.g. "with flying"
+   * @param {Object} node - Query tree node
+   * @returns {string}
+   */
+  describe(node) {
+    switch (node.type) {
+      case 'term':
+        return this._describeTerm(node);
+      case 'and':
+        return node.children.map(child => this.describe(child)).join(' and ');
+      case 'or': {
+        // "of type Elf or Goblin" rather than "either of type Elf or of type Goblin"
+        const isType = child => child.type === 'term' && !child.regex && ExplainerQueryParser.resolveKey(child.key) === 't';
+        if (node.children.every(isType)) {
+          return `of type ${node.children.map(child => this._typeName(child.value)).join(' or ')}`;
+        }
+        const phrases = node.children.map(child => this.describe(child));
+        return `either ${phrases.slice(0, -1).join(', ')} or ${phrases[phrases.length - 1]}`;
+      }
+      case 'group':
+        return this.describe(node.child);
+      case 'not':
+        return this._describeNegation(node.child);
+      default:
+        return `matching "${node.value}"`;
+    }
+  }
+
+  /**
+   * Describe a negated node, e.g. "excluding reprints"
+   * @param {Object} node - The node being negated
+   * @returns {string}
+   */
+  _describeNegation(node) {
+    const inner = node.type === 'group' ? node.child : node;
+    if (inner.type === 'term' && !inner.regex) {
+      const key = ExplainerQueryParser.resolveKey(inner.key);
+      if (key === 'is') return `excluding ${this._isNoun(inner.value)}`;
+      if (key === 'not') return this._describeTerm({ ...inner, key: 'is' });
+      if (key === 't') return `excluding ${this._typeName(inner.value)} cards`;
+    }
+    if (inner.type === 'not') {
+      return this.describe(inner.child);
+    }
+    return `excluding cards ${this.describe(inner)}`;
+  }
+
+  /**
+   * Describe a single term
+   * @param {Object} term - Term node
+   * @returns {string}
+   */
+  _describeTerm(term) {
+    const text = term.regex ? `/${term.value}/` : `"${term.value}"`;
+    const contains = term.regex ? 'matches' : 'contains';
+
+    if (term.key === null) {
+      return term.exact ? `named exactly ${text}` : `with ${text} in the name`;
+    }
+
+    const key = ExplainerQueryParser.resolveKey(term.key);
+    const operator = term.operator;
+    const value = term.value.toLowerCase();
+
+    switch (key) {
+      case 'name':
+        return `whose name ${contains} ${text}`;
+      case 'o':
+        return `whose rules text ${contains} ${text}`;
+      case 'fo':
+        return `whose full rules text ${contains} ${text}`;
+      case 'ft':
+        return `whose flavor text ${contains} ${text}`;
+      case 'a':
+        return `illustrated by ${term.regex ? `an artist matching ${text}` : term.value}`;
+      case 't':
+        return term.regex ? `whose type line matches ${text}` : `of type ${this._typeName(term.value)}`;
+      case 'c':
+        return this._describeColors(operator, value, false);
+      case 'id':
+        return this._describeColors(operator, value, true);
+      case 'm':
+        return this._describeManaCost(operator, term.value);
+      case 'devotion':
+        return this._describeDevotion(operator, term.value);
+      case 'mv':
+      case 'pow':
+      case 'tou':
+      case 'loy':
+      case 'def':
+      case 'pt': {
+        const reference = STAT_NAMES[ExplainerQueryParser.resolveKey(value)];
+        return `with ${STAT_NAMES[key]} ${this._compare(operator, reference || term.value)}`;
+      }
+      case 'usd':
+      case 'eur':
+      case 'tix':
+        return `costing ${(PRICE_WORDS[operator] || PRICE_WORDS['='])(PRICE_FORMATS[key](term.value))}`;
+      case 'r':
+        return this._describeRarity(operator, value);
+      case 'f':
+        return `legal in ${this._formatName(value)}`;
+      case 'banned':
+        return `banned in ${this._formatName(value)}`;
+      case 'restricted':
+        return `restricted in ${this._formatName(value)}`;
+      case 's': {
+        const name = this.catalogs.sets[value];
+        return name ? `from ${name} (${value.toUpperCase()})` : `from set ${value.toUpperCase()}`;
+      }
+      case 'keyword': {
+        const keyword = this.catalogs.keywords[value];
+        return keyword
+          ? `with ${keyword.name.toLowerCase()} (${keyword.description.charAt(0).toLowerCase()}${keyword.description.slice(1)})`
+          : `with the ${term.value} keyword`;
+      }
+      case 'is':
+        return `that are ${this._isNoun(value)}`;
+      case 'not':
+        return `excluding ${this._isNoun(value)}`;
+      case 'produces':
+        return `that produce ${this._colorNames(value)} mana`;
+      case 'wm':
+        return `with the ${term.value} watermark`;
+      case 'lang':
+        return `printed in language "${term.value}"`;
+      case 'frame':
+        return `with the ${term.value} frame`;
+      case 'border':
+        return `with a ${term.value} border`;
+      case 'game':
+        return `available in ${GAMES[value] || term.value}`;
+      case 'year':
+        return `released in a year ${this._compare(operator, term.value)}`;
+      case 'date': {
+        const name = this.catalogs.sets[value];
+        const when = /^\d{4}-\d{2}-\d{2}$/.test(value)
+          ? value
+          : name ? `${name} (${value.toUpperCase()})` : `set ${value.toUpperCase()}`;
+        return `released ${DATE_WORDS[operator] || DATE_WORDS['=']} ${when}`;
+      }
+      case 'new':
+        return NEW_PHRASES[value] || `where new is ${text}`;
+      case 'cn':
+        return `with collector number ${this._compare(operator, term.value)}`;
+      case 'prints':
+      case 'paperprints':
+      case 'sets':
+      case 'papersets':
+      case 'artists':
+      case 'illustrations': {
+        const count = (COUNT_WORDS[operator] || COUNT_WORDS['='])(term.value);
+        return key === 'sets' || key === 'papersets'
+          ? `printed in ${count} ${COUNT_NOUNS[key]}`
+          : `with ${count} ${COUNT_NOUNS[key]}`;
+      }
+      case 'in': {
+        const name = this.catalogs.sets[value] ? `${this.catalogs.sets[value]} (${value.toUpperCase()})` : GAMES[value] || term.value;
+        return `printed in ${name}`;
+      }
+      case 'cube':
+        return `in the ${term.value} cube`;
+      case 'st':
+        return `from a ${value.replace(/_/g, ' ')} set`;
+      case 'unique':
+      case 'dir':
+      case 'include':
+      case 'prefer':
+        return DISPLAY_PHRASES[key][value] || `where ${key} is ${text}`;
+      case 'order':
+        return DISPLAY_PHRASES.order[value] || `sorted by ${value}`;
+      case 'otag':
+        return `tagged "${term.value}"`;
+      case 'atag':
+        return `with art tagged "${term.value}"`;
+      default:
+        return `where ${key || term.key} ${operator === ':' ? 'is' : operator} ${text}`;
+    }
+  }
+
+  /**
+   * Describe a c: or id: term
+   * @param {string} operator - The term operator
+   * @param {string} value - Lowercase color letters, a color or guild name, "m", or a number
+   * @param {boolean} identity - Whether this is a color identity term
+   * @returns {string}
+   */
+  _describeColors(operator, value, identity) {
+    const subject = identity ? 'whose color identity' : 'whose colors';
+
+    if (/^\d$/.test(value)) {
+      return `with ${this._compare(operator, value)} ${identity ? 'colors in their identity' : 'colors'}`;
+    }
+    if (value === 'm' || value === 'multicolor') {
+      return identity ? 'with a multicolored identity' : 'that are multicolored';
+    }
+    if (value === 'c' || value === 'colorless') {
+      return identity ? 'with a colorless identity' : 'that are colorless';
+    }
+
+    const colors = this._colorNames(value);
+    switch (operator) {
+      case '=':
+        return `${subject} ${identity ? 'is' : 'are'} exactly ${colors}`;
+      case '!=':
+        return `${subject} ${identity ? 'is' : 'are'} not exactly ${colors}`;
+      case '<':
+        return `${subject} ${identity ? 'is' : 'are'} strictly within ${colors}`;
+      case '>':
+        return `${subject} ${identity ? 'includes' : 'include'} ${colors} and more`;
+      case '>=':
+        return `${subject} ${identity ? 'includes' : 'include'} ${colors}`;
+      case '<=':
+        return `${subject} ${identity ? 'is' : 'are'} within ${colors}`;
+      default:
+        // c: means "at least these colors" while id: means "fits in this identity"
+        return identity ? `${subject} is within ${colors}` : `${subject} include ${colors}`;
+    }
+  }
+
+  /**
+   * Name a color value, e.g. "bg" -> "black-green", "golgari" -> "Golgari (black-green)"
+   * @param {string} value - Lowercase color letters or a color/guild/shard name
+   * @returns {string}
+   */
+  _colorNames(value) {
+    const combination = this.catalogs.combinations[value];
+    if (combination) {
+      return `${value.charAt(0).toUpperCase()}${value.slice(1)} (${this._colorNames(combination)})`;
+    }
+    if (value.length > 0 && [...value].every(letter => COLOR_LETTERS.includes(letter) || letter === 'c')) {
+      return [...value].map(letter => this.catalogs.colors[letter] || 'colorless').join('-');
+    }
+    return value;
+  }
+
+  _describeManaCost(operator, cost) {
+    switch (operator) {
+      case '=':
+        return `with mana cost exactly ${cost}`;
+      case '!=':
+        return `with a mana cost other than ${cost}`;
+      case '<':
+      case '<=':
+        return `whose mana cost fits within ${cost}`;
+      case '>':
+        return `whose mana cost includes ${cost} and more`;
+      default:
+        return `whose mana cost includes ${cost}`;
+    }
+  }
+
+  _describeDevotion(operator, value) {
+    const symbols = value.match(/\{[^}]+\}/g) || [];
+    const colors = [...COLOR_LETTERS].filter(letter => (symbols[0] || '').toLowerCase().includes(letter));
+    if (colors.length === 0) {
+      return `with devotion ${value}`;
+    }
+    const names = colors.map(letter => this.catalogs.colors[letter]).join(' and ');
+    return `with devotion to ${names} of ${this._compare(operator === ':' ? '>=' : operator, symbols.length)}`;
+  }
+
+  _describeRarity(operator, value) {
+    const letters = { c: 'common', u: 'uncommon', r: 'rare', m: 'mythic', s: 'special', b: 'bonus' };
+    const rarity = this.catalogs.rarities[letters[value] || value] || value;
+    switch (operator) {
+      case '<':
+        return `below ${rarity} rarity`;
+      case '<=':
+        return `of ${rarity} rarity or lower`;
+      case '>':
+        return `above ${rarity} rarity`;
+      case '>=':
+        return `of ${rarity} rarity or higher`;
+      case '!=':
+        return `not of ${rarity} rarity`;
+      default:
+        return `of ${rarity} rarity`;
+    }
+  }
+
+  _compare(operator, value) {
+    return (COMPARISON_WORDS[operator] || COMPARISON_WORDS['='])(value);
+  }
+
+  _formatName(code) {
+    return this.catalogs.formats[code] || code;
+  }
+
+  _typeName(value) {
+    return value.split(/\s+/).map(word => this.catalogs.types[word.toLowerCase()] || word).join(' ');
+  }
+
+  _isNoun(value) {
+    return IS_NOUNS[value.toLowerCase()] || `${value.toLowerCase()} cards`;
+  }
+}
+
+// Export for use in browser and Node.js
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = QueryExplainer;
+}
@@ -0,0 +1,187 @@
+/**
+ * QueryFormFiller - Fills in a query builder form from a Scryfall search URL
+ *
+ * Used by the query builder page (app.js) and the generator app
+ * (generator/app.js). Both forms share field ids; what differs between them,
+ * such as the color checkboxes and how the form is cleared, is passed in.
+ *
+ * Works in Node.js and in the browser, where QueryNode.js and QueryParser.js
+ * must be loaded first.
+ */
+const FormQueryNode = typeof QueryNode === 'undefined' ? require('./QueryNode') : QueryNode;
+const FormQueryParser = typeof QueryParser === 'undefined' ? require('./QueryParser') : QueryParser;
+
+// Number fields and their operator selects, by keyword
+const NUMBER_FIELDS = { mv: 'mana-value', pow: 'power', tou: 'toughness', usd: 'price-usd' };
+
+// Single-letter rarities
+const RARITIES = { c: 'common', u: 'uncommon', r: 'rare', m: 'mythic' };
+
+class QueryFormFiller {
+  /**
+   * @param {Object} options - Form options
+   * @param {string} options.colorInputs - CSS selector for the color checkboxes
+   * @param {Set} options.selectedKeywords - Values of the selected keyword tags
+   * @param {Set} options.selectedIsFilters - Values of the selected is: filter tags
+   * @param {Function} options.reset - Clears the form
+   * @param {Document} [options.document] - Document holding the form
+   */
+  constructor(options) {
+    this.colorInputs = options.colorInputs;
+    this.selectedKeywords = options.selectedKeywords;
+    this.selectedIsFilters = options.selectedIsFilters;
+    this.reset = options.reset;
+    this.document = options.document || document;
+  }
+
+  /**
+   * Clear the form and fill it in from a scryfall.com or api.scryfall.com search URL.
+   * Conditions the form has no field for go into the raw query box.
+   * @param {string} url - The pasted URL
+   * @throws {Error} If the URL is not a Scryfall search or its query is malformed;
+   *   the form is left alone
+   */
+  loadUrl(url) {
+    const search = FormQueryParser.parseUrl(url);
+    const root = FormQueryParser.parse(search.query);
+
+    this.reset();
+
+    const nodes = !root ? [] : root.type === 'and' ? root.children : [root];
+    const rest = nodes.filter(node => !this.applyTerm(node));
+
+    // The form has no display options, so they go back into the query as keywords
+    for (const option of ['unique', 'order', 'dir']) {
+      if (search[option]) rest.push(FormQueryNode.term(option, ':', search[option]));
+    }
+    if (search.includeExtras) rest.push(FormQueryNode.term('include', ':', 'extras'));
+
+    this.document.getElementById('raw-query').value = FormQueryNode.render(FormQueryNode.and(rest));
+  }
+
+  /**
+   * Put a top-level query condition into its form field
+   * @param {Object} node - Query tree node
+   * @returns {boolean} Whether the form has a free field for the condition
+   */
+  applyTerm(node) {
+    if (node.type !== 'term' || node.regex) return false;
+
+    const key = node.key === null ? null : FormQueryParser.resolveKey(node.key);
+    const value = node.value.toLowerCase();
+    // ":" means "at least" for colors, "within" for identity and "equals" for numbers
+    const operator = node.operator === ':'
+      ? { c: '>=', id: '<=' }[key] || '='
+      : node.operator;
+
+    switch (key) {
+      case null:
+        if (!node.exact || !this.setFormValue('card-name', node.value)) return false;
+        this.document.getElementById('exact-match').checked = true;
+        return true;
+      case 'name':
+        return this.setFormValue('card-name', node.value);
+      case 'o':
+        return this.setFormValue('oracle-text', node.value);
+      case 'ft':
+        return this.setFormValue('flavor-text', node.value);
+      case 'a':
+        return this.setFormValue('artist', node.value);
+      case 't':
+        return this.setFormValue('type', value);
+      case 's':
+        return this.setFormValue('set', value);
+      case 'f':
+        return this.setFormValue('format', value);
+      case 'frame':
+        return this.setFormValue('frame', value);
+      case 'border':
+        return this.setFormValue('border', value);
+      case 'r':
+        return this.hasOption('rarity-operator', operator) && this.setFormValue('rarity', RARITIES[value] || value) &&
+          this.setOperator('rarity-operator', operator);
+      case 'mv':
+      case 'pow':
+      case 'tou':
+      case 'usd': {
+        const field = NUMBER_FIELDS[key];
+        return /^\d+(\.\d+)?$/.test(value) && this.hasOption(`${field}-operator`, operator) &&
+          this.setFormValue(field, value) && this.setOperator(`${field}-operator`, operator);
+      }
+      case 'c':
+      case 'id': {
+        const checkboxes = value.split('').map(color => this.document.querySelector(`${this.colorInputs}[value="${color}"]`));
+        if (this.document.querySelector(`${this.colorInputs}:checked`) || checkboxes.some(checkbox => !checkbox) ||
+            !this.hasOption('color-operator', operator)) {
+          return false;
+        }
+        checkboxes.forEach(checkbox => { checkbox.checked = true; });
+        this.document.getElementById('color-mode').value = key === 'id' ? 'identity' : 'color';
+        return this.setOperator('color-operator', operator);
+      }
+      case 'keyword':
+        return this.selectTag(`#keywords-container .keyword-tag[data-keyword="${value}"]`, this.selectedKeywords, value);
+      case 'is':
+        return this.selectTag(`#is-filters-container .keyword-tag[data-filter="${value}"]`, this.selectedIsFilters, value);
+      default:
+        return false;
+    }
+  }
+
+  /**
+   * Set an empty form field; select boxes only take values they have an option for
+   * @param {string} id - Field id
+   * @param {string} value - New value
+   * @returns {boolean} Whether the field was set
+   */
+  setFormValue(id, value) {
+    const field = this.document.getElementById(id);
+    if (!field || field.value !== '') return false;
+    if (field.tagName === 'SELECT' && !this.hasOption(id, value)) return false;
+    field.value = value;
+    return true;
+  }
+
+  /**
+   * Choose an operator in an operator select box
+   * @param {string} id - Select id
+   * @param {string} operator - Operator value
+   * @returns {boolean} Whether the select has the operator
+   */
+  setOperator(id, operator) {
+    if (!this.hasOption(id, operator)) return false;
+    this.document.getElementById(id).value = operator;
+    return true;
+  }
+
+  /**
+   * Check whether a select box has an option
+   * @param {string} id - Select id
+   * @param {string} value - Option value
+   * @returns {boolean}
+   */
+  hasOption(id, value) {
+    const select = this.document.getElementById(id);
+    return Boolean(select) && Array.from(select.options).some(option => option.value === value);
+  }
+
+  /**
+   * Select a keyword or is: filter tag
+   * @param {string} selector - CSS selector for the tag
+   * @param {Set} selected - The set of selected values
+   * @param {string} value - The tag's value
+   * @returns {boolean} Whether the tag exists
+   */
+  selectTag(selector, selected, value) {
+    const tag = this.document.querySelector(selector);
+    if (!tag) return false;
+    selected.add(value);
+    tag.classList.add('selected');
+    return true;
+  }
+}
+
+// Export for use in browser and Node.js
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = QueryFormFiller;
+}
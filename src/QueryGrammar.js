@@ -0,0 +1,454 @@
+/**
+ * QueryGrammar - A grammar for families of random queries
+ *
+ * Each rule lists weighted alternatives; expanding the grammar picks one
+ * alternative of the start rule and expands the rules it refers to in turn.
+ * A grammar is written as BNF-like text or as JSON, and both use the same
+ * notation for alternatives:
+ *
+ *   t:creature          a search term, written out as it is
+ *   <rule>              the expansion of another rule
+ *   {filter}            a random term for a RandomQueryGenerator filter (e.g., {manaValue})
+ *   ( ... )             a group; put `or` between terms for alternatives
+ *   -<rule> -{filter} -( ... )   negations
+ *   [3] ...             weight of an alternative (default 1)
+ *   a | b               separate alternatives; an empty one expands to nothing
+ *
+ * @example
+ * const grammar = new QueryGrammar(`
+ *   query    ::= [3] <creature> {format} | <spell> -{keyword}
+ *   creature ::= t:creature ({color} or {colorIdentity}) <stats>
+ *   stats    ::= {power} | {toughness} |
+ *   spell    ::= (t:instant or t:sorcery) {manaValue}
+ * `);
+ *
+ * // The same grammar as JSON
+ * new QueryGrammar({
+ *   start: 'query',
+ *   rules: {
+ *     query: [{ weight: 3, expand: '<creature> {format}' }, '<spell> -{keyword}'],
+ *     creature: 't:creature ({color} or {colorIdentity}) <stats>',
+ *     stats: ['{power}', '{toughness}', ''],
+ *     spell: '(t:instant or t:sorcery) {manaValue}'
+ *   }
+ * });
+ *
+ * @see https://scryfall.com/docs/syntax for Scryfall search syntax documentation
+ */
+const QueryParser = require('./QueryParser');
+
+// How many rule references deep an expansion may go unless told otherwise
+const DEFAULT_MAX_DEPTH = 10;
+
+// Words that join terms rather than being terms
+const CONNECTIVES = ['or', 'and'];
+
+const RULE_NAME = /^[A-Za-z_][\w-]*$/;
+
+class QueryGrammar {
+  /**
+   * @param {string|Object} definition - BNF-like text, or { start, maxDepth, rules } where each
+   *   rule is a string of alternatives or an array of strings and { weight, expand } objects
+   * @param {Object} [options] - Options, taking precedence over the definition's
+   * @param {string} [options.start] - Rule to expand; defaults to the first rule
+   * @param {number} [options.maxDepth=10] - How many rule references deep an expansion may go
+   * @throws {Error} If the grammar is malformed, refers to unknown rules or can't finish
+   *   within maxDepth
+   */
+  constructor(definition, options = {}) {
+    let source;
+    if (typeof definition === 'string') {
+      source = QueryGrammar._parseText(definition);
+    } else if (definition && typeof definition.rules === 'object' && definition.rules !== null) {
+      source = definition;
+    } else {
+      throw new Error('Invalid grammar; expected BNF-like text or an object with rules');
+    }
+
+    this.rules = new Map();
+    for (const [name, alternatives] of Object.entries(source.rules)) {
+      if (!RULE_NAME.test(name)) {
+        throw new Error(`Invalid grammar rule name "${name}"`);
+      }
+      this.rules.set(name, QueryGrammar._parseRule(name, alternatives));
+    }
+    if (this.rules.size === 0) {
+      throw new Error('Grammar has no rules');
+    }
+
+    this.start = options.start || source.start || this.rules.keys().next().value;
+    if (!this.rules.has(this.start)) {
+      throw new Error(`Unknown start rule "${this.start}"`);
+    }
+    this.maxDepth = options.maxDepth !== undefined ? options.maxDepth :
+      source.maxDepth !== undefined ? source.maxDepth : DEFAULT_MAX_DEPTH;
+    if (!Number.isInteger(this.maxDepth) || this.maxDepth < 0) {
+      throw new Error(`Invalid maxDepth "${this.maxDepth}"; expected a whole number of at least 0`);
+    }
+
+    this._checkReferences();
+    this._measureDepths();
+  }
+
+  /**
+   * Split BNF-like text into rules
+   *
+   * Each rule starts on a line of its own as `name ::= alternatives`; indented lines and
+   * lines starting with `|` continue it. Lines starting with `#` are comments.
+   * @param {string} text - The grammar text
+   * @returns {Object} { rules } with each rule's alternatives as a string
+   * @throws {Error} If a line is neither a rule, a continuation nor a comment
+   */
+  static _parseText(text) {
+    const rules = {};
+    let current = null;
+    text.split(/\r?\n/).forEach((line, index) => {
+      const trimmed = line.trim();
+      if (!trimmed || trimmed.startsWith('#')) return;
+
+      const match = trimmed.match(/^([^\s:]+)\s*::=(.*)$/);
+      if (match) {
+        current = match[1];
+        if (Object.prototype.hasOwnProperty.call(rules, current)) {
+          throw new Error(`Grammar rule "${current}" is defined twice`);
+        }
+        rules[current] = match[2];
+      } else if (current && (/^\s/.test(line) || trimmed.startsWith('|'))) {
+        rules[current] += ` ${trimmed}`;
+      } else {
+        throw new Error(`Invalid grammar line ${index + 1}: "${trimmed}"; expected "name ::= alternatives"`);
+      }
+    });
+    return { rules };
+  }
+
+  /**
+   * Parse the alternatives of a rule
+   * @param {string} name - Rule name
+   * @param {string|Array} alternatives - String of alternatives, or an array of strings
+   *   and { weight, expand } objects
+   * @returns {Object[]} { weight, items } for each alternative
+   * @throws {Error} If an alternative is malformed
+   */
+  static _parseRule(name, alternatives) {
+    if (typeof alternatives === 'string') {
+      return QueryGrammar._parseAlternatives(name, alternatives);
+    }
+    if (!Array.isArray(alternatives) || alternatives.length === 0) {
+      throw new Error(`Grammar rule "${name}" must be a string or a non-empty array of alternatives`);
+    }
+    return alternatives.flatMap(alternative => {
+      if (typeof alternative === 'string') {
+        return QueryGrammar._parseAlternatives(name, alternative);
+      }
+      if (!alternative || typeof alternative.expand !== 'string') {
+        throw new Error(`Invalid alternative in grammar rule "${name}"; expected a string or { weight, expand }`);
+      }
+      const parsed = QueryGrammar._parseAlternatives(name, alternative.expand);
+      if (parsed.length !== 1) {
+        throw new Error(`Alternative "${alternative.expand}" in grammar rule "${name}" holds several; list them separately`);
+      }
+      const weight = alternative.weight === undefined ? 1 : alternative.weight;
+      return [{ ...parsed[0], weight: QueryGrammar._checkWeight(name, weight) }];
+    });
+  }
+
+  /**
+   * Check the weight of an alternative
+   * @param {string} name - Rule name
+   * @param {*} weight - The weight
+   * @returns {number}
+   * @throws {Error} If the weight is not a number of at least 0
+   */
+  static _checkWeight(name, weight) {
+    if (typeof weight !== 'number' || !Number.isFinite(weight) || weight < 0) {
+      throw new Error(`Invalid weight "${weight}" in grammar rule "${name}"; expected a number of at least 0`);
+    }
+    return weight;
+  }
+
+  /**
+   * Parse alternatives separated by `|`
+   * @param {string} name - Rule name, for error messages
+   * @param {string} source - The alternatives
+   * @returns {Object[]} { weight, items } for each alternative, where items are
+   *   { type: 'term'|'rule'|'filter'|'group', negated } nodes
+   * @throws {Error} If the alternatives are malformed
+   */
+  static _parseAlternatives(name, source) {
+    const fail = message => {
+      throw new Error(`${message} in grammar rule "${name}"`);
+    };
+    const alternatives = [];
+    let alternative = { weight: 1, items: [] };
+    let items = alternative.items;
+    const enclosing = [];
+    let negated = false;
+    let i = 0;
+
+    const add = item => {
+      items.push({ ...item, negated });
+      negated = false;
+    };
+
+    while (i < source.length) {
+      const char = source[i];
+      const rest = source.slice(i);
+      let match;
+
+      if (/\s/.test(char)) {
+        i++;
+      } else if (char === '|') {
+        if (enclosing.length > 0) fail('Unexpected "|" inside parentheses');
+        alternatives.push(alternative);
+        alternative = { weight: 1, items: [] };
+        items = alternative.items;
+        i++;
+      } else if (char === '[') {
+        match = rest.match(/^\[([^\]]*)\]/);
+        if (!match || items !== alternative.items || items.length > 0) {
+          fail('A weight like "[3]" can only start an alternative');
+        }
+        alternative.weight = QueryGrammar._checkWeight(name, match[1].trim() === '' ? NaN : Number(match[1]));
+        i += match[0].length;
+      } else if (char === '-' && '<{('.includes(source[i + 1] || '')) {
+        negated = true;
+        i++;
+      } else if (char === '<') {
+        match = rest.match(/^<([A-Za-z_][\w-]*)>/);
+        if (!match) fail(`Invalid rule reference "${rest.split(/\s/)[0]}"`);
+        add({ type: 'rule', name: match[1] });
+        i += match[0].length;
+      } else if (char === '{') {
+        match = rest.match(/^\{([A-Za-z_]\w*)\}/);
+        if (!match) fail(`Invalid filter "${rest.split(/\s/)[0]}"`);
+        add({ type: 'filter', name: match[1] });
+        i += match[0].length;
+      } else if (char === '(') {
+        const group = { type: 'group', items: [], negated };
+        negated = false;
+        items.push(group);
+        enclosing.push(items);
+        items = group.items;
+        i++;
+      } else if (char === ')') {
+        if (enclosing.length === 0) fail('Unbalanced parentheses');
+        items = enclosing.pop();
+        i++;
+      } else {
+        const end = QueryGrammar._termEnd(source, i);
+        if (end === -1) fail(`Unclosed quote or regular expression in "${rest}"`);
+        const text = source.slice(i, end);
+        if (!CONNECTIVES.includes(text.toLowerCase())) {
+          try {
+            QueryParser.parse(text);
+          } catch (error) {
+            fail(`Invalid term "${text}" (${error.message})`);
+          }
+        }
+        add({ type: 'term', text });
+        i = end;
+      }
+    }
+
+    if (enclosing.length > 0) fail('Unbalanced parentheses');
+    alternatives.push(alternative);
+    return alternatives;
+  }
+
+  /**
+   * Find where a search term ends: at whitespace, a parenthesis or `|` outside quotes
+   * and regular expressions
+   * @param {string} source - The alternatives
+   * @param {number} start - Where the term starts
+   * @returns {number} Index after the term, or -1 if a quote or regular expression is unclosed
+   */
+  static _termEnd(source, start) {
+    let i = start;
+    while (i < source.length && !/[\s()|]/.test(source[i])) {
+      const opensRegex = source[i] === '/' && i > start && ':=<>'.includes(source[i - 1]);
+      if (source[i] === '"' || opensRegex) {
+        const close = source[i];
+        i++;
+        while (i < source.length && source[i] !== close) {
+          i += source[i] === '\\' ? 2 : 1;
+        }
+        if (i >= source.length) return -1;
+      }
+      i++;
+    }
+    return i;
+  }
+
+  /**
+   * Check that every rule reference names a rule
+   * @throws {Error} If a reference names an unknown rule
+   */
+  _checkReferences() {
+    this.rules.forEach((alternatives, name) => {
+      for (const reference of QueryGrammar._collect(alternatives, 'rule')) {
+        if (!this.rules.has(reference)) {
+          throw new Error(`Grammar rule "${name}" refers to unknown rule "${reference}"`);
+        }
+      }
+    });
+  }
+
+  /**
+   * Work out how many levels of rule references each alternative needs to finish, so
+   * that expansions near maxDepth only pick alternatives that fit
+   * @throws {Error} If a rule can never finish, or the start rule can't within maxDepth
+   */
+  _measureDepths() {
+    const depths = new Map([...this.rules.keys()].map(name => [name, Infinity]));
+    const needs = alternative => Math.max(0, ...QueryGrammar._collect([alternative], 'rule').map(name => depths.get(name) + 1));
+
+    let changed = true;
+    while (changed) {
+      changed = false;
+      this.rules.forEach((alternatives, name) => {
+        const depth = Math.min(...alternatives.filter(alternative => alternative.weight > 0).map(needs));
+        if (depth < depths.get(name)) {
+          depths.set(name, depth);
+          changed = true;
+        }
+      });
+    }
+
+    this.rules.forEach((alternatives, name) => {
+      if (alternatives.every(alternative => alternative.weight === 0)) {
+        throw new Error(`Grammar rule "${name}" gives every alternative a weight of 0`);
+      }
+      if (depths.get(name) === Infinity) {
+        throw new Error(`Grammar rule "${name}" never finishes; give it an alternative that doesn't lead back to it`);
+      }
+      alternatives.forEach(alternative => {
+        alternative.depth = needs(alternative);
+      });
+    });
+    if (depths.get(this.start) > this.maxDepth) {
+      throw new Error(`Grammar rule "${this.start}" needs a maxDepth of at least ${depths.get(this.start)}`);
+    }
+  }
+
+  /**
+   * Collect the names of the rules or filters some alternatives refer to
+   * @param {Object[]} alternatives - Parsed alternatives
+   * @param {string} type - 'rule' or 'filter'
+   * @returns {string[]} Names, without repeats
+   */
+  static _collect(alternatives, type) {
+    const names = new Set();
+    const visit = items => items.forEach(item => {
+      if (item.type === type) names.add(item.name);
+      if (item.type === 'group') visit(item.items);
+    });
+    alternatives.forEach(alternative => visit(alternative.items));
+    return [...names];
+  }
+
+  /**
+   * Get the filters the grammar uses
+   * @returns {string[]} Filter names from {filter} placeholders
+   */
+  getFilters() {
+    return QueryGrammar._collect([...this.rules.values()].flat(), 'filter');
+  }
+
+  /**
+   * Expand the grammar into a query
+   * @param {Object} [context] - Where random choices and filter terms come from
+   * @param {Function} [context.random=Math.random] - Random number source like Math.random
+   * @param {Function} [context.filter] - Receives a filter name and returns a search term for it;
+   *   required if the grammar has {filter} placeholders
+   * @returns {string} The query, with spaces between terms
+   *
+   * @example
+   * new QueryGrammar('q ::= t:elf (c=g or c=b) | t:goblin').expand(); // 't:goblin'
+   */
+  expand(context = {}) {
+    const random = context.random || Math.random;
+    const filter = context.filter || (name => {
+      throw new Error(`Grammar uses {${name}} but no filter terms were given to expand()`);
+    });
+    return this._expandRule(this.start, this.maxDepth, { random, filter }).join(' ');
+  }
+
+  /**
+   * Expand a rule, choosing among the alternatives that fit in the depth left
+   * @param {string} name - Rule name
+   * @param {number} depth - Levels of rule references left
+   * @param {Object} context - { random, filter }
+   * @returns {string[]} Terms and connectives
+   */
+  _expandRule(name, depth, context) {
+    const alternatives = this.rules.get(name).filter(alternative => alternative.weight > 0 && alternative.depth <= depth);
+    const total = alternatives.reduce((sum, alternative) => sum + alternative.weight, 0);
+    let roll = context.random() * total;
+    const chosen = alternatives.find(alternative => (roll -= alternative.weight) < 0) || alternatives[alternatives.length - 1];
+    return this._expandItems(chosen.items, depth, context);
+  }
+
+  /**
+   * Expand a sequence of items
+   * @param {Object[]} items - Parsed items
+   * @param {number} depth - Levels of rule references left
+   * @param {Object} context - { random, filter }
+   * @returns {string[]} Terms and connectives, with dangling connectives dropped
+   */
+  _expandItems(items, depth, context) {
+    const parts = [];
+    for (const item of items) {
+      let expanded;
+      if (item.type === 'term') {
+        expanded = [item.text];
+      } else if (item.type === 'rule') {
+        expanded = this._expandRule(item.name, depth - 1, context);
+        // An `or` inside the rule must not bind to the terms around it
+        if (expanded.length > 1 && expanded.some(QueryGrammar._isConnective)) {
+          expanded = [`(${expanded.join(' ')})`];
+        }
+      } else if (item.type === 'filter') {
+        expanded = [context.filter(item.name)];
+      } else {
+        const inner = this._expandItems(item.items, depth, context);
+        expanded = inner.length > 0 ? [`(${inner.join(' ')})`] : [];
+      }
+      if (item.negated && expanded.length > 0) {
+        expanded = [expanded.length === 1 && !expanded[0].startsWith('-') ? `-${expanded[0]}` : `-(${expanded.join(' ')})`];
+      }
+      parts.push(...expanded);
+    }
+    return QueryGrammar._tidy(parts);
+  }
+
+  /**
+   * Check whether a part joins terms rather than being one
+   * @param {string} part - Term or connective
+   * @returns {boolean}
+   */
+  static _isConnective(part) {
+    return CONNECTIVES.includes(part.toLowerCase());
+  }
+
+  /**
+   * Drop connectives left dangling by alternatives that expanded to nothing
+   * @param {string[]} parts - Terms and connectives
+   * @returns {string[]}
+   */
+  static _tidy(parts) {
+    const isConnective = QueryGrammar._isConnective;
+    const tidy = [];
+    for (const part of parts) {
+      if (!part) continue;
+      if (isConnective(part) && (tidy.length === 0 || isConnective(tidy[tidy.length - 1]))) continue;
+      tidy.push(part);
+    }
+    if (tidy.length > 0 && isConnective(tidy[tidy.length - 1])) tidy.pop();
+    return tidy;
+  }
+}
+
+QueryGrammar.DEFAULT_MAX_DEPTH = DEFAULT_MAX_DEPTH;
+
+module.exports = QueryGrammar;
@@ -0,0 +1,180 @@
+/**
+ * QueryNode - Expression tree nodes for Scryfall search queries
+ *
+ * Parsed queries are represented as a small tree of plain objects:
+ * - term:  a single filter such as `t:creature`, `mv<=3` or a bare name word
+ * - and:   conditions that must all match (juxtaposition in Scryfall syntax)
+ * - or:    conditions where any one may match
+ * - not:   a negated condition (`-` prefix)
+ * - group: an explicitly parenthesized condition
+ * - raw:   query text kept verbatim because it could not be parsed
+ *
+ * Nodes are treated as immutable; builders share them freely between clones.
+ *
+ * @see https://scryfall.com/docs/syntax for Scryfall search syntax documentation
+ */
+
+class QueryNode {
+  /**
+   * Create a term node
+   * @param {string|null} key - The search keyword as written (e.g., "t", "type"), or null for bare words
+   * @param {string|null} operator - The comparison operator (e.g., ":", "<="), or null for bare words
+   * @param {string} value - The value being searched for
+   * @param {Object} [options] - Extra term flags
+   * @param {boolean} [options.quoted=false] - Whether the value is written in double quotes
+   * @param {boolean} [options.regex=false] - Whether the value is a /regular expression/
+   * @param {boolean} [options.exact=false] - Whether this is an exact name match (`!"name"`)
+   * @returns {Object} Term node
+   */
+  static term(key, operator, value, options = {}) {
+    return {
+      type: 'term',
+      key: key ? key.toLowerCase() : null,
+      operator: key ? operator : null,
+      value: String(value),
+      quoted: Boolean(options.quoted),
+      regex: Boolean(options.regex),
+      exact: Boolean(options.exact)
+    };
+  }
+
+  /**
+   * Create an AND node
+   * @param {Object[]} children - Child nodes that must all match
+   * @returns {Object} AND node
+   */
+  static and(children) {
+    return { type: 'and', children };
+  }
+
+  /**
+   * Create an OR node
+   * @param {Object[]} children - Child nodes where any one may match
+   * @returns {Object} OR node
+   */
+  static or(children) {
+    return { type: 'or', children };
+  }
+
+  /**
+   * Create a NOT node
+   * @param {Object} child - The node being negated
+   * @returns {Object} NOT node
+   */
+  static not(child) {
+    return { type: 'not', child };
+  }
+
+  /**
+   * Create a parenthesized group node
+   * @param {Object} child - The grouped node
+   * @returns {Object} Group node
+   */
+  static group(child) {
+    return { type: 'group', child };
+  }
+
+  /**
+   * Create a raw node for text that is rendered verbatim
+   * @param {string} value - The query text
+   * @returns {Object} Raw node
+   */
+  static raw(value) {
+    return { type: 'raw', value: String(value) };
+  }
+
+  /**
+   * Deep-copy a node, validating its structure
+   * @param {Object} node - The node to copy
+   * @returns {Object} Copied node
+   * @throws {Error} If the tree contains an unknown node type
+   */
+  static clone(node) {
+    switch (node && node.type) {
+      case 'term':
+        return QueryNode.term(node.key, node.operator, node.value, node);
+      case 'and':
+        return QueryNode.and(node.children.map(QueryNode.clone));
+      case 'or':
+        return QueryNode.or(node.children.map(QueryNode.clone));
+      case 'not':
+        return QueryNode.not(QueryNode.clone(node.child));
+      case 'group':
+        return QueryNode.group(QueryNode.clone(node.child));
+      case 'raw':
+        return QueryNode.raw(node.value);
+      default:
+        throw new Error(`Unknown query node type: ${node && node.type}`);
+    }
+  }
+
+  /**
+   * Format a term value, quoting it when required
+   *
+   * Quoted values escape embedded double quotes and backslashes (`"a \"b\""`).
+   * Values that would otherwise be read as something else, such as a keyed
+   * value starting with "/" or a bare "or", are quoted too.
+   * @param {Object} node - Term node
+   * @returns {string} Formatted value
+   */
+  static formatValue(node) {
+    if (node.regex) {
+      return `/${node.value}/`;
+    }
+    const value = node.value;
+    const bare = node.key === null && !node.exact;
+    const needsQuotes = node.quoted ||
+      value === '' ||
+      /[\s()"]/.test(value) ||
+      (node.key !== null && value.startsWith('/')) ||
+      (bare && (/^[-!]/.test(value) || /^(or|and)$/i.test(value)));
+    if (needsQuotes) {
+      return `"${value.replace(/[\\"]/g, '\\$&')}"`;
+    }
+    return value;
+  }
+
+  /**
+   * Render a node back into Scryfall query syntax
+   * @param {Object|null} node - The node to render
+   * @returns {string} Query string
+   */
+  static render(node) {
+    if (!node) return '';
+
+    switch (node.type) {
+      case 'term': {
+        const prefix = node.exact ? '!' : '';
+        const key = node.key ? `${node.key}${node.operator}` : '';
+        return `${prefix}${key}${QueryNode.formatValue(node)}`;
+      }
+      case 'and':
+        // OR binds looser than AND, so it needs parentheses next to other conditions
+        return node.children
+          .map(child => {
+            const rendered = QueryNode.render(child);
+            return child.type === 'or' && node.children.length > 1 ? `(${rendered})` : rendered;
+          })
+          .filter(Boolean)
+          .join(' ');
+      case 'or':
+        return node.children.map(QueryNode.render).filter(Boolean).join(' or ');
+      case 'not': {
+        const inner = QueryNode.render(node.child);
+        const needsParens = node.child.type === 'and' || node.child.type === 'or';
+        return needsParens ? `-(${inner})` : `-${inner}`;
+      }
+      case 'group':
+        return `(${QueryNode.render(node.child)})`;
+      case 'raw':
+        return node.value;
+      default:
+        throw new Error(`Unknown query node type: ${node.type}`);
+    }
+  }
+}
+
+// Export for use in browser and Node.js
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = QueryNode;
+}
@@ -0,0 +1,501 @@
+/**
+ * QueryParser - Parses Scryfall query strings into an expression tree
+ *
+ * Supports the full Scryfall search grammar: keyword terms with every
+ * comparison operator, quoted values, /regular expressions/, exact names,
+ * `-` negation, `or`/`and` and parenthesized groups.
+ *
+ * Works in Node.js and in the browser, where QueryNode.js must be loaded first.
+ *
+ * @see https://scryfall.com/docs/syntax for Scryfall search syntax documentation
+ */
+const QueryNodes = typeof QueryNode === 'undefined' ? require('./QueryNode') : QueryNode;
+
+/**
+ * Search keywords and the aliases Scryfall accepts for them.
+ * The first entry in each list is the short form used by ScryfallQueryBuilder.
+ */
+const KEYWORDS = {
+  name: ['name'],
+  o: ['o', 'oracle'],
+  fo: ['fo', 'fulloracle'],
+  t: ['t', 'type'],
+  c: ['c', 'color', 'colors'],
+  id: ['id', 'identity', 'ci'],
+  m: ['m', 'mana'],
+  mv: ['mv', 'manavalue', 'cmc'],
+  pow: ['pow', 'power'],
+  tou: ['tou', 'toughness'],
+  pt: ['pt', 'powtou'],
+  loy: ['loy', 'loyalty'],
+  def: ['def', 'defense'],
+  r: ['r', 'rarity'],
+  s: ['s', 'set', 'e', 'edition'],
+  cn: ['cn', 'number'],
+  b: ['b', 'block'],
+  st: ['st', 'settype'],
+  f: ['f', 'format', 'legal'],
+  banned: ['banned'],
+  restricted: ['restricted'],
+  a: ['a', 'artist'],
+  ft: ['ft', 'flavor'],
+  wm: ['wm', 'watermark'],
+  lang: ['lang', 'language'],
+  frame: ['frame'],
+  border: ['border'],
+  stamp: ['stamp'],
+  usd: ['usd'],
+  eur: ['eur'],
+  tix: ['tix'],
+  keyword: ['keyword', 'kw'],
+  produces: ['produces'],
+  devotion: ['devotion'],
+  is: ['is'],
+  not: ['not'],
+  has: ['has'],
+  in: ['in'],
+  game: ['game'],
+  year: ['year'],
+  date: ['date'],
+  new: ['new'],
+  prints: ['prints'],
+  sets: ['sets'],
+  papersets: ['papersets'],
+  paperprints: ['paperprints'],
+  artists: ['artists'],
+  illustrations: ['illustrations'],
+  cube: ['cube'],
+  otag: ['otag', 'oracletag', 'function'],
+  atag: ['atag', 'arttag', 'art'],
+  unique: ['unique'],
+  order: ['order'],
+  dir: ['dir', 'direction'],
+  prefer: ['prefer'],
+  include: ['include']
+};
+
+/**
+ * Values Scryfall accepts for each display option.
+ * `unique`, `order` and `dir` are also URL parameters; `prefer` and
+ * `include:extras` only exist as query keywords.
+ */
+const DISPLAY_OPTIONS = {
+  unique: ['cards', 'art', 'prints'],
+  order: [
+    'name', 'set', 'released', 'rarity', 'color', 'usd', 'tix', 'eur', 'cmc',
+    'power', 'toughness', 'edhrec', 'penny', 'artist', 'review'
+  ],
+  dir: ['auto', 'asc', 'desc'],
+  prefer: [
+    'oldest', 'newest', 'usd-low', 'usd-high', 'eur-low', 'eur-high', 'tix-low', 'tix-high',
+    'promo', 'default', 'atypical', 'ub', 'notub'
+  ],
+  include: ['extras']
+};
+
+// How scryfall.com lays out results (the as= URL parameter)
+const VIEW_MODES = ['grid', 'checklist', 'text', 'full'];
+
+// Hosts and paths of Scryfall search pages and API searches
+const SEARCH_URLS = {
+  'scryfall.com': '/search',
+  'www.scryfall.com': '/search',
+  'api.scryfall.com': '/cards/search'
+};
+
+// What new: can search for, e.g. new:art for the first printing with an artwork
+const NEW_ASPECTS = ['art', 'artist', 'flavor', 'frame', 'language', 'rarity'];
+
+// Games a printing can be available in (game:arena)
+const GAME_CODES = ['paper', 'arena', 'mtgo', 'astral', 'sega'];
+
+// Reverse lookup from every alias to its short form
+const KEY_ALIASES = {};
+for (const [shortKey, aliases] of Object.entries(KEYWORDS)) {
+  for (const alias of aliases) {
+    KEY_ALIASES[alias] = shortKey;
+  }
+}
+
+// Comparison operators from data/operators.json, longest first so "<=" wins over "<".
+// The browser has no JSON loader, so it uses the same list inline.
+const COMPARISON_OPERATORS = (typeof require === 'function'
+  ? require('../data/operators.json').comparison.map(op => op.code)
+  : ['=', '<', '>', '<=', '>=', '!=', ':']
+).sort((a, b) => b.length - a.length);
+
+/**
+ * Error thrown when a query string cannot be parsed
+ */
+class QuerySyntaxError extends Error {
+  /**
+   * @param {string} message - Description of the problem
+   * @param {number} position - Character offset where the problem was found
+   * @param {string} [code='syntax'] - Machine-readable problem code (e.g., "unbalanced-paren")
+   */
+  constructor(message, position, code = 'syntax') {
+    super(message);
+    this.name = 'QuerySyntaxError';
+    this.position = position;
+    this.code = code;
+  }
+}
+
+class QueryParser {
+  /**
+   * @param {string} input - The query string to parse
+   */
+  constructor(input) {
+    this.input = input || '';
+    this.tokens = [];
+    this.index = 0;
+  }
+
+  /**
+   * Resolve a keyword alias to the short form (e.g., "type" -> "t")
+   * @param {string} key - Keyword as written
+   * @returns {string|null} Short keyword, or null if the keyword is unknown
+   */
+  static resolveKey(key) {
+    if (!key) return null;
+    return KEY_ALIASES[key.toLowerCase()] || null;
+  }
+
+  /**
+   * Teach the parser a search keyword, or new aliases for a known one
+   * @param {string} key - The keyword (e.g., "flavorname"); if it is already an alias,
+   *   the aliases are added to the keyword it stands for
+   * @param {string[]} [aliases=[]] - Other spellings of the keyword
+   * @returns {string} The short keyword that terms resolve to
+   * @throws {Error} If a name is not a valid keyword or already stands for a different keyword
+   */
+  static registerKeyword(key, aliases = []) {
+    const names = [key, ...aliases].map(name => String(name || '').trim().toLowerCase());
+    const shortKey = KEY_ALIASES[names[0]] || names[0];
+    for (const name of names) {
+      if (!/^[a-z_][a-z0-9_]*$/.test(name)) {
+        throw new Error(`Invalid search keyword "${name}"; expected letters, digits and underscores`);
+      }
+      if (KEY_ALIASES[name] && KEY_ALIASES[name] !== shortKey) {
+        throw new Error(`Search keyword "${name}" already stands for "${KEY_ALIASES[name]}"`);
+      }
+    }
+
+    KEYWORDS[shortKey] = KEYWORDS[shortKey] || [];
+    for (const name of [shortKey, ...names]) {
+      if (!KEY_ALIASES[name]) {
+        KEYWORDS[shortKey].push(name);
+        KEY_ALIASES[name] = shortKey;
+      }
+    }
+    return shortKey;
+  }
+
+  /**
+   * Check whether text looks like a URL rather than a query
+   * @param {string} text - Text typed or pasted by the user
+   * @returns {boolean}
+   */
+  static isUrl(text) {
+    return /^https?:\/\//i.test(String(text || '').trim());
+  }
+
+  /**
+   * Read the search out of a scryfall.com or api.scryfall.com search URL
+   *
+   * `+` in the query decodes as a space, so the "+"-joined queries from
+   * RandomQueryGenerator come back with their spaces.
+   * @param {string} url - e.g. "https://scryfall.com/search?q=t%3Aelf&unique=prints&as=grid"
+   * @returns {Object} { query, unique, order, dir, as, includeExtras }, with only the
+   *   parameters present in the URL besides `query`
+   * @throws {Error} If the text is not a Scryfall search URL
+   */
+  static parseUrl(url) {
+    let parsed;
+    try {
+      parsed = new URL(String(url || '').trim());
+    } catch (err) {
+      throw new Error(`Invalid URL "${url}"`);
+    }
+    const path = SEARCH_URLS[parsed.hostname.toLowerCase()];
+    if (!path || parsed.pathname.replace(/\/+$/, '') !== path) {
+      throw new Error(`Not a Scryfall search URL: ${url}`);
+    }
+
+    const params = parsed.searchParams;
+    const result = { query: params.get('q') || '' };
+    for (const option of ['unique', 'order', 'dir', 'as']) {
+      if (params.get(option)) {
+        result[option] = params.get(option);
+      }
+    }
+    if (params.has('include_extras')) {
+      result.includeExtras = params.get('include_extras') === 'true';
+    }
+    return result;
+  }
+
+  /**
+   * Parse a query string into an expression tree
+   * @param {string} input - The query string
+   * @returns {Object|null} Root node, or null for an empty query
+   * @throws {QuerySyntaxError} If the query is malformed
+   */
+  static parse(input) {
+    return new QueryParser(input).parse();
+  }
+
+  /**
+   * Split a query string into tokens
+   * @param {string} input - The query string
+   * @returns {Object[]} Tokens with their character positions
+   * @throws {QuerySyntaxError} If a quote or regex is unterminated
+   */
+  static tokenize(input) {
+    return new QueryParser(input).tokenize();
+  }
+
+  /**
+   * Tokenize the input
+   * @returns {Object[]} Tokens
+   */
+  tokenize() {
+    const input = this.input;
+    const tokens = [];
+    let i = 0;
+
+    while (i < input.length) {
+      const ch = input[i];
+
+      if (/\s/.test(ch)) {
+        i++;
+        continue;
+      }
+
+      if (ch === '(' || ch === ')') {
+        tokens.push({ type: ch === '(' ? 'lparen' : 'rparen', start: i, end: i + 1 });
+        i++;
+        continue;
+      }
+
+      // A dash directly attached to a term or group negates it
+      if (ch === '-' && i + 1 < input.length && !/\s/.test(input[i + 1])) {
+        tokens.push({ type: 'not', start: i, end: i + 1 });
+        i++;
+        continue;
+      }
+
+      const token = this._readTerm(i);
+      const word = token.node.key === null && !token.node.quoted && !token.node.exact
+        ? token.node.value.toLowerCase()
+        : null;
+
+      if (word === 'or' || word === 'and') {
+        tokens.push({ type: word, start: token.start, end: token.end });
+      } else {
+        tokens.push(token);
+      }
+      i = token.end;
+    }
+
+    this.tokens = tokens;
+    return tokens;
+  }
+
+  /**
+   * Read a single term starting at a position
+   * @param {number} start - Character offset
+   * @returns {Object} Term token
+   */
+  _readTerm(start) {
+    const input = this.input;
+    let i = start;
+
+    // Exact name match: !"Card Name" or !name
+    if (input[i] === '!') {
+      const value = this._readValue(i + 1, '!');
+      return {
+        type: 'term',
+        start,
+        end: value.end,
+        node: QueryNodes.term(null, null, value.text, { quoted: value.quoted, exact: true })
+      };
+    }
+
+    const keyMatch = /^([a-zA-Z_][a-zA-Z0-9_]*)/.exec(input.slice(i));
+    if (keyMatch) {
+      const afterKey = i + keyMatch[1].length;
+      const operator = COMPARISON_OPERATORS.find(op => input.startsWith(op, afterKey));
+      if (operator) {
+        const key = keyMatch[1];
+        const value = this._readValue(afterKey + operator.length, `${key}${operator}`);
+        return {
+          type: 'term',
+          start,
+          end: value.end,
+          node: QueryNodes.term(key, operator, value.text, { quoted: value.quoted, regex: value.regex })
+        };
+      }
+    }
+
+    // Bare word or quoted phrase searches card names
+    const value = this._readValue(i, null);
+    return {
+      type: 'term',
+      start,
+      end: value.end,
+      node: QueryNodes.term(null, null, value.text, { quoted: value.quoted })
+    };
+  }
+
+  /**
+   * Read a term value (plain, "quoted" or /regex/)
+   * @param {number} start - Character offset of the value
+   * @param {string|null} prefix - The keyword and operator before the value, for error messages
+   * @returns {Object} Value text, flags and end offset
+   */
+  _readValue(start, prefix) {
+    const input = this.input;
+
+    if (input[start] === '"') {
+      // \" and \\ stand for a literal quote and backslash
+      let text = '';
+      let i = start + 1;
+      while (i < input.length && input[i] !== '"') {
+        if (input[i] === '\\' && (input[i + 1] === '"' || input[i + 1] === '\\')) {
+          i++;
+        }
+        text += input[i];
+        i++;
+      }
+      if (i >= input.length) {
+        throw new QuerySyntaxError('Unterminated quoted value', start, 'unterminated-quote');
+      }
+      return { text, quoted: true, regex: false, end: i + 1 };
+    }
+
+    if (prefix && prefix !== '!' && input[start] === '/') {
+      let i = start + 1;
+      while (i < input.length && input[i] !== '/') {
+        i += input[i] === '\\' ? 2 : 1;
+      }
+      if (i >= input.length) {
+        throw new QuerySyntaxError('Unterminated regular expression', start, 'unterminated-regex');
+      }
+      return { text: input.slice(start + 1, i), quoted: false, regex: true, end: i + 1 };
+    }
+
+    let i = start;
+    while (i < input.length && !/[\s()]/.test(input[i])) {
+      i++;
+    }
+    if (i === start) {
+      throw new QuerySyntaxError(
+        prefix ? `Missing value after "${prefix}"` : 'Expected a search term',
+        start,
+        prefix ? 'missing-value' : 'expected-term'
+      );
+    }
+    return { text: input.slice(start, i), quoted: false, regex: false, end: i };
+  }
+
+  /**
+   * Parse the input into an expression tree
+   * @returns {Object|null} Root node, or null for an empty query
+   */
+  parse() {
+    this.tokenize();
+    this.index = 0;
+
+    if (this.tokens.length === 0) {
+      return null;
+    }
+
+    const node = this._parseOr();
+    if (this.index < this.tokens.length) {
+      const token = this.tokens[this.index];
+      throw new QuerySyntaxError('Unexpected closing parenthesis', token.start, 'unexpected-paren');
+    }
+    return node;
+  }
+
+  _peek() {
+    return this.tokens[this.index] || null;
+  }
+
+  _parseOr() {
+    const children = [this._parseAnd()];
+    while (this._peek() && this._peek().type === 'or') {
+      this.index++;
+      children.push(this._parseAnd());
+    }
+    return children.length === 1 ? children[0] : QueryNodes.or(children);
+  }
+
+  _parseAnd() {
+    const children = [];
+    let token = this._peek();
+    while (token && token.type !== 'rparen' && token.type !== 'or') {
+      if (token.type === 'and') {
+        this.index++;
+      } else {
+        children.push(this._parseUnary());
+      }
+      token = this._peek();
+    }
+
+    if (children.length === 0) {
+      const position = token ? token.start : this.input.length;
+      throw new QuerySyntaxError('Expected a search term', position, 'expected-term');
+    }
+    return children.length === 1 ? children[0] : QueryNodes.and(children);
+  }
+
+  _parseUnary() {
+    const token = this._peek();
+    if (token && token.type === 'not') {
+      this.index++;
+      if (!this._peek()) {
+        throw new QuerySyntaxError('Expected a search term after "-"', token.end, 'expected-term');
+      }
+      return QueryNodes.not(this._parseUnary());
+    }
+    return this._parsePrimary();
+  }
+
+  _parsePrimary() {
+    const token = this._peek();
+
+    if (token.type === 'lparen') {
+      this.index++;
+      const inner = this._parseOr();
+      const close = this._peek();
+      if (!close || close.type !== 'rparen') {
+        throw new QuerySyntaxError('Unbalanced parenthesis', token.start, 'unbalanced-paren');
+      }
+      this.index++;
+      return QueryNodes.group(inner);
+    }
+
+    if (token.type === 'term') {
+      this.index++;
+      return token.node;
+    }
+
+    throw new QuerySyntaxError(`Unexpected "${this.input.slice(token.start, token.end)}"`, token.start, 'unexpected-token');
+  }
+}
+
+QueryParser.KEYWORDS = KEYWORDS;
+QueryParser.KEY_ALIASES = KEY_ALIASES;
+QueryParser.DISPLAY_OPTIONS = DISPLAY_OPTIONS;
+QueryParser.NEW_ASPECTS = NEW_ASPECTS;
+QueryParser.VIEW_MODES = VIEW_MODES;
+QueryParser.GAME_CODES = GAME_CODES;
+QueryParser.COMPARISON_OPERATORS = COMPARISON_OPERATORS;
+QueryParser.QuerySyntaxError = QuerySyntaxError;
+
+// Export for use in browser and Node.js
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = QueryParser;
+}
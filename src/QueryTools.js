@@ -0,0 +1,80 @@
+/**
+ * QueryTools - The query linter and explainer of the web apps
+ *
+ * Fetches the reference catalogs from the data/ files and creates a
+ * QueryValidator and a QueryExplainer with them. Until they are loaded,
+ * validate() finds nothing and explain() returns an empty string.
+ *
+ * Works in Node.js and in the browser, where QueryNode.js, QueryParser.js,
+ * ManaSymbols.js, QueryValidator.js and QueryExplainer.js must be loaded first.
+ */
+const ToolsQueryValidator = typeof QueryValidator === 'undefined' ? require('./QueryValidator') : QueryValidator;
+const ToolsQueryExplainer = typeof QueryExplainer === 'undefined' ? require('./QueryExplainer') : QueryExplainer;
+
+// Data files the catalogs are built from
+const CATALOG_FILES = ['colors', 'formats', 'rarities', 'types', 'keywords', 'sets', 'tags'];
+
+class QueryTools {
+  /**
+   * @param {Object} [options] - The tools; either may be left out
+   * @param {QueryValidator} [options.validator] - Linter
+   * @param {QueryExplainer} [options.explainer] - Explainer
+   */
+  constructor(options = {}) {
+    this.validator = options.validator || null;
+    this.explainer = options.explainer || null;
+  }
+
+  /**
+   * Fetch the catalogs and create the linter and explainer
+   * @param {string} dataUrl - URL of the data/ directory, without a trailing slash
+   * @param {Function} [fetchFn=fetch] - fetch implementation
+   * @returns {Promise<QueryTools>}
+   * @throws {Error} If a data file can't be fetched
+   */
+  static async load(dataUrl, fetchFn = fetch) {
+    const files = await Promise.all(CATALOG_FILES.map(async name => {
+      const response = await fetchFn(`${dataUrl}/${name}.json`);
+      if (!response.ok) {
+        throw new Error(`HTTP ${response.status} for ${dataUrl}/${name}.json`);
+      }
+      return response.json();
+    }));
+    const data = {};
+    CATALOG_FILES.forEach((name, i) => { data[name] = files[i]; });
+
+    return new QueryTools({
+      validator: new ToolsQueryValidator({ catalogs: ToolsQueryValidator.buildCatalogs(data) }),
+      explainer: new ToolsQueryExplainer({ catalogs: ToolsQueryExplainer.buildCatalogs(data) })
+    });
+  }
+
+  /**
+   * Lint a query
+   * @param {string} query - The query
+   * @returns {Object[]} Diagnostics, or none before the linter is loaded
+   */
+  validate(query) {
+    return this.validator && query ? this.validator.validate(query) : [];
+  }
+
+  /**
+   * Describe a query in plain English
+   * @param {string} query - The query
+   * @returns {string} The explanation, or an empty string if it can't be explained
+   */
+  explain(query) {
+    if (!this.explainer || !query) return '';
+    try {
+      return this.explainer.explain(query);
+    } catch (error) {
+      // Syntax errors are reported by the linter instead
+      return '';
+    }
+  }
+}
+
+// Export for use in browser and Node.js
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = QueryTools;
+}
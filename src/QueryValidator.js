@@ -0,0 +1,603 @@
+/**
+ * QueryValidator - Lints Scryfall queries and reports diagnostics
+ *
+ * Checks a query string (or builder) for syntax errors, unknown keywords,
+ * invalid operators and values that are not in the reference catalogs in
+ * `data/`, plus suspicious combinations such as power filters on instants.
+ *
+ * Each diagnostic has the shape:
+ * {
+ *   severity: 'error' | 'warning' | 'info',
+ *   code: 'unknown-format',
+ *   message: 'Unknown format "modren"',
+ *   span: { start: 0, end: 8 },   // character offsets into the query string
+ *   suggestion: 'f:modern'        // replacement text for the span, or null
+ * }
+ *
+ * Works in Node.js and in the browser, where QueryNode.js, QueryParser.js and
+ * ManaSymbols.js must be loaded first and catalogs must be passed to the constructor.
+ *
+ * @see https://scryfall.com/docs/syntax for Scryfall search syntax documentation
+ */
+const ValidatorQueryNode = typeof QueryNode === 'undefined' ? require('./QueryNode') : QueryNode;
+const ValidatorQueryParser = typeof QueryParser === 'undefined' ? require('./QueryParser') : QueryParser;
+const ValidatorManaSymbols = typeof ManaSymbols === 'undefined' ? require('./ManaSymbols') : ManaSymbols;
+
+// Keywords that accept every comparison operator
+const NUMERIC_KEYS = [
+  'mv', 'pow', 'tou', 'pt', 'loy', 'def', 'usd', 'eur', 'tix', 'cn', 'year',
+  'prints', 'sets', 'papersets', 'paperprints', 'artists', 'illustrations'
+];
+const ORDERED_KEYS = [...NUMERIC_KEYS, 'c', 'id', 'r', 'm', 'date', 'devotion'];
+
+// Keywords that also take x, even or odd (e.g., mv=even, pow=x)
+const SYMBOLIC_KEYS = ['mv', 'pow', 'tou', 'loy'];
+const SYMBOLIC_VALUES = ['x', 'even', 'odd'];
+
+// Keywords whose values name another numeric field (e.g., pow>tou)
+const FIELD_REFERENCES = ['pow', 'tou', 'loy', 'mv', 'def'];
+
+// Stats that only exist on some card types
+const STAT_KEYS = ['pow', 'tou', 'pt', 'loy', 'def'];
+
+// Short rarity letters Scryfall accepts
+const RARITY_LETTERS = ['c', 'u', 'r', 'm', 's', 'b'];
+
+const SEVERITY_ORDER = { error: 0, warning: 1, info: 2 };
+
+// Operators and values of keywords added with QueryValidator.registerKeyword, by short keyword
+const KEYWORD_RULES = {};
+
+class QueryValidator {
+  /**
+   * @param {Object} [options] - Validator options
+   * @param {Object} [options.catalogs] - Catalogs from {@link QueryValidator.buildCatalogs};
+   *   defaults to the data files in `data/` (Node.js only)
+   */
+  constructor(options = {}) {
+    this.catalogs = options.catalogs || QueryValidator.buildCatalogs(require('../data'));
+  }
+
+  /**
+   * Build lookup catalogs from the raw reference data
+   * @param {Object} data - Objects shaped like the JSON files in `data/`
+   *   ({ colors, formats, rarities, types, keywords, sets, tags }); without `tags`,
+   *   Tagger tags are not checked
+   * @returns {Object} Catalogs of lowercase values
+   */
+  static buildCatalogs(data) {
+    const { colors, formats, rarities, types, keywords, sets, tags } = data;
+    const lower = list => list.map(value => value.toLowerCase());
+
+    const colorNames = {};
+    for (const color of colors.colors) {
+      colorNames[color.name.toLowerCase()] = color.code;
+    }
+    const combinations = [
+      ...colors.colorPairs.allied,
+      ...colors.colorPairs.enemy,
+      ...colors.colorTrios.shards,
+      ...colors.colorTrios.wedges,
+      ...colors.fourColor,
+      colors.fiveColor
+    ];
+    for (const combination of combinations) {
+      colorNames[combination.name.toLowerCase()] = combination.codes;
+    }
+    colorNames.multicolor = 'm';
+
+    return {
+      colorNames,
+      formats: lower(['constructed', 'multiplayer', 'limited', 'digital', 'casual']
+        .flatMap(group => formats[group].map(format => format.code))),
+      rarities: [...lower(rarities.rarities.map(rarity => rarity.code)), ...RARITY_LETTERS],
+      types: lower([
+        ...types.supertypes.map(type => type.name),
+        ...types.cardTypes.map(type => type.name),
+        ...types.creatureTypes,
+        ...types.artifactTypes,
+        ...types.enchantmentTypes,
+        ...types.landTypes.basic,
+        ...types.landTypes.nonbasic,
+        ...types.planeswalkerTypes,
+        ...types.spellTypes,
+        ...types.battleTypes
+      ]),
+      nonPermanentTypes: lower(types.cardTypes.filter(type => !type.isPermanent).map(type => type.name)),
+      keywords: lower([
+        ...keywords.evergreen.map(keyword => keyword.name),
+        ...keywords.deciduous.map(keyword => keyword.name),
+        ...keywords.common.map(keyword => keyword.name)
+      ]),
+      sets: lower([...sets.recentSets, ...sets.popularSets, ...sets.commanderProducts].map(set => set.code)),
+      setTypes: lower(sets.setTypes.map(setType => setType.type)),
+      oracleTags: tags ? lower(tags.oracleTags.map(tag => tag.name)) : null,
+      artTags: tags ? lower(tags.artTags.map(tag => tag.name)) : null
+    };
+  }
+
+  /**
+   * Tell the validator which operators and values a keyword accepts, for keywords added
+   * by plugins (see ScryfallQueryBuilder.registerFilter)
+   * @param {string} key - Short keyword
+   * @param {Object} rule - What the keyword accepts
+   * @param {string[]} rule.operators - Allowed operators
+   * @param {string|string[]} [rule.valueType='string'] - 'string', 'text', 'number' or the list of allowed values
+   * @param {string} [rule.label] - What the value is, for messages (e.g., "security stamp")
+   */
+  static registerKeyword(key, rule) {
+    KEYWORD_RULES[key] = {
+      operators: [...rule.operators],
+      valueType: rule.valueType || 'string',
+      label: rule.label || key
+    };
+  }
+
+  /**
+   * Validate a query with the default catalogs
+   * @param {string|ScryfallQueryBuilder} input - Query string or builder
+   * @returns {Object[]} Diagnostics
+   */
+  static validate(input) {
+    return new QueryValidator().validate(input);
+  }
+
+  /**
+   * Describe a diagnostic in one line, including how to apply its suggestion
+   * @param {Object} diagnostic - Diagnostic from {@link QueryValidator#validate}
+   * @returns {string} Message such as 'Unknown format "modren"; did you mean "modern"? (replace with "f:modern")'
+   */
+  static formatDiagnostic(diagnostic) {
+    const { message, span, suggestion } = diagnostic;
+    if (suggestion === null) {
+      return message;
+    }
+    if (suggestion === '') {
+      return `${message} (remove it)`;
+    }
+    if (span.start === span.end) {
+      return `${message} (add "${suggestion}" at the end)`;
+    }
+    return `${message} (replace with "${suggestion}")`;
+  }
+
+  /**
+   * Find the closest candidate to a misspelled value
+   * @param {string} value - The value as written
+   * @param {string[]} candidates - Known values
+   * @returns {string|null} Closest candidate within a small edit distance, or null
+   */
+  static closest(value, candidates) {
+    const maxDistance = Math.max(1, Math.floor(value.length / 3));
+    let best = null;
+    let bestDistance = Infinity;
+    for (const candidate of candidates) {
+      const distance = QueryValidator.editDistance(value, candidate);
+      if (distance < bestDistance) {
+        best = candidate;
+        bestDistance = distance;
+      }
+    }
+    return bestDistance <= maxDistance ? best : null;
+  }
+
+  /**
+   * Levenshtein distance between two strings
+   * @param {string} a - First string
+   * @param {string} b - Second string
+   * @returns {number}
+   */
+  static editDistance(a, b) {
+    let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+    for (let i = 1; i <= a.length; i++) {
+      const current = [i];
+      for (let j = 1; j <= b.length; j++) {
+        const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+        current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+      }
+      previous = current;
+    }
+    return previous[b.length];
+  }
+
+  /**
+   * Validate a query
+   * @param {string|ScryfallQueryBuilder} input - Query string or builder
+   * @returns {Object[]} Diagnostics ordered by position, most severe first
+   */
+  validate(input) {
+    const query = input && typeof input.build === 'function' ? input.build() : String(input || '');
+    const parser = new ValidatorQueryParser(query);
+    const diagnostics = [];
+
+    let root;
+    let syntaxError = null;
+    try {
+      root = parser.parse();
+    } catch (err) {
+      if (!(err instanceof ValidatorQueryParser.QuerySyntaxError)) throw err;
+      syntaxError = err;
+      diagnostics.push(this._syntaxDiagnostic(err, query));
+    }
+    if (!root && !syntaxError) {
+      return [];
+    }
+
+    // Map each term node back to the characters it came from
+    const tokens = syntaxError ? QueryValidator._readableTokens(parser, syntaxError) : parser.tokens;
+    const terms = tokens.filter(token => token.type === 'term');
+    const spans = new Map(terms.map(token => [token.node, { start: token.start, end: token.end }]));
+    const context = { query, spans, diagnostics };
+
+    if (syntaxError) {
+      // The query has no tree, but its terms can still be checked one by one
+      terms.forEach(token => this._checkTerm(token.node, context));
+    } else {
+      this._walk(root, context);
+      this._checkStatTypes(root, context);
+      this._checkOrPrecedence(root, context);
+    }
+
+    return diagnostics.sort((a, b) =>
+      a.span.start - b.span.start || SEVERITY_ORDER[a.severity] - SEVERITY_ORDER[b.severity]
+    );
+  }
+
+  /**
+   * Get the tokens of a query that failed to parse
+   *
+   * Grouping errors leave every token readable; for errors inside a term (such as an
+   * unterminated quote) the query is read up to the error instead.
+   * @param {QueryParser} parser - The parser that failed
+   * @param {QuerySyntaxError} err - Its error
+   * @returns {Object[]} Tokens
+   */
+  static _readableTokens(parser, err) {
+    if (parser.tokens.length > 0) {
+      return parser.tokens;
+    }
+    let input = parser.input.slice(0, err.position);
+    while (input.length > 0) {
+      try {
+        return ValidatorQueryParser.tokenize(input);
+      } catch (error) {
+        if (!(error instanceof ValidatorQueryParser.QuerySyntaxError)) throw error;
+        // A term cut off at the end ("o:") fails too, so always drop at least a character
+        input = input.slice(0, Math.min(error.position, input.length - 1));
+      }
+    }
+    return [];
+  }
+
+  /**
+   * Convert a parse error into a diagnostic
+   * @param {QuerySyntaxError} err - The parse error
+   * @param {string} query - The query string
+   * @returns {Object} Diagnostic
+   */
+  _syntaxDiagnostic(err, query) {
+    const diagnostic = {
+      severity: 'error',
+      code: err.code,
+      message: err.message,
+      span: { start: err.position, end: Math.min(err.position + 1, query.length) },
+      suggestion: null
+    };
+
+    switch (err.code) {
+      case 'unbalanced-paren':
+        diagnostic.span = { start: query.length, end: query.length };
+        diagnostic.suggestion = ')';
+        break;
+      case 'unexpected-paren':
+        diagnostic.suggestion = '';
+        break;
+      case 'unterminated-quote':
+        diagnostic.span = { start: query.length, end: query.length };
+        diagnostic.suggestion = '"';
+        break;
+      case 'unterminated-regex':
+        diagnostic.span = { start: query.length, end: query.length };
+        diagnostic.suggestion = '/';
+        break;
+    }
+    return diagnostic;
+  }
+
+  /**
+   * Add a diagnostic for a term
+   * @param {Object} context - Validation context
+   * @param {Object} term - The offending term node
+   * @param {string} severity - error, warning or info
+   * @param {string} code - Machine-readable problem code
+   * @param {string} message - Human-readable message
+   * @param {string|null} [suggestion=null] - Replacement text for the term
+   */
+  _report(context, term, severity, code, message, suggestion = null) {
+    const span = context.spans.get(term) || { start: 0, end: context.query.length };
+    context.diagnostics.push({ severity, code, message, span, suggestion });
+  }
+
+  /**
+   * Visit every term in the tree
+   * @param {Object} node - Query tree node
+   * @param {Object} context - Validation context
+   */
+  _walk(node, context) {
+    switch (node.type) {
+      case 'and':
+      case 'or':
+        node.children.forEach(child => this._walk(child, context));
+        break;
+      case 'not':
+      case 'group':
+        this._walk(node.child, context);
+        break;
+      case 'term':
+        this._checkTerm(node, context);
+        break;
+    }
+  }
+
+  /**
+   * Check a single term against the keyword, operator and value catalogs
+   * @param {Object} term - Term node
+   * @param {Object} context - Validation context
+   */
+  _checkTerm(term, context) {
+    if (term.key === null) return;
+
+    const key = ValidatorQueryParser.resolveKey(term.key);
+    if (!key) {
+      const alias = QueryValidator.closest(term.key, Object.keys(ValidatorQueryParser.KEY_ALIASES));
+      this._report(
+        context, term, 'error', 'unknown-keyword',
+        `Unknown search keyword "${term.key}"${alias ? `; did you mean "${alias}"?` : ''}`,
+        alias ? this._withKey(term, alias) : null
+      );
+      return;
+    }
+
+    const rule = KEYWORD_RULES[key];
+    const invalidOperator = rule
+      ? !rule.operators.includes(term.operator)
+      : term.operator !== ':' && term.operator !== '=' && !ORDERED_KEYS.includes(key);
+    if (invalidOperator) {
+      this._report(
+        context, term, 'error', 'invalid-operator',
+        `"${term.key}" does not support the "${term.operator}" operator`,
+        this._withOperator(term, !rule || rule.operators.includes(':') ? ':' : rule.operators[0])
+      );
+    }
+
+    if (term.regex) return;
+    const value = term.value.toLowerCase();
+
+    if (NUMERIC_KEYS.includes(key)) {
+      const isNumber = /^-?\d+(\.\d+)?$/.test(value) || value === '*' || /^\d*\+?\*$/.test(value);
+      const isReference = FIELD_REFERENCES.includes(ValidatorQueryParser.resolveKey(value));
+      const isSymbolic = SYMBOLIC_KEYS.includes(key) && SYMBOLIC_VALUES.includes(value);
+      if (!isNumber && !isReference && !isSymbolic) {
+        this._report(context, term, 'error', 'invalid-number', `"${term.key}" expects a number, got "${term.value}"`);
+      }
+      return;
+    }
+
+    switch (key) {
+      case 'c':
+      case 'id':
+        if (!/^[wubrgcm]+$/.test(value) && !this.catalogs.colorNames[value] && !/^\d$/.test(value)) {
+          const name = QueryValidator.closest(value, Object.keys(this.catalogs.colorNames));
+          this._report(
+            context, term, 'error', 'invalid-color',
+            `Unknown color "${term.value}"; use letters from wubrgc or a color name`,
+            name ? this._withValue(term, name) : null
+          );
+        }
+        break;
+      case 'f':
+      case 'banned':
+      case 'restricted':
+        this._checkCatalog(context, term, value, this.catalogs.formats, 'error', 'unknown-format', 'format');
+        break;
+      case 'r':
+        this._checkCatalog(context, term, value, this.catalogs.rarities, 'error', 'unknown-rarity', 'rarity');
+        break;
+      case 'keyword':
+        this._checkCatalog(context, term, value, this.catalogs.keywords, 'warning', 'unknown-keyword-ability', 'keyword ability');
+        break;
+      case 's':
+        this._checkCatalog(context, term, value, this.catalogs.sets, 'info', 'unknown-set', 'set code');
+        break;
+      case 'date':
+        if (!/^\d{4}-\d{2}-\d{2}$/.test(value)) {
+          this._checkCatalog(context, term, value, this.catalogs.sets, 'info', 'unknown-set', 'set code');
+        }
+        break;
+      case 'otag':
+        if (this.catalogs.oracleTags) {
+          this._checkCatalog(context, term, value, this.catalogs.oracleTags, 'warning', 'unknown-oracle-tag', 'oracle tag');
+        }
+        break;
+      case 'atag':
+        if (this.catalogs.artTags) {
+          this._checkCatalog(context, term, value, this.catalogs.artTags, 'warning', 'unknown-art-tag', 'art tag');
+        }
+        break;
+      case 'game':
+        this._checkCatalog(context, term, value, ValidatorQueryParser.GAME_CODES, 'error', 'unknown-game', 'game');
+        break;
+      case 'st':
+        this._checkCatalog(context, term, value, this.catalogs.setTypes, 'error', 'unknown-set-type', 'set type');
+        break;
+      case 'm':
+        this._checkManaCost(context, term);
+        break;
+      case 'devotion':
+        this._checkDevotion(context, term);
+        break;
+      case 'new':
+        this._checkCatalog(context, term, value, ValidatorQueryParser.NEW_ASPECTS, 'error', 'invalid-new', 'new value');
+        break;
+      case 'unique':
+      case 'order':
+      case 'dir':
+      case 'prefer':
+      case 'include':
+        this._checkCatalog(context, term, value, ValidatorQueryParser.DISPLAY_OPTIONS[key], 'error', 'invalid-display-option', `${key} option`);
+        break;
+      case 't': {
+        const unknown = value.split(/\s+/).filter(word => !this.catalogs.types.includes(word.replace(/^-/, '')));
+        if (unknown.length > 0) {
+          const suggestion = QueryValidator.closest(unknown[0], this.catalogs.types);
+          this._report(
+            context, term, 'warning', 'unknown-type',
+            `Unknown card type "${unknown.join(' ')}"${suggestion ? `; did you mean "${suggestion}"?` : ''}`,
+            suggestion && unknown.length === 1 ? this._withValue(term, value.replace(unknown[0], suggestion)) : null
+          );
+        }
+        break;
+      }
+      default:
+        if (rule) {
+          this._checkRule(context, term, value, rule);
+        }
+    }
+  }
+
+  /**
+   * Check the value of a registered keyword against its value type
+   * @param {Object} context - Validation context
+   * @param {Object} term - Term node
+   * @param {string} value - Lowercase term value
+   * @param {Object} rule - Rule from {@link QueryValidator.registerKeyword}
+   */
+  _checkRule(context, term, value, rule) {
+    if (Array.isArray(rule.valueType)) {
+      this._checkCatalog(context, term, value, rule.valueType, 'error', 'invalid-value', rule.label);
+    } else if (rule.valueType === 'number' && !/^-?\d+(\.\d+)?$/.test(value)) {
+      this._report(context, term, 'error', 'invalid-number', `"${term.key}" expects a number, got "${term.value}"`);
+    }
+  }
+
+  /**
+   * Report mana costs with symbols that don't exist (m:{Q})
+   * @param {Object} context - Validation context
+   * @param {Object} term - Term node
+   */
+  _checkManaCost(context, term) {
+    try {
+      ValidatorManaSymbols.format(term.value);
+    } catch (err) {
+      this._report(context, term, 'error', 'invalid-mana-cost', `${err.message} in "${term.key}"`);
+    }
+  }
+
+  /**
+   * Report devotion values that aren't one colored symbol repeated (devotion>={U/B}{U/B})
+   * @param {Object} context - Validation context
+   * @param {Object} term - Term node
+   */
+  _checkDevotion(context, term) {
+    const symbols = ValidatorManaSymbols.tokenize(term.value).map(symbol => ValidatorManaSymbols.classify(symbol));
+    const first = symbols[0];
+    const valid = first && first.colors.length > 0 && ['colored', 'hybrid'].includes(first.kind) &&
+      symbols.every(info => info && info.symbol === first.symbol) &&
+      ValidatorManaSymbols.tokenize(term.value).map(symbol => `{${symbol}}`).join('') === term.value;
+    if (!valid) {
+      this._report(
+        context, term, 'error', 'invalid-devotion',
+        `"${term.key}" expects one colored or hybrid symbol repeated, such as {U}{U}{U} or {U/B}{U/B}, got "${term.value}"`
+      );
+    }
+  }
+
+  /**
+   * Report a value missing from a catalog, suggesting the closest entry
+   * @param {Object} context - Validation context
+   * @param {Object} term - Term node
+   * @param {string} value - Lowercase term value
+   * @param {string[]} catalog - Known values
+   * @param {string} severity - error, warning or info
+   * @param {string} code - Machine-readable problem code
+   * @param {string} label - What the value is, for the message (e.g., "format")
+   */
+  _checkCatalog(context, term, value, catalog, severity, code, label) {
+    if (catalog.includes(value)) return;
+    const suggestion = QueryValidator.closest(value, catalog);
+    this._report(
+      context, term, severity, code,
+      `Unknown ${label} "${term.value}"${suggestion ? `; did you mean "${suggestion}"?` : ''}`,
+      suggestion ? this._withValue(term, suggestion) : null
+    );
+  }
+
+  /**
+   * Warn when power/toughness/loyalty filters are combined with types that never have them
+   * @param {Object} root - Root node
+   * @param {Object} context - Validation context
+   */
+  _checkStatTypes(root, context) {
+    const conjuncts = root.type === 'and' ? root.children : [root];
+    const terms = conjuncts.filter(node => node.type === 'term' && node.key !== null);
+
+    const requiredTypes = terms
+      .filter(term => ValidatorQueryParser.resolveKey(term.key) === 't')
+      .flatMap(term => term.value.toLowerCase().split(/\s+/));
+    const impossibleType = requiredTypes.find(type => this.catalogs.nonPermanentTypes.includes(type));
+    if (!impossibleType) return;
+
+    for (const term of terms) {
+      if (STAT_KEYS.includes(ValidatorQueryParser.resolveKey(term.key))) {
+        this._report(
+          context, term, 'warning', 'stat-type-mismatch',
+          `"${term.key}" never matches with t:${impossibleType}; ${impossibleType} cards have no ${term.key}`
+        );
+      }
+    }
+  }
+
+  /**
+   * Flag top-level OR expressions where AND binds tighter than the author may expect
+   * (e.g., "t:creature c=r or c=g" means "(t:creature c=r) or c=g")
+   * @param {Object} root - Root node
+   * @param {Object} context - Validation context
+   */
+  _checkOrPrecedence(root, context) {
+    if (root.type !== 'or' || !root.children.some(child => child.type === 'and')) return;
+    context.diagnostics.push({
+      severity: 'warning',
+      code: 'or-precedence',
+      message: 'AND binds tighter than OR here; add parentheses around the alternatives to make the intent explicit',
+      span: { start: 0, end: context.query.length },
+      suggestion: null
+    });
+  }
+
+  /**
+   * Render a term with some of its parts replaced, for use as a suggestion
+   * @param {Object} term - Term node
+   * @param {Object} changes - Replacement key, operator, value or quoted flag
+   * @returns {string}
+   */
+  _renderTerm(term, changes) {
+    return ValidatorQueryNode.render({ ...term, ...changes });
+  }
+
+  _withKey(term, key) {
+    return this._renderTerm(term, { key });
+  }
+
+  _withOperator(term, operator) {
+    return this._renderTerm(term, { operator });
+  }
+
+  _withValue(term, value) {
+    return this._renderTerm(term, { value });
+  }
+}
+
+// Export for use in browser and Node.js
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = QueryValidator;
+}
@@ -3,15 +3,95 @@
  * 
  * This class generates random, unique Scryfall queries using the ScryfallQueryBuilder.
  * Queries are formatted with '+' instead of spaces and do not include card names.
+ * Uniqueness is tracked on canonical forms (see QueryCanonicalizer), so queries
+ * that only differ in term order, aliases, letter case or color order count as the same.
+ *
+ * Every query is built from its own seed, drawn from the generator's random
+ * numbers. Give the generator a `seed` to get the same queries in the same order
+ * on every run, and keep a query's seed to build it again with regenerate().
+ *
+ * By default a query ANDs 2 to 6 filters. Give the generator a `grammar`
+ * (see QueryGrammar) to shape queries with groups, `or` alternatives and negations.
  * 
  * @see https://scryfall.com/docs/syntax for Scryfall search syntax documentation
  */
 const ScryfallQueryBuilder = require('./ScryfallQueryBuilder');
+const QueryAnalyzer = require('./QueryAnalyzer');
+const QueryCanonicalizer = require('./QueryCanonicalizer');
+const SeededRandom = require('./SeededRandom');
+const QueryParser = require('./QueryParser');
+const QueryGrammar = require('./QueryGrammar');
+const data = require('../data');
+
+// Built-in filters: the config list their values come from (or the range of numbers),
+// whether a comparison operator is picked too, and the builder method when it differs
+const FILTERS = {
+  type: { values: 'types' },
+  color: { values: 'colors', colors: true, compare: true },
+  colorIdentity: { values: 'colors', colors: true, compare: true },
+  manaValue: { range: [0, 10], compare: true },
+  power: { range: [0, 10], compare: true },
+  toughness: { range: [0, 10], compare: true },
+  rarity: { values: 'rarities', compare: true },
+  format: { values: 'formats' },
+  keyword: { values: 'keywords' },
+  is: { values: 'isFilters' },
+  oracleText: { values: 'oracleTextPatterns' },
+  frame: { values: 'frames' },
+  border: { values: 'borders' },
+  collectorNumber: { range: [1, 300], compare: true },
+  prints: { range: [1, 20], compare: true },
+  sets: { range: [1, 20], compare: true },
+  paperSets: { range: [1, 20], compare: true },
+  artists: { range: [1, 4], compare: true },
+  illustrations: { range: [1, 4], compare: true },
+  printedIn: { values: 'printedInSets' },
+  game: { values: 'games' },
+  digital: { choices: [true, false], method: 'isDigital' },
+  cube: { values: 'cubes' },
+  setType: { values: 'setTypes' },
+  oracleTag: { values: 'oracleTags' },
+  artTag: { values: 'artTags' }
+};
+
+// Config lists filter values are drawn from
+const VALUE_LISTS = [...new Set(Object.values(FILTERS).map(spec => spec.values).filter(Boolean))];
+
+// How a comparison can be loosened to match more cards, or narrowed to match fewer:
+// [new operator, change to the value]
+const RELAX = { '=': [['<=', 0], ['>=', 0]], '<': [['<=', 0]], '>': [['>=', 0]], '<=': [['<=', 1]], '>=': [['>=', -1]] };
+const TIGHTEN = { '<=': [['<', 0]], '>=': [['>', 0]], '<': [['<', -1]], '>': [['>', 1]], '!=': [['=', 0]] };
+
+// Rules that keep the filters of a query from contradicting each other
+const DEFAULT_RULES = [
+  // Only creatures and vehicles have power and toughness
+  { filter: 'power', requires: { type: ['creature', 'vehicle'] } },
+  { filter: 'toughness', requires: { type: ['creature', 'vehicle'] } },
+  // Silver- and gold-bordered cards aren't legal in any format
+  { filter: 'border', values: ['silver', 'gold'], excludes: ['format'] }
+];
 
 class RandomQueryGenerator {
+  /**
+   * @param {Object} [options] - Generator options
+   * @param {number} [options.maxRetries=100] - Attempts at a new unique query before giving up
+   * @param {number|string} [options.seed] - Seed for a reproducible sequence of queries
+   * @param {Function} [options.random] - Random number source like Math.random (e.g., from
+   *   SeededRandom.create()); defaults to one seeded with `seed`, or to Math.random
+   * @param {string[]} [options.filters] - Registered filters that may be picked too
+   * @param {QueryGrammar|string|Object} [options.grammar] - Grammar that shapes the queries,
+   *   as a QueryGrammar or its definition; its {filter} placeholders get random terms
+   * @param {Object} [options.config] - Values to pick from, overriding the defaults
+   */
   constructor(options = {}) {
-    this.generatedQueries = new Set();
+    // Canonical form -> seed of each query generated so far
+    this.generatedQueries = new Map();
     this.maxRetries = options.maxRetries || 100;
+    this.seed = options.seed === undefined ? null : options.seed;
+    // Draws the seed of every query
+    this.random = options.random || (this.seed === null ? Math.random : SeededRandom.create(this.seed));
+    // Random numbers for the query being built, seeded with its own seed
+    this.rng = Math.random;
     
     // Configuration for random query generation
     // Note: Multi-word keywords use spaces internally and are converted to '+' in the final output
@@ -26,10 +106,147 @@ class RandomQueryGenerator {
       isFilters: ['commander', 'spell', 'permanent', 'modal', 'vanilla', 'booster', 'reprint', 'promo', 'foil'],
       borders: ['black', 'white', 'silver', 'gold', 'borderless'],
       frames: ['1993', '1997', '2003', '2015', 'future'],
+      // Printing-level filters
+      games: ['paper', 'arena', 'mtgo'],
+      cubes: ['vintage', 'legacy', 'modern', 'arena', 'twisted', 'grixis'],
+      setTypes: ['core', 'expansion', 'masters', 'commander', 'draft_innovation', 'funny'],
+      printedInSets: ['lea', 'leb', '2ed', 'arn', 'atq', 'leg', 'ice', 'mir', 'tmp', 'usg'],
+      // Scryfall Tagger tags from data/tags.json
+      oracleTags: data.getOracleTags(),
+      artTags: data.getArtTags(),
       // Oracle text patterns are single-word terms to search for within card text
       oracleTextPatterns: ['destroy', 'draw', 'counter', 'exile', 'damage', 'life', 'mana', 'token', 'sacrifice', 'discard', 'graveyard', 'battlefield', 'library', 'hand', 'creature', 'enchantment', 'artifact', 'land', 'planeswalker', 'sorcery', 'instant', 'spell', 'permanent', 'player', 'opponent', 'controller', 'owner', 'target', 'choose', 'create', 'put', 'return', 'search', 'shuffle', 'tap', 'untap', 'attack', 'block', 'combat', 'phase', 'turn', 'upkeep'],
+      // How often each filter is picked, relative to the default weight of 1 (0 = never)
+      weights: {},
+      // How often each value of a filter is picked, by filter: { format: { commander: 3, modern: 1 } }
+      valueWeights: {},
+      // Which filters can appear together (see DEFAULT_RULES)
+      rules: DEFAULT_RULES,
+      // Keep c= within id= when both are picked, with the same operator
+      coherentColors: true,
       ...options.config
     };
+
+    // Filters added with ScryfallQueryBuilder.registerFilter() that may be picked too
+    this.filters = (options.filters || []).map(name => {
+      const filter = ScryfallQueryBuilder.getFilter(name);
+      if (!filter) {
+        throw new Error(`Unknown filter "${name}"; register it with ScryfallQueryBuilder.registerFilter() first`);
+      }
+      if (!this._filterValues(filter)) {
+        throw new Error(`Filter "${name}" has no values to pick from; list some in config.${name}`);
+      }
+      return name;
+    });
+    this.filterNames = [...Object.keys(FILTERS), ...this.filters];
+    this._validateConfig();
+
+    this.grammar = options.grammar === undefined || options.grammar instanceof QueryGrammar ?
+      options.grammar || null : new QueryGrammar(options.grammar);
+    if (this.grammar) {
+      const unknown = this.grammar.getFilters().find(name => !this.filterNames.includes(name));
+      if (unknown) {
+        throw new Error(`Unknown filter "${unknown}" in grammar; expected one of: ${this.filterNames.join(', ')}`);
+      }
+    }
+  }
+
+  /**
+   * Check the parts of the config that shape filter selection
+   * @throws {Error} If a list, weight or rule is malformed or names an unknown filter
+   */
+  _validateConfig() {
+    const { config } = this;
+    const isObject = value => value !== null && typeof value === 'object' && !Array.isArray(value);
+    const checkFilter = (name, where) => {
+      if (!this.filterNames.includes(name)) {
+        throw new Error(`Unknown filter "${name}" in ${where}; expected one of: ${this.filterNames.join(', ')}`);
+      }
+    };
+    const checkWeights = (weights, where) => {
+      if (!isObject(weights)) {
+        throw new Error(`${where} must be an object of weights`);
+      }
+      for (const [key, weight] of Object.entries(weights)) {
+        if (typeof weight !== 'number' || !Number.isFinite(weight) || weight < 0) {
+          throw new Error(`Invalid weight "${weight}" for "${key}" in ${where}; expected a number of at least 0`);
+        }
+      }
+    };
+
+    for (const key of [...VALUE_LISTS, 'operators']) {
+      if (!Array.isArray(config[key]) || config[key].length === 0) {
+        throw new Error(`config.${key} must be a non-empty array`);
+      }
+    }
+    const badOperator = config.operators.find(operator => !QueryParser.COMPARISON_OPERATORS.includes(operator));
+    if (badOperator !== undefined) {
+      throw new Error(`Invalid operator "${badOperator}" in config.operators`);
+    }
+
+    checkWeights(config.weights, 'config.weights');
+    Object.keys(config.weights).forEach(name => checkFilter(name, 'config.weights'));
+    if (!this.filterNames.some(name => this._weight(name) > 0)) {
+      throw new Error('config.weights gives every filter a weight of 0');
+    }
+
+    if (!isObject(config.valueWeights)) {
+      throw new Error('config.valueWeights must be an object of weights by filter');
+    }
+    for (const [name, weights] of Object.entries(config.valueWeights)) {
+      checkFilter(name, 'config.valueWeights');
+      checkWeights(weights, `config.valueWeights.${name}`);
+      if (!Object.values(weights).some(weight => weight > 0)) {
+        throw new Error(`config.valueWeights.${name} gives every value a weight of 0`);
+      }
+    }
+
+    if (!Array.isArray(config.rules)) {
+      throw new Error('config.rules must be an array');
+    }
+    config.rules.forEach((rule, index) => {
+      const where = `config.rules[${index}]`;
+      if (!isObject(rule)) {
+        throw new Error(`${where} must be an object`);
+      }
+      checkFilter(rule.filter, where);
+      if (rule.values !== undefined && !Array.isArray(rule.values)) {
+        throw new Error(`${where}.values must be an array`);
+      }
+      if (rule.requires !== undefined) {
+        if (!isObject(rule.requires)) {
+          throw new Error(`${where}.requires must map filters to the values they need`);
+        }
+        for (const [name, values] of Object.entries(rule.requires)) {
+          checkFilter(name, `${where}.requires`);
+          if (!Array.isArray(values) || values.length === 0) {
+            throw new Error(`${where}.requires.${name} must be a non-empty array`);
+          }
+        }
+      }
+      if (rule.excludes !== undefined) {
+        if (!Array.isArray(rule.excludes)) {
+          throw new Error(`${where}.excludes must be an array of filters`);
+        }
+        rule.excludes.forEach(name => checkFilter(name, `${where}.excludes`));
+      }
+    });
+
+    if (typeof config.coherentColors !== 'boolean') {
+      throw new Error('config.coherentColors must be true or false');
+    }
+  }
+
+  /**
+   * Get the values a registered filter can be given
+   * @param {Object} filter - Filter definition
+   * @returns {Array|null} Values from config[filter.name] or the filter's allowed values,
+   *   an empty array for numbers without configured values, or null if there are none
+   */
+  _filterValues(filter) {
+    if (Array.isArray(this.config[filter.name])) return this.config[filter.name];
+    if (Array.isArray(filter.valueType)) return filter.valueType;
+    return filter.valueType === 'number' ? [] : null;
   }
 
   /**
@@ -38,7 +255,7 @@ class RandomQueryGenerator {
    * @returns {*} Random element from the array
    */
   _randomElement(arr) {
-    return arr[Math.floor(Math.random() * arr.length)];
+    return arr[Math.floor(this.rng() * arr.length)];
   }
 
   /**
@@ -48,15 +265,7 @@ class RandomQueryGenerator {
    * @returns {number} Random integer in the range
    */
   _randomInt(min, max) {
-    return Math.floor(Math.random() * (max - min + 1)) + min;
-  }
-
-  /**
-   * Get a random boolean
-   * @returns {boolean}
-   */
-  _randomBool() {
-    return Math.random() < 0.5;
+    return Math.floor(this.rng() * (max - min + 1)) + min;
   }
 
   /**
@@ -67,7 +276,7 @@ class RandomQueryGenerator {
   _shuffle(arr) {
     const result = [...arr];
     for (let i = result.length - 1; i > 0; i--) {
-      const j = Math.floor(Math.random() * (i + 1));
+      const j = Math.floor(this.rng() * (i + 1));
       [result[i], result[j]] = [result[j], result[i]];
     }
     return result;
@@ -84,88 +293,464 @@ class RandomQueryGenerator {
   }
 
   /**
-   * Generate a random query using ScryfallQueryBuilder
-   * @returns {string} The generated query
+   * Pick a value from weighted choices
+   * @param {Array} entries - [value, weight] pairs
+   * @returns {*} The value
    */
-  _generateRandomQuery() {
-    const builder = new ScryfallQueryBuilder();
-    
+  _weightedElement(entries) {
+    const total = entries.reduce((sum, [, weight]) => sum + weight, 0);
+    let target = this.rng() * total;
+    for (const [value, weight] of entries) {
+      target -= weight;
+      if (target < 0 && weight > 0) return value;
+    }
+    return entries.filter(([, weight]) => weight > 0).pop()[0];
+  }
+
+  /**
+   * Get how often a filter is picked
+   * @param {string} name - Filter name
+   * @returns {number} Weight; 1 unless config.weights says otherwise
+   */
+  _weight(name) {
+    const weight = this.config.weights[name];
+    return weight === undefined ? 1 : weight;
+  }
+
+  /**
+   * Order the filters randomly, heavier ones tending to come first; filters weighing 0 are left out
+   * @param {string[]} [names] - Filters to order; defaults to all of them
+   * @returns {string[]} Filter names
+   */
+  _weightedOrder(names = this.filterNames) {
+    return names
+      .filter(name => this._weight(name) > 0)
+      .map(name => ({ name, key: Math.pow(this.rng(), 1 / this._weight(name)) }))
+      .sort((a, b) => b.key - a.key)
+      .map(entry => entry.name);
+  }
+
+  /**
+   * Pick a random value, and operator if the filter compares, for a filter
+   * @param {string} name - Filter name
+   * @param {Map} picks - Picks made so far, by filter
+   * @returns {Object} { filter, value, operator }, where operator is null for the filter's default
+   */
+  _pick(name, picks) {
+    const spec = FILTERS[name];
+    const registered = spec ? null : ScryfallQueryBuilder.getFilter(name);
+    const numeric = spec ? Boolean(spec.range) : registered.valueType === 'number';
+    const weights = this.config.valueWeights[name];
+
+    let value;
+    if (weights) {
+      value = this._weightedElement(Object.entries(weights));
+      if (numeric) value = Number(value);
+      if (spec && spec.choices) value = value === 'true';
+    } else if (registered) {
+      const values = this._filterValues(registered);
+      value = values.length > 0 ? this._randomElement(values) : this._randomInt(0, 10);
+    } else if (spec.colors) {
+      value = this._randomColors();
+    } else if (spec.range) {
+      value = this._randomInt(...spec.range);
+    } else if (spec.choices) {
+      value = this._randomElement(spec.choices);
+    } else {
+      value = this._randomElement(this.config[spec.values]);
+    }
+
+    let operator = null;
+    if (spec && spec.compare) {
+      operator = this._randomElement(this.config.operators);
+    } else if (registered && numeric) {
+      const operators = this.config.operators.filter(op => registered.operators.includes(op));
+      operator = operators.length > 0 ? this._randomElement(operators) : registered.defaultOperator;
+    }
+
+    // Colors stay within the color identity: c<=wu with id<=wub, not c>=r with id<=u
+    const other = spec && spec.colors && this.config.coherentColors &&
+      picks.get(name === 'color' ? 'colorIdentity' : 'color');
+    if (other) {
+      operator = other.operator;
+      value = name === 'color' ? this._colorsWithin(other.value) : this._colorsAround(other.value);
+    }
+
+    return { filter: name, value, operator };
+  }
+
+  /**
+   * Pick some of a set of colors
+   * @param {string} colors - Color letters
+   * @returns {string} 1 or more of the letters
+   */
+  _colorsWithin(colors) {
+    return this._shuffle([...colors]).slice(0, this._randomInt(1, colors.length)).join('');
+  }
+
+  /**
+   * Pick a set of colors that includes some colors
+   * @param {string} colors - Color letters
+   * @returns {string} The letters plus up to one more configured color
+   */
+  _colorsAround(colors) {
+    const extra = this.config.colors.filter(color => !colors.includes(color));
+    return colors + this._shuffle(extra).slice(0, this._randomInt(0, Math.min(1, extra.length))).join('');
+  }
+
+  /**
+   * Get the rules that apply to a pick
+   * @param {Object} pick - { filter, value }
+   * @returns {Object[]} Rules from config.rules
+   */
+  _rulesFor(pick) {
+    return this.config.rules.filter(rule =>
+      rule.filter === pick.filter && (!rule.values || rule.values.map(String).includes(String(pick.value)))
+    );
+  }
+
+  /**
+   * Check whether a pick and the picks made so far rule each other out
+   * @param {Object} pick - The new pick
+   * @param {Object[]} picks - Picks made so far
+   * @returns {boolean}
+   */
+  _conflicts(pick, picks) {
+    const excludes = (a, b) => this._rulesFor(a).some(rule => (rule.excludes || []).includes(b.filter));
+    return picks.some(other => excludes(pick, other) || excludes(other, pick));
+  }
+
+  /**
+   * Add a pick for a filter, along with any filter its rules require
+   *
+   * The filter is skipped if it conflicts with an earlier pick, or needs a filter
+   * that was picked with a different value or can't be picked.
+   * @param {string} name - Filter name
+   * @param {Map} picks - Picks made so far, by filter; added to
+   */
+  _addPick(name, picks) {
+    if (picks.has(name)) return;
+    const pick = this._pick(name, picks);
+    const added = [];
+    for (const rule of this._rulesFor(pick)) {
+      for (const [other, values] of Object.entries(rule.requires || {})) {
+        const existing = picks.get(other) || added.find(required => required.filter === other);
+        if (existing) {
+          if (!values.map(String).includes(String(existing.value))) return;
+        } else {
+          if (this._weight(other) === 0) return;
+          added.push({ filter: other, value: this._randomElement(values), operator: null });
+        }
+      }
+    }
+    const candidates = [...added, pick];
+    const existing = [...picks.values()];
+    if (candidates.some((candidate, index) => this._conflicts(candidate, [...existing, ...candidates.slice(0, index)]))) {
+      return;
+    }
+    candidates.forEach(candidate => picks.set(candidate.filter, candidate));
+  }
+
+  /**
+   * Add a pick to the builder
+   * @param {ScryfallQueryBuilder} builder - The builder
+   * @param {Object} pick - { filter, value, operator }
+   */
+  _applyPick(builder, { filter, value, operator }) {
+    const method = FILTERS[filter] && FILTERS[filter].method ? FILTERS[filter].method : filter;
+    if (operator === null) {
+      builder[method](value);
+    } else {
+      builder[method](value, operator);
+    }
+  }
+
+  /**
+   * Pick the filters of a random query
+   *
+   * Filters are picked by weight (config.weights) and kept only if config.rules allow them
+   * together; filters a rule requires are added along the way.
+   * @param {string[]} [names] - Filters to pick from; defaults to all of them
+   * @returns {Map} Picks by filter
+   */
+  _randomPicks(names) {
     // Randomly add different query parts (but never card names)
     // Each query will have between 2 and 6 filters
     const numFilters = this._randomInt(2, 6);
-    const usedFilters = new Set();
-    
-    const filterOptions = [
-      'type',
-      'color',
-      'colorIdentity',
-      'manaValue',
-      'power',
-      'toughness',
-      'rarity',
-      'format',
-      'keyword',
-      'is',
-      'oracleText',
-      'frame',
-      'border'
-    ];
-    
-    // Shuffle and pick filters using Fisher-Yates
-    const shuffled = this._shuffle(filterOptions);
-    
-    for (let i = 0; i < numFilters && i < shuffled.length; i++) {
-      const filter = shuffled[i];
-      
-      if (usedFilters.has(filter)) continue;
-      usedFilters.add(filter);
-      
-      switch (filter) {
-        case 'type':
-          builder.type(this._randomElement(this.config.types));
-          break;
-        case 'color':
-          builder.color(this._randomColors(), this._randomElement(this.config.operators));
-          break;
-        case 'colorIdentity':
-          builder.colorIdentity(this._randomColors(), this._randomElement(this.config.operators));
-          break;
-        case 'manaValue':
-          builder.manaValue(this._randomInt(0, 10), this._randomElement(this.config.operators));
-          break;
-        case 'power':
-          builder.power(this._randomInt(0, 10), this._randomElement(this.config.operators));
-          break;
-        case 'toughness':
-          builder.toughness(this._randomInt(0, 10), this._randomElement(this.config.operators));
-          break;
-        case 'rarity':
-          builder.rarity(this._randomElement(this.config.rarities), this._randomElement(this.config.operators));
-          break;
-        case 'format':
-          builder.format(this._randomElement(this.config.formats));
-          break;
-        case 'keyword':
-          builder.keyword(this._randomElement(this.config.keywords));
-          break;
-        case 'is':
-          builder.is(this._randomElement(this.config.isFilters));
-          break;
-        case 'oracleText':
-          builder.oracleText(this._randomElement(this.config.oracleTextPatterns));
-          break;
-        case 'frame':
-          builder.frame(this._randomElement(this.config.frames));
-          break;
-        case 'border':
-          builder.border(this._randomElement(this.config.borders));
-          break;
-      }
+    const picks = new Map();
+    for (const name of this._weightedOrder(names)) {
+      if (picks.size >= numFilters) break;
+      this._addPick(name, picks);
     }
-    
+    return picks;
+  }
+
+  /**
+   * Build the query for a set of picks
+   * @param {Map} picks - Picks by filter
+   * @returns {string} The query, with spaces between terms
+   */
+  _buildQuery(picks) {
+    const builder = new ScryfallQueryBuilder();
+    picks.forEach(pick => this._applyPick(builder, pick));
     return builder.build();
   }
 
+  /**
+   * Expand the grammar into a query, with a random term for each {filter}
+   *
+   * Colors stay coherent (config.coherentColors) across the whole query; config.rules and
+   * config.weights don't apply, as the grammar decides which filters appear.
+   * @returns {string} The query, with spaces between terms
+   */
+  _expandGrammar() {
+    const picks = new Map();
+    return this.grammar.expand({
+      random: () => this.rng(),
+      filter: name => {
+        const pick = this._pick(name, picks);
+        picks.set(name, pick);
+        return this._buildQuery(new Map([[name, pick]]));
+      }
+    });
+  }
+
+  /**
+   * Generate a random query using ScryfallQueryBuilder, or the grammar if there is one
+   * @returns {string} The generated query
+   */
+  _generateRandomQuery() {
+    return this.grammar ? this._expandGrammar() : this._buildQuery(this._randomPicks());
+  }
+
+  /**
+   * Check whether a filter takes a number
+   * @param {string} name - Filter name
+   * @returns {boolean}
+   */
+  _isNumeric(name) {
+    return FILTERS[name] ? Boolean(FILTERS[name].range) : ScryfallQueryBuilder.getFilter(name).valueType === 'number';
+  }
+
+  /**
+   * Change a query so it matches more cards (relax) or fewer (tighten)
+   *
+   * Relaxing loosens a number comparison (mv=3 -> mv<=3, mv<=3 -> mv<=4) or drops a filter;
+   * tightening narrows one (mv<=3 -> mv<3) or adds a filter.
+   * @param {Map} picks - Picks by filter
+   * @param {boolean} relax - Whether to relax rather than tighten
+   * @param {string[]} names - Filters that may be added
+   * @returns {Map|null} New picks, or null if the query can't be changed that way
+   */
+  _mutate(picks, relax, names) {
+    const mutations = [];
+    for (const pick of picks.values()) {
+      if (pick.operator === null || !this._isNumeric(pick.filter)) continue;
+      const operator = pick.operator === ':' ? '=' : pick.operator;
+      for (const [newOperator, shift] of (relax ? RELAX : TIGHTEN)[operator] || []) {
+        if (pick.value + shift < 0) continue;
+        mutations.push(() => new Map([...picks].map(([name, other]) => [
+          name,
+          other === pick ? { ...pick, operator: newOperator, value: pick.value + shift } : other
+        ])));
+      }
+    }
+
+    if (relax && picks.size > 1) {
+      for (const pick of picks.values()) {
+        mutations.push(() => this._withoutPick(picks, pick.filter));
+      }
+    } else if (!relax) {
+      mutations.push(() => {
+        const more = new Map(picks);
+        for (const name of this._weightedOrder(names)) {
+          if (!picks.has(name)) this._addPick(name, more);
+          if (more.size > picks.size) return more;
+        }
+        return null;
+      });
+    }
+
+    return mutations.length > 0 ? this._randomElement(mutations)() : null;
+  }
+
+  /**
+   * Drop a pick, along with the picks whose rules need it
+   * @param {Map} picks - Picks by filter
+   * @param {string} name - Filter to drop
+   * @returns {Map|null} New picks, or null if none are left
+   */
+  _withoutPick(picks, name) {
+    const remaining = new Map(picks);
+    remaining.delete(name);
+    let dropped = true;
+    while (dropped) {
+      dropped = false;
+      for (const pick of remaining.values()) {
+        const needsMissing = this._rulesFor(pick).some(rule =>
+          Object.keys(rule.requires || {}).some(other => !remaining.has(other))
+        );
+        if (needsMissing) {
+          remaining.delete(pick.filter);
+          dropped = true;
+        }
+      }
+    }
+    return remaining.size > 0 ? remaining : null;
+  }
+
+  /**
+   * Find the filters a card search index can evaluate
+   * @param {CardSearchIndex} searchIndex - The index
+   * @returns {string[]} Filter names
+   */
+  _localFilters(searchIndex) {
+    return this.filterNames.filter(name => {
+      const spec = FILTERS[name];
+      let value;
+      if (!spec) {
+        const values = this._filterValues(ScryfallQueryBuilder.getFilter(name));
+        value = values.length > 0 ? values[0] : 0;
+      } else if (spec.range) {
+        value = spec.range[0];
+      } else if (spec.choices) {
+        value = spec.choices[0];
+      } else {
+        value = this.config[spec.values][0];
+      }
+      return this._countMatches(searchIndex, this._buildQuery(new Map([[name, { filter: name, value, operator: null }]]))) !== null;
+    });
+  }
+
+  /**
+   * Count the cards of an index a query matches
+   * @param {CardSearchIndex} searchIndex - The index
+   * @param {string} query - The query, with spaces between terms
+   * @returns {number|null} Number of matches, or null if the index can't evaluate the query
+   */
+  _countMatches(searchIndex, query) {
+    try {
+      return searchIndex.query(query).length;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Check a hit-count target and fill in its defaults
+   * @param {Object} target - { minResults, maxResults, maxMutations }
+   * @returns {Object} The complete target
+   * @throws {Error} If the range is invalid
+   */
+  static _target(target) {
+    const { minResults = 1, maxResults = Infinity, maxMutations = 10 } = target;
+    if (!Number.isInteger(minResults) || minResults < 0) {
+      throw new Error(`Invalid minResults "${minResults}"; expected a whole number of at least 0`);
+    }
+    if (typeof maxResults !== 'number' || Number.isNaN(maxResults) || maxResults < minResults) {
+      throw new Error(`Invalid maxResults "${maxResults}"; expected a number of at least minResults (${minResults})`);
+    }
+    if (!Number.isInteger(maxMutations) || maxMutations < 0) {
+      throw new Error(`Invalid maxMutations "${maxMutations}"; expected a whole number of at least 0`);
+    }
+    return { minResults, maxResults, maxMutations };
+  }
+
+  /**
+   * Build the query for a seed, changing it until its number of matches is in range
+   *
+   * Queries from a grammar are kept as they are, so they're only checked.
+   * @param {number} seed - Unsigned 32-bit query seed
+   * @param {CardSearchIndex} searchIndex - The index to count matches in
+   * @param {string[]} names - Filters the index can evaluate
+   * @param {Object} target - Complete target from {@link RandomQueryGenerator._target}
+   * @returns {Object|null} { query, count } with spaces between terms, or null if the
+   *   query couldn't be brought into range
+   */
+  _targetedForSeed(seed, searchIndex, names, target) {
+    this.rng = SeededRandom.mulberry32(seed);
+    if (this.grammar) {
+      const query = this._generateRandomQuery();
+      const count = this._countMatches(searchIndex, query);
+      return count !== null && count >= target.minResults && count <= target.maxResults ? { query, count } : null;
+    }
+
+    let picks = this._randomPicks(names);
+    for (let step = 0; picks && step <= target.maxMutations; step++) {
+      const query = this._buildQuery(picks);
+      const count = this._countMatches(searchIndex, query);
+      if (count === null) return null;
+      if (count >= target.minResults && count <= target.maxResults) {
+        return { query, count };
+      }
+      picks = this._mutate(picks, count < target.minResults, names);
+    }
+    return null;
+  }
+
+  /**
+   * Generate a unique query whose number of matches in a card search index is in a range
+   *
+   * Candidates are counted against the index and relaxed or tightened until they land in
+   * range; filters the index can't evaluate (such as game: or cube:) are not used.
+   * @param {CardSearchIndex} searchIndex - Index to count matches in (generator/card-search-index.js)
+   * @param {Object} [target] - Hit-count target
+   * @param {number} [target.minResults=1] - Fewest matches
+   * @param {number} [target.maxResults=Infinity] - Most matches
+   * @param {number} [target.maxMutations=10] - Changes to try on each candidate before starting over
+   * @returns {Object|null} { query, seed, count }, or null if couldn't generate one after max retries
+   * @throws {Error} If the target is invalid
+   */
+  generateTargeted(searchIndex, target = {}) {
+    const complete = RandomQueryGenerator._target(target);
+    const names = this._localFilters(searchIndex);
+    for (let i = 0; i < this.maxRetries; i++) {
+      const seed = SeededRandom.randomSeed(this.random);
+      const result = this._targetedForSeed(seed, searchIndex, names, complete);
+      if (!result) continue;
+
+      const key = this._canonicalKey(result.query);
+      if (!this.generatedQueries.has(key)) {
+        this.generatedQueries.set(key, seed);
+        return { query: this._formatQuery(result.query), seed, count: result.count };
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Generate multiple unique queries whose number of matches is in a range
+   * @param {CardSearchIndex} searchIndex - Index to count matches in
+   * @param {number} count - Number of queries to generate
+   * @param {Object} [target] - Hit-count target (see {@link RandomQueryGenerator#generateTargeted})
+   * @returns {Object[]} { query, seed, count } for each query
+   */
+  generateMultipleTargeted(searchIndex, count, target = {}) {
+    const results = [];
+    for (let i = 0; i < count; i++) {
+      const result = this.generateTargeted(searchIndex, target);
+      if (!result) break; // Could not generate more unique queries
+      results.push(result);
+    }
+    return results;
+  }
+
+  /**
+   * Build a targeted query from its seed again
+   *
+   * Needs the same config, filters, index and target as the query was generated with.
+   * @param {number} seed - Seed from {@link RandomQueryGenerator#generateTargeted}
+   * @param {CardSearchIndex} searchIndex - Index to count matches in
+   * @param {Object} [target] - Hit-count target
+   * @returns {Object|null} { query, seed, count }, or null if the seed doesn't lead to a query in range
+   */
+  regenerateTargeted(seed, searchIndex, target = {}) {
+    const complete = RandomQueryGenerator._target(target);
+    const querySeed = SeededRandom.toSeed(seed);
+    const result = this._targetedForSeed(querySeed, searchIndex, this._localFilters(searchIndex), complete);
+    return result && { query: this._formatQuery(result.query), seed: querySeed, count: result.count };
+  }
+
   /**
    * Format the query with '+' instead of spaces
    * @param {string} query - The query to format
@@ -175,23 +760,81 @@ class RandomQueryGenerator {
     return query.replace(/ /g, '+');
   }
 
+  /**
+   * Get the canonical form a query is tracked under
+   * @param {string} query - The query, with '+' or spaces between terms
+   * @returns {string} Canonical query, or the query itself if it can't be parsed
+   */
+  _canonicalKey(query) {
+    try {
+      return QueryCanonicalizer.canonicalize(query.replace(/\+/g, ' '));
+    } catch (error) {
+      return query;
+    }
+  }
+
+  /**
+   * Build the query for a seed
+   * @param {number} seed - Unsigned 32-bit query seed
+   * @returns {string} The query, with spaces between terms
+   */
+  _queryForSeed(seed) {
+    this.rng = SeededRandom.mulberry32(seed);
+    return this._generateRandomQuery();
+  }
+
   /**
    * Generate a single unique query
+   * 
+   * Combinations that can never match a card (e.g., "mv<0" or "c>=wu c<=w") are discarded.
    * @returns {string|null} The unique query, or null if couldn't generate one after max retries
    */
   generate() {
+    const result = this.generateWithSeed();
+    return result && result.query;
+  }
+
+  /**
+   * Generate a single unique query along with the seed it was built from
+   * @returns {Object|null} { query, seed }, or null if couldn't generate one after max retries
+   */
+  generateWithSeed() {
     for (let i = 0; i < this.maxRetries; i++) {
-      const query = this._generateRandomQuery();
-      const formattedQuery = this._formatQuery(query);
+      const seed = SeededRandom.randomSeed(this.random);
+      const query = this._queryForSeed(seed);
+      if (!query || QueryAnalyzer.analyze(query).empty) continue;
+
+      const key = this._canonicalKey(query);
       
-      if (!this.generatedQueries.has(formattedQuery)) {
-        this.generatedQueries.add(formattedQuery);
-        return formattedQuery;
+      if (!this.generatedQueries.has(key)) {
+        this.generatedQueries.set(key, seed);
+        return { query: this._formatQuery(query), seed };
       }
     }
     return null;
   }
 
+  /**
+   * Build the query for a seed again, without checking whether it was generated before
+   *
+   * The generator needs the same config and filters as the one that produced the seed.
+   * @param {number} seed - Seed from {@link RandomQueryGenerator#generateWithSeed} or {@link RandomQueryGenerator#getSeed}
+   * @returns {string} The query, with '+' between terms
+   */
+  regenerate(seed) {
+    return this._formatQuery(this._queryForSeed(SeededRandom.toSeed(seed)));
+  }
+
+  /**
+   * Get the seed a generated query was built from
+   * @param {string} query - A generated query, or an equivalent one
+   * @returns {number|null} The seed, or null if the query hasn't been generated
+   */
+  getSeed(query) {
+    const seed = this.generatedQueries.get(this._canonicalKey(query));
+    return seed === undefined ? null : seed;
+  }
+
   /**
    * Generate multiple unique queries
    * @param {number} count - Number of queries to generate
@@ -226,13 +869,15 @@ class RandomQueryGenerator {
   }
 
   /**
-   * Check if a query has already been generated
+   * Check if a query, or an equivalent one, has already been generated
    * @param {string} query - The query to check
    * @returns {boolean}
    */
   hasGenerated(query) {
-    return this.generatedQueries.has(query);
+    return this.generatedQueries.has(this._canonicalKey(query));
   }
 }
 
+RandomQueryGenerator.DEFAULT_RULES = DEFAULT_RULES;
+
 module.exports = RandomQueryGenerator;
@@ -0,0 +1,348 @@
+/**
+ * ScryfallClient - A small client for the Scryfall REST API
+ *
+ * Requests go out one at a time with a pause between them, as Scryfall asks
+ * (50-100ms), and responses with status 429 or 5xx are retried with
+ * exponential backoff. `fetch` and the base URL can be swapped out, so tests
+ * can run against a local stub server.
+ *
+ * Works in Node.js 18+ and in the browser.
+ *
+ * @see https://scryfall.com/docs/api for API documentation
+ */
+
+const DEFAULT_BASE_URL = 'https://api.scryfall.com';
+
+// Scryfall asks for 50-100ms between requests
+const MIN_DELAY_MS = 50;
+const DEFAULT_DELAY_MS = 100;
+
+// /cards/collection accepts at most 75 identifiers per request
+const COLLECTION_BATCH_SIZE = 75;
+
+/**
+ * Error for a request Scryfall rejected, carrying the details from its error object
+ */
+class ScryfallApiError extends Error {
+  /**
+   * @param {string} message - Description of the problem
+   * @param {number} status - HTTP status code
+   * @param {string} [code] - Scryfall error code (e.g., "not_found", "bad_request")
+   * @param {string[]} [warnings] - Warnings Scryfall sent with the error
+   */
+  constructor(message, status, code = 'error', warnings = []) {
+    super(message);
+    this.name = 'ScryfallApiError';
+    this.status = status;
+    this.code = code;
+    this.warnings = warnings;
+  }
+}
+
+/**
+ * Wait for a number of milliseconds
+ * @param {number} ms - Milliseconds to wait
+ * @returns {Promise<void>}
+ */
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+class ScryfallClient {
+  /**
+   * @param {Object} [options] - Client options
+   * @param {Function} [options.fetch] - fetch implementation; defaults to the global fetch
+   * @param {string} [options.baseUrl='https://api.scryfall.com'] - API base URL
+   * @param {number} [options.delay=100] - Milliseconds between requests; at least 50
+   * @param {number} [options.maxRetries=3] - How many times to retry a 429 or 5xx response
+   * @param {number} [options.retryDelay=500] - Milliseconds before the first retry; doubled for each
+   *   further retry unless a 429 response says how long to wait (Retry-After)
+   * @param {Object} [options.headers] - Extra request headers (e.g., a User-Agent in Node.js)
+   * @throws {Error} If the delay is shorter than Scryfall allows
+   */
+  constructor(options = {}) {
+    this.fetch = options.fetch || ((url, init) => fetch(url, init));
+    this.baseUrl = (options.baseUrl || DEFAULT_BASE_URL).replace(/\/+$/, '');
+    this.delay = options.delay === undefined ? DEFAULT_DELAY_MS : options.delay;
+    this.maxRetries = options.maxRetries === undefined ? 3 : options.maxRetries;
+    this.retryDelay = options.retryDelay === undefined ? 500 : options.retryDelay;
+    this.headers = { Accept: 'application/json', ...options.headers };
+
+    if (!(this.delay >= MIN_DELAY_MS)) {
+      throw new Error(`Request delay must be at least ${MIN_DELAY_MS}ms; Scryfall asks for 50-100ms between requests`);
+    }
+
+    // Requests wait their turn on this chain so they never overlap
+    this._queue = Promise.resolve();
+    this._lastRequest = 0;
+  }
+
+  /**
+   * Fetch one page of search results
+   * @param {string|ScryfallQueryBuilder} query - Query string or builder
+   * @param {Object} [options] - Search options
+   * @param {number} [options.page=1] - Page number
+   * @param {string} [options.unique] - "cards", "art" or "prints"
+   * @param {string} [options.order] - Sort field (e.g., "edhrec")
+   * @param {string} [options.dir] - Sort direction ("auto", "asc" or "desc")
+   * @param {boolean} [options.includeExtras] - Include tokens, emblems and other extras
+   * @returns {Promise<Object>} { cards, totalCards, hasMore, nextPage, warnings }; a search that
+   *   matches nothing resolves with no cards
+   * @throws {ScryfallApiError} If Scryfall rejects the query
+   */
+  async searchPage(query, options = {}) {
+    const params = {
+      q: typeof query === 'string' ? query : query.build(),
+      page: options.page,
+      unique: options.unique,
+      order: options.order,
+      dir: options.dir,
+      include_extras: options.includeExtras
+    };
+    try {
+      return ScryfallClient._page(await this.get('/cards/search', params));
+    } catch (error) {
+      if (error instanceof ScryfallApiError && error.status === 404) {
+        return { cards: [], totalCards: 0, hasMore: false, nextPage: null, warnings: error.warnings };
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Fetch every page of search results
+   * @param {string|ScryfallQueryBuilder} query - Query string or builder
+   * @param {Object} [options] - Options for {@link ScryfallClient#searchPage}, plus:
+   * @param {number} [options.maxPages=Infinity] - Stop after this many pages (175 cards each)
+   * @returns {Promise<Object[]>} Card objects
+   * @throws {ScryfallApiError} If Scryfall rejects the query
+   */
+  async search(query, options = {}) {
+    const maxPages = options.maxPages === undefined ? Infinity : options.maxPages;
+    const first = await this.searchPage(query, options);
+    const cards = [...first.cards];
+    let nextPage = first.nextPage;
+    for (let page = 1; nextPage && page < maxPages; page++) {
+      const result = ScryfallClient._page(await this.get(nextPage));
+      cards.push(...result.cards);
+      nextPage = result.nextPage;
+    }
+    return cards;
+  }
+
+  /**
+   * Fetch a card by name
+   * @param {string} name - Card name
+   * @param {Object} [options] - Lookup options
+   * @param {boolean} [options.fuzzy=false] - Allow misspellings and partial names ("jac bele")
+   * @param {string} [options.set] - Set code to take the printing from
+   * @returns {Promise<Object>} Card object
+   * @throws {ScryfallApiError} If no card (or more than one, when fuzzy) matches
+   */
+  named(name, options = {}) {
+    return this.get('/cards/named', {
+      [options.fuzzy ? 'fuzzy' : 'exact']: name,
+      set: options.set
+    });
+  }
+
+  /**
+   * Get card names that start with some text
+   * @param {string} text - What has been typed so far
+   * @param {Object} [options] - Options
+   * @param {boolean} [options.includeExtras] - Include tokens and other extras
+   * @returns {Promise<string[]>} Up to 20 card names
+   */
+  async autocomplete(text, options = {}) {
+    const catalog = await this.get('/cards/autocomplete', { q: text, include_extras: options.includeExtras });
+    return catalog.data;
+  }
+
+  /**
+   * Fetch a random card
+   * @param {string|ScryfallQueryBuilder} [query] - Only pick among cards matching this query
+   * @returns {Promise<Object>} Card object
+   * @throws {ScryfallApiError} If no card matches the query
+   */
+  random(query) {
+    const q = query === undefined || typeof query === 'string' ? query : query.build();
+    return this.get('/cards/random', { q: q || undefined });
+  }
+
+  /**
+   * Fetch many cards at once, 75 per request
+   * @param {Array<string|Object>} identifiers - Card names, or identifier objects such as { id },
+   *   { name, set }, { set, collector_number }, { oracle_id } or { multiverse_id }
+   * @returns {Promise<Object>} { cards, notFound }, where notFound lists the identifiers
+   *   Scryfall couldn't find
+   */
+  async collection(identifiers) {
+    const normalized = identifiers.map(identifier =>
+      typeof identifier === 'string' ? { name: identifier } : identifier
+    );
+    const cards = [];
+    const notFound = [];
+    for (let start = 0; start < normalized.length; start += COLLECTION_BATCH_SIZE) {
+      const batch = normalized.slice(start, start + COLLECTION_BATCH_SIZE);
+      const result = await this.post('/cards/collection', { identifiers: batch });
+      cards.push(...result.data);
+      notFound.push(...(result.not_found || []));
+    }
+    return { cards, notFound };
+  }
+
+  /**
+   * GET an API endpoint
+   * @param {string} path - Path below the base URL (e.g., "/sets"), or a full URL such as a next_page link
+   * @param {Object} [params] - Query parameters; undefined and null values are left out
+   * @returns {Promise<Object>} Parsed response
+   * @throws {ScryfallApiError} If the request fails after any retries
+   */
+  get(path, params) {
+    return this._request(this._url(path, params), { method: 'GET' });
+  }
+
+  /**
+   * GET every page of a paginated list endpoint (e.g., "/sets")
+   * @param {string} path - Path below the base URL, or a full URL
+   * @param {Object} [params] - Query parameters
+   * @returns {Promise<Object[]>} The items of every page
+   * @throws {ScryfallApiError} If a request fails after any retries
+   */
+  async getAll(path, params) {
+    const items = [];
+    let list = await this.get(path, params);
+    items.push(...(list.data || []));
+    while (list.has_more && list.next_page) {
+      list = await this.get(list.next_page);
+      items.push(...(list.data || []));
+    }
+    return items;
+  }
+
+  /**
+   * POST JSON to an API endpoint
+   * @param {string} path - Path below the base URL
+   * @param {Object} body - Request body
+   * @returns {Promise<Object>} Parsed response
+   * @throws {ScryfallApiError} If the request fails after any retries
+   */
+  post(path, body) {
+    return this._request(this._url(path), {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(body)
+    });
+  }
+
+  /**
+   * Build a request URL
+   * @param {string} path - Path below the base URL, or a full URL
+   * @param {Object} [params] - Query parameters
+   * @returns {string}
+   */
+  _url(path, params = {}) {
+    const url = /^https?:\/\//.test(path) ? path : `${this.baseUrl}${path.startsWith('/') ? '' : '/'}${path}`;
+    const query = Object.entries(params)
+      .filter(([, value]) => value !== undefined && value !== null)
+      .map(([key, value]) => `${key}=${encodeURIComponent(value)}`)
+      .join('&');
+    if (!query) return url;
+    return `${url}${url.includes('?') ? '&' : '?'}${query}`;
+  }
+
+  /**
+   * Send a request, retrying 429 and 5xx responses
+   * @param {string} url - Request URL
+   * @param {Object} init - fetch options
+   * @returns {Promise<Object>} Parsed response
+   * @throws {ScryfallApiError} If the request fails after any retries
+   */
+  async _request(url, init) {
+    const request = { ...init, headers: { ...this.headers, ...init.headers } };
+    for (let attempt = 0; ; attempt++) {
+      const response = await this._schedule(() => this.fetch(url, request));
+      if (response.ok) {
+        return response.json();
+      }
+      const retryable = response.status === 429 || response.status >= 500;
+      if (!retryable || attempt >= this.maxRetries) {
+        throw await ScryfallClient._error(response, url);
+      }
+      await sleep(this._backoff(response, attempt));
+    }
+  }
+
+  /**
+   * Run a request once the previous one has finished and the delay has passed
+   * @param {Function} send - Sends the request
+   * @returns {Promise<Response>}
+   */
+  _schedule(send) {
+    const turn = this._queue.then(async () => {
+      const wait = this._lastRequest + this.delay - Date.now();
+      if (wait > 0) {
+        await sleep(wait);
+      }
+      this._lastRequest = Date.now();
+      return send();
+    });
+    this._queue = turn.catch(() => {});
+    return turn;
+  }
+
+  /**
+   * Work out how long to wait before retrying
+   * @param {Response} response - The failed response
+   * @param {number} attempt - How many retries have been made so far
+   * @returns {number} Milliseconds
+   */
+  _backoff(response, attempt) {
+    const retryAfter = Number(response.headers && response.headers.get('Retry-After'));
+    if (response.status === 429 && retryAfter > 0) {
+      return retryAfter * 1000;
+    }
+    return this.retryDelay * 2 ** attempt;
+  }
+
+  /**
+   * Convert a Scryfall list of cards
+   * @param {Object} list - Scryfall list object
+   * @returns {Object} { cards, totalCards, hasMore, nextPage, warnings }
+   */
+  static _page(list) {
+    return {
+      cards: list.data || [],
+      totalCards: list.total_cards || 0,
+      hasMore: Boolean(list.has_more),
+      nextPage: list.has_more ? list.next_page : null,
+      warnings: list.warnings || []
+    };
+  }
+
+  /**
+   * Build the error for a failed response from Scryfall's error object, if it sent one
+   * @param {Response} response - The failed response
+   * @param {string} url - Request URL
+   * @returns {Promise<ScryfallApiError>}
+   */
+  static async _error(response, url) {
+    let body = null;
+    try {
+      body = await response.json();
+    } catch (error) {
+      // Not a Scryfall error object (e.g., an HTML error page from a proxy)
+    }
+    if (body && body.object === 'error') {
+      return new ScryfallApiError(body.details, response.status, body.code, body.warnings || []);
+    }
+    return new ScryfallApiError(`HTTP ${response.status}: ${response.statusText} for ${url}`, response.status);
+  }
+}
+
+ScryfallClient.ScryfallApiError = ScryfallApiError;
+
+// Export for use in browser and Node.js
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = ScryfallClient;
+}
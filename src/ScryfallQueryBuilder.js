@@ -6,29 +6,362 @@
  * 
  * @see https://scryfall.com/docs/syntax for Scryfall search syntax documentation
  */
+const QueryParser = require('./QueryParser');
+const QueryNode = require('./QueryNode');
+const QueryAnalyzer = require('./QueryAnalyzer');
+const QueryExplainer = require('./QueryExplainer');
+const QueryValidator = require('./QueryValidator');
+const ManaSymbols = require('./ManaSymbols');
+const sets = require('../data/sets.json');
+
+// Set codes a date can be relative to (date>=dsk)
+const SET_CODES = new Set(
+  [...sets.recentSets, ...sets.popularSets, ...sets.commanderProducts].map(set => set.code)
+);
+
+// What new: can search for (art, artist, flavor, frame, language, rarity)
+const NEW_ASPECTS = QueryParser.NEW_ASPECTS;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Set types st: accepts (e.g., "masters", "commander")
+const SET_TYPES = sets.setTypes.map(setType => setType.type);
+
+// Keywords Scryfall lets you search with a /regular expression/
+const REGEX_KEYS = ['name', 'o', 'fo', 't', 'ft'];
+
+// JavaScript regex features Scryfall can't run, with how to describe them
+const UNSUPPORTED_REGEX = [
+  [/\(\?<[=!]/, 'lookbehind'],
+  [/\(\?<[A-Za-z]/, 'named groups'],
+  [/\\k</, 'named backreferences'],
+  [/\\[pP]\{/, 'Unicode property escapes']
+];
+
+// Flags that make no difference on Scryfall, which always ignores case
+const IGNORED_REGEX_FLAGS = ['i', 'g', 'y', 'd', 'm'];
+
+// Operators that compare numbers; equality-only filters accept ":" and "="
+const NUMERIC_OPERATORS = QueryParser.COMPARISON_OPERATORS;
+const EQUALITY_OPERATORS = [':', '='];
+
+// Stats that can be compared with each other (pow>tou), and how each is written as a reference
+const STAT_REFERENCES = { pow: 'pow', tou: 'tou', loy: 'loy', mv: 'cmc', def: 'def' };
+
+// Values Scryfall accepts for unique, order, dir, prefer and include
+const DISPLAY_OPTIONS = QueryParser.DISPLAY_OPTIONS;
+
+// Display options plus the website's result layout (as=grid), which only exists as a URL parameter
+const DISPLAY_VALUES = { ...DISPLAY_OPTIONS, as: QueryParser.VIEW_MODES };
+
+// Value types a registered filter can have besides a list of allowed values
+const VALUE_TYPES = ['string', 'text', 'number'];
+
+// Filters added with registerFilter(), by method name
+const FILTERS = {};
+
 class ScryfallQueryBuilder {
   constructor() {
-    this.parts = [];
+    // Top-level conditions, implicitly ANDed together
+    this.nodes = [];
+    // How results are displayed: unique, order, dir, prefer and include
+    this.display = {};
   }
 
   /**
-   * Search for cards by name (partial match)
-   * @param {string} name - The card name to search for
+   * Create a builder from an existing Scryfall query string
+   * @param {string} query - The query string (e.g., 't:creature (c=r or c=g) -o:flying')
+   * @returns {ScryfallQueryBuilder} A builder that rebuilds an equivalent query
+   * @throws {QuerySyntaxError} If the query is malformed
+   */
+  static parse(query) {
+    return ScryfallQueryBuilder._fromTree(QueryParser.parse(query));
+  }
+
+  /**
+   * Alias for {@link ScryfallQueryBuilder.parse}
+   * @param {string} query - The query string
    * @returns {ScryfallQueryBuilder}
    */
-  name(name) {
-    if (name && name.trim()) {
-      const trimmed = name.trim();
-      // Use quotes for multi-word names
-      if (trimmed.includes(' ')) {
-        this.parts.push(`name:"${trimmed}"`);
-      } else {
-        this.parts.push(`name:${trimmed}`);
-      }
+  static fromString(query) {
+    return ScryfallQueryBuilder.parse(query);
+  }
+
+  /**
+   * Create a builder from a scryfall.com or api.scryfall.com search URL, the inverse of
+   * {@link ScryfallQueryBuilder#toUrl} and {@link ScryfallQueryBuilder#toApiUrl}
+   *
+   * The `unique`, `order`, `dir` and `as` parameters become display options and
+   * take precedence over the same keywords in the query.
+   * @param {string} url - The URL (e.g., "https://scryfall.com/search?q=t%3Aelf&order=edhrec")
+   * @returns {ScryfallQueryBuilder}
+   * @throws {Error} If the URL is not a Scryfall search or has invalid parameters
+   *
+   * @example
+   * ScryfallQueryBuilder.fromUrl('https://scryfall.com/search?q=t:creature+pow>tou&as=grid').build();
+   * // 't:creature pow>tou'
+   */
+  static fromUrl(url) {
+    const { query, unique, order, dir, as, includeExtras } = QueryParser.parseUrl(url);
+    const builder = ScryfallQueryBuilder.parse(query);
+    if (unique) builder.unique(unique);
+    if (order) builder.order(order);
+    if (dir) builder.direction(dir);
+    if (as) builder.view(as);
+    if (includeExtras !== undefined) builder.includeExtras(includeExtras);
+    return builder;
+  }
+
+  /**
+   * Create a builder from an expression tree produced by {@link ScryfallQueryBuilder#toJSON}
+   * @param {Object|string} json - The tree, or its JSON string
+   * @returns {ScryfallQueryBuilder}
+   * @throws {Error} If the tree contains an unknown node type
+   */
+  static fromJSON(json) {
+    const tree = typeof json === 'string' ? JSON.parse(json) : json;
+    return ScryfallQueryBuilder._fromTree(tree ? QueryNode.clone(tree) : null);
+  }
+
+  /**
+   * Create a builder whose top-level conditions come from a tree
+   * @param {Object|null} root - Root node
+   * @returns {ScryfallQueryBuilder}
+   */
+  static _fromTree(root) {
+    const builder = new ScryfallQueryBuilder();
+    if (root) {
+      const nodes = root.type === 'and' ? [...root.children] : [root];
+      // Display options written as keywords (e.g., "order:edhrec") become options again
+      builder.nodes = nodes.filter(node => {
+        const option = ScryfallQueryBuilder._displayOption(node);
+        if (option) {
+          builder.display[option] = node.value.toLowerCase();
+        }
+        return !option;
+      });
+    }
+    return builder;
+  }
+
+  /**
+   * Find which display option a node sets
+   * @param {Object} node - Top-level node
+   * @returns {string|null} Option name, or null if the node is not a valid display option
+   */
+  static _displayOption(node) {
+    if (node.type !== 'term' || node.regex || (node.operator !== ':' && node.operator !== '=')) {
+      return null;
+    }
+    const option = QueryParser.resolveKey(node.key);
+    if (!Object.prototype.hasOwnProperty.call(DISPLAY_OPTIONS, option)) {
+      return null;
+    }
+    return DISPLAY_OPTIONS[option].includes(String(node.value).toLowerCase()) ? option : null;
+  }
+
+  /**
+   * Add a filter method to every builder, for Scryfall keywords the builder doesn't cover yet
+   *
+   * The keyword and its aliases become known to QueryParser (and so to parse(),
+   * QueryCanonicalizer and QueryDiff), QueryValidator checks the operators and
+   * values it is given, and RandomQueryGenerator can pick the filter through its
+   * `filters` option. The new method takes the value and an optional operator,
+   * ignores empty values and throws on values or operators the filter doesn't accept.
+   * @param {string} name - Method name (e.g., "stamp")
+   * @param {Object} spec - Filter definition
+   * @param {string|string[]} spec.key - The search keyword, or the keyword followed by its aliases
+   * @param {string|string[]} [spec.valueType='string'] - 'string' (trimmed and lowercased),
+   *   'text' (trimmed, case kept), 'number', or the list of allowed values
+   * @param {string[]} [spec.operators] - Allowed operators; defaults to ":" and "=", or every
+   *   comparison operator for numbers. The method's default operator is ":" for text and "=" for numbers
+   * @param {boolean} [spec.quote=false] - Always write the value in double quotes
+   * @param {Function} [spec.normalize] - Turns the argument into the value written in the query,
+   *   replacing the trimming and lowercasing; may throw to reject it. Its result is still
+   *   checked against the value type
+   * @param {string} [spec.label] - What the value is, for error messages; defaults to the
+   *   method name in words ("setType" -> "set type")
+   * @returns {Object} The frozen filter definition
+   * @throws {Error} If the name is taken or the definition is invalid
+   *
+   * @example
+   * ScryfallQueryBuilder.registerFilter('stamp', { key: 'stamp', valueType: ['oval', 'acorn', 'triangle', 'arena'] });
+   * new ScryfallQueryBuilder().stamp('Acorn').build();
+   * // 'stamp:acorn'
+   */
+  static registerFilter(name, spec = {}) {
+    if (typeof name !== 'string' || !/^[A-Za-z_$][\w$]*$/.test(name)) {
+      throw new Error(`Invalid filter name "${name}"; expected a method name such as "stamp"`);
+    }
+    if (name in ScryfallQueryBuilder.prototype) {
+      throw new Error(`Filter "${name}" is already defined`);
+    }
+    const [keyword, ...aliases] = [].concat(spec.key || []);
+    if (!keyword) {
+      throw new Error(`Filter "${name}" needs a search keyword`);
+    }
+
+    let valueType = spec.valueType || 'string';
+    if (Array.isArray(valueType)) {
+      valueType = valueType.map(value => String(value).trim().toLowerCase());
+    } else if (!VALUE_TYPES.includes(valueType)) {
+      throw new Error(`Invalid value type "${valueType}" for filter "${name}"; expected one of: ${VALUE_TYPES.join(', ')} or a list of values`);
+    }
+    const operators = spec.operators || (valueType === 'number' ? NUMERIC_OPERATORS : EQUALITY_OPERATORS);
+    const unknown = operators.find(operator => !NUMERIC_OPERATORS.includes(operator));
+    if (operators.length === 0 || unknown !== undefined) {
+      throw new Error(`Invalid operators for filter "${name}"; expected some of: ${NUMERIC_OPERATORS.join(' ')}`);
+    }
+    if (spec.normalize !== undefined && typeof spec.normalize !== 'function') {
+      throw new Error(`"normalize" for filter "${name}" must be a function`);
+    }
+
+    const key = QueryParser.registerKeyword(keyword, aliases);
+    const defaultOperator = valueType !== 'number' && operators.includes(':') ? ':'
+      : operators.includes('=') ? '=' : operators[0];
+    const filter = Object.freeze({
+      name,
+      key,
+      valueType,
+      operators: Object.freeze([...operators]),
+      defaultOperator,
+      quote: Boolean(spec.quote),
+      normalize: spec.normalize || null,
+      label: spec.label || name.replace(/([A-Z])/g, ' $1').toLowerCase()
+    });
+
+    QueryValidator.registerKeyword(key, filter);
+    FILTERS[name] = filter;
+    ScryfallQueryBuilder.prototype[name] = function (value, operator = defaultOperator) {
+      return this._addFilter(filter, value, operator);
+    };
+    return filter;
+  }
+
+  /**
+   * Get a filter added with {@link ScryfallQueryBuilder.registerFilter}
+   * @param {string} name - Method name
+   * @returns {Object|null} The filter definition, or null if there is none
+   */
+  static getFilter(name) {
+    return Object.prototype.hasOwnProperty.call(FILTERS, name) ? FILTERS[name] : null;
+  }
+
+  /**
+   * List the registered filters
+   * @returns {string[]} Method names
+   */
+  static getFilters() {
+    return Object.keys(FILTERS);
+  }
+
+  /**
+   * The rendered top-level conditions
+   * @returns {string[]}
+   */
+  get parts() {
+    return this.nodes.map(node => QueryNode.render(node));
+  }
+
+  /**
+   * Add a term to the query
+   * @param {string} key - The search keyword
+   * @param {string} operator - The comparison operator
+   * @param {string|number} value - The value to search for
+   * @returns {ScryfallQueryBuilder}
+   */
+  _addTerm(key, operator, value) {
+    this.nodes.push(QueryNode.term(key, operator, value));
+    return this;
+  }
+
+  /**
+   * Add a text search, or a regular expression search when given a RegExp
+   * @param {string} key - The search keyword
+   * @param {string|RegExp} text - Text or regular expression to search for
+   * @returns {ScryfallQueryBuilder}
+   */
+  _addText(key, text) {
+    if (text instanceof RegExp) {
+      return this.regex(key, text);
+    }
+    if (text && text.trim()) {
+      this._addTerm(key, ':', text.trim());
+    }
+    return this;
+  }
+
+  /**
+   * Add a term for a registered filter
+   * @param {Object} filter - Filter definition from {@link ScryfallQueryBuilder.registerFilter}
+   * @param {*} value - The value as given to the filter method
+   * @param {string} operator - Comparison operator
+   * @returns {ScryfallQueryBuilder}
+   * @throws {Error} If the operator or value is not accepted
+   */
+  _addFilter(filter, value, operator) {
+    if (value === undefined || value === null || (typeof value === 'string' && !value.trim())) {
+      return this;
     }
+    ScryfallQueryBuilder._checkOperator(filter.key, operator, filter.operators);
+    const normalized = ScryfallQueryBuilder._filterValue(filter, value);
+    this.nodes.push(QueryNode.term(filter.key, operator, normalized, { quoted: filter.quote }));
     return this;
   }
 
+  /**
+   * Turn a filter argument into the value written in the query
+   * @param {Object} filter - Filter definition
+   * @param {*} value - The argument
+   * @returns {string|number}
+   * @throws {Error} If the value doesn't match the filter's value type
+   */
+  static _filterValue(filter, value) {
+    const { valueType, label } = filter;
+    let normalized;
+    if (filter.normalize) {
+      normalized = filter.normalize(value);
+    } else if (valueType === 'number') {
+      normalized = value;
+    } else {
+      normalized = String(value).trim();
+      if (valueType !== 'text') normalized = normalized.toLowerCase();
+    }
+
+    if (valueType === 'number' && (typeof normalized === 'boolean' || !Number.isFinite(Number(normalized)))) {
+      throw new Error(`Invalid ${label} "${value}"; expected a number`);
+    }
+    if (Array.isArray(valueType) && !valueType.includes(String(normalized).toLowerCase())) {
+      throw new Error(`Invalid ${label} "${value}"; expected one of: ${valueType.join(', ')}`);
+    }
+    return normalized;
+  }
+
+  /**
+   * Run a callback against a fresh builder and return its conditions as one node
+   * @param {Function} callback - Callback function that receives a new builder
+   * @param {string} type - How to combine multiple conditions ('and' or 'or')
+   * @returns {Object|null} Combined node, or null if the callback added nothing
+   */
+  _subTree(callback, type) {
+    const subBuilder = new ScryfallQueryBuilder();
+    callback(subBuilder);
+    const nodes = subBuilder.nodes;
+    if (nodes.length === 0) {
+      return null;
+    }
+    return nodes.length === 1 ? nodes[0] : QueryNode[type](nodes);
+  }
+
+  /**
+   * Search for cards by name (partial match)
+   * @param {string|RegExp} name - The card name to search for, or a regular expression (e.g., /^[a-c]/)
+   * @returns {ScryfallQueryBuilder}
+   */
+  name(name) {
+    return this._addText('name', name);
+  }
+
   /**
    * Search for cards with exact name match
    * @param {string} name - The exact card name
@@ -36,43 +369,83 @@ class ScryfallQueryBuilder {
    */
   exactName(name) {
     if (name && name.trim()) {
-      this.parts.push(`!"${name.trim()}"`);
+      this.nodes.push(QueryNode.term(null, null, name.trim(), { quoted: true, exact: true }));
     }
     return this;
   }
 
   /**
    * Search by oracle text (rules text)
-   * @param {string} text - Text to search in oracle text
+   * @param {string|RegExp} text - Text to search in oracle text, or a regular expression (e.g., /^{T}: add/)
    * @returns {ScryfallQueryBuilder}
    */
   oracleText(text) {
-    if (text && text.trim()) {
-      const trimmed = text.trim();
-      if (trimmed.includes(' ')) {
-        this.parts.push(`o:"${trimmed}"`);
-      } else {
-        this.parts.push(`o:${trimmed}`);
-      }
+    return this._addText('o', text);
+  }
+
+  /**
+   * Search a text field with a regular expression (o:/^{T}: add/)
+   *
+   * Strings are used as Scryfall regex syntax as written, so Scryfall's
+   * shortcuts such as `\sm` (any mana symbol) work. RegExp flags that make no
+   * difference on Scryfall (i, g, y, d, m) are dropped.
+   * @param {string} key - "name", "o", "fo", "t" or "ft" (or an alias such as "oracle")
+   * @param {string|RegExp} pattern - The regular expression
+   * @returns {ScryfallQueryBuilder}
+   * @throws {Error} If the field can't be searched by regex or the pattern uses a feature Scryfall doesn't support
+   */
+  regex(key, pattern) {
+    const shortKey = QueryParser.resolveKey(key);
+    if (!REGEX_KEYS.includes(shortKey)) {
+      throw new Error(`"${key}" can't be searched with a regular expression; use one of: ${REGEX_KEYS.join(', ')}`);
+    }
+    const source = ScryfallQueryBuilder.toScryfallRegex(pattern);
+    if (source) {
+      this.nodes.push(QueryNode.term(shortKey, ':', source, { regex: true }));
     }
     return this;
   }
 
+  /**
+   * Convert a RegExp or pattern string to the source written between Scryfall's slashes
+   * @param {string|RegExp} pattern - The regular expression
+   * @returns {string} Pattern source with "/" escaped, or '' for an empty pattern
+   * @throws {Error} If the pattern is invalid or uses lookbehind, named groups,
+   *   Unicode property escapes or the s, u or v flags
+   */
+  static toScryfallRegex(pattern) {
+    let source;
+    if (pattern instanceof RegExp) {
+      const unsupported = [...pattern.flags].filter(flag => !IGNORED_REGEX_FLAGS.includes(flag));
+      if (unsupported.length > 0) {
+        throw new Error(`Scryfall regular expressions don't support the "${unsupported.join('')}" flag`);
+      }
+      source = pattern.source === '(?:)' ? '' : pattern.source;
+    } else {
+      source = String(pattern === undefined || pattern === null ? '' : pattern).trim();
+      try {
+        new RegExp(source);
+      } catch (err) {
+        throw new Error(`Invalid regular expression /${source}/: ${err.message.split(': ').pop()}`);
+      }
+    }
+
+    for (const [feature, name] of UNSUPPORTED_REGEX) {
+      if (feature.test(source)) {
+        throw new Error(`Scryfall regular expressions don't support ${name}: /${source}/`);
+      }
+    }
+    // An unescaped "/" would end the expression early
+    return source.replace(/\\.|\//g, match => (match === '/' ? '\\/' : match));
+  }
+
   /**
    * Search by card type
-   * @param {string} type - The card type (e.g., "creature", "instant", "sorcery")
+   * @param {string|RegExp} type - The card type (e.g., "creature", "instant", "sorcery"), or a regular expression
    * @returns {ScryfallQueryBuilder}
    */
   type(type) {
-    if (type && type.trim()) {
-      const trimmed = type.trim();
-      if (trimmed.includes(' ')) {
-        this.parts.push(`t:"${trimmed}"`);
-      } else {
-        this.parts.push(`t:${trimmed}`);
-      }
-    }
-    return this;
+    return this._addText('t', type);
   }
 
   /**
@@ -84,7 +457,7 @@ class ScryfallQueryBuilder {
   colorIdentity(colors, operator = '=') {
     const colorStr = Array.isArray(colors) ? colors.join('') : colors;
     if (colorStr && colorStr.trim()) {
-      this.parts.push(`id${operator}${colorStr.trim().toLowerCase()}`);
+      this._addTerm('id', operator, colorStr.trim().toLowerCase());
     }
     return this;
   }
@@ -98,279 +471,408 @@ class ScryfallQueryBuilder {
   color(colors, operator = '=') {
     const colorStr = Array.isArray(colors) ? colors.join('') : colors;
     if (colorStr && colorStr.trim()) {
-      this.parts.push(`c${operator}${colorStr.trim().toLowerCase()}`);
+      this._addTerm('c', operator, colorStr.trim().toLowerCase());
     }
     return this;
   }
 
   /**
    * Search by mana cost
-   * @param {string} cost - The mana cost (e.g., "{2}{U}{U}")
+   *
+   * Symbols are validated and written canonically, so "2uu" becomes
+   * `{2}{U}{U}` and `{u/w}` becomes `{W/U}`.
+   * @param {string|Object} cost - The mana cost (e.g., "{2}{U}{U}"), or a structure such as
+   *   `{ generic: 2, U: 2, hybrid: ['W/U'], phyrexian: ['G'] }` (see {@link ManaSymbols.format})
    * @param {string} [operator='='] - Comparison operator
    * @returns {ScryfallQueryBuilder}
+   * @throws {Error} If the cost contains an unknown symbol or the operator is not supported
+   *
+   * @example
+   * builder.manaCost({ generic: 2, U: 2, hybrid: ['W/U'], phyrexian: ['G'] }).build();
+   * // 'm={2}{U}{U}{W/U}{G/P}'
    */
   manaCost(cost, operator = '=') {
-    if (cost && cost.trim()) {
-      this.parts.push(`m${operator}${cost.trim()}`);
+    if (typeof cost === 'string' ? !cost.trim() : !cost) {
+      return this;
+    }
+    ScryfallQueryBuilder._checkOperator('m', operator, NUMERIC_OPERATORS);
+    const value = ManaSymbols.format(cost);
+    if (value) {
+      this._addTerm('m', operator, value);
     }
     return this;
   }
 
   /**
-   * Search by mana value (converted mana cost)
-   * @param {number} value - The mana value
-   * @param {string} [operator='='] - Comparison operator
+   * Search by devotion to one color or a pair of colors
+   * @param {string|string[]} colors - One or two colors (e.g., "u", "ub", ['u', 'b'], "U/B")
+   * @param {number} count - The devotion to compare with
+   * @param {string} [operator='>='] - Comparison operator
    * @returns {ScryfallQueryBuilder}
+   * @throws {Error} If the colors, count or operator are invalid
+   *
+   * @example
+   * builder.devotion('ub', 3).build(); // 'devotion>={U/B}{U/B}{U/B}'
    */
-  manaValue(value, operator = '=') {
-    if (value !== undefined && value !== null) {
-      this.parts.push(`mv${operator}${value}`);
+  devotion(colors, count, operator = '>=') {
+    const letters = [...new Set((Array.isArray(colors) ? colors.join('') : String(colors || ''))
+      .toUpperCase().replace(/[{}/\s]/g, ''))];
+    if (letters.length < 1 || letters.length > 2 || !letters.every(letter => ManaSymbols.COLORS.includes(letter))) {
+      throw new Error(`Invalid devotion colors "${colors}"; expected one or two of w, u, b, r, g`);
     }
-    return this;
+    ScryfallQueryBuilder._checkOperator('devotion', operator, NUMERIC_OPERATORS);
+    if (!Number.isInteger(count) || count < 1) {
+      throw new Error(`Invalid count "${count}" for "devotion"; expected a whole number of at least 1`);
+    }
+    const symbol = `{${ManaSymbols.normalizeSymbol(letters.join('/'))}}`;
+    return this._addTerm('devotion', operator, symbol.repeat(count));
   }
 
   /**
-   * Search by power
-   * @param {number|string} power - The power value
-   * @param {string} [operator='='] - Comparison operator
+   * Search by how many times a symbol appears in the mana cost
+   *
+   * Scryfall has no pip count keyword, so the comparison is written with
+   * `m>=` terms: `pips('u', 2, '=')` becomes `m>={U}{U} -m>={U}{U}{U}`.
+   * @param {string} symbol - A mana symbol (e.g., "u", "{W/U}", "g/p", "c")
+   * @param {number} count - The number of symbols to compare with
+   * @param {string} [operator='>='] - Comparison operator
    * @returns {ScryfallQueryBuilder}
+   * @throws {Error} If the symbol, count or operator are invalid
    */
-  power(power, operator = '=') {
-    if (power !== undefined && power !== null) {
-      this.parts.push(`pow${operator}${power}`);
+  pips(symbol, count, operator = '>=') {
+    const canonical = ManaSymbols.normalizeSymbol(symbol);
+    if (/^\d+$/.test(canonical)) {
+      throw new Error(`Invalid pip symbol "${symbol}"; generic mana has no pips`);
+    }
+    ScryfallQueryBuilder._checkOperator('pips', operator, NUMERIC_OPERATORS);
+    if (!Number.isInteger(count) || count < 0) {
+      throw new Error(`Invalid count "${count}" for "pips"; expected a whole number of at least 0`);
+    }
+    if (operator === '<' && count === 0) {
+      throw new Error('No mana cost has fewer than 0 pips');
+    }
+
+    const atLeast = n => QueryNode.term('m', '>=', `{${canonical}}`.repeat(n));
+    const fewerThan = n => QueryNode.not(atLeast(n));
+    switch (operator) {
+      case '>':
+        this.nodes.push(atLeast(count + 1));
+        break;
+      case '<':
+        this.nodes.push(fewerThan(count));
+        break;
+      case '<=':
+        this.nodes.push(fewerThan(count + 1));
+        break;
+      case '=':
+      case ':':
+        if (count > 0) this.nodes.push(atLeast(count));
+        this.nodes.push(fewerThan(count + 1));
+        break;
+      case '!=':
+        this.nodes.push(count > 0
+          ? QueryNode.group(QueryNode.or([fewerThan(count), atLeast(count + 1)]))
+          : atLeast(1));
+        break;
+      default:
+        if (count > 0) this.nodes.push(atLeast(count));
     }
     return this;
   }
 
   /**
-   * Search by toughness
-   * @param {number|string} toughness - The toughness value
-   * @param {string} [operator='='] - Comparison operator
+   * Search for cards with hybrid mana symbols (is:hybrid)
+   * @param {boolean} [hybrid=true] - false to exclude them instead
    * @returns {ScryfallQueryBuilder}
    */
-  toughness(toughness, operator = '=') {
-    if (toughness !== undefined && toughness !== null) {
-      this.parts.push(`tou${operator}${toughness}`);
-    }
-    return this;
+  isHybrid(hybrid = true) {
+    return hybrid ? this.is('hybrid') : this.not('hybrid');
   }
 
   /**
-   * Search by rarity
-   * @param {string} rarity - The rarity (common, uncommon, rare, mythic)
+   * Search for cards with Phyrexian mana symbols (is:phyrexian)
+   * @param {boolean} [phyrexian=true] - false to exclude them instead
+   * @returns {ScryfallQueryBuilder}
+   */
+  isPhyrexian(phyrexian = true) {
+    return phyrexian ? this.is('phyrexian') : this.not('phyrexian');
+  }
+
+  /**
+   * Search by mana value (converted mana cost)
+   * @param {number|Object} value - The mana value, or another stat from {@link ScryfallQueryBuilder.field}
    * @param {string} [operator='='] - Comparison operator
    * @returns {ScryfallQueryBuilder}
    */
-  rarity(rarity, operator = '=') {
-    if (rarity && rarity.trim()) {
-      this.parts.push(`r${operator}${rarity.trim().toLowerCase()}`);
-    }
-    return this;
+  manaValue(value, operator = '=') {
+    return this._addStat('mv', value, operator);
   }
 
   /**
-   * Search by set
-   * @param {string} set - The set code (e.g., "dom", "m21")
+   * Search by power
+   * @param {number|string|Object} power - The power value, or another stat from {@link ScryfallQueryBuilder.field}
+   * @param {string} [operator='='] - Comparison operator
    * @returns {ScryfallQueryBuilder}
+   *
+   * @example
+   * builder.power(field('toughness'), '>').build(); // 'pow>tou'
    */
-  set(set) {
-    if (set && set.trim()) {
-      this.parts.push(`s:${set.trim().toLowerCase()}`);
-    }
-    return this;
+  power(power, operator = '=') {
+    return this._addStat('pow', power, operator);
   }
 
   /**
-   * Search by format legality
-   * @param {string} format - The format (e.g., "standard", "modern", "commander")
+   * Search by toughness
+   * @param {number|string|Object} toughness - The toughness value, or another stat from {@link ScryfallQueryBuilder.field}
+   * @param {string} [operator='='] - Comparison operator
    * @returns {ScryfallQueryBuilder}
    */
-  format(format) {
-    if (format && format.trim()) {
-      this.parts.push(`f:${format.trim().toLowerCase()}`);
-    }
-    return this;
+  toughness(toughness, operator = '=') {
+    return this._addStat('tou', toughness, operator);
   }
 
   /**
-   * Search for cards that are banned in a format
-   * @param {string} format - The format
+   * Search by starting loyalty
+   * @param {number|string|Object} loyalty - The loyalty value, or another stat from {@link ScryfallQueryBuilder.field}
+   * @param {string} [operator='='] - Comparison operator
    * @returns {ScryfallQueryBuilder}
    */
-  banned(format) {
-    if (format && format.trim()) {
-      this.parts.push(`banned:${format.trim().toLowerCase()}`);
-    }
-    return this;
+  loyalty(loyalty, operator = '=') {
+    return this._addStat('loy', loyalty, operator);
   }
 
   /**
-   * Search for cards that are restricted in a format
-   * @param {string} format - The format
+   * Search by battle defense
+   * @param {number|string|Object} defense - The defense value, or another stat from {@link ScryfallQueryBuilder.field}
+   * @param {string} [operator='='] - Comparison operator
    * @returns {ScryfallQueryBuilder}
    */
-  restricted(format) {
-    if (format && format.trim()) {
-      this.parts.push(`restricted:${format.trim().toLowerCase()}`);
+  defense(defense, operator = '=') {
+    return this._addStat('def', defense, operator);
+  }
+
+  /**
+   * Refer to another stat of the same card, for comparisons such as pow>tou
+   * @param {string} name - power, toughness, loyalty, cmc (mana value) or defense, or their short keywords
+   * @returns {Object} A field reference to pass to power(), toughness(), loyalty(), manaValue() or defense()
+   * @throws {Error} If the name is not a comparable stat
+   *
+   * @example
+   * const { field } = ScryfallQueryBuilder;
+   * builder.power(field('cmc'), '>').build(); // 'pow>cmc'
+   */
+  static field(name) {
+    const key = QueryParser.resolveKey(String(name || '').replace(/\s+/g, ''));
+    if (!Object.prototype.hasOwnProperty.call(STAT_REFERENCES, key)) {
+      throw new Error(`Invalid field "${name}"; expected one of: power, toughness, loyalty, cmc, defense`);
     }
-    return this;
+    return Object.freeze({ type: 'field', key });
   }
 
   /**
-   * Search by artist
-   * @param {string} artist - The artist name
+   * Add a stat comparison against a number or another stat
+   * @param {string} key - The stat keyword (pow, tou, loy, mv or def)
+   * @param {number|string|Object} value - The value or field reference
+   * @param {string} operator - Comparison operator
    * @returns {ScryfallQueryBuilder}
+   * @throws {Error} If the value refers to the same stat
    */
-  artist(artist) {
-    if (artist && artist.trim()) {
-      const trimmed = artist.trim();
-      if (trimmed.includes(' ')) {
-        this.parts.push(`a:"${trimmed}"`);
-      } else {
-        this.parts.push(`a:${trimmed}`);
+  _addStat(key, value, operator) {
+    if (value === undefined || value === null) {
+      return this;
+    }
+    if (typeof value === 'object' && value.type === 'field') {
+      if (value.key === key) {
+        throw new Error(`Cannot compare "${STAT_REFERENCES[key]}" with itself`);
       }
+      return this._addTerm(key, operator, STAT_REFERENCES[value.key]);
     }
-    return this;
+    return this._addTerm(key, operator, value);
   }
 
   /**
-   * Search by flavor text
-   * @param {string} text - Text to search in flavor text
+   * Search by rarity
+   * @param {string} rarity - The rarity (common, uncommon, rare, mythic)
+   * @param {string} [operator='='] - Comparison operator
    * @returns {ScryfallQueryBuilder}
    */
-  flavorText(text) {
-    if (text && text.trim()) {
-      const trimmed = text.trim();
-      if (trimmed.includes(' ')) {
-        this.parts.push(`ft:"${trimmed}"`);
-      } else {
-        this.parts.push(`ft:${trimmed}`);
-      }
+  rarity(rarity, operator = '=') {
+    if (rarity && rarity.trim()) {
+      this._addTerm('r', operator, rarity.trim().toLowerCase());
     }
     return this;
   }
 
   /**
-   * Search by watermark
-   * @param {string} watermark - The watermark name
+   * Search by set
+   * @param {string} set - The set code (e.g., "dom", "m21")
    * @returns {ScryfallQueryBuilder}
    */
-  watermark(watermark) {
-    if (watermark && watermark.trim()) {
-      this.parts.push(`wm:${watermark.trim().toLowerCase()}`);
+  set(set) {
+    if (set && set.trim()) {
+      this._addTerm('s', ':', set.trim().toLowerCase());
     }
     return this;
   }
 
   /**
-   * Search for cards in a specific language
-   * @param {string} lang - The language code (e.g., "en", "ja", "de")
+   * Search by release year
+   * @param {number|Date} year - The year (e.g., 2020), or a date in that year
+   * @param {string} [operator='='] - Comparison operator
    * @returns {ScryfallQueryBuilder}
+   * @throws {Error} If the year is not a whole number
    */
-  language(lang) {
-    if (lang && lang.trim()) {
-      this.parts.push(`lang:${lang.trim().toLowerCase()}`);
+  year(year, operator = '=') {
+    if (year === undefined || year === null) {
+      return this;
     }
-    return this;
+    const value = year instanceof Date ? year.getUTCFullYear() : Number(year);
+    if (!Number.isInteger(value)) {
+      throw new Error(`Invalid year "${year}"; expected a whole number such as 2020`);
+    }
+    return this._addTerm('year', operator, value);
   }
 
   /**
-   * Search for cards with a specific frame
-   * @param {string} frame - The frame type (e.g., "2015", "1993", "future")
+   * Search by release date, or relative to when a set was released
+   * @param {Date|string} date - A Date, an ISO date string (e.g., "2024-01-01") or a set code (e.g., "dsk")
+   * @param {string} [operator='='] - Comparison operator
    * @returns {ScryfallQueryBuilder}
+   * @throws {Error} If the date is invalid or the set code is not in data/sets.json
    */
-  frame(frame) {
-    if (frame && frame.trim()) {
-      this.parts.push(`frame:${frame.trim()}`);
+  date(date, operator = '=') {
+    if (date === undefined || date === null || (typeof date === 'string' && !date.trim())) {
+      return this;
     }
-    return this;
+    return this._addTerm('date', operator, ScryfallQueryBuilder._dateValue(date));
   }
 
   /**
-   * Search for cards with a specific border color
-   * @param {string} border - The border color (e.g., "black", "white", "borderless")
+   * Search for cards released in the last N days
+   * @param {number} days - Number of days before today
+   * @param {Object} [options={}]
+   * @param {Function} [options.clock] - Returns the current Date; defaults to the system clock
    * @returns {ScryfallQueryBuilder}
+   * @throws {Error} If days is not a non-negative whole number
+   *
+   * @example
+   * builder.releasedInLastDays(30, { clock: () => new Date('2024-10-31') }).build();
+   * // 'date>=2024-10-01'
    */
-  border(border) {
-    if (border && border.trim()) {
-      this.parts.push(`border:${border.trim().toLowerCase()}`);
+  releasedInLastDays(days, options = {}) {
+    const { clock = () => new Date() } = options;
+    if (!Number.isInteger(days) || days < 0) {
+      throw new Error(`Invalid number of days "${days}"; expected a whole number of at least 0`);
     }
-    return this;
+    const since = new Date(clock().getTime() - days * DAY_MS);
+    return this.date(since, '>=');
   }
 
   /**
-   * Search for cards by USD price
-   * @param {number} price - The price in USD
-   * @param {string} [operator='='] - Comparison operator
+   * Search for printings where something appears for the first time (new:art)
+   * @param {string} aspect - "art", "artist", "flavor", "frame", "language" or "rarity"
    * @returns {ScryfallQueryBuilder}
+   * @throws {Error} If the aspect is not supported
    */
-  priceUsd(price, operator = '=') {
-    if (price !== undefined && price !== null) {
-      this.parts.push(`usd${operator}${price}`);
+  isNew(aspect) {
+    if (aspect && aspect.trim()) {
+      const value = aspect.trim().toLowerCase();
+      if (!NEW_ASPECTS.includes(value)) {
+        throw new Error(`Invalid new value "${aspect}"; expected one of: ${NEW_ASPECTS.join(', ')}`);
+      }
+      this._addTerm('new', ':', value);
     }
     return this;
   }
 
   /**
-   * Search for cards by EUR price
-   * @param {number} price - The price in EUR
+   * Search by collector number
+   * @param {number|string} number - The collector number (e.g., 250 or "12a")
    * @param {string} [operator='='] - Comparison operator
    * @returns {ScryfallQueryBuilder}
+   * @throws {Error} If the operator is not supported or a comparison is given a non-numeric value
    */
-  priceEur(price, operator = '=') {
-    if (price !== undefined && price !== null) {
-      this.parts.push(`eur${operator}${price}`);
+  collectorNumber(number, operator = '=') {
+    if (number === undefined || number === null || String(number).trim() === '') {
+      return this;
     }
-    return this;
+    ScryfallQueryBuilder._checkOperator('cn', operator, NUMERIC_OPERATORS);
+    const value = String(number).trim().toLowerCase();
+    if (!/^[0-9a-z★†-]+$/.test(value) || (!EQUALITY_OPERATORS.includes(operator) && !/^\d+$/.test(value))) {
+      throw new Error(`Invalid collector number "${number}" for "cn${operator}"`);
+    }
+    return this._addTerm('cn', operator, value);
   }
 
   /**
-   * Search for cards by TIX price
-   * @param {number} price - The price in TIX
-   * @param {string} [operator='='] - Comparison operator
+   * Search for digital-only printings (is:digital)
+   * @param {boolean} [digital=true] - false to exclude digital printings instead
    * @returns {ScryfallQueryBuilder}
    */
-  priceTix(price, operator = '=') {
-    if (price !== undefined && price !== null) {
-      this.parts.push(`tix${operator}${price}`);
+  isDigital(digital = true) {
+    return digital ? this.is('digital') : this.not('digital');
+  }
+
+  /**
+   * Check that a filter supports an operator
+   * @param {string} key - The search keyword
+   * @param {string} operator - The operator to check
+   * @param {string[]} allowed - Operators the filter supports
+   * @throws {Error} If the operator is not in the list
+   */
+  static _checkOperator(key, operator, allowed) {
+    if (!allowed.includes(operator)) {
+      throw new Error(`Invalid operator "${operator}" for "${key}"; expected one of: ${allowed.join(' ')}`);
     }
-    return this;
   }
 
   /**
-   * Search for cards with specific keywords
-   * @param {string} keyword - The keyword (e.g., "flying", "trample", "hexproof")
-   * @returns {ScryfallQueryBuilder}
+   * Turn a date argument into the value Scryfall expects
+   * @param {Date|string} date - A Date, ISO date string or set code
+   * @returns {string} "YYYY-MM-DD" or a lowercase set code
+   * @throws {Error} If the date is invalid or the set code is unknown
    */
-  keyword(keyword) {
-    if (keyword && keyword.trim()) {
-      this.parts.push(`keyword:${keyword.trim().toLowerCase()}`);
+  static _dateValue(date) {
+    if (date instanceof Date) {
+      if (Number.isNaN(date.getTime())) {
+        throw new Error('Invalid date: the Date object does not hold a valid time');
+      }
+      return date.toISOString().slice(0, 10);
     }
-    return this;
+
+    const text = String(date).trim();
+    if (/^\d{4}-\d{2}-\d{2}/.test(text)) {
+      const parsed = new Date(text);
+      // Date rolls "2024-02-30" over to March, so compare the day it kept
+      if (Number.isNaN(parsed.getTime()) || (text.length === 10 && parsed.toISOString().slice(0, 10) !== text)) {
+        throw new Error(`Invalid date "${date}"; expected an ISO date such as 2024-01-01`);
+      }
+      return parsed.toISOString().slice(0, 10);
+    }
+
+    const code = text.toLowerCase();
+    if (!SET_CODES.has(code)) {
+      throw new Error(`Unknown set code "${date}"; expected an ISO date such as 2024-01-01 or a set code from data/sets.json`);
+    }
+    return code;
   }
 
   /**
-   * Check if card produces specific mana
-   * @param {string} colors - The colors produced
+   * Search by artist
+   * @param {string} artist - The artist name
    * @returns {ScryfallQueryBuilder}
    */
-  produces(colors) {
-    if (colors && colors.trim()) {
-      this.parts.push(`produces:${colors.trim().toLowerCase()}`);
-    }
-    return this;
+  artist(artist) {
+    return this._addText('a', artist);
   }
 
   /**
-   * Filter by extra properties (is: filters)
-   * @param {string} property - The property to filter by (e.g., "commander", "spell", "permanent")
+   * Search by flavor text
+   * @param {string|RegExp} text - Text to search in flavor text, or a regular expression
    * @returns {ScryfallQueryBuilder}
    */
-  is(property) {
-    if (property && property.trim()) {
-      this.parts.push(`is:${property.trim().toLowerCase()}`);
-    }
-    return this;
+  flavorText(text) {
+    return this._addText('ft', text);
   }
 
   /**
@@ -380,19 +882,33 @@ class ScryfallQueryBuilder {
    */
   not(property) {
     if (property && property.trim()) {
-      this.parts.push(`-is:${property.trim().toLowerCase()}`);
+      this.nodes.push(QueryNode.not(QueryNode.term('is', ':', property.trim().toLowerCase())));
     }
     return this;
   }
 
   /**
    * Add a raw query part
+   * 
+   * The text is parsed into the query tree when possible; text that is not
+   * valid Scryfall syntax is kept verbatim.
    * @param {string} query - Raw query string to add
    * @returns {ScryfallQueryBuilder}
    */
   raw(query) {
     if (query && query.trim()) {
-      this.parts.push(query.trim());
+      let root;
+      try {
+        root = QueryParser.parse(query.trim());
+      } catch (err) {
+        if (!(err instanceof QueryParser.QuerySyntaxError)) throw err;
+        root = QueryNode.raw(query.trim());
+      }
+      if (root.type === 'and') {
+        this.nodes.push(...root.children);
+      } else {
+        this.nodes.push(root);
+      }
     }
     return this;
   }
@@ -403,11 +919,9 @@ class ScryfallQueryBuilder {
    * @returns {ScryfallQueryBuilder}
    */
   or(callback) {
-    const subBuilder = new ScryfallQueryBuilder();
-    callback(subBuilder);
-    const subQuery = subBuilder.build();
-    if (subQuery) {
-      this.parts.push(`(${subQuery.split(' ').join(' or ')})`);
+    const node = this._subTree(callback, 'or');
+    if (node) {
+      this.nodes.push(QueryNode.group(node));
     }
     return this;
   }
@@ -418,11 +932,9 @@ class ScryfallQueryBuilder {
    * @returns {ScryfallQueryBuilder}
    */
   and(callback) {
-    const subBuilder = new ScryfallQueryBuilder();
-    callback(subBuilder);
-    const subQuery = subBuilder.build();
-    if (subQuery) {
-      this.parts.push(`(${subQuery})`);
+    const node = this._subTree(callback, 'and');
+    if (node) {
+      this.nodes.push(QueryNode.group(node));
     }
     return this;
   }
@@ -433,21 +945,156 @@ class ScryfallQueryBuilder {
    * @returns {ScryfallQueryBuilder}
    */
   negate(callback) {
-    const subBuilder = new ScryfallQueryBuilder();
-    callback(subBuilder);
-    const subQuery = subBuilder.build();
-    if (subQuery) {
-      this.parts.push(`-(${subQuery})`);
+    const node = this._subTree(callback, 'and');
+    if (node) {
+      this.nodes.push(QueryNode.not(QueryNode.group(node)));
     }
     return this;
   }
 
   /**
-   * Build and return the final query string
+   * Set a display option after checking its value
+   * @param {string} option - Option name (a key of DISPLAY_OPTIONS)
+   * @param {string} value - The option value
+   * @returns {ScryfallQueryBuilder}
+   * @throws {Error} If the value is not allowed for the option
+   */
+  _setDisplay(option, value) {
+    if (value === null || value === undefined || value === '') {
+      delete this.display[option];
+      return this;
+    }
+    const normalized = String(value).trim().toLowerCase();
+    if (!DISPLAY_VALUES[option].includes(normalized)) {
+      throw new Error(`Invalid ${option} value "${value}"; expected one of: ${DISPLAY_VALUES[option].join(', ')}`);
+    }
+    this.display[option] = normalized;
+    return this;
+  }
+
+  /**
+   * Choose how duplicate printings are collapsed (unique:prints)
+   * @param {string} mode - "cards", "art" or "prints"; null to clear
+   * @returns {ScryfallQueryBuilder}
+   * @throws {Error} If the mode is not supported
+   */
+  unique(mode) {
+    return this._setDisplay('unique', mode);
+  }
+
+  /**
+   * Sort the results (order:edhrec)
+   * @param {string} field - Sort field (e.g., "name", "released", "usd", "edhrec"); null to clear
+   * @param {string} [direction] - Sort direction ("auto", "asc" or "desc")
+   * @returns {ScryfallQueryBuilder}
+   * @throws {Error} If the field or direction is not supported
+   */
+  order(field, direction) {
+    this._setDisplay('order', field);
+    if (direction !== undefined) {
+      this.direction(direction);
+    }
+    return this;
+  }
+
+  /**
+   * Set the sort direction (dir:desc)
+   * @param {string} direction - "auto", "asc" or "desc"; null to clear
+   * @returns {ScryfallQueryBuilder}
+   * @throws {Error} If the direction is not supported
+   */
+  direction(direction) {
+    return this._setDisplay('dir', direction);
+  }
+
+  /**
+   * Choose which printing represents each card (prefer:oldest)
+   * @param {string} preference - e.g., "oldest", "newest", "usd-low", "promo"; null to clear
+   * @returns {ScryfallQueryBuilder}
+   * @throws {Error} If the preference is not supported
+   */
+  prefer(preference) {
+    return this._setDisplay('prefer', preference);
+  }
+
+  /**
+   * Include extra cards such as tokens and planar cards (include:extras)
+   * @param {boolean} [include=true] - Whether to include extras
+   * @returns {ScryfallQueryBuilder}
+   */
+  includeExtras(include = true) {
+    return this._setDisplay('include', include ? 'extras' : null);
+  }
+
+  /**
+   * Choose how scryfall.com lays out the results (the as= URL parameter)
+   * @param {string} mode - "grid", "checklist", "text" or "full"; null to clear
+   * @returns {ScryfallQueryBuilder}
+   * @throws {Error} If the mode is not supported
+   */
+  view(mode) {
+    return this._setDisplay('as', mode);
+  }
+
+  /**
+   * Get the display options that are set
+   * @returns {Object} e.g. { unique: 'prints', order: 'edhrec', dir: 'desc' }
+   */
+  getDisplayOptions() {
+    return { ...this.display };
+  }
+
+  /**
+   * Display options as query terms, in Scryfall's documented order
+   * @param {string[]} [options] - Only these options
+   * @returns {Object[]} Term nodes
+   */
+  _displayNodes(options = Object.keys(DISPLAY_OPTIONS)) {
+    return options
+      .filter(option => this.display[option])
+      .map(option => QueryNode.term(option, ':', this.display[option]));
+  }
+
+  /**
+   * Build and return the final query string, including display options as keywords
    * @returns {string}
    */
   build() {
-    return this.parts.join(' ');
+    return QueryNode.render(QueryNode.and([...this.nodes, ...this._displayNodes()]));
+  }
+
+  /**
+   * Check the query for contradictions and redundant terms
+   * @returns {Object} Analysis from {@link QueryAnalyzer#analyze}
+   */
+  analyze() {
+    return QueryAnalyzer.analyze(this);
+  }
+
+  /**
+   * Create a builder for an equivalent query without repeated or implied terms
+   * (e.g., "mv>=2 mv>=3 t:elf t:elf" becomes "mv>=3 t:elf")
+   * @returns {ScryfallQueryBuilder} A new builder
+   * @throws {Error} If the query can never match any card
+   */
+  simplify() {
+    const analysis = this.analyze();
+    if (analysis.empty) {
+      const reason = analysis.contradictions[analysis.contradictions.length - 1];
+      throw new Error(`Query can never match any card: ${reason.message}`);
+    }
+    const simplified = new ScryfallQueryBuilder();
+    simplified.nodes = analysis.nodes;
+    simplified.display = { ...this.display };
+    return simplified;
+  }
+
+  /**
+   * Describe the query in plain English
+   * @returns {string} e.g. "Legendary cards whose color identity is within black-green, costing under $5"
+   */
+  explain() {
+    return QueryExplainer.explain(this);
   }
 
   /**
@@ -455,8 +1102,9 @@ class ScryfallQueryBuilder {
    * @returns {string}
    */
   toUrl() {
-    const query = this.build();
-    return `https://scryfall.com/search?q=${encodeURIComponent(query)}`;
+    // The website takes unique, order and dir as parameters; the rest stay in the query
+    const query = QueryNode.render(QueryNode.and([...this.nodes, ...this._displayNodes(['prefer', 'include'])]));
+    return `https://scryfall.com/search?q=${encodeURIComponent(query)}${this._urlParams(['unique', 'order', 'dir', 'as'])}`;
   }
 
   /**
@@ -464,8 +1112,21 @@ class ScryfallQueryBuilder {
    * @returns {string}
    */
   toApiUrl() {
-    const query = this.build();
-    return `https://api.scryfall.com/cards/search?q=${encodeURIComponent(query)}`;
+    const query = QueryNode.render(QueryNode.and([...this.nodes, ...this._displayNodes(['prefer'])]));
+    const extras = this.display.include ? '&include_extras=true' : '';
+    return `https://api.scryfall.com/cards/search?q=${encodeURIComponent(query)}${this._urlParams(['unique', 'order', 'dir'])}${extras}`;
+  }
+
+  /**
+   * Display options as URL parameters
+   * @param {string[]} options - Options to include
+   * @returns {string} e.g. "&unique=prints&order=edhrec"
+   */
+  _urlParams(options) {
+    return options
+      .filter(option => this.display[option])
+      .map(option => `&${option}=${encodeURIComponent(this.display[option])}`)
+      .join('');
   }
 
   /**
@@ -473,7 +1134,8 @@ class ScryfallQueryBuilder {
    * @returns {ScryfallQueryBuilder}
    */
   reset() {
-    this.parts = [];
+    this.nodes = [];
+    this.display = {};
     return this;
   }
 
@@ -483,9 +1145,101 @@ class ScryfallQueryBuilder {
    */
   clone() {
     const cloned = new ScryfallQueryBuilder();
-    cloned.parts = [...this.parts];
+    cloned.nodes = [...this.nodes];
+    cloned.display = { ...this.display };
     return cloned;
   }
+
+  /**
+   * Get the query expression tree
+   * @returns {Object} An AND node holding the top-level conditions, followed by any display options
+   */
+  toJSON() {
+    return QueryNode.clone(QueryNode.and([...this.nodes, ...this._displayNodes()]));
+  }
+}
+
+/**
+ * Normalizer for printing counts (prints, sets, artists, ...)
+ * @param {string} key - The search keyword
+ * @returns {Function}
+ */
+function countValue(key) {
+  return count => {
+    if (!Number.isInteger(count) || count < 0) {
+      throw new Error(`Invalid count "${count}" for "${key}"; expected a whole number of at least 0`);
+    }
+    return count;
+  };
+}
+
+/**
+ * Normalizer for Scryfall Tagger tags: lowercase words joined by hyphens
+ * @param {string} label - What the tag is, for error messages
+ * @returns {Function}
+ */
+function tagValue(label) {
+  return tag => {
+    const value = String(tag).trim().toLowerCase().replace(/\s+/g, '-');
+    if (!/^[a-z0-9]+(-[a-z0-9]+)*$/.test(value)) {
+      throw new Error(`Invalid ${label} "${tag}"; expected words joined by hyphens such as "mana-rock"`);
+    }
+    return value;
+  };
+}
+
+// Filters that are a keyword plus a value check, defined the same way plugins add theirs
+
+// Format legality: format("modern") -> f:modern, banned("legacy"), restricted("vintage")
+ScryfallQueryBuilder.registerFilter('format', { key: 'f' });
+ScryfallQueryBuilder.registerFilter('banned', { key: 'banned' });
+ScryfallQueryBuilder.registerFilter('restricted', { key: 'restricted' });
+
+// Printing details: watermark("set") -> wm:set, language("ja") -> lang:ja, frame("2015"), border("white")
+ScryfallQueryBuilder.registerFilter('watermark', { key: 'wm' });
+ScryfallQueryBuilder.registerFilter('language', { key: 'lang' });
+ScryfallQueryBuilder.registerFilter('frame', { key: 'frame', valueType: 'text' });
+ScryfallQueryBuilder.registerFilter('border', { key: 'border' });
+
+// Prices: priceUsd(5, '<') -> usd<5
+ScryfallQueryBuilder.registerFilter('priceUsd', { key: 'usd', valueType: 'number', label: 'USD price' });
+ScryfallQueryBuilder.registerFilter('priceEur', { key: 'eur', valueType: 'number', label: 'EUR price' });
+ScryfallQueryBuilder.registerFilter('priceTix', { key: 'tix', valueType: 'number', label: 'TIX price' });
+
+// Card properties: keyword("flying") -> keyword:flying, produces("g"), is("commander")
+ScryfallQueryBuilder.registerFilter('keyword', { key: 'keyword' });
+ScryfallQueryBuilder.registerFilter('produces', { key: 'produces' });
+ScryfallQueryBuilder.registerFilter('is', { key: 'is', label: 'property' });
+
+// Scryfall Tagger tags, listed in data/tags.json: oracleTag("mana rock") -> otag:mana-rock, artTag("dragon")
+ScryfallQueryBuilder.registerFilter('oracleTag', { key: 'otag', normalize: tagValue('oracle tag') });
+ScryfallQueryBuilder.registerFilter('artTag', { key: 'atag', normalize: tagValue('art tag') });
+
+// Where a card has been printed: printedIn("lea") -> in:lea, game("arena"), cube("vintage"), setType("masters") -> st:masters
+ScryfallQueryBuilder.registerFilter('printedIn', { key: 'in', label: 'set, game, language or rarity' });
+ScryfallQueryBuilder.registerFilter('game', { key: 'game', valueType: QueryParser.GAME_CODES });
+ScryfallQueryBuilder.registerFilter('cube', {
+  key: 'cube',
+  normalize: cube => {
+    const value = String(cube).trim().toLowerCase();
+    if (!/^[a-z0-9]+$/.test(value)) {
+      throw new Error(`Invalid cube "${cube}"; expected a single word such as "vintage"`);
+    }
+    return value;
+  }
+});
+ScryfallQueryBuilder.registerFilter('setType', { key: 'st', valueType: SET_TYPES });
+
+// Printing counts: prints(1) -> prints=1, paperPrints, sets, paperSets, artists, illustrations
+for (const [name, key] of Object.entries({
+  prints: 'prints',
+  paperPrints: 'paperprints',
+  sets: 'sets',
+  paperSets: 'papersets',
+  artists: 'artists',
+  illustrations: 'illustrations'
+})) {
+  ScryfallQueryBuilder.registerFilter(name, { key, valueType: 'number', normalize: countValue(key) });
 }
 
 module.exports = ScryfallQueryBuilder;
@@ -0,0 +1,80 @@
+/**
+ * SeededRandom - Reproducible random numbers
+ *
+ * `SeededRandom.create(seed)` returns a function that can stand in for
+ * Math.random(): it returns numbers in [0, 1), and the same seed always
+ * yields the same sequence. Numbers come from the mulberry32 generator,
+ * which is small and fast and good enough for picking filters and shuffling
+ * cards (not for anything security related).
+ *
+ * Works in Node.js and in the browser.
+ */
+
+// 2^32: seeds are unsigned 32-bit integers
+const SEED_RANGE = 4294967296;
+
+class SeededRandom {
+  /**
+   * Create a seeded random number generator
+   * @param {number|string} seed - Any number (used as an unsigned 32-bit integer) or string
+   * @returns {Function} Returns a number in [0, 1) on every call, like Math.random
+   * @throws {Error} If the seed is neither a number nor a string
+   *
+   * @example
+   * const random = SeededRandom.create(42);
+   * random(); // 0.6011037519201636, every time
+   */
+  static create(seed) {
+    return SeededRandom.mulberry32(SeededRandom.toSeed(seed));
+  }
+
+  /**
+   * The mulberry32 generator
+   * @param {number} seed - Unsigned 32-bit integer
+   * @returns {Function} Returns a number in [0, 1) on every call
+   */
+  static mulberry32(seed) {
+    let state = seed >>> 0;
+    return () => {
+      state = (state + 0x6D2B79F5) >>> 0;
+      let t = state;
+      t = Math.imul(t ^ (t >>> 15), t | 1);
+      t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+      return ((t ^ (t >>> 14)) >>> 0) / SEED_RANGE;
+    };
+  }
+
+  /**
+   * Turn a seed into an unsigned 32-bit integer; strings are hashed with FNV-1a
+   * @param {number|string} seed - The seed
+   * @returns {number}
+   * @throws {Error} If the seed is neither a finite number nor a string
+   */
+  static toSeed(seed) {
+    if (typeof seed === 'number' && Number.isFinite(seed)) {
+      return Math.floor(seed) >>> 0;
+    }
+    if (typeof seed === 'string') {
+      let hash = 0x811C9DC5;
+      for (let i = 0; i < seed.length; i++) {
+        hash = Math.imul(hash ^ seed.charCodeAt(i), 0x01000193);
+      }
+      return hash >>> 0;
+    }
+    throw new Error(`Invalid seed "${seed}"; expected a number or a string`);
+  }
+
+  /**
+   * Pick a new seed
+   * @param {Function} [random=Math.random] - Where to take the seed from
+   * @returns {number} Unsigned 32-bit integer
+   */
+  static randomSeed(random = Math.random) {
+    return Math.floor(random() * SEED_RANGE);
+  }
+}
+
+// Export for use in browser and Node.js
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = SeededRandom;
+}
@@ -0,0 +1,273 @@
+/**
+ * TemplateEngine - Renders the query templates in `data/query-templates.json`
+ *
+ * Template queries contain `{name}` placeholders for the variables the
+ * template declares, e.g. `t:creature mv<={maxManaValue} pow>={minPower}`.
+ * `{name|lower}` and `{name|upper}` change the case of the substituted value.
+ * Braces that don't name a declared variable, such as the mana symbol
+ * `{W}`, are left alone.
+ *
+ * Each variable is declared with a type, a default and optional limits:
+ *
+ * - `integer` / `number`: `min` and `max` bound the value
+ * - `string`: `pattern` is a regular expression the value must match
+ * - `colors`: color codes such as "ub"
+ * - `format`: a format code from `data/formats.json`
+ * - `oracleTag` / `artTag`: a Scryfall Tagger tag from `data/tags.json`
+ */
+const ScryfallQueryBuilder = require('./ScryfallQueryBuilder');
+const QueryNode = require('./QueryNode');
+
+const PLACEHOLDER = /\{([A-Za-z_][A-Za-z0-9_]*)(?:\|(lower|upper))?\}/g;
+
+class TemplateEngine {
+  /**
+   * @param {Object} [data] - Reference data shaped like `data/index.js`; defaults to the data files in `data/`
+   */
+  constructor(data = require('../data')) {
+    this.data = data;
+    this.formats = new Set(data.getFormatCodes());
+    this.tags = {
+      oracleTag: { label: 'an oracle tag such as "removal"', names: new Set(data.getOracleTags()) },
+      artTag: { label: 'an art tag such as "dragon"', names: new Set(data.getArtTags()) }
+    };
+  }
+
+  /**
+   * Render a template with the default reference data
+   * @param {string} id - Template id (e.g., 'aggressive_creatures')
+   * @param {Object} [variables={}] - Variable values; omitted variables use their defaults
+   * @returns {ScryfallQueryBuilder}
+   */
+  static renderTemplate(id, variables = {}) {
+    return new TemplateEngine().renderTemplate(id, variables);
+  }
+
+  /**
+   * Get the template categories
+   * @returns {Object[]} Categories with their id, name and description
+   */
+  listCategories() {
+    return Object.entries(this.data.getTemplateCategories()).map(([id, category]) => ({ id, ...category }));
+  }
+
+  /**
+   * List templates, optionally only those in one category
+   * @param {string} [category] - Category id (e.g., 'budget')
+   * @returns {Object[]} Template objects
+   * @throws {Error} If the category does not exist
+   */
+  listTemplates(category) {
+    if (category === undefined) {
+      return [...this.data.queryTemplates.templates];
+    }
+    if (!Object.prototype.hasOwnProperty.call(this.data.getTemplateCategories(), category)) {
+      throw new Error(`Unknown template category "${category}"`);
+    }
+    return this.data.getTemplatesByCategory(category);
+  }
+
+  /**
+   * Find templates whose id, name, description, tags or query contain every word of the search
+   * @param {string} text - Search text (e.g., 'commander lands')
+   * @param {string} [category] - Only search this category
+   * @returns {Object[]} Matching templates
+   */
+  searchTemplates(text, category) {
+    const words = String(text || '').toLowerCase().split(/\s+/).filter(Boolean);
+    return this.listTemplates(category).filter(template => {
+      const haystack = [
+        template.id,
+        template.name,
+        template.description,
+        template.category,
+        template.query,
+        ...(template.tags || [])
+      ].join(' ').toLowerCase();
+      return words.every(word => haystack.includes(word));
+    });
+  }
+
+  /**
+   * Get a template by id
+   * @param {string} id - Template id
+   * @returns {Object} Template object
+   * @throws {Error} If there is no template with that id
+   */
+  getTemplate(id) {
+    const template = this.data.queryTemplates.templates.find(t => t.id === id);
+    if (!template) {
+      throw new Error(`Unknown template "${id}"`);
+    }
+    return template;
+  }
+
+  /**
+   * Validate variable values against a template's declarations and fill in defaults
+   * @param {string} id - Template id
+   * @param {Object} [variables={}] - Variable values
+   * @returns {Object} Every declared variable with its value
+   * @throws {Error} If a variable is undeclared or its value has the wrong type or is out of range
+   */
+  resolveVariables(id, variables = {}) {
+    const template = this.getTemplate(id);
+    const declared = template.variables || {};
+
+    for (const name of Object.keys(variables)) {
+      if (!Object.prototype.hasOwnProperty.call(declared, name)) {
+        throw new Error(`Template "${id}" has no variable "${name}"`);
+      }
+    }
+
+    const values = {};
+    for (const [name, spec] of Object.entries(declared)) {
+      const value = variables[name] === undefined ? spec.default : variables[name];
+      values[name] = this._checkValue(`Variable "${name}" of template "${id}"`, spec, value);
+    }
+    return values;
+  }
+
+  /**
+   * Render a template into a builder
+   * @param {string} id - Template id (e.g., 'aggressive_creatures')
+   * @param {Object} [variables={}] - Variable values; omitted variables use their defaults
+   * @returns {ScryfallQueryBuilder}
+   * @throws {Error} If the template or a variable is invalid
+   *
+   * @example
+   * engine.renderTemplate('aggressive_creatures', { maxManaValue: 3 }).build();
+   * // 't:creature mv<=3 pow>=2'
+   */
+  renderTemplate(id, variables = {}) {
+    const template = this.getTemplate(id);
+    const values = this.resolveVariables(id, variables);
+    const query = template.query.replace(PLACEHOLDER, (match, name, modifier) => {
+      if (!Object.prototype.hasOwnProperty.call(values, name)) return match;
+      const value = String(values[name]);
+      if (modifier === 'lower') return value.toLowerCase();
+      if (modifier === 'upper') return value.toUpperCase();
+      return value;
+    });
+    return ScryfallQueryBuilder.parse(query);
+  }
+
+  /**
+   * Combine several templates into one query
+   *
+   * The variables are shared: each template takes the ones it declares, so
+   * `{ format: 'modern' }` applies to every template with a format variable.
+   * @param {string[]|string} templates - Template ids, or a category id to combine all of its templates
+   * @param {Object} [variables={}] - Variable values
+   * @param {Object} [options={}]
+   * @param {string} [options.operator='and'] - 'and' to require every template, 'or' to match any
+   * @returns {ScryfallQueryBuilder}
+   * @throws {Error} If a template, variable or the operator is invalid
+   */
+  composeTemplates(templates, variables = {}, options = {}) {
+    const { operator = 'and' } = options;
+    if (operator !== 'and' && operator !== 'or') {
+      throw new Error(`Unknown operator "${operator}"; expected "and" or "or"`);
+    }
+
+    const ids = typeof templates === 'string'
+      ? this.listTemplates(templates).map(t => t.id)
+      : templates;
+    if (!ids || ids.length === 0) {
+      throw new Error('No templates to compose');
+    }
+
+    const used = new Set();
+    const builders = ids.map(id => {
+      const declared = this.getTemplate(id).variables || {};
+      const own = {};
+      for (const name of Object.keys(variables)) {
+        if (Object.prototype.hasOwnProperty.call(declared, name)) {
+          own[name] = variables[name];
+          used.add(name);
+        }
+      }
+      return this.renderTemplate(id, own);
+    });
+
+    for (const name of Object.keys(variables)) {
+      if (!used.has(name)) {
+        throw new Error(`None of the templates has a variable "${name}"`);
+      }
+    }
+
+    const composed = new ScryfallQueryBuilder();
+    if (operator === 'and' || builders.length === 1) {
+      composed.nodes = builders.flatMap(builder => builder.nodes);
+    } else {
+      composed.nodes = [QueryNode.or(builders.map(({ nodes }) => (
+        nodes.length === 1 ? nodes[0] : QueryNode.group(QueryNode.and(nodes))
+      )))];
+    }
+    return composed;
+  }
+
+  /**
+   * Check one variable value against its declaration
+   * @param {string} label - Names the variable in error messages
+   * @param {Object} spec - Variable declaration
+   * @param {*} value - Value to check
+   * @returns {string|number} The value, normalized for the query
+   */
+  _checkValue(label, spec, value) {
+    switch (spec.type) {
+      case 'integer':
+      case 'number': {
+        const valid = spec.type === 'integer' ? Number.isInteger(value) : Number.isFinite(value);
+        const inRange = valid &&
+          (spec.min === undefined || value >= spec.min) &&
+          (spec.max === undefined || value <= spec.max);
+        if (!inRange) {
+          throw new Error(`${label} must be ${spec.type === 'integer' ? 'an integer' : 'a number'}${TemplateEngine._describeRange(spec)}, got ${JSON.stringify(value)}`);
+        }
+        return value;
+      }
+      case 'string':
+        if (typeof value !== 'string' || !value.trim() || value.includes('"')) {
+          throw new Error(`${label} must be a non-empty string without double quotes, got ${JSON.stringify(value)}`);
+        }
+        if (spec.pattern && !new RegExp(spec.pattern).test(value)) {
+          throw new Error(`${label} must match ${spec.pattern}, got ${JSON.stringify(value)}`);
+        }
+        return value.trim();
+      case 'colors':
+        if (typeof value !== 'string' || !/^[wubrgc]+$/i.test(value)) {
+          throw new Error(`${label} must be color codes such as "ub", got ${JSON.stringify(value)}`);
+        }
+        return value.toLowerCase();
+      case 'format':
+        if (typeof value !== 'string' || !this.formats.has(value.toLowerCase())) {
+          throw new Error(`${label} must be a format code such as "modern", got ${JSON.stringify(value)}`);
+        }
+        return value.toLowerCase();
+      case 'oracleTag':
+      case 'artTag': {
+        const tags = this.tags[spec.type];
+        if (typeof value !== 'string' || !tags.names.has(value.toLowerCase())) {
+          throw new Error(`${label} must be ${tags.label}, got ${JSON.stringify(value)}`);
+        }
+        return value.toLowerCase();
+      }
+      default:
+        throw new Error(`${label} has unknown type "${spec.type}"`);
+    }
+  }
+
+  /**
+   * Describe a numeric variable's limits for error messages
+   * @param {Object} spec - Variable declaration
+   * @returns {string} e.g. " between 0 and 16"
+   */
+  static _describeRange(spec) {
+    if (spec.min !== undefined && spec.max !== undefined) return ` between ${spec.min} and ${spec.max}`;
+    if (spec.min !== undefined) return ` of at least ${spec.min}`;
+    if (spec.max !== undefined) return ` of at most ${spec.max}`;
+    return '';
+  }
+}
+
+module.exports = TemplateEngine;
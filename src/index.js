@@ -1,4 +1,36 @@
 const ScryfallQueryBuilder = require('./ScryfallQueryBuilder');
+const ImmutableQueryBuilder = require('./ImmutableQueryBuilder');
 const RandomQueryGenerator = require('./RandomQueryGenerator');
+const QueryParser = require('./QueryParser');
+const QueryValidator = require('./QueryValidator');
+const QueryAnalyzer = require('./QueryAnalyzer');
+const QueryExplainer = require('./QueryExplainer');
+const NaturalLanguageParser = require('./NaturalLanguageParser');
+const TemplateEngine = require('./TemplateEngine');
+const ManaSymbols = require('./ManaSymbols');
+const QueryCanonicalizer = require('./QueryCanonicalizer');
+const QueryDiff = require('./QueryDiff');
+const ScryfallClient = require('./ScryfallClient');
+const SeededRandom = require('./SeededRandom');
+const QueryGrammar = require('./QueryGrammar');
 
-module.exports = { ScryfallQueryBuilder, RandomQueryGenerator };
+module.exports = {
+  ScryfallQueryBuilder,
+  ImmutableQueryBuilder,
+  RandomQueryGenerator,
+  QueryParser,
+  QueryValidator,
+  QueryAnalyzer,
+  QueryExplainer,
+  NaturalLanguageParser,
+  TemplateEngine,
+  ManaSymbols,
+  QueryCanonicalizer,
+  QueryDiff,
+  ScryfallClient,
+  SeededRandom,
+  QueryGrammar,
+  areEquivalent: QueryCanonicalizer.areEquivalent,
+  diffQueries: QueryDiff.diff,
+  field: ScryfallQueryBuilder.field
+};